@@ -0,0 +1,129 @@
+/* eslint-env serviceworker */
+// Serves map tiles from the Cache API before the network so tiles prefetched in the app keep
+// working offline. Tile URL templates are passed in the registration query string
+// (`?providers=[{ url, subdomains }]`) so this file needs no build step.
+
+const TILE_CACHE_NAME = 'cadet-map-tile-cache';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+const PLACEHOLDER_PATTERNS = {
+  '{s}': '(?<s>[a-z0-9-]+)',
+  '{z}': '(?<z>\\d+)',
+  '{x}': '(?<x>\\d+)',
+  '{y}': '(?<y>\\d+)',
+  '{r}': '(?<r>@2x)?'
+};
+
+const compileProvider = ({ url, subdomains }) => {
+  let source = escapeRegExp(url);
+  Object.entries(PLACEHOLDER_PATTERNS).forEach(([token, pattern]) => {
+    source = source.replace(escapeRegExp(token), pattern);
+  });
+  return {
+    template: url,
+    subdomains: Array.isArray(subdomains) ? subdomains : [],
+    pattern: new RegExp(`^${source}(?:\\?.*)?$`)
+  };
+};
+
+const providers = (() => {
+  try {
+    const raw = new URL(self.location.href).searchParams.get('providers');
+    const parsed = JSON.parse(raw ?? '[]');
+    return Array.isArray(parsed) ? parsed.filter((entry) => typeof entry?.url === 'string').map(compileProvider) : [];
+  } catch (err) {
+    return [];
+  }
+})();
+
+const matchTile = (url) => {
+  for (const provider of providers) {
+    const match = provider.pattern.exec(url);
+    if (match) {
+      return { provider, params: match.groups ?? {} };
+    }
+  }
+  return null;
+};
+
+// Leaflet and the prefetcher may pick different subdomains for the same tile, so a cache miss
+// on the exact URL is retried against every subdomain the provider serves from.
+const candidateUrls = (url, { provider, params }) => {
+  if (!params.s || provider.subdomains.length === 0) return [url];
+  const variants = provider.subdomains.map((subdomain) =>
+    provider.template
+      .replace('{s}', subdomain)
+      .replace('{z}', params.z)
+      .replace('{x}', params.x)
+      .replace('{y}', params.y)
+      .replace('{r}', params.r ?? '')
+  );
+  return [url, ...variants.filter((variant) => variant !== url)];
+};
+
+const PLACEHOLDER_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 256 256">
+  <defs>
+    <pattern id="hatch" width="16" height="16" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+      <line x1="0" y1="0" x2="0" y2="16" stroke="#cbd5e1" stroke-width="2"/>
+    </pattern>
+  </defs>
+  <rect width="256" height="256" fill="#e2e8f0"/>
+  <rect width="256" height="256" fill="url(#hatch)"/>
+  <rect x="0.5" y="0.5" width="255" height="255" fill="none" stroke="#94a3b8"/>
+  <rect x="40" y="108" width="176" height="40" rx="10" fill="#f8fafc" stroke="#94a3b8"/>
+  <text x="128" y="126" text-anchor="middle" font-family="system-ui, sans-serif" font-size="12" font-weight="600" fill="#334155">Tile unavailable offline</text>
+  <text x="128" y="140" text-anchor="middle" font-family="system-ui, sans-serif" font-size="9" fill="#64748b">Cache this area while connected</text>
+</svg>`;
+
+const placeholderResponse = () =>
+  new Response(PLACEHOLDER_SVG, {
+    status: 200,
+    headers: { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'no-store' }
+  });
+
+const notifyPlaceholder = async (clientId) => {
+  if (!clientId) return;
+  const client = await self.clients.get(clientId);
+  client?.postMessage({ type: 'tile:placeholder' });
+};
+
+const serveTile = async (event, tile) => {
+  const { request } = event;
+  try {
+    const cache = await caches.open(TILE_CACHE_NAME);
+    for (const url of candidateUrls(request.url, tile)) {
+      const cached = await cache.match(url);
+      if (cached) return cached;
+    }
+  } catch (err) {
+    // ignore cache errors and try the network
+  }
+
+  try {
+    const response = await fetch(request);
+    // Opaque responses (no-cors <img> loads) can't be inspected, so they're passed through.
+    if (response.ok || response.type === 'opaque') {
+      return response;
+    }
+  } catch (err) {
+    // offline or blocked – fall through to the placeholder
+  }
+  event.waitUntil(notifyPlaceholder(event.clientId));
+  return placeholderResponse();
+};
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', (event) => {
+  if (event.request.method !== 'GET') return;
+  const tile = matchTile(event.request.url);
+  if (!tile) return;
+  event.respondWith(serveTile(event, tile));
+});
@@ -1,10 +1,39 @@
 import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import os from 'os';
 import express from 'express';
 import { WebSocketServer, WebSocket } from 'ws';
 import { customAlphabet } from 'nanoid';
 import lzString from 'lz-string';
 const { decompressFromEncodedURIComponent } = lzString;
 import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import selfsigned from 'selfsigned';
+
+// `--flag value` / `--flag=value` / bare `--flag` (true). Only the TLS switches are read today.
+const parseCliFlags = (argv) => {
+  const flags = {};
+  for (let idx = 0; idx < argv.length; idx += 1) {
+    const arg = argv[idx];
+    if (!arg.startsWith('--')) continue;
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (argv[idx + 1] && !argv[idx + 1].startsWith('--')) {
+      flags[name] = argv[idx + 1];
+      idx += 1;
+    } else {
+      flags[name] = true;
+    }
+  }
+  return flags;
+};
+
+const cliFlags = parseCliFlags(process.argv.slice(2));
+const isTruthy = (value) => value === true || /^(1|true|yes|on)$/i.test(String(value ?? ''));
 
 const PORT = Number(process.env.SERVER_PORT ?? process.env.MISSION_SERVER_PORT ?? 4000);
 const SESSION_CODE_LENGTH = Number(process.env.SESSION_CODE_LENGTH ?? 6);
@@ -19,6 +48,25 @@ const MAX_ROUTE_POINTS = Number(process.env.MAX_ROUTE_POINTS ?? 80);
 const MAX_TRAFFIC_WINDOW_SECONDS = Math.max(60, Number(process.env.TRAFFIC_WINDOW_S ?? 900));
 const SESSION_MAX_TTL_MS = Number(process.env.SESSION_TTL_MS ?? 1000 * 60 * 60 * 6);
 const SESSION_IDLE_TIMEOUT_MS = Number(process.env.SESSION_IDLE_TIMEOUT_MS ?? 1000 * 60 * 2);
+const SESSION_LOG_DIR = path.resolve(process.env.SESSION_LOG_DIR ?? 'session-logs');
+const JOURNAL_ID_PATTERN = /^[A-Z0-9]+-\d+$/;
+const SESSION_STORE_FILE =
+  process.env.SESSION_STORE_FILE === '' ? null : path.resolve(process.env.SESSION_STORE_FILE ?? 'session-store.json');
+const SESSION_SNAPSHOT_INTERVAL_MS = Math.max(1000, Number(process.env.SESSION_SNAPSHOT_INTERVAL_MS ?? 5000));
+const SESSION_STORE_VERSION = 1;
+const SESSION_SECRET = (process.env.SESSION_SECRET ?? '').trim();
+const JOIN_PIN_PATTERN = /^\d{4,8}$/;
+const AUTH_MAX_FAILURES = Math.max(1, Number(process.env.AUTH_MAX_FAILURES ?? 5));
+const AUTH_LOCKOUT_MS = Number(process.env.AUTH_LOCKOUT_MS ?? 1000 * 60 * 5);
+const TLS_CERT_FILE = cliFlags['tls-cert'] ?? process.env.TLS_CERT_FILE ?? null;
+const TLS_KEY_FILE = cliFlags['tls-key'] ?? process.env.TLS_KEY_FILE ?? null;
+const TLS_SELF_SIGNED = isTruthy(cliFlags['tls-self-signed'] ?? process.env.TLS_SELF_SIGNED);
+const TLS_SELF_SIGNED_DIR = path.resolve(process.env.TLS_SELF_SIGNED_DIR ?? '.tls');
+const TLS_SELF_SIGNED_HOSTS = (process.env.TLS_SELF_SIGNED_HOSTS ?? '')
+  .split(',')
+  .map((host) => host.trim())
+  .filter(Boolean);
+const TLS_RELOAD_POLL_MS = Number(process.env.TLS_RELOAD_POLL_MS ?? 10000);
 
 const clampIntervalMs = (value) =>
   Math.min(MAX_UPDATE_INTERVAL_MS, Math.max(MIN_UPDATE_INTERVAL_MS, Math.round(value)));
@@ -96,12 +144,453 @@ const summarizeTraffic = (windowSeconds = null) => {
   return { totalBytes, windowBytes, window };
 };
 
+const journalsEnabled = (() => {
+  try {
+    fs.mkdirSync(SESSION_LOG_DIR, { recursive: true });
+    return true;
+  } catch (err) {
+    console.error(`Session journals disabled: unable to create ${SESSION_LOG_DIR}`, err);
+    return false;
+  }
+})();
+
+const buildJournalId = (session) => `${session.id}-${session.createdAt}`;
+const journalPath = (journalId) => path.join(SESSION_LOG_DIR, `${journalId}.ndjson`);
+
+const openJournal = (session) => {
+  if (!journalsEnabled) return;
+  session.journalId = buildJournalId(session);
+  const stream = fs.createWriteStream(journalPath(session.journalId), { flags: 'a' });
+  stream.on('error', (err) => {
+    console.error(`Session journal ${session.journalId} failed`, err);
+    if (session.journal === stream) {
+      session.journal = null;
+    }
+  });
+  session.journal = stream;
+};
+
+// Append-only NDJSON: one `{ type, timestamp, ...data }` line per relay event.
+const recordEvent = (session, type, data = {}) => {
+  if (!session?.journal) return;
+  session.journal.write(`${JSON.stringify({ type, timestamp: Date.now(), ...data })}\n`);
+};
+
+const closeJournal = (session) => {
+  if (!session?.journal) return Promise.resolve();
+  const stream = session.journal;
+  session.journal = null;
+  return new Promise((resolve) => stream.end(resolve));
+};
+
+const activeJournalIds = () => {
+  const ids = new Set();
+  sessions.forEach((session) => {
+    if (session.journalId) ids.add(session.journalId);
+  });
+  return ids;
+};
+
+let snapshotDirty = false;
+let snapshotWriting = false;
+
+const serializePeer = (peer) => {
+  if (!peer) return null;
+  const { socket, ...rest } = peer;
+  return rest;
+};
+
+// Everything needed for `host:resume` and client auto-rejoin. Sockets, journal streams and
+// pending route offers are transient and rebuilt (or dropped) after a restart.
+const serializeSession = (session) => ({
+  id: session.id,
+  host: serializePeer(session.host),
+  clients: Array.from(session.clients.values()).map(serializePeer),
+  stateVersion: session.stateVersion,
+  stateBlob: session.stateBlob,
+  stateHash: session.stateHash,
+  createdAt: session.createdAt,
+  lastActivity: session.lastActivity,
+  colorCursor: session.colorCursor,
+  locationIntervalMs: session.locationIntervalMs,
+  hostResumeToken: session.hostResumeToken,
+  joinPinHash: session.joinPinHash ?? null
+});
+
+const buildStoreSnapshot = () =>
+  JSON.stringify({
+    version: SESSION_STORE_VERSION,
+    savedAt: Date.now(),
+    sessions: Array.from(sessions.values()).map(serializeSession)
+  });
+
+const persistSessions = async () => {
+  if (!SESSION_STORE_FILE || !snapshotDirty || snapshotWriting) return;
+  snapshotDirty = false;
+  snapshotWriting = true;
+  const tempFile = `${SESSION_STORE_FILE}.tmp`;
+  try {
+    await fs.promises.writeFile(tempFile, buildStoreSnapshot());
+    await fs.promises.rename(tempFile, SESSION_STORE_FILE);
+  } catch (err) {
+    snapshotDirty = true;
+    console.error(`Unable to snapshot sessions to ${SESSION_STORE_FILE}`, err);
+  } finally {
+    snapshotWriting = false;
+  }
+};
+
+const persistSessionsSync = () => {
+  if (!SESSION_STORE_FILE) return;
+  const tempFile = `${SESSION_STORE_FILE}.tmp`;
+  try {
+    fs.writeFileSync(tempFile, buildStoreSnapshot());
+    fs.renameSync(tempFile, SESSION_STORE_FILE);
+    snapshotDirty = false;
+  } catch (err) {
+    console.error(`Unable to snapshot sessions to ${SESSION_STORE_FILE}`, err);
+  }
+};
+
+// Resume tokens rotate on every (re)bind, so those changes flush straight away; everything
+// else rides the periodic snapshot.
+const markSessionsDirty = ({ flush = false } = {}) => {
+  snapshotDirty = true;
+  if (flush) {
+    persistSessions();
+  }
+};
+
+const restorePeer = (raw) => {
+  if (!raw || typeof raw !== 'object' || typeof raw.participantId !== 'string') return null;
+  return { ...raw, socket: null };
+};
+
+// Snapshots written before PINs were hashed hold the PIN itself; hash it on the way in.
+const restoreJoinPinHash = async (raw) => {
+  if (isJoinPinHash(raw.joinPinHash)) return raw.joinPinHash;
+  const legacyPin = normalizeJoinPin(raw.joinPin);
+  return legacyPin ? hashJoinPin(legacyPin) : null;
+};
+
+const restoreSessions = async () => {
+  if (!SESSION_STORE_FILE || !fs.existsSync(SESSION_STORE_FILE)) return;
+  let stored;
+  try {
+    stored = JSON.parse(fs.readFileSync(SESSION_STORE_FILE, 'utf8'));
+  } catch (err) {
+    console.error(`Ignoring unreadable session store ${SESSION_STORE_FILE}`, err);
+    return;
+  }
+  if (stored?.version !== SESSION_STORE_VERSION || !Array.isArray(stored.sessions)) {
+    console.warn(`Ignoring session store ${SESSION_STORE_FILE}: unsupported version ${stored?.version}`);
+    return;
+  }
+
+  const now = Date.now();
+  const savedAt = Number(stored.savedAt) || now;
+  let restored = 0;
+  for (const raw of stored.sessions) {
+    const host = restorePeer(raw?.host);
+    if (!host || typeof raw.id !== 'string' || sessions.has(raw.id)) continue;
+
+    const session = {
+      id: raw.id,
+      host,
+      clients: new Map(),
+      stateVersion: Number(raw.stateVersion) || 0,
+      stateBlob: typeof raw.stateBlob === 'string' ? raw.stateBlob : null,
+      stateHash: typeof raw.stateHash === 'string' ? raw.stateHash : null,
+      createdAt: Number(raw.createdAt) || now,
+      // Downtime shouldn't count against the idle window: give everyone a full window to reconnect.
+      lastActivity: now,
+      colorCursor: Number(raw.colorCursor) || 0,
+      locationIntervalMs: clampIntervalMs(Number(raw.locationIntervalMs) || DEFAULT_UPDATE_INTERVAL_MS),
+      hostResumeToken: typeof raw.hostResumeToken === 'string' ? raw.hostResumeToken : host.resumeToken,
+      routeOffers: new Map(),
+      joinPinHash: await restoreJoinPinHash(raw)
+    };
+    (Array.isArray(raw.clients) ? raw.clients : []).forEach((rawClient) => {
+      const client = restorePeer(rawClient);
+      if (client) session.clients.set(client.participantId, client);
+    });
+
+    openJournal(session);
+    const wasIdle = savedAt - (Number(raw.lastActivity) || savedAt) > SESSION_IDLE_TIMEOUT_MS;
+    const expired = now - session.createdAt > SESSION_MAX_TTL_MS;
+    if (wasIdle || expired) {
+      recordEvent(session, 'session:ended', { reason: expired ? 'session-expired' : 'session-idle' });
+      closeJournal(session);
+      continue;
+    }
+
+    sessions.set(session.id, session);
+    recordEvent(session, 'session:restored', { savedAt, clients: session.clients.size });
+    restored += 1;
+  }
+
+  if (restored > 0) {
+    console.log(`Restored ${restored} session(s) from ${SESSION_STORE_FILE}`);
+  }
+  markSessionsDirty();
+};
+
+const authFailures = new Map();
+const pinChecksInFlight = new Set();
+
+const secretsMatch = (expected, provided) => {
+  if (typeof provided !== 'string') return false;
+  const a = crypto.createHash('sha256').update(expected).digest();
+  const b = crypto.createHash('sha256').update(provided).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+const normalizeJoinPin = (value) => {
+  if (value == null) return null;
+  const pin = String(value).trim();
+  if (!pin) return null;
+  return JOIN_PIN_PATTERN.test(pin) ? pin : undefined;
+};
+
+// Join PINs are only ever stored as `scrypt$<salt>$<hash>` (hex), never in the clear: a 4–8 digit
+// PIN is trivial to brute-force from a leaked session-store.json unless it is salted and slow.
+const JOIN_PIN_HASH_PATTERN = /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{64}$/;
+
+const isJoinPinHash = (value) => typeof value === 'string' && JOIN_PIN_HASH_PATTERN.test(value);
+
+// scrypt is deliberately slow, so it runs on the libuv pool rather than stalling every session's relaying.
+const scrypt = promisify(crypto.scrypt);
+
+const hashJoinPin = async (pin) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(pin, salt, 32);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+const joinPinMatches = async (storedHash, provided) => {
+  if (!isJoinPinHash(storedHash) || typeof provided !== 'string') return false;
+  const [, saltHex, hashHex] = storedHash.split('$');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(provided, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Failed secrets/PINs are counted per remote address and scope (`host` or a session code).
+// Hitting AUTH_MAX_FAILURES inside the lockout window blocks further attempts until it lapses.
+const authLockedOut = (key) => {
+  const entry = authFailures.get(key);
+  if (!entry) return false;
+  if (Date.now() - entry.firstAt > AUTH_LOCKOUT_MS) {
+    authFailures.delete(key);
+    return false;
+  }
+  return entry.count >= AUTH_MAX_FAILURES;
+};
+
+const recordAuthFailure = (key) => {
+  const now = Date.now();
+  const entry = authFailures.get(key);
+  if (!entry || now - entry.firstAt > AUTH_LOCKOUT_MS) {
+    authFailures.set(key, { count: 1, firstAt: now });
+    return;
+  }
+  entry.count += 1;
+};
+
+const pruneAuthFailures = () => {
+  const now = Date.now();
+  authFailures.forEach((entry, key) => {
+    if (now - entry.firstAt > AUTH_LOCKOUT_MS) {
+      authFailures.delete(key);
+    }
+  });
+};
+
+// Journals hold every participant's location trail, so with SESSION_SECRET set they need it as
+// `Authorization: Bearer <secret>`. Failures count towards the same lockout as `host:init`.
+const requireRelaySecret = (req, res, next) => {
+  if (!SESSION_SECRET) {
+    next();
+    return;
+  }
+  const authKey = `${req.socket.remoteAddress ?? 'unknown'}:host`;
+  if (authLockedOut(authKey)) {
+    res.status(429).json({ error: 'Too many failed attempts. Try again later.' });
+    return;
+  }
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') ?? '');
+  if (!match || !secretsMatch(SESSION_SECRET, match[1].trim())) {
+    recordAuthFailure(authKey);
+    res.set('WWW-Authenticate', 'Bearer realm="cadnav-relay"');
+    res.status(401).json({ error: 'Relay secret required or incorrect.' });
+    return;
+  }
+  next();
+};
+
 const app = express();
 app.get('/health', (req, res) => {
   res.json({ ok: true, sessions: sessions.size, timestamp: Date.now() });
 });
 
-const server = http.createServer(app);
+app.get('/journals', requireRelaySecret, async (req, res) => {
+  if (!journalsEnabled) {
+    res.status(503).json({ error: 'Session journals are disabled.' });
+    return;
+  }
+  try {
+    const active = activeJournalIds();
+    const files = await fs.promises.readdir(SESSION_LOG_DIR);
+    const journals = await Promise.all(
+      files
+        .filter((file) => file.endsWith('.ndjson'))
+        .map(async (file) => {
+          const id = file.slice(0, -'.ndjson'.length);
+          if (!JOURNAL_ID_PATTERN.test(id)) return null;
+          const stats = await fs.promises.stat(journalPath(id));
+          const separator = id.lastIndexOf('-');
+          return {
+            id,
+            sessionId: id.slice(0, separator),
+            createdAt: Number(id.slice(separator + 1)),
+            size: stats.size,
+            updatedAt: Math.round(stats.mtimeMs),
+            active: active.has(id)
+          };
+        })
+    );
+    res.json({
+      journals: journals.filter(Boolean).sort((a, b) => b.createdAt - a.createdAt)
+    });
+  } catch (err) {
+    console.error('Unable to list session journals', err);
+    res.status(500).json({ error: 'Unable to list session journals.' });
+  }
+});
+
+app.get('/journals/:journalId', requireRelaySecret, (req, res) => {
+  const journalId = String(req.params.journalId ?? '').toUpperCase();
+  if (!journalsEnabled || !JOURNAL_ID_PATTERN.test(journalId)) {
+    res.status(404).json({ error: 'Journal not found.' });
+    return;
+  }
+  if (activeJournalIds().has(journalId)) {
+    res.status(409).json({ error: 'Session is still active. Journals are available once it ends.' });
+    return;
+  }
+  const filePath = journalPath(journalId);
+  if (!fs.existsSync(filePath)) {
+    res.status(404).json({ error: 'Journal not found.' });
+    return;
+  }
+  res.type('application/x-ndjson');
+  res.download(filePath, `cadnav-${journalId}.ndjson`);
+});
+
+const localAddresses = () => {
+  const addresses = ['127.0.0.1', '::1'];
+  Object.values(os.networkInterfaces()).forEach((entries) => {
+    (entries ?? []).forEach((entry) => {
+      if (!entry.internal) addresses.push(entry.address);
+    });
+  });
+  return addresses;
+};
+
+const readTlsFiles = (certFile, keyFile) => ({
+  cert: fs.readFileSync(certFile),
+  key: fs.readFileSync(keyFile)
+});
+
+// Field laptops get a cert covering localhost, the hostname and every LAN address. It is kept on
+// disk so browsers only need to trust it once, and regenerated when it nears expiry or the
+// laptop picks up an address the cert doesn't cover.
+const loadSelfSignedCredentials = () => {
+  const certFile = path.join(TLS_SELF_SIGNED_DIR, 'selfsigned-cert.pem');
+  const keyFile = path.join(TLS_SELF_SIGNED_DIR, 'selfsigned-key.pem');
+  const hostnames = ['localhost', os.hostname(), ...TLS_SELF_SIGNED_HOSTS];
+  const addresses = localAddresses();
+
+  if (fs.existsSync(certFile) && fs.existsSync(keyFile)) {
+    try {
+      const credentials = readTlsFiles(certFile, keyFile);
+      const x509 = new crypto.X509Certificate(credentials.cert);
+      const freshEnough = new Date(x509.validTo).getTime() - Date.now() > 1000 * 60 * 60 * 24 * 7;
+      const coversHosts = hostnames.every((host) => x509.checkHost(host)) &&
+        addresses.every((address) => x509.checkIP(address));
+      if (freshEnough && coversHosts) {
+        return credentials;
+      }
+    } catch (err) {
+      console.warn('Existing self-signed certificate unreadable, generating a new one', err);
+    }
+  }
+
+  const altNames = [
+    ...hostnames.map((value) => ({ type: 2, value })),
+    ...addresses.map((ip) => ({ type: 7, ip }))
+  ];
+  const generated = selfsigned.generate([{ name: 'commonName', value: 'CadNav relay' }], {
+    days: 365,
+    keySize: 2048,
+    algorithm: 'sha256',
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      { name: 'subjectAltName', altNames }
+    ]
+  });
+  fs.mkdirSync(TLS_SELF_SIGNED_DIR, { recursive: true });
+  fs.writeFileSync(certFile, generated.cert);
+  fs.writeFileSync(keyFile, generated.private, { mode: 0o600 });
+  console.log(`Generated self-signed certificate in ${TLS_SELF_SIGNED_DIR}`);
+  return { cert: Buffer.from(generated.cert), key: Buffer.from(generated.private) };
+};
+
+const loadTlsCredentials = () => {
+  if (TLS_CERT_FILE || TLS_KEY_FILE) {
+    if (!TLS_CERT_FILE || !TLS_KEY_FILE) {
+      throw new Error('TLS needs both a certificate (--tls-cert / TLS_CERT_FILE) and a key (--tls-key / TLS_KEY_FILE).');
+    }
+    return readTlsFiles(TLS_CERT_FILE, TLS_KEY_FILE);
+  }
+  if (TLS_SELF_SIGNED) {
+    return loadSelfSignedCredentials();
+  }
+  return null;
+};
+
+const watchTlsFiles = (secureServer) => {
+  let reloadTimer = null;
+  const reload = () => {
+    clearTimeout(reloadTimer);
+    // certbot & co. replace cert and key in quick succession; wait for both to land.
+    reloadTimer = setTimeout(() => {
+      try {
+        const credentials = readTlsFiles(TLS_CERT_FILE, TLS_KEY_FILE);
+        tls.createSecureContext(credentials);
+        secureServer.setSecureContext(credentials);
+        console.log('Reloaded TLS certificate');
+      } catch (err) {
+        console.error('TLS certificate reload failed, keeping the previous one', err);
+      }
+    }, 1000);
+  };
+  [TLS_CERT_FILE, TLS_KEY_FILE].forEach((file) => {
+    fs.watchFile(file, { interval: TLS_RELOAD_POLL_MS }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+        reload();
+      }
+    });
+  });
+};
+
+const tlsCredentials = loadTlsCredentials();
+const server = tlsCredentials ? https.createServer(tlsCredentials, app) : http.createServer(app);
+if (tlsCredentials && TLS_CERT_FILE) {
+  watchTlsFiles(server);
+}
 const wss = new WebSocketServer({ server });
 
 const send = (socket, type, payload = {}) => {
@@ -113,6 +602,12 @@ const send = (socket, type, payload = {}) => {
   socket.send(serialized);
 };
 
+// For handlers that await (PIN hashing): a failure becomes an error reply rather than an unhandled rejection.
+const reportHandlerError = (socket, type, err) => {
+  console.error(`Unable to handle ${type}`, err);
+  send(socket, 'session:error', { message: 'Relay error. Try again.' });
+};
+
 const buildPeerSnapshot = (peer, role) => {
   if (!peer) return null;
   const updatedAt = peer.lastUpdateAt ?? peer.lastLocationAt ?? peer.lastRoutesAt ?? null;
@@ -177,6 +672,47 @@ const sanitizeClientRoutes = (rawRoutes) => {
   return safe;
 };
 
+// A field device reaching a checkpoint while navigating a route.
+const sanitizeArrival = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const position = normalizeLocation(raw.position);
+  const arrivedAt = typeof raw.arrivedAt === 'number' && Number.isFinite(raw.arrivedAt) ? raw.arrivedAt : null;
+  if (!position || !arrivedAt) return null;
+  const count = (value) => (Number.isInteger(value) && value > 0 && value <= MAX_ROUTE_POINTS ? value : undefined);
+  const meters = (value) => (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? Math.round(value) : undefined);
+  return {
+    checkpointId: typeof raw.checkpointId === 'string' ? raw.checkpointId.slice(0, 40) : undefined,
+    checkpointName: typeof raw.checkpointName === 'string' ? raw.checkpointName.slice(0, 48) : undefined,
+    routeName: typeof raw.routeName === 'string' ? raw.routeName.slice(0, 64) : undefined,
+    index: count(raw.index),
+    total: count(raw.total),
+    arrivedAt,
+    position: { lat: position.lat, lng: position.lng },
+    accuracy: meters(raw.accuracy),
+    distanceMeters: meters(raw.distanceMeters)
+  };
+};
+
+// A field device's position relative to the leg it is navigating, sent when it goes off course or back on.
+const sanitizeDeviation = (raw) => {
+  if (!raw || typeof raw !== 'object' || typeof raw.offCourse !== 'boolean') return null;
+  const meters = (value) =>
+    typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= 1000000 ? Math.round(value) : undefined;
+  const crossTrackMeters = meters(raw.crossTrackMeters);
+  if (crossTrackMeters === undefined) return null;
+  return {
+    offCourse: raw.offCourse,
+    crossTrackMeters,
+    alongTrackMeters: meters(raw.alongTrackMeters),
+    legMeters: meters(raw.legMeters),
+    thresholdMeters: meters(raw.thresholdMeters),
+    fromName: typeof raw.fromName === 'string' ? raw.fromName.slice(0, 48) : undefined,
+    toName: typeof raw.toName === 'string' ? raw.toName.slice(0, 48) : undefined,
+    routeName: typeof raw.routeName === 'string' ? raw.routeName.slice(0, 64) : undefined,
+    at: typeof raw.at === 'number' && Number.isFinite(raw.at) ? raw.at : Date.now()
+  };
+};
+
 const hashRoutes = (routes) => {
   try {
     return crypto.createHash('sha1').update(JSON.stringify(routes)).digest('base64');
@@ -248,11 +784,16 @@ const detachHost = (session, reason = 'host-disconnected') => {
   session.host.socket = null;
   session.host.lastDisconnectAt = Date.now();
   session.lastActivity = session.host.lastDisconnectAt;
+  recordEvent(session, 'host:offline', { participantId: session.host.participantId, reason });
+  markSessionsDirty();
   notifyClientsHostStatus(session, false, reason);
 };
 
 const terminateSession = (session, reason = 'host-ended') => {
   sessions.delete(session.id);
+  recordEvent(session, 'session:ended', { reason });
+  closeJournal(session);
+  markSessionsDirty();
   broadcast(session, 'session:ended', { reason });
   session.clients.forEach((client) => {
     if (!client.socket) return;
@@ -279,6 +820,8 @@ const markClientOffline = (session, participantId, reason = 'client-disconnected
   peer.lastDisconnectAt = Date.now();
   peer.lastContactAt = peer.lastContactAt ?? peer.lastDisconnectAt;
   dropPendingOffersForParticipant(session, participantId);
+  recordEvent(session, 'peer:offline', { participantId, reason });
+  markSessionsDirty();
   emitPeerStatus(session, peer, { isOnline: false, reason });
 };
 
@@ -287,6 +830,8 @@ const removeClient = (session, participantId, reason = 'client-left') => {
   if (!peer) return;
   session.clients.delete(participantId);
   dropPendingOffersForParticipant(session, participantId);
+  recordEvent(session, 'peer:left', { participantId, reason });
+  markSessionsDirty();
   sendToHost(session, 'session:peer-left', {
     participantId,
     reason,
@@ -304,6 +849,7 @@ const dropPendingOffersForParticipant = (session, participantId) => {
 };
 
 const pruneSessions = () => {
+  pruneAuthFailures();
   const now = Date.now();
   sessions.forEach((session) => {
     if (session.lastActivity && now - session.lastActivity > SESSION_IDLE_TIMEOUT_MS) {
@@ -327,12 +873,34 @@ const heartbeat = () => {
   });
 };
 
-const handleHostInit = (socket) => {
+const handleHostInit = async (socket, payload) => {
   if (socket.meta?.sessionId) {
     send(socket, 'session:error', { message: 'Socket already bound to a session. Disconnect first.' });
     return;
   }
 
+  if (SESSION_SECRET) {
+    const authKey = `${socket.remoteAddress}:host`;
+    if (authLockedOut(authKey)) {
+      send(socket, 'session:error', { message: 'Too many failed attempts. Try again later.', code: 'rate-limited' });
+      return;
+    }
+    if (!secretsMatch(SESSION_SECRET, payload?.secret)) {
+      recordAuthFailure(authKey);
+      send(socket, 'session:error', { message: 'Relay secret required or incorrect.', code: 'secret-invalid' });
+      return;
+    }
+  }
+
+  const joinPin = normalizeJoinPin(payload?.joinPin);
+  if (joinPin === undefined) {
+    send(socket, 'session:error', { message: 'Join PIN must be 4–8 digits.', code: 'pin-format' });
+    return;
+  }
+  const joinPinHash = joinPin ? await hashJoinPin(joinPin) : null;
+  // The socket may have closed or bound to a session while the PIN was hashing.
+  if (socket.readyState !== WebSocket.OPEN || socket.meta?.sessionId) return;
+
   let sessionId = generateSessionCode();
   while (sessions.has(sessionId)) {
     sessionId = generateSessionCode();
@@ -360,10 +928,18 @@ const handleHostInit = (socket) => {
     colorCursor: 0,
     locationIntervalMs: DEFAULT_UPDATE_INTERVAL_MS,
     hostResumeToken: hostPeer.resumeToken,
-    routeOffers: new Map()
+    routeOffers: new Map(),
+    joinPinHash
   };
 
   sessions.set(sessionId, session);
+  openJournal(session);
+  recordEvent(session, 'session:created', {
+    hostId: hostPeer.participantId,
+    intervalMs: session.locationIntervalMs,
+    joinPin: Boolean(joinPin)
+  });
+  markSessionsDirty({ flush: true });
   attachSessionMeta(socket, session, hostPeer, 'host');
   send(socket, 'session:ready', {
     sessionId,
@@ -372,7 +948,8 @@ const handleHostInit = (socket) => {
     peers: [],
     state: null,
     intervalMs: session.locationIntervalMs,
-    resumeToken: hostPeer.resumeToken
+    resumeToken: hostPeer.resumeToken,
+    joinPin: Boolean(joinPin)
   });
 };
 
@@ -405,6 +982,8 @@ const handleHostResume = (socket, payload) => {
   session.routeOffers = session.routeOffers ?? new Map();
   session.lastActivity = Date.now();
   attachSessionMeta(socket, session, session.host, 'host');
+  recordEvent(session, 'host:resumed', { participantId: session.host.participantId });
+  markSessionsDirty({ flush: true });
   notifyClientsHostStatus(session, true, 'host-resumed');
 
   const statePacket =
@@ -426,11 +1005,12 @@ const handleHostResume = (socket, payload) => {
     peers,
     state: statePacket,
     intervalMs: session.locationIntervalMs,
-    resumeToken: nextToken
+    resumeToken: nextToken,
+    joinPin: Boolean(session.joinPinHash)
   });
 };
 
-const handleClientJoin = (socket, payload) => {
+const handleClientJoin = async (socket, payload) => {
   const { sessionId: requestedId } = payload ?? {};
   if (!requestedId) {
     send(socket, 'session:error', { message: 'Missing session code.' });
@@ -460,6 +1040,8 @@ const handleClientJoin = (socket, payload) => {
       existingPeer.lastContactAt = now;
       attachSessionMeta(socket, session, existingPeer, 'client');
       session.lastActivity = now;
+      recordEvent(session, 'peer:resumed', { participantId: existingPeer.participantId });
+      markSessionsDirty({ flush: true });
 
       send(socket, 'session:ready', {
         sessionId: session.id,
@@ -476,6 +1058,44 @@ const handleClientJoin = (socket, payload) => {
     }
   }
 
+  if (session.joinPinHash) {
+    const authKey = `${socket.remoteAddress}:${session.id}`;
+    if (authLockedOut(authKey)) {
+      send(socket, 'session:error', { message: 'Too many failed PIN attempts. Try again later.', code: 'rate-limited' });
+      return;
+    }
+    // One check at a time per address, so parallel guesses can't all start before the lockout counts them.
+    if (pinChecksInFlight.has(authKey)) {
+      send(socket, 'session:error', { message: 'A join PIN is already being checked. Try again.', code: 'rate-limited' });
+      return;
+    }
+    const pin = typeof payload?.pin === 'string' ? payload.pin.trim() : '';
+    pinChecksInFlight.add(authKey);
+    let pinMatches;
+    try {
+      pinMatches = Boolean(pin) && (await joinPinMatches(session.joinPinHash, pin));
+    } finally {
+      pinChecksInFlight.delete(authKey);
+    }
+    if (!pinMatches) {
+      recordAuthFailure(authKey);
+    }
+    // The session may have ended, or the socket closed or joined, while the PIN was checked.
+    if (sessions.get(session.id) !== session) {
+      send(socket, 'session:error', { message: 'Session not found or expired.' });
+      return;
+    }
+    if (socket.readyState !== WebSocket.OPEN || socket.meta?.sessionId) return;
+    if (!pinMatches) {
+      recordEvent(session, 'peer:rejected', { reason: pin ? 'pin-invalid' : 'pin-required' });
+      send(socket, 'session:error', {
+        message: pin ? 'Incorrect join PIN.' : 'This room requires a join PIN.',
+        code: pin ? 'pin-invalid' : 'pin-required'
+      });
+      return;
+    }
+  }
+
   const color = colorPalette[session.colorCursor % colorPalette.length];
   session.colorCursor += 1;
 
@@ -498,6 +1118,12 @@ const handleClientJoin = (socket, payload) => {
   session.clients.set(clientPeer.participantId, clientPeer);
   session.lastActivity = now;
   attachSessionMeta(socket, session, clientPeer, 'client');
+  recordEvent(session, 'peer:joined', {
+    participantId: clientPeer.participantId,
+    label: clientPeer.label,
+    color: clientPeer.color
+  });
+  markSessionsDirty({ flush: true });
 
   send(socket, 'session:ready', {
     sessionId: session.id,
@@ -541,6 +1167,12 @@ const handleLocation = (socket, payload) => {
   peer.lastUpdateAt = now;
   peer.lastContactAt = now;
   session.lastActivity = now;
+  recordEvent(session, 'session:location', {
+    participantId: peer.participantId,
+    role: socket.meta.role,
+    location
+  });
+  markSessionsDirty();
 
   if (socket.meta.role === 'client') {
     sendToHost(session, 'session:location', {
@@ -552,6 +1184,44 @@ const handleLocation = (socket, payload) => {
   }
 };
 
+const handleArrival = (socket, payload) => {
+  const session = ensureSession(socket);
+  if (!session) {
+    send(socket, 'session:error', { message: 'Not joined to a session.' });
+    return;
+  }
+  const peer = socket.meta?.peer;
+  if (!peer || socket.meta.role !== 'client') return;
+
+  const arrival = sanitizeArrival(payload?.arrival ?? payload);
+  if (!arrival) return;
+
+  const now = Date.now();
+  peer.lastContactAt = now;
+  session.lastActivity = now;
+  recordEvent(session, 'session:arrival', { participantId: peer.participantId, arrival });
+  sendToHost(session, 'session:arrival', { participantId: peer.participantId, arrival, receivedAt: now });
+};
+
+const handleDeviation = (socket, payload) => {
+  const session = ensureSession(socket);
+  if (!session) {
+    send(socket, 'session:error', { message: 'Not joined to a session.' });
+    return;
+  }
+  const peer = socket.meta?.peer;
+  if (!peer || socket.meta.role !== 'client') return;
+
+  const deviation = sanitizeDeviation(payload?.deviation ?? payload);
+  if (!deviation) return;
+
+  const now = Date.now();
+  peer.lastContactAt = now;
+  session.lastActivity = now;
+  recordEvent(session, 'session:deviation', { participantId: peer.participantId, deviation });
+  sendToHost(session, 'session:deviation', { participantId: peer.participantId, deviation, receivedAt: now });
+};
+
 const handleHostState = (socket, payload) => {
   const session = ensureSession(socket);
   if (!session) {
@@ -588,6 +1258,8 @@ const handleHostState = (socket, payload) => {
   session.stateHash = hash;
   session.stateVersion += 1;
   session.lastActivity = Date.now();
+  recordEvent(session, 'session:state', { version: session.stateVersion, hash, data: blob });
+  markSessionsDirty();
 
   const packet = {
     version: session.stateVersion,
@@ -626,9 +1298,37 @@ const handleHostInterval = (socket, payload) => {
   }
 
   session.locationIntervalMs = nextInterval;
+  recordEvent(session, 'session:interval', { intervalMs: nextInterval });
+  markSessionsDirty();
   notifyIntervalChange(session);
 };
 
+const handleHostJoinPin = async (socket, payload) => {
+  const session = ensureSession(socket);
+  if (!session) {
+    send(socket, 'session:error', { message: 'Not joined to a session.' });
+    return;
+  }
+  if (socket.meta?.role !== 'host') {
+    send(socket, 'session:error', { message: 'Only the host can change the join PIN.' });
+    return;
+  }
+
+  const joinPin = normalizeJoinPin(payload?.pin);
+  if (joinPin === undefined) {
+    send(socket, 'session:error', { message: 'Join PIN must be 4–8 digits.', code: 'pin-format' });
+    return;
+  }
+
+  const joinPinHash = joinPin ? await hashJoinPin(joinPin) : null;
+  if (sessions.get(session.id) !== session || socket.meta?.sessionId !== session.id) return;
+  session.joinPinHash = joinPinHash;
+  session.lastActivity = Date.now();
+  recordEvent(session, 'session:join-pin', { enabled: Boolean(joinPin) });
+  markSessionsDirty({ flush: true });
+  send(socket, 'session:join-pin', { enabled: Boolean(joinPin), timestamp: Date.now() });
+};
+
 const handleClientRoutes = (socket, payload) => {
   const session = ensureSession(socket);
   if (!session) {
@@ -657,6 +1357,11 @@ const handleClientRoutes = (socket, payload) => {
   peer.lastUpdateAt = now;
   peer.lastContactAt = now;
   session.lastActivity = now;
+  recordEvent(session, 'session:peer-routes', {
+    participantId: peer.participantId,
+    routes: peer.routes ?? []
+  });
+  markSessionsDirty();
 
   sendToHost(session, 'session:peer-routes', {
     participantId: peer.participantId,
@@ -707,6 +1412,13 @@ const handleHostRouteOffer = (socket, payload) => {
     connectVia,
     createdAt
   });
+  recordEvent(session, 'session:route-offer', {
+    offerId,
+    fromId: socket.meta?.peer?.participantId ?? 'HOST',
+    participantId: targetPeer.participantId,
+    routes: sanitizedRoutes,
+    connectVia
+  });
 
   send(targetPeer.socket, 'session:route-offer', {
     offerId,
@@ -755,6 +1467,11 @@ const handleRouteOfferResponse = (socket, payload) => {
   offers.delete(offerId);
   const accepted = Boolean(payload?.accepted);
   const timestamp = Date.now();
+  recordEvent(session, 'session:route-offer-status', {
+    offerId,
+    participantId,
+    status: accepted ? 'accepted' : 'declined'
+  });
 
   if (session.host?.socket) {
     send(session.host.socket, 'session:route-offer-status', {
@@ -830,6 +1547,7 @@ const handleMessage = (socket, payload) => {
     timestamp: now
   };
 
+  recordEvent(session, 'session:message', entry);
   broadcast(session, 'session:message', entry);
 };
 
@@ -844,9 +1562,10 @@ const handleParticipantLeave = (socket) => {
   session.lastActivity = Date.now();
 };
 
-wss.on('connection', (socket) => {
+wss.on('connection', (socket, req) => {
   socket.isAlive = true;
   socket.meta = null;
+  socket.remoteAddress = req.socket.remoteAddress ?? 'unknown';
 
   socket.on('pong', () => {
     socket.isAlive = true;
@@ -870,17 +1589,23 @@ wss.on('connection', (socket) => {
 
     switch (data.type) {
       case 'host:init':
-        handleHostInit(socket);
+        handleHostInit(socket, data.payload).catch((err) => reportHandlerError(socket, 'host:init', err));
         break;
       case 'host:resume':
         handleHostResume(socket, data.payload);
         break;
       case 'client:join':
-        handleClientJoin(socket, data.payload);
+        handleClientJoin(socket, data.payload).catch((err) => reportHandlerError(socket, 'client:join', err));
         break;
       case 'participant:location':
         handleLocation(socket, data.payload);
         break;
+      case 'participant:arrival':
+        handleArrival(socket, data.payload);
+        break;
+      case 'participant:deviation':
+        handleDeviation(socket, data.payload);
+        break;
       case 'participant:message':
         handleMessage(socket, data.payload);
         break;
@@ -893,6 +1618,9 @@ wss.on('connection', (socket) => {
       case 'host:interval':
         handleHostInterval(socket, data.payload);
         break;
+      case 'host:pin':
+        handleHostJoinPin(socket, data.payload).catch((err) => reportHandlerError(socket, 'host:pin', err));
+        break;
       case 'host:shutdown':
         handleHostShutdown(socket);
         break;
@@ -927,9 +1655,34 @@ wss.on('connection', (socket) => {
   });
 });
 
+const shutdown = (signal) => {
+  console.log(`Received ${signal}, saving sessions before exit`);
+  persistSessionsSync();
+  const pending = [];
+  sessions.forEach((session) => {
+    recordEvent(session, 'relay:stopped', { signal });
+    pending.push(closeJournal(session));
+  });
+  const forceExit = setTimeout(() => process.exit(0), 2000);
+  Promise.all(pending).then(() => {
+    clearTimeout(forceExit);
+    process.exit(0);
+  });
+};
+
+await restoreSessions();
+
 setInterval(heartbeat, 30000);
 setInterval(pruneSessions, Math.max(SESSION_IDLE_TIMEOUT_MS / 2, 60000));
+setInterval(persistSessions, SESSION_SNAPSHOT_INTERVAL_MS);
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
 
 server.listen(PORT, () => {
-  console.log(`Server relay listening on http://0.0.0.0:${PORT}`);
+  console.log(`Server relay listening on ${tlsCredentials ? 'https' : 'http'}://0.0.0.0:${PORT}`);
+  if (tlsCredentials && !TLS_CERT_FILE) {
+    const { fingerprint256 } = new crypto.X509Certificate(tlsCredentials.cert);
+    console.log(`Self-signed certificate SHA-256 fingerprint: ${fingerprint256}`);
+  }
 });
@@ -0,0 +1,506 @@
+import { useMemo, useState } from 'react';
+import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import { calculateDistance, useNorthReference } from '../hooks/useCompass.js';
+import { useServerLinkStore } from '../hooks/useServerLinkStore.js';
+import { backBearing, bearingUncertaintyArea, intersectBearingLines } from '../utils/bearingLines.js';
+import { destinationFromBearing, formatGridReference, parseGridReference } from '../utils/grid.js';
+import { formatAngleOffset, NORTH_REFERENCES } from '../utils/magnetic.js';
+
+// Resection crosses back bearings from known features to find you; intersection crosses
+// bearings from known observers to find a target.
+const MODES = {
+  resection: {
+    rowLabel: 'Feature',
+    sources: ['checkpoint', 'reference'],
+    maxRows: 4,
+    actionLabel: 'Find my position',
+    resultLabel: 'Resection fix',
+    context: 'resection'
+  },
+  intersection: {
+    rowLabel: 'Observer',
+    sources: ['peer', 'user', 'checkpoint', 'reference'],
+    maxRows: 6,
+    actionLabel: 'Plot target',
+    resultLabel: 'Target fix',
+    context: 'intersection'
+  }
+};
+
+const SOURCE_LABELS = {
+  peer: 'Live peer',
+  user: 'Me',
+  checkpoint: 'Checkpoint',
+  reference: 'Grid ref'
+};
+
+// Lines are drawn a little past the fix so the crossing reads clearly on the map.
+const LINE_OVERSHOOT = 1.2;
+// An error triangle wider than this is worth re-shooting.
+const LARGE_TRIANGLE_METERS = 150;
+// A hand compass read carefully is good to about ±2°.
+const DEFAULT_TOLERANCE_DEGREES = '2';
+
+const createRow = (kind, index) => ({
+  id: `row-${Date.now()}-${index}`,
+  kind,
+  checkpointId: '',
+  peerId: '',
+  reference: '',
+  bearing: ''
+});
+
+const formatMeters = (value) => {
+  if (value == null || Number.isNaN(value)) return '—';
+  if (value >= 1000) return `${(value / 1000).toFixed(2)} km`;
+  return `${value.toFixed(0)} m`;
+};
+
+const formatArea = (squareMeters) => {
+  if (squareMeters == null) return '—';
+  if (squareMeters >= 1e6) return `${(squareMeters / 1e6).toFixed(2)} km²`;
+  if (squareMeters >= 1e4) return `${(squareMeters / 1e4).toFixed(1)} ha`;
+  return `${squareMeters.toFixed(0)} m²`;
+};
+
+const formatTime = (timestamp) =>
+  new Intl.DateTimeFormat(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' }).format(
+    new Date(timestamp)
+  );
+
+// Returns `{ position, label, reportedAt }` for a row, or throws with a message naming the row.
+const resolveSource = (row, index, { mode, checkpointOptions, peerOptions, userLocation, gridState, near }) => {
+  const name = `${MODES[mode].rowLabel} ${index + 1}`;
+  switch (row.kind) {
+    case 'checkpoint': {
+      const option = checkpointOptions.find((entry) => entry.id === row.checkpointId);
+      if (!option) throw new Error(`${name}: choose a checkpoint.`);
+      return { position: option.position, label: option.label, reportedAt: null };
+    }
+    case 'peer': {
+      const option = peerOptions.find((entry) => entry.id === row.peerId);
+      if (!option) throw new Error(`${name}: choose a peer.`);
+      if (!option.location) throw new Error(`${name}: ${option.label} has not reported a position yet.`);
+      return { position: option.location, label: option.label, reportedAt: option.updatedAt };
+    }
+    case 'user':
+      if (!userLocation) throw new Error(`${name}: waiting for your GPS fix.`);
+      return { position: userLocation, label: 'Me', reportedAt: null };
+    default: {
+      if (!row.reference.trim()) throw new Error(`${name}: enter a grid reference.`);
+      try {
+        const { lat, lng } = parseGridReference(row.reference, gridState, { near });
+        return { position: { lat, lng }, label: row.reference.toUpperCase(), reportedAt: null };
+      } catch (error) {
+        throw new Error(`${name}: ${error.message}`);
+      }
+    }
+  }
+};
+
+const toggleClass = (active) =>
+  `flex-1 rounded-md px-2 py-1 text-[11px] font-semibold ${
+    active
+      ? 'border border-sky-500 text-sky-200'
+      : 'border border-slate-700 text-slate-200 hover:border-sky-500 hover:text-sky-200'
+  }`;
+
+const selectClass =
+  'min-w-0 rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none';
+
+/**
+ * Crosses compass bearings to fix a position. In `resection` mode the rows are known features
+ * and the fix is where you stand; in `intersection` mode they are observers (including live
+ * relay peers) and the fix is the object they sighted. Reports the fix through
+ * `onResultChange` as `{ position, crossings, spreadMeters, lines, area }` (or null) so the
+ * map can draw the bearing lines and the error triangle or uncertainty area.
+ */
+const BearingFixTool = ({
+  mode = 'resection',
+  gridState,
+  userLocation,
+  near,
+  canSetOrigin,
+  onResultChange,
+  onAddCheckpoint,
+  onUseAsOrigin,
+  onStatus,
+  onError
+}) => {
+  const config = MODES[mode];
+  const { routes, checkpointMap } = useCheckpoints();
+  const peers = useServerLinkStore((state) => state.peers);
+  const participantId = useServerLinkStore((state) => state.participantId);
+  const [rows, setRows] = useState(() => [createRow(config.sources[0], 0), createRow(config.sources[0], 1)]);
+  const [unit, setUnit] = useState('degrees');
+  const [bearingKind, setBearingKind] = useState('back');
+  const [tolerance, setTolerance] = useState(DEFAULT_TOLERANCE_DEGREES);
+  const [result, setResult] = useState(null);
+
+  const checkpointOptions = useMemo(
+    () =>
+      routes.flatMap((route) =>
+        route.items
+          .map((id, index) => {
+            const checkpoint = checkpointMap[id];
+            if (!checkpoint) return null;
+            return {
+              id,
+              label: `${route.name} · ${checkpoint.name || `Point ${index + 1}`}`,
+              position: checkpoint.position
+            };
+          })
+          .filter(Boolean)
+      ),
+    [routes, checkpointMap]
+  );
+
+  const peerOptions = useMemo(
+    () =>
+      Object.values(peers ?? {})
+        .filter((peer) => peer.id !== participantId)
+        .map((peer) => ({
+          id: peer.id,
+          label: peer.label ?? peer.id,
+          location: Number.isFinite(peer.location?.lat) && Number.isFinite(peer.location?.lng) ? peer.location : null,
+          updatedAt: peer.updatedAt ?? null,
+          isOnline: peer.isOnline !== false
+        })),
+    [peers, participantId]
+  );
+
+  const sourceContext = useMemo(
+    () => ({ mode, checkpointOptions, peerOptions, userLocation, gridState, near }),
+    [mode, checkpointOptions, peerOptions, userLocation, gridState, near]
+  );
+
+  // Corrections are taken at the first row that resolves; over a few kilometres they barely change.
+  const firstPosition = useMemo(() => {
+    for (let index = 0; index < rows.length; index += 1) {
+      try {
+        return resolveSource(rows[index], index, sourceContext).position;
+      } catch (err) {
+        // Try the next row.
+      }
+    }
+    return null;
+  }, [rows, sourceContext]);
+  const north = useNorthReference(firstPosition ?? near);
+  const northLabel = NORTH_REFERENCES.find((entry) => entry.id === north.reference) ?? NORTH_REFERENCES[0];
+
+  const publish = (next) => {
+    setResult(next);
+    onResultChange?.(next);
+  };
+
+  const updateRow = (id, changes) => {
+    setRows((current) => current.map((row) => (row.id === id ? { ...row, ...changes } : row)));
+  };
+
+  const handleAddRow = () => {
+    setRows((current) =>
+      current.length >= config.maxRows ? current : [...current, createRow(config.sources[0], current.length)]
+    );
+  };
+
+  const handleRemoveRow = (id) => {
+    setRows((current) => (current.length <= 2 ? current : current.filter((row) => row.id !== id)));
+  };
+
+  const handleFix = () => {
+    try {
+      const sources = rows.map((row, index) => {
+        const source = resolveSource(row, index, sourceContext);
+        const value = Number(row.bearing);
+        if (!row.bearing.trim() || Number.isNaN(value)) {
+          throw new Error(`${config.rowLabel} ${index + 1}: enter a bearing.`);
+        }
+        const degrees = unit === 'mils' ? (value * 360) / 6400 : value;
+        const typed = ((degrees % 360) + 360) % 360;
+        // Resection lines run from the feature back towards you; intersection lines run from
+        // the observer out to the target, which is the bearing as read.
+        const alongLine = mode === 'resection' && bearingKind === 'forward' ? backBearing(typed) : typed;
+        return { ...source, bearing: north.toTrue(alongLine) };
+      });
+      const lines = sources.map(({ position, bearing }) => ({ origin: position, bearing }));
+      const fix = intersectBearingLines(lines);
+
+      let area = fix.crossings.length >= 3 ? fix.crossings : null;
+      let areaSquareMeters = null;
+      if (mode === 'intersection') {
+        const toleranceDegrees = Number(tolerance);
+        if (Number.isNaN(toleranceDegrees) || toleranceDegrees < 0 || toleranceDegrees > 20) {
+          throw new Error('Bearing accuracy must be between 0 and 20 degrees.');
+        }
+        const uncertainty = bearingUncertaintyArea(lines, toleranceDegrees);
+        area = uncertainty?.polygon ?? area;
+        areaSquareMeters = uncertainty?.areaSquareMeters ?? null;
+      }
+
+      publish({
+        ...fix,
+        area,
+        areaSquareMeters,
+        sources: sources.map((source) => ({
+          ...source,
+          rangeMeters: calculateDistance(source.position, fix.position)
+        })),
+        lines: sources.map(({ position, bearing }) => [
+          position,
+          destinationFromBearing({
+            origin: position,
+            bearingDegrees: bearing,
+            distanceMeters: calculateDistance(position, fix.position) * LINE_OVERSHOOT
+          })
+        ])
+      });
+      if (mode === 'intersection') {
+        onStatus(`Target plotted from ${lines.length} observers.`);
+      } else {
+        onStatus(
+          lines.length > 2
+            ? `Resection fixed from ${lines.length} bearings; error triangle ${formatMeters(fix.spreadMeters)} across.`
+            : 'Resection fixed from 2 bearings. Add a third to check it.'
+        );
+      }
+      onError(null);
+    } catch (error) {
+      publish(null);
+      onError(error.message ?? `Unable to work out the ${config.context}.`);
+    }
+  };
+
+  const fixReference = result ? formatGridReference(result.position, gridState) : null;
+
+  return (
+    <div className="flex flex-col gap-3">
+      <div className="flex flex-col gap-1">
+        <span className="text-[10px] uppercase tracking-wide text-slate-400">Bearings entered</span>
+        {mode === 'resection' && (
+          <div className="flex gap-2">
+            <button type="button" className={toggleClass(bearingKind === 'back')} onClick={() => setBearingKind('back')}>
+              Back bearing
+            </button>
+            <button
+              type="button"
+              className={toggleClass(bearingKind === 'forward')}
+              onClick={() => setBearingKind('forward')}
+            >
+              Bearing to feature
+            </button>
+          </div>
+        )}
+        <div className="flex gap-2">
+          <button type="button" className={toggleClass(unit === 'degrees')} onClick={() => setUnit('degrees')}>
+            Degrees
+          </button>
+          <button type="button" className={toggleClass(unit === 'mils')} onClick={() => setUnit('mils')}>
+            Mils
+          </button>
+        </div>
+        <div className="flex gap-2">
+          {NORTH_REFERENCES.map((entry) => (
+            <button
+              key={entry.id}
+              type="button"
+              className={toggleClass(north.reference === entry.id)}
+              onClick={() => north.setReference(entry.id)}
+            >
+              {entry.label} north
+            </button>
+          ))}
+        </div>
+        <span className="text-[11px] text-slate-400">
+          Declination {formatAngleOffset(north.declination)} · Grid convergence {formatAngleOffset(north.convergence)}
+        </span>
+        {!north.isCorrected && (
+          <span className="text-[11px] text-amber-300">
+            Needs a known {config.rowLabel.toLowerCase()} position to correct for {northLabel.label.toLowerCase()} north.
+          </span>
+        )}
+        {mode === 'intersection' && (
+          <label className="mt-1 flex items-center gap-2">
+            <span className="text-[10px] uppercase tracking-wide text-slate-400">Bearing accuracy ±</span>
+            <input
+              value={tolerance}
+              onChange={(event) => setTolerance(event.target.value)}
+              inputMode="decimal"
+              className="w-16 rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+            />
+            <span className="text-[11px] text-slate-400">degrees</span>
+          </label>
+        )}
+      </div>
+
+      <div className="flex flex-col gap-2">
+        {rows.map((row, index) => (
+          <div key={row.id} className="rounded-md border border-slate-800 bg-slate-900 p-2">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-[10px] uppercase tracking-wide text-slate-400">
+                {config.rowLabel} {index + 1}
+              </span>
+              <div className="flex flex-wrap justify-end gap-1">
+                {config.sources.map((kind) => (
+                  <button
+                    key={kind}
+                    type="button"
+                    onClick={() => updateRow(row.id, { kind })}
+                    className={`rounded px-2 py-0.5 text-[10px] font-semibold ${
+                      row.kind === kind ? 'bg-slate-800 text-sky-200' : 'text-slate-400 hover:text-slate-200'
+                    }`}
+                  >
+                    {SOURCE_LABELS[kind]}
+                  </button>
+                ))}
+                {rows.length > 2 && (
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveRow(row.id)}
+                    className="rounded px-2 py-0.5 text-[10px] font-semibold text-slate-400 hover:text-rose-300"
+                    aria-label={`Remove ${config.rowLabel.toLowerCase()} ${index + 1}`}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            </div>
+            <div className="mt-2 grid grid-cols-[1fr_6rem] gap-2">
+              {row.kind === 'checkpoint' && (
+                <select
+                  value={row.checkpointId}
+                  onChange={(event) => updateRow(row.id, { checkpointId: event.target.value })}
+                  className={selectClass}
+                >
+                  <option value="">Choose checkpoint…</option>
+                  {checkpointOptions.map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {row.kind === 'peer' && (
+                <select
+                  value={row.peerId}
+                  onChange={(event) => updateRow(row.id, { peerId: event.target.value })}
+                  className={selectClass}
+                >
+                  <option value="">{peerOptions.length > 0 ? 'Choose peer…' : 'No peers in session'}</option>
+                  {peerOptions.map((option) => (
+                    <option key={option.id} value={option.id} disabled={!option.location}>
+                      {option.label}
+                      {!option.location ? ' (no position)' : !option.isOnline ? ' (offline)' : ''}
+                    </option>
+                  ))}
+                </select>
+              )}
+              {row.kind === 'user' && (
+                <span className="self-center text-[11px] text-slate-400">
+                  {userLocation ? 'Your current GPS position' : 'Waiting for GPS fix…'}
+                </span>
+              )}
+              {row.kind === 'reference' && (
+                <input
+                  value={row.reference}
+                  onChange={(event) => updateRow(row.id, { reference: event.target.value })}
+                  className={`${selectClass} font-mono uppercase`}
+                  placeholder="Grid reference"
+                  autoCapitalize="characters"
+                  spellCheck={false}
+                />
+              )}
+              <input
+                value={row.bearing}
+                onChange={(event) => updateRow(row.id, { bearing: event.target.value })}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') handleFix();
+                }}
+                inputMode="decimal"
+                className={selectClass}
+                placeholder={unit === 'degrees' ? 'Bearing °' : 'Bearing mil'}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          className="rounded-md border border-sky-500 px-3 py-1 text-[11px] font-semibold text-sky-200 hover:bg-sky-900"
+          onClick={handleFix}
+        >
+          {config.actionLabel}
+        </button>
+        {rows.length < config.maxRows && (
+          <button
+            type="button"
+            className="rounded-md border border-slate-700 px-3 py-1 text-[11px] font-semibold text-slate-300 hover:border-sky-500 hover:text-sky-200"
+            onClick={handleAddRow}
+          >
+            Add {config.rowLabel.toLowerCase()}
+          </button>
+        )}
+      </div>
+
+      {result && (
+        <div className="rounded-md border border-slate-800 bg-slate-900 p-3 text-[11px] text-slate-200">
+          <p className="font-semibold text-sky-200">{config.resultLabel}</p>
+          <p className="mt-1 text-slate-300">
+            Lat {result.position.lat.toFixed(6)} | Lng {result.position.lng.toFixed(6)}
+          </p>
+          {fixReference && <p className="font-mono text-slate-400">{fixReference}</p>}
+          {mode === 'resection' ? (
+            <>
+              <p className="text-slate-400">
+                {result.crossings.length > 1
+                  ? `Error triangle: ${formatMeters(result.spreadMeters)} across`
+                  : 'Two bearings give no error triangle to check against.'}
+              </p>
+              {result.spreadMeters > LARGE_TRIANGLE_METERS && (
+                <p className="text-amber-300">
+                  Large triangle. Re-take the bearings, or pick features further apart in direction.
+                </p>
+              )}
+            </>
+          ) : (
+            <>
+              <p className="text-slate-400">
+                Uncertainty area: {formatArea(result.areaSquareMeters)} at ±{tolerance}°
+                {result.crossings.length > 1 ? ` · crossings ${formatMeters(result.spreadMeters)} apart` : ''}
+              </p>
+              <ul className="mt-1 space-y-0.5 text-slate-400">
+                {result.sources.map((source, index) => (
+                  <li key={`${source.label}-${index}`}>
+                    {source.label}: {formatMeters(source.rangeMeters)}
+                    {source.reportedAt ? ` (position from ${formatTime(source.reportedAt)})` : ''}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button
+              type="button"
+              className="rounded-md border border-sky-500 px-3 py-1 text-[11px] font-semibold text-sky-200 hover:bg-sky-900"
+              onClick={() => onAddCheckpoint(result.position)}
+            >
+              Add checkpoint
+            </button>
+            {canSetOrigin && (
+              <button
+                type="button"
+                className="rounded-md border border-slate-700 px-3 py-1 text-[11px] font-semibold text-slate-300 hover:border-sky-500 hover:text-sky-200"
+                onClick={() => onUseAsOrigin(result.position)}
+              >
+                Set as grid origin
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BearingFixTool;
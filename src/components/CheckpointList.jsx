@@ -1,10 +1,191 @@
-import { useMemo, useState } from "react";
-import { useCheckpoints } from "../hooks/useCheckpoints.js";
-import { encodeLocationCode } from "../utils/routeUtils.js";
+import { useEffect, useMemo, useRef, useState } from "react";
+import ElevationProfile from "./ElevationProfile.jsx";
+import { useCheckpoints, useCheckpointsStore } from "../hooks/useCheckpoints.js";
+import { useRoutingStore } from "../hooks/useRouting.js";
+import { useGridReferenceFormatter, useGridStore } from "../hooks/useGrid.js";
+import { usePreferencesStore } from "../hooks/usePreferences.js";
+import { useWorkspacesStore } from "../hooks/useWorkspaces.js";
+import { buildCheckpointCsv, buildNavCardCsv, checkpointRowsToSnapshot, readCheckpointCsv } from "../utils/csv.js";
+import { downloadFile, printHtml, toFileStem } from "../utils/download.js";
+import {
+  buildNavCard,
+  buildNavCardHtml,
+  buildNavCardPdf,
+  describeNavCard,
+  formatNavBearing,
+  formatNavDistance,
+  formatNavMils,
+  formatNavTime
+} from "../utils/navCard.js";
+import {
+  buildGeoJson,
+  buildGpx,
+  buildKml,
+  buildKmz,
+  encodeLocationCode,
+  parseGeoJson,
+  parseGpx,
+  parseKml,
+  parseKmz
+} from "../utils/routeUtils.js";
+import { ROUTING_PROFILES } from "../utils/routing.js";
 
 const actionButtonBase =
   "rounded border border-slate-700 px-2 py-1 text-[11px] font-medium text-slate-200 transition hover:border-sky-500 hover:bg-slate-800";
 const actionButtonActive = "border-sky-500 bg-sky-900 text-sky-100";
+const importButtonClass = `${actionButtonBase} disabled:pointer-events-none disabled:opacity-40`;
+
+const navInputClass =
+  "w-14 rounded border border-slate-700 bg-slate-950 px-1 py-0.5 text-right text-[11px] text-slate-100 focus:border-sky-500 focus:outline-none";
+
+// Leg-by-leg card for walking the route on a compass: bearing, distance and Naismith timing.
+const NavCard = ({ route, checkpointMap }) => {
+  const system = useGridStore((state) => state.system);
+  const origin = useGridStore((state) => state.origin);
+  const originReference = useGridStore((state) => state.originReference);
+  const precision = useGridStore((state) => state.precision);
+  const northReference = usePreferencesStore((state) => state.northReference);
+  const paceKmh = usePreferencesStore((state) => state.walkingPaceKmh);
+  const climbMinutesPer100m = usePreferencesStore((state) => state.climbMinutesPer100m);
+  const setPaceKmh = usePreferencesStore((state) => state.setWalkingPaceKmh);
+  const setClimbMinutesPer100m = usePreferencesStore((state) => state.setClimbMinutesPer100m);
+  const setCheckpointClimb = useCheckpointsStore((state) => state.setCheckpointClimb);
+
+  const card = useMemo(
+    () =>
+      buildNavCard({
+        route,
+        checkpointMap,
+        grid: { system, origin, originReference, precision },
+        northReference,
+        paceKmh,
+        climbMinutesPer100m
+      }),
+    [route, checkpointMap, system, origin, originReference, precision, northReference, paceKmh, climbMinutesPer100m]
+  );
+
+  const title = `${route.name || "Route"} nav card`;
+  const fileName = `${toFileStem(route.name, "route")}-nav-card`;
+
+  const handleNumber = (setter) => (e) => {
+    const value = Number(e.target.value);
+    if (e.target.value !== "" && Number.isFinite(value)) setter(value);
+  };
+
+  if (card.legs.length === 0) {
+    return <p className="mt-3 text-xs text-slate-500">Add at least two checkpoints to build a nav card.</p>;
+  }
+
+  return (
+    <div className="mt-3 rounded border border-slate-700 bg-slate-950/60 p-3 text-[11px] text-slate-200">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-1 text-slate-400">
+          Pace
+          <input
+            type="number"
+            min="0.5"
+            max="15"
+            step="0.5"
+            value={paceKmh}
+            onChange={handleNumber(setPaceKmh)}
+            className={navInputClass}
+          />
+          km/h
+        </label>
+        <label className="flex items-center gap-1 text-slate-400">
+          Climb
+          <input
+            type="number"
+            min="0"
+            max="60"
+            step="1"
+            value={climbMinutesPer100m}
+            onChange={handleNumber(setClimbMinutesPer100m)}
+            className={navInputClass}
+          />
+          min per 100 m
+        </label>
+      </div>
+      <p className="mt-1 text-slate-500">{describeNavCard(card)}. Enter each leg&apos;s climb in metres.</p>
+
+      <div className="mt-2 overflow-x-auto">
+        <table className="w-full border-collapse font-mono">
+          <thead>
+            <tr className="border-b border-slate-700 text-left text-[10px] uppercase tracking-wide text-slate-400">
+              <th className="py-1 pr-2">Leg</th>
+              <th className="py-1 pr-2">To</th>
+              <th className="py-1 pr-2">Grid</th>
+              <th className="py-1 pr-2 text-right">Brg</th>
+              <th className="py-1 pr-2 text-right">Mils</th>
+              <th className="py-1 pr-2 text-right">Dist</th>
+              <th className="py-1 pr-2 text-right">Climb</th>
+              <th className="py-1 text-right">Time</th>
+            </tr>
+          </thead>
+          <tbody>
+            {card.legs.map((leg) => (
+              <tr key={leg.toId} className="border-b border-slate-800">
+                <td className="py-1 pr-2 text-slate-400">{leg.leg}</td>
+                <td className="max-w-[7rem] truncate py-1 pr-2 font-sans" title={`${leg.from} → ${leg.to}`}>
+                  {leg.to}
+                </td>
+                <td className="whitespace-nowrap py-1 pr-2 text-sky-200">{leg.gridReference}</td>
+                <td className="py-1 pr-2 text-right">{formatNavBearing(leg.bearingDegrees)}</td>
+                <td className="py-1 pr-2 text-right">{formatNavMils(leg.bearingMils)}</td>
+                <td className="whitespace-nowrap py-1 pr-2 text-right">{formatNavDistance(leg.distanceMeters)}</td>
+                <td className="py-1 pr-2 text-right">
+                  <input
+                    type="number"
+                    min="0"
+                    step="10"
+                    value={leg.climbMeters ?? ""}
+                    placeholder="0"
+                    onChange={(e) =>
+                      setCheckpointClimb(leg.toId, e.target.value === "" ? null : Math.max(0, Number(e.target.value)))
+                    }
+                    className={navInputClass}
+                    aria-label={`Climb on leg ${leg.leg} in metres`}
+                  />
+                </td>
+                <td className="py-1 text-right">{formatNavTime(leg.minutes)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="font-semibold text-slate-100">
+              <td className="py-1 pr-2" colSpan={5}>
+                Total
+              </td>
+              <td className="whitespace-nowrap py-1 pr-2 text-right">{formatNavDistance(card.totals.distanceMeters)}</td>
+              <td className="py-1 pr-2 text-right">{card.totals.climbMeters ? `${Math.round(card.totals.climbMeters)} m` : ""}</td>
+              <td className="py-1 text-right">{formatNavTime(card.totals.minutes)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button type="button" className={actionButtonBase} onClick={() => printHtml(buildNavCardHtml(card, { title }))}>
+          Print
+        </button>
+        <button
+          type="button"
+          className={actionButtonBase}
+          onClick={() => downloadFile(`${fileName}.pdf`, buildNavCardPdf(card, { title }), "application/pdf")}
+        >
+          Export PDF
+        </button>
+        <button
+          type="button"
+          className={actionButtonBase}
+          onClick={() => downloadFile(`${fileName}.csv`, buildNavCardCsv(card), "text/csv")}
+        >
+          Export CSV
+        </button>
+      </div>
+    </div>
+  );
+};
 
 const RouteSection = ({
   route,
@@ -23,6 +204,9 @@ const RouteSection = ({
   onSetPlacementMode
 }) => {
   const [isEditingName, setIsEditingName] = useState(false);
+  const [showNavCard, setShowNavCard] = useState(false);
+  const [showElevation, setShowElevation] = useState(false);
+  const formatGridReference = useGridReferenceFormatter();
 
   const entries = useMemo(() => {
     return route.items.map((id, index) => {
@@ -34,10 +218,11 @@ const RouteSection = ({
         label: checkpoint.name || `Point ${index + 1}`,
         position: checkpoint.position,
         index,
-        callout: encodeLocationCode(checkpoint.position)
+        callout: encodeLocationCode(checkpoint.position),
+        gridReference: formatGridReference(checkpoint.position)
       };
     }).filter(Boolean);
-  }, [route.items, checkpointMap]);
+  }, [route.items, checkpointMap, formatGridReference]);
 
   const handleDragStart = (entry) => (e) => {
     e.dataTransfer.setData('application/x-cadet-map-checkpoint-id', entry.id);
@@ -195,6 +380,9 @@ const RouteSection = ({
                   <div className="text-xs text-slate-400">
                     {entry.position.lat.toFixed(4)}, {entry.position.lng.toFixed(4)}
                   </div>
+                  {entry.gridReference && (
+                    <div className="text-[11px] font-mono text-sky-200">Grid: {entry.gridReference}</div>
+                  )}
                   {entry.callout && (
                     <div className="text-[11px] font-mono uppercase text-amber-300">
                       Callout: {entry.callout}
@@ -219,12 +407,317 @@ const RouteSection = ({
           >
             + Add Checkpoint
           </button>
+
+          <button
+            type="button"
+            className={`mt-2 w-full ${actionButtonBase} ${showNavCard ? actionButtonActive : ""}`}
+            onClick={() => setShowNavCard(!showNavCard)}
+          >
+            {showNavCard ? "Hide Nav Card" : "Nav Card"}
+          </button>
+          {showNavCard && <NavCard route={route} checkpointMap={checkpointMap} />}
+
+          <button
+            type="button"
+            className={`mt-2 w-full ${actionButtonBase} ${showElevation ? actionButtonActive : ""}`}
+            onClick={() => setShowElevation(!showElevation)}
+          >
+            {showElevation ? "Hide Elevation" : "Elevation"}
+          </button>
+          {showElevation && <ElevationProfile route={route} checkpointMap={checkpointMap} />}
         </div>
       )}
     </div>
   );
 };
 
+const WorkspaceBar = () => {
+  const workspaces = useWorkspacesStore((state) => state.workspaces);
+  const activeWorkspaceId = useWorkspacesStore((state) => state.activeWorkspaceId);
+  const switchWorkspace = useWorkspacesStore((state) => state.switchWorkspace);
+  const createWorkspace = useWorkspacesStore((state) => state.createWorkspace);
+  const duplicateWorkspace = useWorkspacesStore((state) => state.duplicateWorkspace);
+  const renameWorkspace = useWorkspacesStore((state) => state.renameWorkspace);
+  const archiveWorkspace = useWorkspacesStore((state) => state.archiveWorkspace);
+  const restoreWorkspace = useWorkspacesStore((state) => state.restoreWorkspace);
+  const deleteWorkspace = useWorkspacesStore((state) => state.deleteWorkspace);
+  const [nameDraft, setNameDraft] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+  const openWorkspaces = workspaces.filter((workspace) => !workspace.archived);
+  const archivedWorkspaces = workspaces.filter((workspace) => workspace.archived);
+  const activeWorkspace = workspaces.find((workspace) => workspace.id === activeWorkspaceId);
+
+  const commitRename = () => {
+    if (nameDraft != null) renameWorkspace(activeWorkspaceId, nameDraft);
+    setNameDraft(null);
+  };
+
+  return (
+    <div className="border-b border-slate-700/50 p-4">
+      <div className="flex items-center gap-2">
+        {nameDraft != null ? (
+          <input
+            type="text"
+            value={nameDraft}
+            autoFocus
+            onChange={(e) => setNameDraft(e.target.value)}
+            onBlur={commitRename}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") commitRename();
+              if (e.key === "Escape") setNameDraft(null);
+            }}
+            className="min-w-0 flex-1 rounded border border-sky-500 bg-slate-800 px-2 py-1 text-sm text-slate-100 focus:outline-none"
+            aria-label="Workspace name"
+            maxLength={60}
+          />
+        ) : (
+          <select
+            value={activeWorkspaceId}
+            onChange={(e) => switchWorkspace(e.target.value)}
+            className="min-w-0 flex-1 rounded border border-slate-600 bg-slate-800 px-2 py-1 text-sm text-slate-200 focus:border-sky-500 focus:outline-none"
+            aria-label="Active workspace"
+          >
+            {openWorkspaces.map((workspace) => (
+              <option key={workspace.id} value={workspace.id}>
+                {workspace.name}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div className="mt-2 flex flex-wrap gap-1">
+        <button type="button" className={actionButtonBase} onClick={() => createWorkspace()}>
+          New
+        </button>
+        <button type="button" className={actionButtonBase} onClick={() => duplicateWorkspace(activeWorkspaceId)}>
+          Duplicate
+        </button>
+        <button type="button" className={actionButtonBase} onClick={() => setNameDraft(activeWorkspace?.name ?? "")}>
+          Rename
+        </button>
+        <button type="button" className={actionButtonBase} onClick={() => archiveWorkspace(activeWorkspaceId)}>
+          Archive
+        </button>
+        {archivedWorkspaces.length > 0 && (
+          <button
+            type="button"
+            className={`${actionButtonBase} ${showArchived ? actionButtonActive : ""}`}
+            onClick={() => setShowArchived((value) => !value)}
+          >
+            Archived ({archivedWorkspaces.length})
+          </button>
+        )}
+      </div>
+      {showArchived && archivedWorkspaces.length > 0 && (
+        <ul className="mt-2 space-y-1 text-xs text-slate-300">
+          {archivedWorkspaces.map((workspace) => (
+            <li
+              key={workspace.id}
+              className="flex items-center justify-between gap-2 rounded border border-slate-800 px-2 py-1"
+            >
+              <span className="min-w-0 truncate">{workspace.name}</span>
+              <span className="flex shrink-0 gap-1">
+                <button type="button" className={actionButtonBase} onClick={() => restoreWorkspace(workspace.id)}>
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  className={`${actionButtonBase} ${pendingDeleteId === workspace.id ? "border-red-500 text-red-300" : ""}`}
+                  onClick={() => {
+                    if (pendingDeleteId === workspace.id) {
+                      deleteWorkspace(workspace.id);
+                      setPendingDeleteId(null);
+                    } else {
+                      setPendingDeleteId(workspace.id);
+                    }
+                  }}
+                >
+                  {pendingDeleteId === workspace.id ? "Confirm delete" : "Delete"}
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const fileStem = (fileName) => fileName.replace(/\.[^.]+$/, "");
+
+// Checkpoint lists convert grid columns through the current grid origin, so rows can fail one by one.
+const readCsvFile = async (file) => {
+  const { rows } = readCheckpointCsv(await file.text(), useGridStore.getState());
+  return { rows, snapshot: checkpointRowsToSnapshot(rows, fileStem(file.name)) };
+};
+
+// Import readers keyed by file extension. Each resolves to `{ snapshot, rows? }` or throws;
+// `rows` lists per-row results for formats where single rows can be invalid.
+const IMPORT_FORMATS = {
+  gpx: { label: "GPX", read: (file) => file.text().then((text) => ({ snapshot: parseGpx(text) })) },
+  kml: { label: "KML", read: (file) => file.text().then((text) => ({ snapshot: parseKml(text) })) },
+  kmz: { label: "KMZ", read: async (file) => ({ snapshot: await parseKmz(await file.arrayBuffer()) }) },
+  geojson: { label: "GeoJSON", read: (file) => file.text().then((text) => ({ snapshot: parseGeoJson(text) })) },
+  json: { label: "GeoJSON", read: (file) => file.text().then((text) => ({ snapshot: parseGeoJson(text) })) },
+  csv: { label: "CSV", read: readCsvFile },
+  tsv: { label: "TSV", read: readCsvFile },
+  txt: { label: "CSV", read: readCsvFile }
+};
+
+const EXPORT_FORMATS = [
+  { label: "GPX", extension: "gpx", type: "application/gpx+xml", build: buildGpx },
+  { label: "KML", extension: "kml", type: "application/vnd.google-earth.kml+xml", build: buildKml },
+  { label: "KMZ", extension: "kmz", type: "application/vnd.google-earth.kmz", build: buildKmz },
+  { label: "GeoJSON", extension: "geojson", type: "application/geo+json", build: buildGeoJson },
+  { label: "CSV", extension: "csv", type: "text/csv", build: buildCheckpointCsv }
+];
+
+const CsvRowPreview = ({ rows }) => {
+  const invalidCount = rows.filter((row) => row.error).length;
+  return (
+    <div className="mt-2">
+      <div className={invalidCount ? "text-amber-300" : "text-slate-400"}>
+        {rows.length - invalidCount} of {rows.length} rows usable
+        {invalidCount > 0 ? "; flagged rows will be skipped." : "."}
+      </div>
+      <ul className="mt-1 max-h-40 space-y-0.5 overflow-y-auto font-mono text-[11px]">
+        {rows.map((row) => (
+          <li key={row.line} className={row.error ? "text-red-400" : "text-slate-300"}>
+            <span className="text-slate-500">{row.line}</span> {row.name || "—"}{" "}
+            {row.error
+              ? `· ${row.error}`
+              : `· ${row.reference ? `${row.reference} → ` : ""}${row.position.lat.toFixed(5)}, ${row.position.lng.toFixed(5)}`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const IMPORT_ACCEPT = Object.keys(IMPORT_FORMATS)
+  .map((extension) => `.${extension}`)
+  .join(",");
+
+const ImportPreview = ({ preview, onMerge, onReplace, onCancel }) => {
+  const { snapshot, rows, fileName } = preview;
+  const routes = snapshot?.routes ?? [];
+  return (
+    <div className="mt-3 rounded border border-sky-700 bg-slate-800/60 p-3 text-xs text-slate-200">
+      <div className="font-semibold">{fileName}</div>
+      <ul className="mt-2 space-y-1">
+        {routes.map((route, index) => (
+          <li key={`${route.name}-${index}`} className="flex items-center gap-2">
+            <span className="h-3 w-3 shrink-0 rounded-full" style={{ backgroundColor: route.color ?? "#38bdf8" }} />
+            <span className="min-w-0 flex-1 truncate">{route.name}</span>
+            <span className="text-slate-400">
+              {route.indices.length} {route.indices.length === 1 ? "point" : "points"}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {rows && <CsvRowPreview rows={rows} />}
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button type="button" className={importButtonClass} onClick={onMerge} disabled={!snapshot}>
+          Add to plan
+        </button>
+        <button type="button" className={importButtonClass} onClick={onReplace} disabled={!snapshot}>
+          Replace plan
+        </button>
+        <button type="button" className={actionButtonBase} onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const FileTransferSection = () => {
+  const fileInputRef = useRef(null);
+  const [preview, setPreview] = useState(null);
+  const [status, setStatus] = useState(null);
+  const loadRouteSnapshot = useCheckpointsStore((state) => state.loadRouteSnapshot);
+  const workspaceName = useWorkspacesStore(
+    (state) => state.workspaces.find((workspace) => workspace.id === state.activeWorkspaceId)?.name
+  );
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    const extension = file.name.split(".").pop().toLowerCase();
+    const format = IMPORT_FORMATS[extension];
+    setPreview(null);
+    if (!format) {
+      setStatus({ tone: "error", message: `Unsupported file type: .${extension}` });
+      return;
+    }
+    try {
+      setPreview({ fileName: file.name, ...(await format.read(file)) });
+      setStatus(null);
+    } catch (err) {
+      setStatus({ tone: "error", message: err?.message ?? `Unable to read ${format.label} file.` });
+    }
+  };
+
+  const applyPreview = (merge) => {
+    loadRouteSnapshot(preview.snapshot, { merge });
+    const count = preview.snapshot.routes.length;
+    setStatus({
+      tone: "success",
+      message: `${merge ? "Added" : "Loaded"} ${count} ${count === 1 ? "route" : "routes"} from ${preview.fileName}.`
+    });
+    setPreview(null);
+  };
+
+  const handleExport = (format) => {
+    const { checkpointMap, routes } = useCheckpointsStore.getState();
+    const name = workspaceName || "CadNav routes";
+    const grid = useGridStore.getState();
+    downloadFile(`${toFileStem(name)}.${format.extension}`, format.build({ checkpointMap, routes, name, grid }), format.type);
+  };
+
+  return (
+    <div className="border-t border-slate-700/50 p-4">
+      <div className="text-xs font-semibold uppercase tracking-wide text-slate-400">Import &amp; export</div>
+      <div className="mt-2 flex flex-wrap gap-2">
+        <button type="button" className={actionButtonBase} onClick={() => fileInputRef.current?.click()}>
+          Import file
+        </button>
+        {EXPORT_FORMATS.map((format) => (
+          <button key={format.extension} type="button" className={actionButtonBase} onClick={() => handleExport(format)}>
+            Export {format.label}
+          </button>
+        ))}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={IMPORT_ACCEPT}
+          className="hidden"
+          onChange={handleFileChange}
+        />
+      </div>
+      {preview && (
+        <ImportPreview
+          preview={preview}
+          onMerge={() => applyPreview(true)}
+          onReplace={() => applyPreview(false)}
+          onCancel={() => setPreview(null)}
+        />
+      )}
+      {status && (
+        <p
+          role="status"
+          className={`mt-2 text-[11px] ${status.tone === "error" ? "text-red-400" : "text-emerald-400"}`}
+        >
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+};
+
 const CheckpointList = ({ onEnterPlacingMode }) => {
   const {
     checkpointMap,
@@ -245,7 +738,16 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
     placementMode
   } = useCheckpoints();
 
+  const routingProfile = useRoutingStore((state) => state.profile);
+  const setRoutingProfile = useRoutingStore((state) => state.setProfile);
+
   const [expandedId, setExpandedId] = useState(activeRouteId);
+  const activeWorkspaceId = useWorkspacesStore((state) => state.activeWorkspaceId);
+
+  // A different workspace brings different routes; open its active one.
+  useEffect(() => {
+    setExpandedId(useCheckpointsStore.getState().activeRouteId);
+  }, [activeWorkspaceId]);
 
   const handleToggle = (id) => {
     if (expandedId === id) {
@@ -259,6 +761,7 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
   return (
     <div className="flex h-full flex-col bg-slate-900/95 backdrop-blur-md">
       <div className="flex-1 overflow-y-auto">
+        <WorkspaceBar />
         {routes.map(route => (
           <RouteSection
             key={route.id}
@@ -294,6 +797,7 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
             Add New Route
           </button>
         </div>
+        <FileTransferSection />
       </div>
 
       <div className="border-t border-slate-700/50 p-4">
@@ -308,6 +812,20 @@ const CheckpointList = ({ onEnterPlacingMode }) => {
           >
             {connectVia === "route" ? "Routing: Road" : "Routing: Direct"}
           </button>
+          {connectVia === "route" && (
+            <select
+              value={routingProfile}
+              onChange={(e) => setRoutingProfile(e.target.value)}
+              className="rounded border border-slate-600 bg-slate-800 px-2 text-xs text-slate-200 focus:border-sky-500 focus:outline-none"
+              aria-label="Routing profile"
+            >
+              {ROUTING_PROFILES.map((profile) => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.label}
+                </option>
+              ))}
+            </select>
+          )}
         </div>
         <button
           onClick={clearAll}
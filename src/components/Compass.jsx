@@ -1,5 +1,7 @@
 import { useMemo } from 'react';
-import { calculateRelativeBearing } from '../hooks/useCompass.js';
+import { calculateRelativeBearing, useNorthReference } from '../hooks/useCompass.js';
+import { useGridReferenceFormatter } from '../hooks/useGrid.js';
+import { formatAngleOffset, NORTH_REFERENCES } from '../utils/magnetic.js';
 
 const formatDistance = (distance) => {
   if (distance == null) return 'N/A';
@@ -13,6 +15,7 @@ const Compass = ({
   heading,
   bearing,
   distance,
+  position = null,
   error,
   enableCompass,
   onEnableLocation,
@@ -23,6 +26,7 @@ const Compass = ({
   isRequestingLocation,
   targets = [],
   selectedTarget = null,
+  deviation = null,
   onSelectTarget,
   bearingUnit = 'degrees',
   onToggleBearingUnit,
@@ -30,6 +34,9 @@ const Compass = ({
   activeRouteId = null,
   onSelectRoute = null
 }) => {
+  const formatGridReference = useGridReferenceFormatter();
+  const north = useNorthReference(position);
+  const northLabel = NORTH_REFERENCES.find((entry) => entry.id === north.reference) ?? NORTH_REFERENCES[0];
   const relativeBearing = useMemo(
     () => calculateRelativeBearing(heading, bearing),
     [heading, bearing]
@@ -73,6 +80,7 @@ const Compass = ({
 
   const targetListTitle = selectedTarget ? 'Other checkpoints' : 'Select a checkpoint';
   const selectedCoordinates = formatCoordinates(selectedTarget?.position);
+  const selectedGridReference = selectedTarget ? formatGridReference(selectedTarget.position) : null;
 
   const convertAngle = (value) => {
     if (value == null) return null;
@@ -87,12 +95,12 @@ const Compass = ({
 
   const formatAngle = (value) => {
     if (value == null) return 'N/A';
-    const converted = convertAngle(value);
+    const converted = convertAngle(north.fromTrue(value));
     if (converted == null) return 'N/A';
     if (bearingUnit === 'mils') {
-      return `${converted.toFixed(1)} mil`;
+      return `${converted.toFixed(1)} mil ${northLabel.short}`;
     }
-    return `${converted.toFixed(0)}°`;
+    return `${converted.toFixed(0)}° ${northLabel.short}`;
   };
 
   const handleToggleUnit = () => {
@@ -103,7 +111,8 @@ const Compass = ({
 
   const hasTargetBearing = bearing != null && heading != null;
   const pointerRotation = hasTargetBearing ? relativeBearing ?? 0 : null;
-  const northRotation = heading != null ? ((360 - heading) % 360) : null;
+  // The dial's N follows the chosen north; the target pointer is relative, so it doesn't change.
+  const northRotation = heading != null ? ((360 - north.fromTrue(heading)) % 360) : null;
   const compassDisabled = needsPermission || !isSupported;
   const containerToneClass = compassDisabled
     ? 'border border-rose-500 text-rose-200'
@@ -160,6 +169,37 @@ const Compass = ({
         </div>
       </div>
 
+      <div className="flex w-full max-w-xs flex-col items-center gap-1">
+        <div className="flex w-full gap-1 rounded-lg border border-slate-800 bg-slate-950 p-1" role="radiogroup" aria-label="North reference">
+          {NORTH_REFERENCES.map((entry) => (
+            <button
+              key={entry.id}
+              type="button"
+              role="radio"
+              aria-checked={north.reference === entry.id}
+              onClick={() => north.setReference(entry.id)}
+              className={`flex-1 rounded-md py-1 text-[11px] font-semibold transition ${
+                north.reference === entry.id
+                  ? 'bg-slate-800 text-sky-200 shadow-sm'
+                  : 'text-slate-400 hover:bg-slate-900 hover:text-slate-200'
+              }`}
+            >
+              {entry.label} north
+            </button>
+          ))}
+        </div>
+        <p className="text-[10px] text-slate-400">
+          Declination {formatAngleOffset(north.declination)} · Grid convergence {formatAngleOffset(north.convergence)}
+        </p>
+        {!north.isCorrected && (
+          <p className="text-[10px] text-amber-300">
+            {position
+              ? `No ${northLabel.label.toLowerCase()} north correction here; bearings are shown from true north.`
+              : 'Waiting for a GPS fix; bearings are shown from true north.'}
+          </p>
+        )}
+      </div>
+
       <div className={`relative flex h-44 w-44 items-center justify-center rounded-full shadow-inner shadow-slate-950/40 ${compassCircleClass}`}>
         <div className="absolute inset-3 rounded-full border border-slate-800" aria-hidden="true"></div>
         
@@ -241,6 +281,12 @@ const Compass = ({
       <div className="space-y-1 text-xs text-slate-300">
         <p>Target bearing: {formatAngle(bearing)}</p>
         <p>Distance: {formatDistance(distance)}</p>
+        {deviation && (
+          <p>
+            Off track: {formatDistance(Math.abs(deviation.crossTrackMeters))}{' '}
+            {deviation.crossTrackMeters >= 0 ? 'right' : 'left'} · {Math.round(deviation.progress * 100)}% along
+          </p>
+        )}
         {(isRequestingLocation || (locationEnabled && !hasLocationFix)) && (
           <p className="text-[11px] text-slate-400">Awaiting GPS fix… keep the device in the open.</p>
         )}
@@ -255,6 +301,19 @@ const Compass = ({
         {error && <p className="text-rose-400">Error: {error}</p>}
       </div>
 
+      {deviation?.offCourse && (
+        <div className="w-full rounded-xl border border-rose-500 bg-rose-950/60 p-3 text-left" role="alert">
+          <p className="text-sm font-semibold text-rose-200">
+            Off course: {formatDistance(Math.abs(deviation.crossTrackMeters))}{' '}
+            {deviation.crossTrackMeters >= 0 ? 'right' : 'left'} of the leg
+          </p>
+          <p className="text-[11px] text-rose-200/80">
+            Steer {deviation.crossTrackMeters >= 0 ? 'left' : 'right'} to rejoin {deviation.fromLabel} →{' '}
+            {deviation.toLabel} (warning beyond {deviation.thresholdMeters} m).
+          </p>
+        </div>
+      )}
+
   <div className="w-full rounded-xl border border-slate-800 bg-slate-950 p-3 text-left">
         <p className="text-xs font-semibold uppercase tracking-wide text-sky-300">Active checkpoint</p>
         {selectedTarget ? (
@@ -263,6 +322,23 @@ const Compass = ({
             {selectedCoordinates && (
               <p className="text-[11px] text-slate-400">{selectedCoordinates}</p>
             )}
+            {selectedGridReference && (
+              <p className="font-mono text-[11px] text-sky-200">{selectedGridReference}</p>
+            )}
+            {deviation && (
+              <div className="mt-2">
+                <p className="text-[11px] text-slate-400">
+                  Leg {deviation.fromLabel} → {deviation.toLabel}: {formatDistance(Math.max(deviation.alongTrackMeters, 0))}{' '}
+                  of {formatDistance(deviation.legMeters)}
+                </p>
+                <div className="mt-1 h-1.5 w-full overflow-hidden rounded-full bg-slate-800">
+                  <div
+                    className={`h-full rounded-full ${deviation.offCourse ? 'bg-rose-500' : 'bg-sky-500'}`}
+                    style={{ width: `${Math.round(deviation.progress * 100)}%` }}
+                  />
+                </div>
+              </div>
+            )}
           </div>
         ) : (
           <p className="mt-2 text-[11px] text-slate-400">
@@ -110,12 +110,18 @@ export const ConnectionManager = () => {
     lastLocationPushAt,
     lastClientRoutePushAt,
     pendingLocationQueuedAt,
+    pendingArrivals,
     routeOffers,
     offerRoutesToClient,
-    acknowledgeRouteOffer
+    acknowledgeRouteOffer,
+    joinPinEnabled,
+    updateJoinPin
   } = useServerLinkStore();
 
   const [remoteInput, setRemoteInput] = useState('');
+  const [joinPinInput, setJoinPinInput] = useState('');
+  const [relaySecretInput, setRelaySecretInput] = useState('');
+  const [hostPinInput, setHostPinInput] = useState('');
   const [messageInput, setMessageInput] = useState('');
   const [activeTab, setActiveTab] = useState('receiver'); // 'receiver' or 'sender'
   const [showScanner, setShowScanner] = useState(false);
@@ -163,23 +169,30 @@ export const ConnectionManager = () => {
   };
 
   const handleStartReceiver = () => {
-    startHostSession();
+    startHostSession({ secret: relaySecretInput, joinPin: hostPinInput });
+  };
+
+  const handleApplyJoinPin = (pin) => {
+    updateJoinPin(pin);
+    setHostPinInput('');
   };
 
   const handleConnect = () => {
     if (!remoteInput) return;
-    joinSession(remoteInput);
+    joinSession(remoteInput, { pin: joinPinInput });
   };
 
   const handleScan = useCallback(
     (decodedText) => {
       setRemoteInput(decodedText);
       setShowScanner(false);
-      joinSession(decodedText);
+      joinSession(decodedText, { pin: joinPinInput });
     },
-    [joinSession]
+    [joinSession, joinPinInput]
   );
 
+  const sanitizePinInput = (value) => value.replace(/\D/g, '').slice(0, 8);
+
   const handleSend = (e) => {
     e.preventDefault();
     if (messageInput) {
@@ -451,6 +464,25 @@ export const ConnectionManager = () => {
                     </div>
                     <p className="text-xs text-slate-400">{formatLastUpdated(peer)}</p>
                   </div>
+                  {peer.deviation?.offCourse && (
+                    <p className="mt-2 text-[11px] font-semibold text-rose-300">
+                      Off course {Math.abs(peer.deviation.crossTrackMeters)} m{' '}
+                      {peer.deviation.crossTrackMeters >= 0 ? 'right' : 'left'}
+                      {peer.deviation.fromName && peer.deviation.toName
+                        ? ` of ${peer.deviation.fromName} → ${peer.deviation.toName}`
+                        : ''}{' '}
+                      {formatSince(peer.deviation.at, '')}
+                    </p>
+                  )}
+                  {peer.lastArrival && (
+                    <p className="mt-2 text-[11px] text-emerald-300">
+                      Reached {peer.lastArrival.checkpointName ?? peer.lastArrival.checkpointId ?? 'checkpoint'}
+                      {peer.lastArrival.index && peer.lastArrival.total
+                        ? ` (${peer.lastArrival.index}/${peer.lastArrival.total})`
+                        : ''}{' '}
+                      {formatSince(peer.lastArrival.arrivedAt, '')}
+                    </p>
+                  )}
                   <div className="mt-3 flex justify-end">
                     <button
                       type="button"
@@ -543,6 +575,11 @@ export const ConnectionManager = () => {
                 Latest fix queued {pendingQueueLabel}. We will resend automatically when the link returns.
               </p>
             )}
+            {pendingArrivals.length > 0 && (
+              <p className="mt-2 text-[11px] text-amber-200">
+                {pendingArrivals.length} checkpoint arrival{pendingArrivals.length === 1 ? '' : 's'} waiting to reach HQ.
+              </p>
+            )}
           </div>
         )}
 
@@ -624,6 +661,32 @@ export const ConnectionManager = () => {
       {/* HOST FLOW */}
       {activeTab === 'receiver' && (
         <div>
+          {connectionStatus === 'disconnected' && (
+            <div className="mb-4 grid grid-cols-2 gap-2">
+              <label className="flex flex-col gap-1 text-[11px] uppercase tracking-wide text-slate-500">
+                Relay secret
+                <input
+                  type="password"
+                  autoComplete="off"
+                  placeholder="If required"
+                  value={relaySecretInput}
+                  onChange={(e) => setRelaySecretInput(e.target.value)}
+                  className="p-2 text-sm normal-case tracking-normal border border-slate-700 rounded bg-slate-950 text-slate-100 focus:border-sky-500 focus:outline-none"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-[11px] uppercase tracking-wide text-slate-500">
+                Join PIN
+                <input
+                  inputMode="numeric"
+                  placeholder="Optional, 4–8 digits"
+                  value={hostPinInput}
+                  onChange={(e) => setHostPinInput(sanitizePinInput(e.target.value))}
+                  className="p-2 text-sm font-mono normal-case tracking-normal border border-slate-700 rounded bg-slate-950 text-slate-100 focus:border-sky-500 focus:outline-none"
+                />
+              </label>
+            </div>
+          )}
+
           <button 
             onClick={handleStartReceiver}
             className="w-full bg-sky-600 text-white py-2 rounded hover:bg-sky-500 transition font-semibold mb-4"
@@ -658,6 +721,46 @@ export const ConnectionManager = () => {
                 </button>
               </div>
 
+              <div className="rounded-xl border border-slate-800 bg-slate-950/60 p-3">
+                <div className="flex items-center justify-between text-[11px] uppercase tracking-wide text-slate-400">
+                  <span>Join PIN</span>
+                  <span className={`font-semibold ${joinPinEnabled ? 'text-emerald-300' : 'text-slate-500'}`}>
+                    {joinPinEnabled ? 'Required' : 'Off'}
+                  </span>
+                </div>
+                <div className="mt-3 flex gap-2">
+                  <input
+                    inputMode="numeric"
+                    placeholder={joinPinEnabled ? 'New PIN' : '4–8 digits'}
+                    value={hostPinInput}
+                    onChange={(e) => setHostPinInput(sanitizePinInput(e.target.value))}
+                    className="flex-1 p-1.5 text-sm font-mono border border-slate-700 rounded bg-slate-950 text-slate-100 focus:border-sky-500 focus:outline-none"
+                    disabled={role !== 'host'}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => handleApplyJoinPin(hostPinInput)}
+                    disabled={role !== 'host' || hostPinInput.length < 4}
+                    className="rounded-lg bg-sky-600 px-3 py-1.5 text-xs font-semibold text-white hover:bg-sky-500 disabled:opacity-50"
+                  >
+                    Set
+                  </button>
+                  {joinPinEnabled && (
+                    <button
+                      type="button"
+                      onClick={() => handleApplyJoinPin('')}
+                      disabled={role !== 'host'}
+                      className="rounded-lg border border-slate-700 px-3 py-1.5 text-xs text-slate-200 hover:border-slate-500"
+                    >
+                      Clear
+                    </button>
+                  )}
+                </div>
+                <p className="mt-2 text-xs text-slate-500">
+                  New field devices must enter this PIN to join. Devices already linked stay connected.
+                </p>
+              </div>
+
               <div className="mt-4 rounded-xl border border-slate-800 bg-slate-950/60 p-3">
                 <div className="flex items-center justify-between text-[11px] uppercase tracking-wide text-slate-400">
                   <span>Field update cadence</span>
@@ -711,6 +814,14 @@ export const ConnectionManager = () => {
                     </button>
                 </div>
 
+                <input
+                  inputMode="numeric"
+                  placeholder="Join PIN (if HQ set one)"
+                  value={joinPinInput}
+                  onChange={(e) => setJoinPinInput(sanitizePinInput(e.target.value))}
+                  className="w-full p-2 text-sm font-mono border border-slate-700 rounded bg-slate-950 text-slate-100 focus:border-sky-500 focus:outline-none"
+                />
+
                 <button 
                   onClick={handleConnect}
                   className="w-full bg-emerald-600 text-white py-2 rounded hover:bg-emerald-500 transition font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
@@ -0,0 +1,209 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useCheckpointsStore } from '../hooks/useCheckpoints.js';
+import { useElevationProfile, useElevationStore } from '../hooks/useElevation.js';
+import { formatGradient } from '../utils/elevation.js';
+import { formatNavDistance } from '../utils/navCard.js';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 100;
+
+const actionButtonBase =
+  'rounded border border-slate-700 px-2 py-1 text-[11px] font-medium text-slate-200 transition hover:border-sky-500 hover:bg-slate-800';
+
+const formatHeight = (meters) => `${Math.round(meters)} m`;
+
+// Keeps flat routes from filling the chart with DEM noise.
+const MIN_VERTICAL_RANGE = 20;
+
+const chartScale = (profile) => {
+  const { minElevation, maxElevation, distanceMeters } = profile.totals;
+  const padding = Math.max(MIN_VERTICAL_RANGE - (maxElevation - minElevation), 0) / 2;
+  const bottom = minElevation - padding;
+  const top = maxElevation + padding;
+  return {
+    x: (distance) => (distanceMeters > 0 ? (distance / distanceMeters) * CHART_WIDTH : 0),
+    y: (elevation) => CHART_HEIGHT - ((elevation - bottom) / (top - bottom)) * CHART_HEIGHT,
+    bottom,
+    top
+  };
+};
+
+// Breaks the line wherever a sample has no height so gaps show as gaps.
+const profilePath = (samples, scale) =>
+  samples
+    .reduce(
+      ({ parts, drawing }, sample) => {
+        if (sample.elevation === null) return { parts, drawing: false };
+        const command = drawing ? 'L' : 'M';
+        parts.push(`${command}${scale.x(sample.distanceMeters).toFixed(1)},${scale.y(sample.elevation).toFixed(1)}`);
+        return { parts, drawing: true };
+      },
+      { parts: [], drawing: false }
+    )
+    .parts.join(' ');
+
+/**
+ * Height profile along a route's legs (routed, when routes follow roads) from DEM tiles, with
+ * ascent, descent and the steepest gradient per leg. Pointing at the chart marks the same spot
+ * on the map.
+ */
+const ElevationProfile = ({ route, checkpointMap }) => {
+  const { status, profile, error } = useElevationProfile(route, checkpointMap);
+  const setHighlight = useElevationStore((state) => state.setHighlight);
+  const setCheckpointClimb = useCheckpointsStore((state) => state.setCheckpointClimb);
+  const transact = useCheckpointsStore((state) => state.transact);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const chartRef = useRef(null);
+
+  const scale = useMemo(() => (profile ? chartScale(profile) : null), [profile]);
+  const path = useMemo(() => (profile ? profilePath(profile.samples, scale) : ''), [profile, scale]);
+
+  useEffect(() => () => setHighlight(null), [setHighlight]);
+
+  const clearHover = () => {
+    setHoverIndex(null);
+    setHighlight(null);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!profile || !chartRef.current) return;
+    const rect = chartRef.current.getBoundingClientRect();
+    const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+    const target = fraction * profile.totals.distanceMeters;
+    let nearest = 0;
+    profile.samples.forEach((sample, index) => {
+      if (Math.abs(sample.distanceMeters - target) < Math.abs(profile.samples[nearest].distanceMeters - target)) {
+        nearest = index;
+      }
+    });
+    const sample = profile.samples[nearest];
+    setHoverIndex(nearest);
+    setHighlight({ position: sample.position, elevation: sample.elevation, distanceMeters: sample.distanceMeters });
+  };
+
+  const handleUseForNavCard = () => {
+    transact('Set leg climbs', () =>
+      profile.legs
+        .filter((leg) => leg.complete)
+        .forEach((leg) => setCheckpointClimb(leg.toId, Math.round(leg.ascentMeters)))
+    );
+  };
+
+  if (status === 'idle') {
+    return <p className="mt-3 text-xs text-slate-500">Add at least two checkpoints to see an elevation profile.</p>;
+  }
+  if (status === 'error') {
+    return <p className="mt-3 text-xs text-amber-400">{error}</p>;
+  }
+  if (!profile) {
+    return <p className="mt-3 text-xs text-slate-500">Loading elevation…</p>;
+  }
+
+  const hovered = hoverIndex !== null ? profile.samples[hoverIndex] : null;
+  const boundaries = profile.legs.slice(0, -1).reduce(
+    (distances, leg) => [...distances, (distances[distances.length - 1] ?? 0) + leg.distanceMeters],
+    []
+  );
+
+  return (
+    <div className="mt-3 rounded border border-slate-700 bg-slate-950/60 p-3 text-[11px] text-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-slate-400">
+        <span>
+          ↑ <span className="font-semibold text-slate-100">{formatHeight(profile.totals.ascentMeters)}</span> · ↓{' '}
+          <span className="font-semibold text-slate-100">{formatHeight(profile.totals.descentMeters)}</span>
+        </span>
+        <span>
+          {hovered
+            ? `${formatNavDistance(hovered.distanceMeters)} · ${hovered.elevation === null ? 'no data' : formatHeight(hovered.elevation)}`
+            : `${formatHeight(profile.totals.minElevation)}–${formatHeight(profile.totals.maxElevation)}`}
+          {status === 'loading' && ' · updating…'}
+        </span>
+      </div>
+
+      <div className="relative mt-2">
+        <span className="pointer-events-none absolute left-1 top-0 text-[9px] text-slate-500">{formatHeight(scale.top)}</span>
+        <span className="pointer-events-none absolute bottom-0 left-1 text-[9px] text-slate-500">
+          {formatHeight(scale.bottom)}
+        </span>
+        <svg
+          ref={chartRef}
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          preserveAspectRatio="none"
+          className="h-28 w-full cursor-crosshair rounded bg-slate-900"
+          style={{ touchAction: 'pan-y' }}
+          onPointerMove={handlePointerMove}
+          onPointerDown={handlePointerMove}
+          onPointerLeave={clearHover}
+          role="img"
+          aria-label={`Elevation profile for ${route.name || 'route'}`}
+        >
+          <path d={`${path} V${CHART_HEIGHT} H0 Z`} className="fill-sky-500/15" stroke="none" />
+          <path d={path} fill="none" className="stroke-sky-400" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+          {boundaries.map((distance) => (
+            <line
+              key={distance}
+              x1={scale.x(distance)}
+              x2={scale.x(distance)}
+              y1="0"
+              y2={CHART_HEIGHT}
+              className="stroke-slate-600"
+              strokeDasharray="3 3"
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+          {hovered && (
+            <line
+              x1={scale.x(hovered.distanceMeters)}
+              x2={scale.x(hovered.distanceMeters)}
+              y1="0"
+              y2={CHART_HEIGHT}
+              className="stroke-amber-400"
+              strokeWidth="1.5"
+              vectorEffect="non-scaling-stroke"
+            />
+          )}
+        </svg>
+      </div>
+      {!profile.complete && (
+        <p className="mt-1 text-amber-400">Part of the route has no elevation data. Totals only cover the rest.</p>
+      )}
+
+      <div className="mt-2 overflow-x-auto">
+        <table className="w-full border-collapse font-mono">
+          <thead>
+            <tr className="border-b border-slate-700 text-left text-[10px] uppercase tracking-wide text-slate-400">
+              <th className="py-1 pr-2">Leg</th>
+              <th className="py-1 pr-2">To</th>
+              <th className="py-1 pr-2 text-right">Dist</th>
+              <th className="py-1 pr-2 text-right">Up</th>
+              <th className="py-1 pr-2 text-right">Down</th>
+              <th className="py-1 text-right">Max grad</th>
+            </tr>
+          </thead>
+          <tbody>
+            {profile.legs.map((leg) => (
+              <tr key={leg.toId} className={`border-b border-slate-800 ${leg.complete ? '' : 'text-slate-500'}`}>
+                <td className="py-1 pr-2 text-slate-400">{leg.leg}</td>
+                <td className="max-w-[7rem] truncate py-1 pr-2 font-sans" title={`${leg.from} → ${leg.to}`}>
+                  {leg.to}
+                </td>
+                <td className="whitespace-nowrap py-1 pr-2 text-right">{formatNavDistance(leg.distanceMeters)}</td>
+                <td className="py-1 pr-2 text-right">{formatHeight(leg.ascentMeters)}</td>
+                <td className="py-1 pr-2 text-right">{formatHeight(leg.descentMeters)}</td>
+                <td className="whitespace-nowrap py-1 text-right">{formatGradient(leg.maxGradient)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-3 flex flex-wrap gap-2">
+        <button type="button" className={actionButtonBase} onClick={handleUseForNavCard}>
+          Use climbs on nav card
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ElevationProfile;
@@ -0,0 +1,116 @@
+import { useEffect, useMemo, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Polyline, useMap, useMapEvents } from 'react-leaflet';
+import { useGridStore } from '../hooks/useGrid.js';
+import { buildGridLines, placeEdgeLabels } from '../utils/gridLines.js';
+
+// Lines are built a little beyond the view so short pans don't show bare edges before moveend.
+const VIEW_PADDING = 0.25;
+
+const LINE_STYLES = {
+  light: { color: '#0369a1', weight: 1, opacity: 0.55 },
+  dark: { color: '#7dd3fc', weight: 1, opacity: 0.5 }
+};
+
+const LABEL_CLASSES = {
+  light: 'bg-white/85 text-sky-900',
+  dark: 'bg-slate-950/80 text-sky-100'
+};
+
+const LABEL_TRANSFORMS = {
+  top: 'translate(-50%, 2px)',
+  bottom: 'translate(-50%, calc(-100% - 2px))',
+  left: 'translate(2px, -50%)',
+  right: 'translate(calc(-100% - 2px), -50%)'
+};
+
+const readView = (map) => {
+  const bounds = map.getBounds().pad(VIEW_PADDING);
+  const size = map.getSize();
+  const middle = size.y / 2;
+  const span = Math.max(1, Math.min(100, size.x));
+  const metresPerPixel =
+    map.distance(map.containerPointToLatLng([0, middle]), map.containerPointToLatLng([span, middle])) / span;
+  return {
+    bounds: { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() },
+    metresPerPixel
+  };
+};
+
+/**
+ * Draws grid lines for the system selected in Grid tools, spaced for the current zoom, with
+ * labels pinned to the map edges like the margin of a printed sheet.
+ */
+const GridOverlay = ({ theme = 'light' }) => {
+  const map = useMap();
+  const system = useGridStore((state) => state.system);
+  const origin = useGridStore((state) => state.origin);
+  const originReference = useGridStore((state) => state.originReference);
+  const precision = useGridStore((state) => state.precision);
+  const [view, setView] = useState(() => readView(map));
+
+  useMapEvents({
+    moveend: () => setView(readView(map)),
+    resize: () => setView(readView(map))
+  });
+
+  const { lines } = useMemo(
+    () => buildGridLines({ ...view, grid: { system, origin, originReference, precision } }),
+    [view, system, origin, originReference, precision]
+  );
+
+  const [labels, setLabels] = useState([]);
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      const size = map.getSize();
+      const screenLines = lines.map((line) => ({
+        ...line,
+        points: line.points.map((point) => map.latLngToContainerPoint([point.lat, point.lng]))
+      }));
+      setLabels(placeEdgeLabels(screenLines, { width: size.x, height: size.y }));
+    };
+    const schedule = () => {
+      if (frame == null) frame = window.requestAnimationFrame(update);
+    };
+    update();
+    map.on('move zoom resize', schedule);
+    return () => {
+      map.off('move zoom resize', schedule);
+      if (frame != null) window.cancelAnimationFrame(frame);
+    };
+  }, [map, lines]);
+
+  const lineStyle = LINE_STYLES[theme] ?? LINE_STYLES.light;
+  const labelClass = LABEL_CLASSES[theme] ?? LABEL_CLASSES.light;
+
+  return (
+    <>
+      {lines.map((line) => (
+        <Polyline
+          key={line.key}
+          positions={line.points.map((point) => [point.lat, point.lng])}
+          pathOptions={lineStyle}
+          interactive={false}
+        />
+      ))}
+      {createPortal(
+        <div className="pointer-events-none absolute inset-0 z-[450] overflow-hidden" aria-hidden="true">
+          {labels.map((entry) => (
+            <span
+              key={entry.key}
+              className={`absolute rounded px-1 font-mono text-[10px] font-semibold leading-tight ${labelClass}`}
+              style={{ left: entry.x, top: entry.y, transform: LABEL_TRANSFORMS[entry.edge] }}
+            >
+              {entry.label}
+            </span>
+          ))}
+        </div>,
+        map.getContainer()
+      )}
+    </>
+  );
+};
+
+export default GridOverlay;
@@ -1,14 +1,22 @@
 import { useEffect, useMemo, useState } from 'react';
 import { useGrid } from '../hooks/useGrid.js';
 import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import { useNorthReference } from '../hooks/useCompass.js';
+import { usePreferencesStore } from '../hooks/usePreferences.js';
 import {
   destinationFromBearing,
+  formatGridReference,
+  getGridSystem,
   gridReferenceToLatLng,
   latLngToGridReference,
+  parseGridReference,
   precisionToUnitMeters,
+  GRID_SYSTEMS,
   MIN_GRID_PRECISION,
   MAX_GRID_PRECISION
 } from '../utils/grid.js';
+import { formatAngleOffset, NORTH_REFERENCES } from '../utils/magnetic.js';
+import BearingFixTool from './BearingFixTool.jsx';
 
 const DIGITS_ONLY = /^\d+$/;
 
@@ -30,6 +38,28 @@ const parseDigitsInput = (value, label) => {
 };
 
 const formatLatLng = (value) => (value != null ? value.toFixed(6) : '—');
+
+const REFERENCE_PLACEHOLDERS = {
+  mgrs: 'e.g. 33UXP 12345 67890',
+  utm: 'e.g. 33U 512345 5467890',
+  bng: 'e.g. SU 12345 67890',
+  irish: 'e.g. O 12345 67890'
+};
+
+const REFERENCE_HELP = {
+  mgrs: 'Type the zone, 100 km square and 1–5 digits each for easting and northing, e.g. 33UXP 123 678. The zone can be left off (XP 123 678) when you are in the same zone.',
+  utm: 'Type the zone and latitude band followed by the easting and northing in metres, e.g. 33U 512345 5467890.',
+  bng: 'Type the two-letter 100 km square from the OS map followed by 1–5 digits each for easting and northing, e.g. SU 123 456.',
+  irish: 'Type the one-letter 100 km square followed by 1–5 digits each for easting and northing, e.g. O 123 456.'
+};
+
+// Systems written as a lettered square plus digits can be shown to any precision.
+const DIGIT_PRECISION_OPTIONS = [
+  { digits: 2, label: '1 km' },
+  { digits: 3, label: '100 m' },
+  { digits: 4, label: '10 m' },
+  { digits: 5, label: '1 m' }
+];
 const formatMeters = (value) => {
   if (value == null || Number.isNaN(value)) return '—';
   if (value >= 1000) return `${(value / 1000).toFixed(2)} km`;
@@ -54,9 +84,11 @@ const HelpToggle = ({ show, onToggle }) => (
 
 const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange }) => {
   const {
+    system,
     origin,
     originReference,
     precision,
+    setSystem,
     setOrigin,
     setOriginReference,
     setPrecision,
@@ -68,6 +100,7 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
   const [originNorth, setOriginNorth] = useState('');
   const [targetEast, setTargetEast] = useState('');
   const [targetNorth, setTargetNorth] = useState('');
+  const [targetReference, setTargetReference] = useState('');
   const [statusMessage, setStatusMessage] = useState(null);
   const [resolvedLocation, setResolvedLocation] = useState(null);
   const [errorMessage, setErrorMessage] = useState(null);
@@ -77,9 +110,23 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
   const [distanceInput, setDistanceInput] = useState('');
   const [bearingLocation, setBearingLocation] = useState(null);
   const [bearingMetadata, setBearingMetadata] = useState(null);
-  const [activeTab, setActiveTab] = useState('origin');
+  const north = useNorthReference(bearingSource === 'selected' ? selectedPosition : userLocation);
+  const northLabel = NORTH_REFERENCES.find((entry) => entry.id === north.reference) ?? NORTH_REFERENCES[0];
+  const gridMagneticAngle =
+    north.declination != null && north.convergence != null ? north.declination - north.convergence : null;
+  const showGridLines = usePreferencesStore((state) => state.showGridLines);
+  const setShowGridLines = usePreferencesStore((state) => state.setShowGridLines);
+  const gridSystem = getGridSystem(system) ?? GRID_SYSTEMS[0];
+  const usesLocalGrid = gridSystem.needsOrigin;
+  const gridState = useMemo(
+    () => ({ system, origin, originReference, precision }),
+    [system, origin, originReference, precision]
+  );
+  const [activeTab, setActiveTab] = useState(() => (usesLocalGrid ? 'origin' : 'convert'));
   const [showHelp, setShowHelp] = useState(false);
   const [originSource, setOriginSource] = useState('user');
+  const [bearingFix, setBearingFix] = useState(null);
+  const [resectionOrigin, setResectionOrigin] = useState(null);
   const placeholderDigits = useMemo(
     () => Math.min(Math.max(precision ?? MIN_GRID_PRECISION, 3), MAX_GRID_PRECISION),
     [precision]
@@ -113,6 +160,21 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
     }
   }, [origin, originReference, precision]);
 
+  // Only the local grid needs calibrating; other systems open straight on Convert.
+  useEffect(() => {
+    if (!usesLocalGrid && activeTab === 'origin') {
+      setActiveTab('convert');
+    }
+  }, [usesLocalGrid, activeTab]);
+
+  // The resect and intersect forms reset when their tab closes, so their lines shouldn't
+  // linger on the map.
+  useEffect(() => {
+    setBearingFix(null);
+  }, [activeTab]);
+
+  const userReference = useMemo(() => formatGridReference(userLocation, gridState), [userLocation, gridState]);
+
   const bearingPreviewDegrees = useMemo(() => {
     if (!bearingValue) return null;
     const numeric = Number(bearingValue);
@@ -141,6 +203,12 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
       }
       return selectedPosition;
     }
+    if (originSource === 'resection') {
+      if (!resectionOrigin) {
+        throw new Error('Find your position on the Resect tab first.');
+      }
+      return resectionOrigin;
+    }
     throw new Error('Choose a valid origin source.');
   };
 
@@ -209,14 +277,18 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
         ? (bearingNumber * 360) / 6400
         : bearingNumber;
       const normalizedBearing = ((bearingDegrees % 360) + 360) % 360;
+      // Bearings are typed against the chosen north; the projection works in true bearings.
+      const trueBearing = north.toTrue(normalizedBearing);
       const location = destinationFromBearing({
         origin: originPoint,
-        bearingDegrees: normalizedBearing,
+        bearingDegrees: trueBearing,
         distanceMeters: distanceNumber
       });
       setBearingLocation(location);
       setBearingMetadata({
         bearingDegrees: normalizedBearing,
+        trueBearingDegrees: trueBearing,
+        northReference: north.reference,
         bearingInput: bearingNumber,
         bearingUnit: bearingUnitInput,
         distanceMeters: distanceNumber,
@@ -232,6 +304,20 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
   };
 
   const resolveGridReference = () => {
+    if (!usesLocalGrid) {
+      try {
+        const candidate = parseGridReference(targetReference, gridState, {
+          near: userLocation ?? selectedPosition ?? null
+        });
+        setResolvedLocation({ lat: candidate.lat, lng: candidate.lng });
+        setStatusMessage(`${gridSystem.label} reference resolved.`);
+        setErrorMessage(null);
+      } catch (error) {
+        setResolvedLocation(null);
+        setErrorMessage(error.message);
+      }
+      return;
+    }
     try {
       const eastResult = parseDigitsInput(targetEast, 'Easting');
       const northResult = parseDigitsInput(targetNorth, 'Northing');
@@ -268,15 +354,25 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
     setErrorMessage(null);
   };
 
+  const handleUseResectionAsOrigin = (position) => {
+    setResectionOrigin(position);
+    setOriginSource('resection');
+    setActiveTab('origin');
+    setStatusMessage('Enter the grid reference of your resected position, then tap Set Origin.');
+    setErrorMessage(null);
+  };
+
   const handleReset = () => {
     resetGrid();
     setOriginEast('');
     setOriginNorth('');
     setTargetEast('');
     setTargetNorth('');
+    setTargetReference('');
     setResolvedLocation(null);
     setBearingSource('user');
     setOriginSource('user');
+    setResectionOrigin(null);
     setBearingValue('');
     setBearingUnitInput('degrees');
     setDistanceInput('');
@@ -297,11 +393,18 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
           position: bearingLocation,
           source: bearingMetadata?.origin ?? null
         });
+      } else if ((activeTab === 'resect' || activeTab === 'intersect') && bearingFix) {
+        onPreviewLocationChange({
+          position: bearingFix.position,
+          source: null,
+          lines: bearingFix.lines,
+          area: bearingFix.area
+        });
       } else {
         onPreviewLocationChange(null);
       }
     }
-  }, [activeTab, resolvedLocation, bearingLocation, bearingMetadata, origin, onPreviewLocationChange]);
+  }, [activeTab, resolvedLocation, bearingLocation, bearingMetadata, bearingFix, origin, onPreviewLocationChange]);
 
   return (
     <div className="flex flex-col gap-3 rounded-2xl bg-slate-900 p-4 text-xs text-slate-200 shadow-lg shadow-slate-950">
@@ -309,44 +412,98 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
         <h2 className="text-base font-semibold text-sky-200">Grid Tools</h2>
         <div className="flex gap-1">
           <span className="rounded-full border border-slate-700 px-2 py-1 text-[10px] font-semibold text-slate-400">
-            {precision}-fig mode
+            {usesLocalGrid ? `${precision}-fig mode` : gridSystem.label}
           </span>
         </div>
       </div>
 
+      <label className="flex items-center gap-2">
+        <span className="text-[10px] uppercase tracking-wide text-slate-400">Grid system</span>
+        <select
+          value={system}
+          onChange={(event) => {
+            setSystem(event.target.value);
+            setResolvedLocation(null);
+          }}
+          className="flex-1 rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+        >
+          {GRID_SYSTEMS.map((option) => (
+            <option key={option.id} value={option.id}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2 text-[11px] text-slate-300">
+        <input
+          type="checkbox"
+          checked={showGridLines}
+          onChange={(event) => setShowGridLines(event.target.checked)}
+          className="h-3.5 w-3.5 rounded border-slate-600 text-sky-500 focus:ring-sky-500"
+        />
+        Show grid lines on the map
+        {showGridLines && usesLocalGrid && (!origin || !originReference) && (
+          <span className="text-slate-500">(set an origin first)</span>
+        )}
+      </label>
+
       <div className="flex gap-1 rounded-lg border border-slate-800 bg-slate-950 p-1">
+        {usesLocalGrid && (
+          <button
+            type="button"
+            onClick={() => setActiveTab('origin')}
+            className={`flex-1 rounded-md py-1.5 text-[11px] font-semibold transition ${
+              activeTab === 'origin'
+                ? 'bg-slate-800 text-sky-200 shadow-sm'
+                : 'text-slate-400 hover:bg-slate-900 hover:text-slate-200'
+            }`}
+          >
+            Origin
+          </button>
+        )}
         <button
           type="button"
-          onClick={() => setActiveTab('origin')}
+          onClick={() => setActiveTab('convert')}
           className={`flex-1 rounded-md py-1.5 text-[11px] font-semibold transition ${
-            activeTab === 'origin'
+            activeTab === 'convert'
               ? 'bg-slate-800 text-sky-200 shadow-sm'
               : 'text-slate-400 hover:bg-slate-900 hover:text-slate-200'
           }`}
         >
-          Origin
+          Convert
         </button>
         <button
           type="button"
-          onClick={() => setActiveTab('convert')}
+          onClick={() => setActiveTab('project')}
           className={`flex-1 rounded-md py-1.5 text-[11px] font-semibold transition ${
-            activeTab === 'convert'
+            activeTab === 'project'
               ? 'bg-slate-800 text-sky-200 shadow-sm'
               : 'text-slate-400 hover:bg-slate-900 hover:text-slate-200'
           }`}
         >
-          Convert
+          Project
         </button>
         <button
           type="button"
-          onClick={() => setActiveTab('project')}
+          onClick={() => setActiveTab('resect')}
           className={`flex-1 rounded-md py-1.5 text-[11px] font-semibold transition ${
-            activeTab === 'project'
+            activeTab === 'resect'
               ? 'bg-slate-800 text-sky-200 shadow-sm'
               : 'text-slate-400 hover:bg-slate-900 hover:text-slate-200'
           }`}
         >
-          Project
+          Resect
+        </button>
+        <button
+          type="button"
+          onClick={() => setActiveTab('intersect')}
+          className={`flex-1 rounded-md py-1.5 text-[11px] font-semibold transition ${
+            activeTab === 'intersect'
+              ? 'bg-slate-800 text-sky-200 shadow-sm'
+              : 'text-slate-400 hover:bg-slate-900 hover:text-slate-200'
+          }`}
+        >
+          Intersect
         </button>
       </div>
 
@@ -403,6 +560,19 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
                 >
                   Selected Marker
                 </button>
+                {resectionOrigin && (
+                  <button
+                    type="button"
+                    onClick={() => setOriginSource('resection')}
+                    className={`flex-1 rounded-md border py-2 text-[11px] font-semibold transition ${
+                      originSource === 'resection'
+                        ? 'border-sky-500 bg-sky-500/10 text-sky-200'
+                        : 'border-slate-700 text-slate-400 hover:border-slate-500 hover:text-slate-200'
+                    }`}
+                  >
+                    Resection Fix
+                  </button>
+                )}
               </div>
               {originSource === 'user' && !userLocation && (
                 <p className="mt-1 text-[10px] text-rose-400">Waiting for GPS fix…</p>
@@ -475,7 +645,9 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
                 Convert Grid Ref
               </h3>
               <p className="mt-1 text-[11px] text-slate-400">
-                Enter a grid reference to find its location on the map relative to your origin.
+                {usesLocalGrid
+                  ? 'Enter a grid reference to find its location on the map relative to your origin.'
+                  : `Enter a full ${gridSystem.label} reference to find its location on the map.`}
               </p>
             </div>
             <HelpToggle show={showHelp} onToggle={() => setShowHelp(!showHelp)} />
@@ -484,34 +656,58 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
           {showHelp && (
             <div className="mb-4 rounded-lg bg-slate-900 p-2 text-[11px] text-slate-300">
               <p className="mb-1 font-semibold text-sky-200">How to convert:</p>
-              <p className="text-slate-400">
-                Once you have calibrated the origin, you can enter any other grid reference here. The
-                app will calculate the offset from the origin, show you where that point lands, and
-                the "Add checkpoint" button will drop it into your active route.
-              </p>
+              {usesLocalGrid ? (
+                <p className="text-slate-400">
+                  Once you have calibrated the origin, you can enter any other grid reference here. The
+                  app will calculate the offset from the origin, show you where that point lands, and
+                  the "Add checkpoint" button will drop it into your active route.
+                </p>
+              ) : (
+                <p className="text-slate-400">
+                  {REFERENCE_HELP[system]} No origin is needed.
+                </p>
+              )}
             </div>
           )}
 
-          <div className="grid grid-cols-2 gap-2">
+          {!usesLocalGrid && (
             <label className="flex flex-col gap-1">
-              <span className="text-[10px] uppercase tracking-wide text-slate-400">Easting</span>
+              <span className="text-[10px] uppercase tracking-wide text-slate-400">Grid reference</span>
               <input
-                value={targetEast}
-                onChange={(event) => setTargetEast(event.target.value)}
-                className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
-                placeholder={buildPlaceholder('2')}
+                value={targetReference}
+                onChange={(event) => setTargetReference(event.target.value)}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') resolveGridReference();
+                }}
+                className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 font-mono text-xs uppercase text-slate-100 focus:border-sky-500 focus:outline-none"
+                placeholder={REFERENCE_PLACEHOLDERS[system]}
+                autoCapitalize="characters"
+                spellCheck={false}
               />
             </label>
-            <label className="flex flex-col gap-1">
-              <span className="text-[10px] uppercase tracking-wide text-slate-400">Northing</span>
-              <input
-                value={targetNorth}
-                onChange={(event) => setTargetNorth(event.target.value)}
-                className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
-                placeholder={buildPlaceholder('3')}
-              />
-            </label>
-          </div>
+          )}
+          {usesLocalGrid && (
+            <div className="grid grid-cols-2 gap-2">
+              <label className="flex flex-col gap-1">
+                <span className="text-[10px] uppercase tracking-wide text-slate-400">Easting</span>
+                <input
+                  value={targetEast}
+                  onChange={(event) => setTargetEast(event.target.value)}
+                  className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                  placeholder={buildPlaceholder('2')}
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                <span className="text-[10px] uppercase tracking-wide text-slate-400">Northing</span>
+                <input
+                  value={targetNorth}
+                  onChange={(event) => setTargetNorth(event.target.value)}
+                  className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                  placeholder={buildPlaceholder('3')}
+                />
+              </label>
+            </div>
+          )}
           <div className="mt-3 flex items-center justify-between">
             <button
               type="button"
@@ -520,16 +716,46 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
             >
               Preview location
             </button>
-            <span className="text-[11px] text-slate-400">
-              Origin precision: 1 digit = {unitMeters} m
-            </span>
+            {usesLocalGrid ? (
+              <span className="text-[11px] text-slate-400">
+                Origin precision: 1 digit = {unitMeters} m
+              </span>
+            ) : (
+              userReference && (
+                <span className="font-mono text-[11px] text-slate-400" title="Your position">
+                  You: {userReference}
+                </span>
+              )
+            )}
           </div>
+          {!usesLocalGrid && system !== 'utm' && (
+            <div className="mt-3 flex items-center gap-2">
+              <span className="text-[10px] uppercase tracking-wide text-slate-400">Show to</span>
+              {DIGIT_PRECISION_OPTIONS.map((option) => (
+                <button
+                  key={option.digits}
+                  type="button"
+                  onClick={() => setPrecision(option.digits)}
+                  className={`flex-1 rounded-md border py-1 text-[11px] font-semibold transition ${
+                    precision === option.digits
+                      ? 'border-sky-500 bg-sky-500/10 text-sky-200'
+                      : 'border-slate-700 text-slate-400 hover:border-slate-500 hover:text-slate-200'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          )}
           {resolvedLocation && (
             <div className="mt-3 rounded-md border border-slate-800 bg-slate-900 p-3 text-[11px] text-slate-200">
               <p className="font-semibold text-sky-200">Resolved coordinates</p>
               <p className="mt-1 text-slate-300">
                 Lat {formatLatLng(resolvedLocation.lat)} | Lng {formatLatLng(resolvedLocation.lng)}
               </p>
+              {!usesLocalGrid && (
+                <p className="font-mono text-slate-400">{formatGridReference(resolvedLocation, gridState)}</p>
+              )}
               <div className="mt-3 flex flex-wrap gap-2">
                 <button
                   type="button"
@@ -643,6 +869,35 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
             </div>
           </div>
 
+          <div className="mt-3 flex flex-col gap-1">
+            <span className="text-[10px] uppercase tracking-wide text-slate-400">Bearing measured from</span>
+            <div className="flex gap-2">
+              {NORTH_REFERENCES.map((entry) => (
+                <button
+                  key={entry.id}
+                  type="button"
+                  className={`flex-1 rounded-md px-2 py-1 text-[11px] font-semibold ${
+                    north.reference === entry.id
+                      ? 'border border-sky-500 text-sky-200'
+                      : 'border border-slate-700 text-slate-200 hover:border-sky-500 hover:text-sky-200'
+                  }`}
+                  onClick={() => north.setReference(entry.id)}
+                >
+                  {entry.label} north
+                </button>
+              ))}
+            </div>
+            <span className="text-[11px] text-slate-400">
+              Declination {formatAngleOffset(north.declination)} · Grid convergence{' '}
+              {formatAngleOffset(north.convergence)} · Grid–magnetic angle {formatAngleOffset(gridMagneticAngle)}
+            </span>
+            {!north.isCorrected && (
+              <span className="text-[11px] text-amber-300">
+                Needs a start position to correct for {northLabel.label.toLowerCase()} north.
+              </span>
+            )}
+          </div>
+
           <div className="mt-3 grid gap-2 sm:grid-cols-2">
             <label className="flex flex-col gap-1">
               <span className="text-[10px] uppercase tracking-wide text-slate-400">Distance (m)</span>
@@ -681,11 +936,20 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
               <p className="mt-1 text-slate-300">
                 Lat {formatLatLng(bearingLocation.lat)} | Lng {formatLatLng(bearingLocation.lng)}
               </p>
+              {formatGridReference(bearingLocation, gridState) && (
+                <p className="font-mono text-slate-400">
+                  {gridSystem.label}: {formatGridReference(bearingLocation, gridState)}
+                </p>
+              )}
               <p className="text-slate-400">
                 Bearing used:{' '}
                 {bearingDegreesUsed != null
                   ? `${bearingDegreesUsed.toFixed(1)}°${
                       bearingMilsUsed != null ? ` (${bearingMilsUsed.toFixed(0)} mil)` : ''
+                    }${
+                      bearingMetadata.northReference !== 'true'
+                        ? ` ${bearingMetadata.northReference}, ${bearingMetadata.trueBearingDegrees.toFixed(1)}° true`
+                        : ' true'
                     }`
                   : '—'}
               </p>
@@ -708,6 +972,84 @@ const GridTools = ({ userLocation, selectedPosition, onPreviewLocationChange })
         </div>
       )}
 
+      {activeTab === 'resect' && (
+        <div className="rounded-xl border border-slate-800 bg-slate-950 p-3">
+          <div className="mb-3 flex items-start justify-between gap-2">
+            <div>
+              <h3 className="text-xs font-semibold uppercase tracking-wide text-sky-300">
+                Resection
+              </h3>
+              <p className="mt-1 text-[11px] text-slate-400">
+                Find your position from compass bearings to two or three known features.
+              </p>
+            </div>
+            <HelpToggle show={showHelp} onToggle={() => setShowHelp(!showHelp)} />
+          </div>
+
+          {showHelp && (
+            <div className="mb-4 rounded-lg bg-slate-900 p-2 text-[11px] text-slate-300">
+              <p className="mb-1 font-semibold text-sky-200">How to resect:</p>
+              <ol className="list-decimal space-y-1 pl-4 text-slate-400">
+                <li>Pick features you can see and find on the map, as checkpoints or grid references, ideally 60–120° apart.</li>
+                <li>Take a compass bearing to each and enter it, as the back bearing or as the bearing to the feature.</li>
+                <li>The bearing lines cross at your position. With three, the triangle they form shows how good the fix is: the smaller the better.</li>
+              </ol>
+            </div>
+          )}
+
+          <BearingFixTool
+            mode="resection"
+            gridState={gridState}
+            userLocation={userLocation}
+            near={userLocation ?? selectedPosition ?? null}
+            canSetOrigin={usesLocalGrid}
+            onResultChange={setBearingFix}
+            onAddCheckpoint={(position) => handleCreate(position, 'resection')}
+            onUseAsOrigin={handleUseResectionAsOrigin}
+            onStatus={setStatusMessage}
+            onError={setErrorMessage}
+          />
+        </div>
+      )}
+
+      {activeTab === 'intersect' && (
+        <div className="rounded-xl border border-slate-800 bg-slate-950 p-3">
+          <div className="mb-3 flex items-start justify-between gap-2">
+            <div>
+              <h3 className="text-xs font-semibold uppercase tracking-wide text-sky-300">
+                Intersection
+              </h3>
+              <p className="mt-1 text-[11px] text-slate-400">
+                Plot an object from bearings taken to it by two or more observers.
+              </p>
+            </div>
+            <HelpToggle show={showHelp} onToggle={() => setShowHelp(!showHelp)} />
+          </div>
+
+          {showHelp && (
+            <div className="mb-4 rounded-lg bg-slate-900 p-2 text-[11px] text-slate-300">
+              <p className="mb-1 font-semibold text-sky-200">How to intersect:</p>
+              <ol className="list-decimal space-y-1 pl-4 text-slate-400">
+                <li>Add each observer: a live peer in the relay session, yourself, a checkpoint or a grid reference.</li>
+                <li>Enter the bearing each observer reported to the object. Peers are placed at their latest reported position.</li>
+                <li>The shaded area shows where the object could be if each bearing is off by up to the accuracy you set.</li>
+              </ol>
+            </div>
+          )}
+
+          <BearingFixTool
+            mode="intersection"
+            gridState={gridState}
+            userLocation={userLocation}
+            near={userLocation ?? selectedPosition ?? null}
+            onResultChange={setBearingFix}
+            onAddCheckpoint={(position) => handleCreate(position, 'intersection')}
+            onStatus={setStatusMessage}
+            onError={setErrorMessage}
+          />
+        </div>
+      )}
+
       {(errorMessage || statusMessage) && (
         <div className="rounded-md border border-slate-800 bg-slate-950 p-3 text-[11px]">
           {errorMessage && <p className="text-rose-400">{errorMessage}</p>}
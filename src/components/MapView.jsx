@@ -1,8 +1,21 @@
 import { useCallback, useEffect, useMemo, useRef, useState, memo } from 'react';
-import { AttributionControl, MapContainer, Marker, Polyline, TileLayer, useMapEvents, useMap } from 'react-leaflet';
+import {
+  AttributionControl,
+  CircleMarker,
+  MapContainer,
+  Marker,
+  Polygon,
+  Polyline,
+  TileLayer,
+  useMapEvents,
+  useMap
+} from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import { useGridReferenceFormatter } from '../hooks/useGrid.js';
+import { usePreferencesStore } from '../hooks/usePreferences.js';
+import GridOverlay from './GridOverlay.jsx';
 import {
   buildRouteShareSnapshot,
   decodeRouteShare,
@@ -10,6 +23,16 @@ import {
   encodeLocationCode,
   decodeLocationCode
 } from '../utils/routeUtils.js';
+import { ROUTING_ENGINES } from '../utils/routing.js';
+import { useRoutedPaths, useRoutingStore } from '../hooks/useRouting.js';
+import { TILE_CACHE_NAME, buildTileUrl, latLngToTile, registerTileWorker } from '../utils/tileCache.js';
+import { DEFAULT_TILE_BYTES, MAX_REGION_TILES, estimateRegionTiles, rectangleToPolygon } from '../utils/tileRegions.js';
+import { useTileRegionsStore } from '../hooks/useTileRegions.js';
+import { useElevationStore } from '../hooks/useElevation.js';
+import { useTracksStore } from '../hooks/useTracks.js';
+import { DEM_PROVIDER } from '../utils/elevation.js';
+import { usePersistenceStore } from '../hooks/usePersistence.js';
+import { useWorkspacesStore } from '../hooks/useWorkspaces.js';
 
 const MapDropHandler = ({ onDropItem }) => {
   const map = useMap();
@@ -61,6 +84,498 @@ const MapDropHandler = ({ onDropItem }) => {
   return null;
 };
 
+const ROUTING_ENGINE_LABELS = { osrm: 'OSRM', valhalla: 'Valhalla', offline: 'On-device graph' };
+
+const formatCount = (value) => new Intl.NumberFormat('en-US').format(value);
+
+const OfflineGraphSection = ({ themeStyles, inputClass, getFeedbackToneClass }) => {
+  const offlineGraphs = useRoutingStore((state) => state.offlineGraphs);
+  const refreshOfflineGraphs = useRoutingStore((state) => state.refreshOfflineGraphs);
+  const importOfflineGraph = useRoutingStore((state) => state.importOfflineGraph);
+  const removeOfflineGraph = useRoutingStore((state) => state.removeOfflineGraph);
+  const [status, setStatus] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    refreshOfflineGraphs();
+  }, [refreshOfflineGraphs]);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setIsImporting(true);
+    setStatus({ tone: 'info', message: `Importing ${file.name}…` });
+    try {
+      const summary = await importOfflineGraph(file);
+      setStatus({
+        tone: 'success',
+        message: `Stored ${summary.name}: ${formatCount(summary.edgeCount)} path segments.`
+      });
+    } catch (err) {
+      setStatus({ tone: 'error', message: err?.message ?? 'Unable to import graph.' });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleRemove = async (graph) => {
+    try {
+      await removeOfflineGraph(graph.id);
+      setStatus({ tone: 'info', message: `Removed ${graph.name}.` });
+    } catch (err) {
+      setStatus({ tone: 'error', message: err?.message ?? 'Unable to remove graph.' });
+    }
+  };
+
+  return (
+    <section className={`${themeStyles.layerOption} flex flex-col gap-2`}>
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <p className="text-[12px] font-semibold leading-tight">Offline routing graphs</p>
+          <p className={themeStyles.layerOptionDescription}>
+            Import a CadNav graph file or an Overpass JSON export of paths and tracks. Road mode uses it when the
+            router is unreachable, or always with the on-device engine.
+          </p>
+        </div>
+        <button
+          type="button"
+          className={`${themeStyles.panelButton} ${isImporting ? 'pointer-events-none opacity-50' : ''}`}
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isImporting}
+        >
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.geojson,application/json"
+          className="hidden"
+          onChange={handleFileChange}
+        />
+      </div>
+      {offlineGraphs.length > 0 && (
+        <ul className="flex flex-col gap-1 text-[11px]">
+          {offlineGraphs.map((graph) => (
+            <li key={graph.id} className={`${inputClass} flex items-center justify-between gap-2 rounded-lg px-2 py-1`}>
+              <span className="min-w-0 truncate">
+                <span className="font-semibold">{graph.name}</span>
+                <span className="opacity-60"> · {formatCount(graph.nodeCount)} nodes</span>
+              </span>
+              <button
+                type="button"
+                className="text-[10px] font-semibold text-rose-500 hover:text-rose-400"
+                onClick={() => handleRemove(graph)}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {status && (
+        <span role="status" aria-live="polite" className={`text-[11px] font-semibold ${getFeedbackToneClass(status.tone)}`}>
+          {status.message}
+        </span>
+      )}
+    </section>
+  );
+};
+
+const formatBytes = (bytes) => {
+  if (!Number.isFinite(bytes) || bytes <= 0) return '0 MB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  const megabytes = bytes / (1024 * 1024);
+  return megabytes >= 1024 ? `${(megabytes / 1024).toFixed(1)} GB` : `${megabytes.toFixed(megabytes < 10 ? 1 : 0)} MB`;
+};
+
+const REGION_STATUS_LABELS = {
+  downloading: 'Downloading',
+  paused: 'Paused',
+  complete: 'Ready offline',
+  incomplete: 'Some tiles failed'
+};
+
+const regionProgress = (region) =>
+  region.tileCount > 0 ? Math.min(1, (region.downloadedCount + region.failedCount) / region.tileCount) : 1;
+
+const draftLineOptions = { color: '#0ea5e9', weight: 2, dashArray: '6 4', opacity: 0.9 };
+const draftFillOptions = { ...draftLineOptions, fillColor: '#38bdf8', fillOpacity: 0.15 };
+const savedRegionOptions = { color: '#64748b', weight: 1, dashArray: '3 5', fillOpacity: 0.05 };
+
+const RegionSelectHandler = () => {
+  const draft = useTileRegionsStore((state) => state.draft);
+  const regions = useTileRegionsStore((state) => state.regions);
+  const addDraftPoint = useTileRegionsStore((state) => state.addDraftPoint);
+  const setDraftRectangle = useTileRegionsStore((state) => state.setDraftRectangle);
+  const [hoverPoint, setHoverPoint] = useState(null);
+  const dragRef = useRef(null);
+  const suppressClickRef = useRef(false);
+  const isDrawingRectangle = draft?.mode === 'rectangle' && !draft.closed;
+
+  const map = useMapEvents({
+    mousedown: (event) => {
+      suppressClickRef.current = false;
+      if (!isDrawingRectangle || draft.points.length > 0 || event.originalEvent?.button !== 0) return;
+      dragRef.current = { start: [event.latlng.lat, event.latlng.lng], origin: event.containerPoint, moved: false };
+    },
+    mousemove: (event) => {
+      if (!draft || draft.closed) return;
+      const point = [event.latlng.lat, event.latlng.lng];
+      setHoverPoint(point);
+      if (dragRef.current && event.containerPoint.distanceTo(dragRef.current.origin) > 8) {
+        dragRef.current.moved = true;
+      }
+    },
+    mouseup: (event) => {
+      const drag = dragRef.current;
+      dragRef.current = null;
+      if (!drag?.moved) return;
+      suppressClickRef.current = true;
+      setDraftRectangle(drag.start, [event.latlng.lat, event.latlng.lng]);
+    },
+    click: (event) => {
+      if (suppressClickRef.current) {
+        suppressClickRef.current = false;
+        return;
+      }
+      if (!draft || draft.closed) return;
+      addDraftPoint([event.latlng.lat, event.latlng.lng]);
+    }
+  });
+
+  // Panning would swallow the drag, so it pauses while a rectangle is being drawn; pinch zoom still works.
+  useEffect(() => {
+    if (!isDrawingRectangle) return undefined;
+    map.dragging.disable();
+    return () => map.dragging.enable();
+  }, [isDrawingRectangle, map]);
+
+  useEffect(() => {
+    if (!draft || draft.closed) setHoverPoint(null);
+  }, [draft]);
+
+  if (!draft) return null;
+
+  let preview = null;
+  if (draft.closed) {
+    preview = <Polygon positions={draft.points} pathOptions={draftFillOptions} interactive={false} />;
+  } else if (draft.mode === 'rectangle') {
+    const anchor = dragRef.current?.start ?? draft.points[0];
+    if (anchor && hoverPoint) {
+      preview = <Polygon positions={rectangleToPolygon(anchor, hoverPoint)} pathOptions={draftFillOptions} interactive={false} />;
+    }
+  } else if (draft.points.length > 0) {
+    preview = (
+      <Polyline
+        positions={hoverPoint ? [...draft.points, hoverPoint] : draft.points}
+        pathOptions={draftLineOptions}
+        interactive={false}
+      />
+    );
+  }
+
+  return (
+    <>
+      {regions.map((region) => (
+        <Polygon key={region.id} positions={region.polygon} pathOptions={savedRegionOptions} interactive={false} />
+      ))}
+      {preview}
+      {!draft.closed &&
+        draft.points.map((point, index) => (
+          <CircleMarker
+            key={`draft-${index}`}
+            center={point}
+            radius={4}
+            pathOptions={{ color: '#0284c7', fillColor: '#f8fafc', fillOpacity: 1, weight: 2 }}
+            interactive={false}
+          />
+        ))}
+    </>
+  );
+};
+
+const RegionDraftPanel = ({ themeStyles, inputClass, providers, defaultProviderId, onSaved }) => {
+  const draft = useTileRegionsStore((state) => state.draft);
+  const regionCount = useTileRegionsStore((state) => state.regions.length);
+  const undoDraftPoint = useTileRegionsStore((state) => state.undoDraftPoint);
+  const finishDraft = useTileRegionsStore((state) => state.finishDraft);
+  const cancelDraft = useTileRegionsStore((state) => state.cancelDraft);
+  const saveDraft = useTileRegionsStore((state) => state.saveDraft);
+  const [name, setName] = useState(() => `Region ${regionCount + 1}`);
+  const [providerId, setProviderId] = useState(defaultProviderId);
+  const provider = providers.find((entry) => entry.id === providerId) ?? providers[0];
+  const clampZoom = (value) => Math.min(Math.max(value, provider.minZoom), provider.maxZoom);
+  const [minZoom, setMinZoom] = useState(() => clampZoom(draft.zoom));
+  const [maxZoom, setMaxZoom] = useState(() => clampZoom(draft.zoom + 3));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const zoomOptions = useMemo(() => {
+    const options = [];
+    for (let zoom = provider.minZoom; zoom <= provider.maxZoom; zoom += 1) options.push(zoom);
+    return options;
+  }, [provider]);
+
+  const estimate = useMemo(
+    () => (draft.closed ? estimateRegionTiles({ polygon: draft.points, minZoom, maxZoom }) : null),
+    [draft, minZoom, maxZoom]
+  );
+
+  const handleProviderChange = (event) => {
+    const next = providers.find((entry) => entry.id === event.target.value);
+    if (!next) return;
+    setProviderId(next.id);
+    setMinZoom((value) => Math.min(Math.max(value, next.minZoom), next.maxZoom));
+    setMaxZoom((value) => Math.min(Math.max(value, next.minZoom), next.maxZoom));
+  };
+
+  const handleDownload = async () => {
+    setIsSaving(true);
+    try {
+      const region = await saveDraft({ name: name.trim() || `Region ${regionCount + 1}`, provider, minZoom, maxZoom });
+      if (region) onSaved?.(region);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  let hint;
+  if (draft.closed) {
+    hint = 'Pick the zoom range and layer to download.';
+  } else if (draft.mode === 'rectangle') {
+    hint = draft.points.length === 0 ? 'Drag across the area, or tap two opposite corners.' : 'Tap the opposite corner.';
+  } else {
+    hint = `Tap the map to add corners (${draft.points.length} placed), then Finish.`;
+  }
+
+  const canDownload = draft.closed && estimate && estimate.count > 0 && !estimate.capped && !isSaving;
+  const selectClass = `${inputClass} rounded-lg px-2 py-1 text-[11px]`;
+
+  return (
+    <div
+      className="pointer-events-none absolute left-1/2 z-[995] w-full max-w-sm -translate-x-1/2 px-4"
+      style={{ bottom: 'calc(env(safe-area-inset-bottom, 0px) + 5rem)' }}
+    >
+      <div className={`${themeStyles.panel} w-full shadow-2xl shadow-slate-950/40`}>
+        <div className="flex items-center justify-between gap-2">
+          <span className={themeStyles.panelTitle}>
+            Offline region · {draft.mode === 'rectangle' ? 'Rectangle' : 'Polygon'}
+          </span>
+          <button type="button" className="text-[11px] font-semibold opacity-70 hover:opacity-100" onClick={cancelDraft}>
+            Cancel
+          </button>
+        </div>
+        <p className="mt-1 text-[11px] opacity-70">{hint}</p>
+
+        {draft.closed && (
+          <div className="mt-3 flex flex-col gap-2 text-[11px]">
+            <input
+              type="text"
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              className={`${inputClass} rounded-lg px-2 py-1 text-[12px]`}
+              aria-label="Region name"
+              maxLength={60}
+            />
+            <select value={provider.id} onChange={handleProviderChange} className={selectClass} aria-label="Layer">
+              {providers.map((entry) => (
+                <option key={entry.id} value={entry.id}>
+                  {entry.label}
+                </option>
+              ))}
+            </select>
+            <div className="flex items-center gap-2">
+              <span className="opacity-70">Zoom</span>
+              <select
+                value={minZoom}
+                onChange={(event) => {
+                  const value = Number(event.target.value);
+                  setMinZoom(value);
+                  setMaxZoom((current) => Math.max(current, value));
+                }}
+                className={selectClass}
+                aria-label="Minimum zoom"
+              >
+                {zoomOptions.map((zoom) => (
+                  <option key={zoom} value={zoom}>
+                    {zoom}
+                  </option>
+                ))}
+              </select>
+              <span className="opacity-70">to</span>
+              <select
+                value={maxZoom}
+                onChange={(event) => {
+                  const value = Number(event.target.value);
+                  setMaxZoom(value);
+                  setMinZoom((current) => Math.min(current, value));
+                }}
+                className={selectClass}
+                aria-label="Maximum zoom"
+              >
+                {zoomOptions.map((zoom) => (
+                  <option key={zoom} value={zoom}>
+                    {zoom}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {estimate &&
+              (estimate.capped ? (
+                <p className="font-semibold text-amber-500">
+                  Over {formatCount(MAX_REGION_TILES)} tiles. Shrink the area or lower the maximum zoom.
+                </p>
+              ) : (
+                <p className="font-semibold">
+                  ≈ {formatCount(estimate.count)} tiles · ~{formatBytes(estimate.count * (provider.averageTileBytes ?? DEFAULT_TILE_BYTES))}
+                </p>
+              ))}
+          </div>
+        )}
+
+        <div className="mt-3 flex flex-wrap justify-end gap-2">
+          {(draft.points.length > 0 || draft.closed) && (
+            <button type="button" className={themeStyles.panelButton} onClick={undoDraftPoint}>
+              {draft.closed && draft.mode === 'rectangle' ? 'Redraw' : 'Undo point'}
+            </button>
+          )}
+          {draft.mode === 'polygon' && !draft.closed && (
+            <button
+              type="button"
+              className={`${themeStyles.panelButton} ${draft.points.length < 3 ? 'pointer-events-none opacity-50' : ''}`}
+              onClick={finishDraft}
+              disabled={draft.points.length < 3}
+            >
+              Finish
+            </button>
+          )}
+          {draft.closed && (
+            <button
+              type="button"
+              className={`${themeStyles.panelButton} ${canDownload ? '' : 'pointer-events-none opacity-50'}`}
+              onClick={handleDownload}
+              disabled={!canDownload}
+            >
+              Download
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const OfflineRegionSection = ({ themeStyles, inputClass, getFeedbackToneClass, onStartDraft, onFocusRegion }) => {
+  const regions = useTileRegionsStore((state) => state.regions);
+  const activeRegionId = useTileRegionsStore((state) => state.activeRegionId);
+  const error = useTileRegionsStore((state) => state.error);
+  const resumeDownload = useTileRegionsStore((state) => state.resumeDownload);
+  const pauseDownload = useTileRegionsStore((state) => state.pauseDownload);
+  const removeRegion = useTileRegionsStore((state) => state.removeRegion);
+  const refreshRegions = useTileRegionsStore((state) => state.refreshRegions);
+
+  useEffect(() => {
+    refreshRegions();
+  }, [refreshRegions]);
+
+  const totalBytes = regions.reduce((total, region) => total + (region.bytes ?? 0), 0);
+
+  return (
+    <section className={`${themeStyles.layerOption} flex flex-col gap-2`}>
+      <div>
+        <p className="text-[12px] font-semibold leading-tight">Offline map regions</p>
+        <p className={themeStyles.layerOptionDescription}>
+          Select an area on the map and download its tiles for a zoom range. Downloaded tiles are used automatically
+          when there is no signal.
+        </p>
+      </div>
+      <div className="flex gap-2">
+        <button type="button" className={themeStyles.panelButton} onClick={() => onStartDraft('rectangle')}>
+          Rectangle
+        </button>
+        <button type="button" className={themeStyles.panelButton} onClick={() => onStartDraft('polygon')}>
+          Polygon
+        </button>
+      </div>
+      {regions.length > 0 && (
+        <ul className="flex flex-col gap-1.5 text-[11px]">
+          {regions.map((region) => {
+            const isActive = region.id === activeRegionId;
+            const progress = regionProgress(region);
+            return (
+              <li key={region.id} className={`${inputClass} flex flex-col gap-1 rounded-lg px-2 py-1.5`}>
+                <div className="flex items-center justify-between gap-2">
+                  <button
+                    type="button"
+                    className="min-w-0 truncate text-left font-semibold hover:underline"
+                    onClick={() => onFocusRegion(region)}
+                    title="Show on map"
+                  >
+                    {region.name}
+                  </button>
+                  <div className="flex shrink-0 items-center gap-2 text-[10px] font-semibold">
+                    {isActive ? (
+                      <button type="button" className="text-sky-500 hover:text-sky-400" onClick={pauseDownload}>
+                        Pause
+                      </button>
+                    ) : (
+                      region.status !== 'complete' && (
+                        <button type="button" className="text-sky-500 hover:text-sky-400" onClick={() => resumeDownload(region.id)}>
+                          {region.status === 'incomplete' ? 'Retry' : 'Resume'}
+                        </button>
+                      )
+                    )}
+                    <button type="button" className="text-rose-500 hover:text-rose-400" onClick={() => removeRegion(region.id)}>
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                <div className="h-1 overflow-hidden rounded-full bg-slate-400/30">
+                  <div
+                    className={`h-full ${region.status === 'incomplete' ? 'bg-amber-500' : 'bg-sky-500'}`}
+                    style={{ width: `${Math.round(progress * 100)}%` }}
+                  />
+                </div>
+                <span className="opacity-70">
+                  {region.providerLabel} · z{region.minZoom}–{region.maxZoom} · {formatBytes(region.bytes)}
+                  {region.status === 'complete' ? '' : ` of ~${formatBytes(region.estimatedBytes)}`} ·{' '}
+                  {isActive ? `${Math.round(progress * 100)}%` : REGION_STATUS_LABELS[region.status] ?? region.status}
+                  {region.failedCount > 0 ? ` · ${formatCount(region.failedCount)} failed` : ''}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {regions.length > 1 && <span className="text-[11px] opacity-70">{formatBytes(totalBytes)} stored in total</span>}
+      {error && (
+        <span role="status" aria-live="polite" className={`text-[11px] font-semibold ${getFeedbackToneClass('error')}`}>
+          {error}
+        </span>
+      )}
+    </section>
+  );
+};
+
+const RegionDownloadBadge = ({ themeStyles }) => {
+  const region = useTileRegionsStore((state) => state.regions.find((entry) => entry.id === state.activeRegionId));
+  const pauseDownload = useTileRegionsStore((state) => state.pauseDownload);
+  if (!region) return null;
+  return (
+    <div className="pointer-events-none absolute left-1/2 top-14 z-[995] -translate-x-1/2">
+      <div className={`pointer-events-auto flex items-center gap-2 ${themeStyles.badge}`}>
+        <span>
+          Downloading {region.name} · {Math.round(regionProgress(region) * 100)}%
+        </span>
+        <button type="button" className="font-semibold text-sky-500 hover:text-sky-400" onClick={pauseDownload}>
+          Pause
+        </button>
+      </div>
+    </div>
+  );
+};
+
 const toolbarIconSources = import.meta.glob('../../assets/*.png', {
   eager: true,
   import: 'default'
@@ -124,7 +639,8 @@ const tileProviders = {
     subdomains: ['a', 'b', 'c'],
     maxZoom: 19,
     minZoom: 3,
-    category: 'Streets'
+    category: 'Streets',
+    averageTileBytes: 18000
   },
   light: {
     id: 'light',
@@ -136,7 +652,8 @@ const tileProviders = {
     subdomains: ['a', 'b', 'c', 'd'],
     maxZoom: 19,
     minZoom: 3,
-    category: 'Streets'
+    category: 'Streets',
+    averageTileBytes: 9000
   },
   dark: {
     id: 'dark',
@@ -148,7 +665,8 @@ const tileProviders = {
     subdomains: ['a', 'b', 'c', 'd'],
     maxZoom: 19,
     minZoom: 3,
-    category: 'Streets'
+    category: 'Streets',
+    averageTileBytes: 8000
   },
   voyager: {
     id: 'voyager',
@@ -160,7 +678,8 @@ const tileProviders = {
     subdomains: ['a', 'b', 'c', 'd'],
     maxZoom: 19,
     minZoom: 3,
-    category: 'Streets'
+    category: 'Streets',
+    averageTileBytes: 14000
   },
   hot: {
     id: 'hot',
@@ -172,7 +691,8 @@ const tileProviders = {
     subdomains: ['a', 'b', 'c'],
     maxZoom: 19,
     minZoom: 3,
-    category: 'Streets'
+    category: 'Streets',
+    averageTileBytes: 20000
   },
   topo: {
     id: 'topo',
@@ -184,7 +704,8 @@ const tileProviders = {
     subdomains: ['a', 'b', 'c'],
     maxZoom: 17,
     minZoom: 3,
-    category: 'Outdoor'
+    category: 'Outdoor',
+    averageTileBytes: 24000
   },
   satellite: {
     id: 'satellite',
@@ -196,7 +717,8 @@ const tileProviders = {
     subdomains: [],
     maxZoom: 19,
     minZoom: 3,
-    category: 'Imagery'
+    category: 'Imagery',
+    averageTileBytes: 30000
   }
 };
 
@@ -286,32 +808,6 @@ const helpSections = [
   }
 ];
 
-const latLngToTile = (lat, lng, zoom) => {
-  const latRad = (lat * Math.PI) / 180;
-  const scale = 2 ** zoom;
-  const x = Math.floor(((lng + 180) / 360) * scale);
-  const y = Math.floor(
-    ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale
-  );
-  const maxIndex = scale - 1;
-  return {
-    x: Math.min(Math.max(x, 0), maxIndex),
-    y: Math.min(Math.max(y, 0), maxIndex),
-    z: zoom
-  };
-};
-
-const buildTileUrl = (template, subdomains, { x, y, z }) => {
-  const domainPool = Array.isArray(subdomains) && subdomains.length > 0 ? subdomains : [''];
-  const index = Math.abs((x + y) % domainPool.length);
-  const subdomain = domainPool[index];
-  return template
-    .replace('{s}', subdomain)
-    .replace('{x}', x)
-    .replace('{y}', y)
-    .replace('{z}', z);
-};
-
 const createIcon = (color, label) =>
   L.divIcon({
     className: 'flex items-center justify-center rounded-full text-xs font-semibold text-white shadow-lg shadow-slate-900/50',
@@ -351,6 +847,18 @@ const createPeerIcon = (color = '#22c55e') =>
     iconAnchor: [16, 16]
   });
 
+// Keeps the active workspace's saved view in step with the map.
+const MapViewTracker = () => {
+  const setMapView = useWorkspacesStore((state) => state.setMapView);
+  const map = useMapEvents({
+    moveend: () => {
+      const center = map.getCenter();
+      setMapView({ center: [center.lat, center.lng], zoom: map.getZoom() });
+    }
+  });
+  return null;
+};
+
 const PlacementHandler = () => {
   const {
     placementMode,
@@ -448,10 +956,18 @@ const MapView = ({
     toggleConnectMode,
     loadRouteSnapshot,
     placementMode,
-    addCheckpoint
+    addCheckpoint,
+    history,
+    undo,
+    redo
   } = useCheckpoints();
   const mapRef = useRef(null);
-  const hasCenteredRef = useRef(false);
+  // A workspace that remembers its view opens there instead of jumping to the first GPS fix.
+  const [initialView] = useState(() => useWorkspacesStore.getState().mapView);
+  const viewRevision = useWorkspacesStore((state) => state.viewRevision);
+  const viewRevisionRef = useRef(viewRevision);
+  const hasCenteredRef = useRef(Boolean(initialView));
+  const lastBaseLayerRef = useRef(baseLayer);
   const lastRequestTokenRef = useRef(0);
   const [cacheStatus, setCacheStatus] = useState(null);
   const [isCaching, setIsCaching] = useState(false);
@@ -468,6 +984,17 @@ const MapView = ({
   const [shareCalloutValue, setShareCalloutValue] = useState('');
   const [shareCalloutTarget, setShareCalloutTarget] = useState('checkpoint');
   const [shareCalloutStatus, setShareCalloutStatus] = useState(null);
+  const routerUrl = useRoutingStore((state) => state.serverUrl);
+  const routerEngine = useRoutingStore((state) => state.engine);
+  const setRouterUrl = useRoutingStore((state) => state.setServerUrl);
+  const setRouterEngine = useRoutingStore((state) => state.setEngine);
+  const [routerUrlDraft, setRouterUrlDraft] = useState(routerUrl);
+  const persistenceMessage = usePersistenceStore((state) => state.message);
+  const regionDraft = useTileRegionsStore((state) => state.draft);
+  const startRegionDraft = useTileRegionsStore((state) => state.startDraft);
+  const elevationHighlight = useElevationStore((state) => state.highlight);
+  const savedTracks = useTracksStore((state) => state.tracks);
+  const recordingTrack = useTracksStore((state) => state.recording);
   const cacheStatusTimeoutRef = useRef(null);
   const tileFailureRef = useRef(0);
   const latestUserLocationRef = useRef(null);
@@ -479,7 +1006,7 @@ const MapView = ({
   const tileProvider = tileProviders[baseLayer] ?? tileProviders.street;
   const themeStyles = toolbarThemes[toolbarTheme] ?? toolbarThemes.light;
   const mapThemeClass = toolbarTheme === 'dark' ? 'map-theme-dark' : 'map-theme-light';
-  const mapCenter = userLocation ? [userLocation.lat, userLocation.lng] : defaultPosition;
+  const mapCenter = initialView?.center ?? (userLocation ? [userLocation.lat, userLocation.lng] : defaultPosition);
   const mapKey = userLocation ? 'user-centered' : 'default-centered';
   const scheduleInvalidate = useCallback(() => {
     if (mapRef.current) {
@@ -490,6 +1017,8 @@ const MapView = ({
     () => orderedProviderIds.map((id) => tileProviders[id]).filter(Boolean),
     []
   );
+  // Terrain heights can be saved for offline elevation profiles but aren't a viewable layer.
+  const regionProviders = useMemo(() => [...layerOptions, DEM_PROVIDER], [layerOptions]);
 
   const toolbarPositionStyle = useMemo(
     () => ({
@@ -557,6 +1086,9 @@ const MapView = ({
 
   const hasShareCode = Boolean(shareCode);
 
+  const formatGridReference = useGridReferenceFormatter();
+  const showGridLines = usePreferencesStore((state) => state.showGridLines);
+
   const shareLocationCodes = useMemo(() => {
     return shareTargetRoutes
       .map((route) => {
@@ -568,6 +1100,7 @@ const MapView = ({
               key: `${route.id}-${checkpoint.id}`,
               label: checkpoint.name || `Point ${index + 1}`,
               code: encodeLocationCode(checkpoint.position),
+              gridReference: formatGridReference(checkpoint.position),
               position: checkpoint.position
             };
           })
@@ -580,7 +1113,7 @@ const MapView = ({
         };
       })
       .filter(Boolean);
-  }, [shareTargetRoutes, checkpointMap]);
+  }, [shareTargetRoutes, checkpointMap, formatGridReference]);
 
   const getFeedbackToneClass = useCallback((tone) => {
     if (tone === 'success') return 'text-emerald-500';
@@ -787,6 +1320,57 @@ const MapView = ({
     });
   }, []);
 
+  useEffect(() => {
+    if (persistenceMessage) {
+      showCacheStatus(persistenceMessage, 'warning', 8000);
+    }
+  }, [persistenceMessage, showCacheStatus]);
+
+  const handleUndo = useCallback(() => {
+    const label = undo();
+    if (label) showCacheStatus(`Undid: ${label}`, 'info', 2500);
+  }, [undo, showCacheStatus]);
+
+  const handleRedo = useCallback(() => {
+    const label = redo();
+    if (label) showCacheStatus(`Redid: ${label}`, 'info', 2500);
+  }, [redo, showCacheStatus]);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields keep their own undo.
+  useEffect(() => {
+    if (typeof window === 'undefined') return undefined;
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const target = event.target;
+      if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.metaKey)) {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  useEffect(() => {
+    registerTileWorker([...Object.values(tileProviders), DEM_PROVIDER]);
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker) return undefined;
+    let lastNoticeAt = 0;
+    const handleWorkerMessage = (event) => {
+      if (event.data?.type !== 'tile:placeholder') return;
+      const now = Date.now();
+      if (now - lastNoticeAt < 30000) return;
+      lastNoticeAt = now;
+      showCacheStatus('Some tiles are not cached for offline use.', 'warning', 5000);
+    };
+    navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+  }, [showCacheStatus]);
+
   useEffect(() => {
     setMapError(null);
     showCacheStatus(null);
@@ -852,7 +1436,17 @@ const MapView = ({
   }, [userLocation]);
 
   useEffect(() => {
-    if (!mapRef.current) return;
+    if (viewRevision === viewRevisionRef.current) return;
+    viewRevisionRef.current = viewRevision;
+    const view = useWorkspacesStore.getState().mapView;
+    if (!mapRef.current || !view) return;
+    mapRef.current.setView(view.center, view.zoom, { animate: false });
+    hasCenteredRef.current = true;
+  }, [viewRevision]);
+
+  useEffect(() => {
+    if (!mapRef.current || lastBaseLayerRef.current === baseLayer) return;
+    lastBaseLayerRef.current = baseLayer;
     hasCenteredRef.current = false;
     scheduleInvalidate();
     const latestLocation = latestUserLocationRef.current;
@@ -1036,7 +1630,7 @@ const MapView = ({
     try {
       setIsCaching(true);
       showCacheStatus('Caching satellite tiles nearby…', 'info', null);
-      const cache = await caches.open('cadet-map-tile-cache');
+      const cache = await caches.open(TILE_CACHE_NAME);
       let successCount = 0;
       const errors = [];
 
@@ -1135,6 +1729,29 @@ const MapView = ({
   const cacheDisabled = baseLayer !== 'satellite' || isCaching;
   const cacheButtonLabel = isCaching ? 'Caching…' : baseLayer !== 'satellite' ? 'Satellite required' : 'Cache tiles';
 
+  const closeSettings = useCallback(() => {
+    if (isSettingsOpen && typeof onToggleSettings === 'function') {
+      onToggleSettings();
+    }
+    setSettingsView('settings');
+  }, [isSettingsOpen, onToggleSettings]);
+
+  const handleStartRegionDraft = useCallback(
+    (mode) => {
+      closeSettings();
+      startRegionDraft(mode, mapRef.current?.getZoom());
+    },
+    [closeSettings, startRegionDraft]
+  );
+
+  const handleFocusRegion = useCallback(
+    (region) => {
+      closeSettings();
+      mapRef.current?.fitBounds(region.polygon, { padding: [32, 32] });
+    },
+    [closeSettings]
+  );
+
   const tileEventHandlers = useMemo(
     () => ({
       loading: () => {
@@ -1268,12 +1885,50 @@ const MapView = ({
       });
   }, [routes, checkpointMap]);
 
+  useEffect(() => {
+    setRouterUrlDraft(routerUrl);
+  }, [routerUrl]);
+
+  // One polyline per recorded segment; the live recording draws bolder than saved tracks.
+  const trackLines = useMemo(
+    () =>
+      [
+        ...savedTracks.filter((track) => track.isVisible).map((track) => ({ track, isLive: false })),
+        ...(recordingTrack ? [{ track: recordingTrack, isLive: true }] : [])
+      ].flatMap(({ track, isLive }) =>
+        track.segments
+          .filter((segment) => segment.length >= 2)
+          .map((segment, index) => ({
+            key: `${track.id}-${index}`,
+            color: track.color,
+            isLive,
+            positions: segment.map((point) => [point.lat, point.lng])
+          }))
+      ),
+    [savedTracks, recordingTrack]
+  );
+
+  const routedPaths = useRoutedPaths(routePaths, connectVia === 'route');
+  const routerFallbackRef = useRef(0);
+  useEffect(() => {
+    if (routedPaths.fallbackCount > 0 && routerFallbackRef.current === 0) {
+      showCacheStatus(
+        routerEngine === 'offline'
+          ? 'No offline graph covers some legs – showing straight legs'
+          : 'Router unreachable – showing straight legs',
+        'warning',
+        5000
+      );
+    }
+    routerFallbackRef.current = routedPaths.fallbackCount;
+  }, [routedPaths.fallbackCount, routerEngine, showCacheStatus]);
+
   return (
     <div className="relative h-full w-full flex-1">
       <MapContainer
         key={mapKey}
         center={mapCenter}
-        zoom={13}
+        zoom={initialView?.zoom ?? 13}
         className={`h-full w-full ${mapThemeClass}`}
         preferCanvas
         ref={mapRef}
@@ -1294,7 +1949,10 @@ const MapView = ({
           maxNativeZoom={lowDataMode ? 16 : undefined}
           eventHandlers={tileEventHandlers}
         />
+        {showGridLines && <GridOverlay theme={toolbarTheme} />}
         <PlacementHandler />
+        <MapViewTracker />
+        <RegionSelectHandler />
 
         {userLocation && (
           <Marker
@@ -1344,9 +2002,42 @@ const MapView = ({
                 pathOptions={{ color: '#d946ef', weight: 3, dashArray: '5 5', opacity: 0.6 }}
               />
             )}
+            {previewLocation.lines?.map((line, index) => (
+              <Polyline
+                key={`preview-line-${index}`}
+                positions={line.map((point) => [point.lat, point.lng])}
+                pathOptions={{ color: '#d946ef', weight: 2, dashArray: '6 4', opacity: 0.7 }}
+                interactive={false}
+              />
+            ))}
+            {previewLocation.area && (
+              <Polygon
+                positions={previewLocation.area.map((point) => [point.lat, point.lng])}
+                pathOptions={{ color: '#f59e0b', weight: 2, fillColor: '#f59e0b', fillOpacity: 0.25 }}
+                interactive={false}
+              />
+            )}
           </>
         )}
 
+        {elevationHighlight && (
+          <CircleMarker
+            center={[elevationHighlight.position.lat, elevationHighlight.position.lng]}
+            radius={7}
+            pathOptions={{ color: '#f59e0b', fillColor: '#fef3c7', fillOpacity: 1, weight: 3 }}
+            interactive={false}
+          />
+        )}
+
+        {trackLines.map((line) => (
+          <Polyline
+            key={`track-${line.key}`}
+            positions={line.positions}
+            pathOptions={{ color: line.color, weight: line.isLive ? 4 : 3, opacity: line.isLive ? 0.9 : 0.65, dashArray: '2 6' }}
+            interactive={false}
+          />
+        ))}
+
         {connectVia === 'direct' && routePaths.map(route => (
           route.positions.length >= 2 && (
             <Polyline
@@ -1357,15 +2048,19 @@ const MapView = ({
           )
         ))}
 
-        {connectVia === 'route' && routePaths.map(route => (
-          route.positions.length >= 2 && (
+        {connectVia === 'route' && routedPaths.routes.map(route =>
+          route.legs.map((leg, index) => (
             <Polyline
-              key={`route-${route.id}`}
-              positions={route.positions}
-              pathOptions={{ color: route.color, weight: 4, dashArray: '10 6', opacity: 0.8 }}
+              key={`route-${route.id}-${index}`}
+              positions={leg.positions}
+              pathOptions={
+                leg.pending || leg.fallback
+                  ? { color: route.color, weight: 4, dashArray: '10 6', opacity: 0.6 }
+                  : { color: route.color, weight: 4, opacity: 0.8 }
+              }
             />
-          )
-        ))}
+          ))
+        )}
 
         {Object.values(peers).map((peer) =>
           (peer.routes ?? []).map((route) => {
@@ -1424,6 +2119,18 @@ const MapView = ({
         </div>
       )}
 
+      {regionDraft && (
+        <RegionDraftPanel
+          key={regionDraft.mode}
+          themeStyles={themeStyles}
+          inputClass={shareInputClass}
+          providers={regionProviders}
+          defaultProviderId={tileProvider.id}
+          onSaved={(region) => showCacheStatus(`Downloading ${region.name}…`, 'info', 3000)}
+        />
+      )}
+      {!regionDraft && !isSettingsOpen && <RegionDownloadBadge themeStyles={themeStyles} />}
+
       <div
         className={`pointer-events-none absolute z-[990] flex flex-col items-end gap-3 transition-opacity duration-300 ${hideToolbar ? 'opacity-0' : 'opacity-100'}`}
         style={toolbarPositionStyle}
@@ -1451,6 +2158,22 @@ const MapView = ({
             title="Open route tools"
             themeStyles={themeStyles}
           />
+          <ToolbarButton
+            iconName="undo"
+            label="Undo"
+            onClick={handleUndo}
+            title={history.past.length ? `Undo ${history.past[history.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+            disabled={history.past.length === 0}
+            themeStyles={themeStyles}
+          />
+          <ToolbarButton
+            iconName="redo"
+            label="Redo"
+            onClick={handleRedo}
+            title={history.future.length ? `Redo ${history.future[history.future.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+            disabled={history.future.length === 0}
+            themeStyles={themeStyles}
+          />
           <ToolbarButton
             iconName="settings"
             label="Settings"
@@ -1759,7 +2482,8 @@ const MapView = ({
                       <div>
                         <p className="text-[12px] font-semibold leading-tight">Location codes</p>
                         <p className={themeStyles.layerOptionDescription}>
-                          Geohash references &asymp;5&nbsp;m accuracy for quick callouts.
+                          Geohash references &asymp;5&nbsp;m accuracy for quick callouts, with the grid reference in
+                          the system chosen in Grid tools.
                         </p>
                       </div>
                       <div className="flex flex-col gap-3">
@@ -1774,7 +2498,10 @@ const MapView = ({
                                   <span className="font-semibold uppercase tracking-wide text-[10px] opacity-70">
                                     {entry.label}
                                   </span>
-                                  <span>{entry.code}</span>
+                                  <span className="flex flex-col items-end">
+                                    <span>{entry.code}</span>
+                                    {entry.gridReference && <span className="opacity-70">{entry.gridReference}</span>}
+                                  </span>
                                 </li>
                               ))}
                             </ul>
@@ -1867,6 +2594,56 @@ const MapView = ({
                       {cacheButtonLabel}
                     </button>
                   </div>
+                  <OfflineRegionSection
+                    themeStyles={themeStyles}
+                    inputClass={shareInputClass}
+                    getFeedbackToneClass={getFeedbackToneClass}
+                    onStartDraft={handleStartRegionDraft}
+                    onFocusRegion={handleFocusRegion}
+                  />
+                  <section className={`${themeStyles.layerOption} flex flex-col gap-2`}>
+                    <div>
+                      <p className="text-[12px] font-semibold leading-tight">Routing server</p>
+                      <p className={themeStyles.layerOptionDescription}>
+                        Used when routing is set to Road. Any OSRM or Valhalla endpoint works, including one on your
+                        own laptop; <code>{'{profile}'}</code> is replaced with foot, bike or car.
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={routerEngine}
+                        onChange={(event) => setRouterEngine(event.target.value)}
+                        className={`${shareInputClass} rounded-lg px-2 py-1 text-[11px]`}
+                        aria-label="Routing engine"
+                      >
+                        {ROUTING_ENGINES.map((engine) => (
+                          <option key={engine} value={engine}>
+                            {ROUTING_ENGINE_LABELS[engine]}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="url"
+                        value={routerUrlDraft}
+                        onChange={(event) => setRouterUrlDraft(event.target.value)}
+                        onBlur={() => setRouterUrl(routerUrlDraft)}
+                        onKeyDown={(event) => {
+                          if (event.key === 'Enter') setRouterUrl(routerUrlDraft);
+                        }}
+                        className={`${shareInputClass} min-w-0 flex-1 rounded-lg px-2 py-1 text-[11px] ${
+                          routerEngine === 'offline' ? 'opacity-50' : ''
+                        }`}
+                        spellCheck={false}
+                        disabled={routerEngine === 'offline'}
+                        aria-label="Routing server URL"
+                      />
+                    </div>
+                  </section>
+                  <OfflineGraphSection
+                    themeStyles={themeStyles}
+                    inputClass={shareInputClass}
+                    getFeedbackToneClass={getFeedbackToneClass}
+                  />
                   <section className={`${themeStyles.layerOption} flex flex-col gap-2`}>
                     <div className="flex items-start justify-between gap-2">
                       <div>
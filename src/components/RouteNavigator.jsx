@@ -0,0 +1,254 @@
+import { useMemo, useState } from 'react';
+import { useNavigationStore } from '../hooks/useNavigation.js';
+import { ARRIVAL_ALERTS, usePreferencesStore } from '../hooks/usePreferences.js';
+import { useServerLinkStore } from '../hooks/useServerLinkStore.js';
+import { formatNavDistance } from '../utils/navCard.js';
+import { primeArrivalAlert } from '../utils/navigation.js';
+import { formatDuration } from '../utils/track.js';
+
+const RADIUS_OPTIONS = [10, 20, 30, 50, 100];
+const OFF_COURSE_OPTIONS = [25, 50, 100, 200];
+
+const ALERT_LABELS = {
+  both: 'Vibrate + beep',
+  vibrate: 'Vibrate',
+  beep: 'Beep',
+  off: 'Silent'
+};
+
+const buttonClass =
+  'rounded-md border border-slate-700 px-3 py-1.5 text-[11px] font-semibold text-slate-200 transition hover:border-sky-500 hover:bg-slate-800 disabled:cursor-not-allowed disabled:opacity-50';
+const selectClass =
+  'rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none';
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const describeCheck = (lastCheck, radiusMeters) => {
+  if (!lastCheck) return 'Waiting for a location fix…';
+  const accuracy = Number.isFinite(lastCheck.accuracy) ? ` (±${Math.round(lastCheck.accuracy)} m)` : '';
+  if (lastCheck.tooCoarse) return `Fix too coarse to confirm arrival${accuracy}.`;
+  return `${formatNavDistance(lastCheck.distanceMeters)} to go, arrival within ${radiusMeters} m${accuracy}.`;
+};
+
+/**
+ * Route navigation controls under the compass: pick a route and start, then follow the current
+ * leg and the log of checkpoints reached. Arrival detection itself runs in MapPage through
+ * `useArrivalDetection`, so it keeps working while this sheet is closed.
+ */
+const RouteNavigator = ({ routes, checkpointMap, routeId, locationEnabled }) => {
+  const session = useNavigationStore((state) => state.session);
+  const lastCheck = useNavigationStore((state) => state.lastCheck);
+  const startNavigation = useNavigationStore((state) => state.startNavigation);
+  const stopNavigation = useNavigationStore((state) => state.stopNavigation);
+  const setTargetIndex = useNavigationStore((state) => state.setTargetIndex);
+  const radiusMeters = usePreferencesStore((state) => state.arrivalRadiusMeters);
+  const setRadiusMeters = usePreferencesStore((state) => state.setArrivalRadiusMeters);
+  const arrivalAlert = usePreferencesStore((state) => state.arrivalAlert);
+  const setArrivalAlert = usePreferencesStore((state) => state.setArrivalAlert);
+  const autoAdvance = usePreferencesStore((state) => state.autoAdvance);
+  const setAutoAdvance = usePreferencesStore((state) => state.setAutoAdvance);
+  const offCourseThresholdMeters = usePreferencesStore((state) => state.offCourseThresholdMeters);
+  const setOffCourseThresholdMeters = usePreferencesStore((state) => state.setOffCourseThresholdMeters);
+  const reportOffCourse = usePreferencesStore((state) => state.reportOffCourse);
+  const setReportOffCourse = usePreferencesStore((state) => state.setReportOffCourse);
+  const role = useServerLinkStore((state) => state.role);
+
+  const [confirmStop, setConfirmStop] = useState(false);
+
+  const route = routes.find((entry) => entry.id === routeId) ?? null;
+  const checkpointIds = useMemo(
+    () => (route ? route.items.filter((id) => checkpointMap[id]?.position) : []),
+    [route, checkpointMap]
+  );
+
+  const handleStart = () => {
+    // Starting is the user gesture browsers need before the arrival beep can play.
+    primeArrivalAlert();
+    startNavigation({ routeId: route.id, routeName: route.name, checkpointIds });
+  };
+
+  // Abandoning a route part-way needs a second tap; a finished one closes straight away.
+  const handleStop = () => {
+    if (confirmStop || session.finishedAt) {
+      stopNavigation();
+      setConfirmStop(false);
+    } else {
+      setConfirmStop(true);
+    }
+  };
+
+  const settings = (
+    <div className="flex flex-wrap items-center gap-3">
+      <label className="flex items-center gap-2">
+        <span className="text-[10px] uppercase tracking-wide text-slate-400">Radius</span>
+        <select
+          value={radiusMeters}
+          onChange={(event) => setRadiusMeters(Number(event.target.value))}
+          className={selectClass}
+          aria-label="Arrival radius"
+        >
+          {[...new Set([...RADIUS_OPTIONS, radiusMeters])]
+            .sort((a, b) => a - b)
+            .map((value) => (
+              <option key={value} value={value}>
+                {value} m
+              </option>
+            ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2">
+        <span className="text-[10px] uppercase tracking-wide text-slate-400">Alert</span>
+        <select
+          value={arrivalAlert}
+          onChange={(event) => setArrivalAlert(event.target.value)}
+          className={selectClass}
+          aria-label="Arrival alert"
+        >
+          {ARRIVAL_ALERTS.map((value) => (
+            <option key={value} value={value}>
+              {ALERT_LABELS[value]}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2 text-[11px] text-slate-300">
+        <input
+          type="checkbox"
+          checked={autoAdvance}
+          onChange={(event) => setAutoAdvance(event.target.checked)}
+          className="h-3.5 w-3.5 rounded border-slate-600 text-sky-500 focus:ring-sky-500"
+        />
+        Auto-advance
+      </label>
+      <label className="flex items-center gap-2">
+        <span className="text-[10px] uppercase tracking-wide text-slate-400">Off course</span>
+        <select
+          value={offCourseThresholdMeters}
+          onChange={(event) => setOffCourseThresholdMeters(Number(event.target.value))}
+          className={selectClass}
+          aria-label="Warn when further off the leg than"
+        >
+          {[...new Set([...OFF_COURSE_OPTIONS, offCourseThresholdMeters])]
+            .sort((a, b) => a - b)
+            .map((value) => (
+              <option key={value} value={value}>
+                &gt;{value} m
+              </option>
+            ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2 text-[11px] text-slate-300">
+        <input
+          type="checkbox"
+          checked={reportOffCourse}
+          onChange={(event) => setReportOffCourse(event.target.checked)}
+          className="h-3.5 w-3.5 rounded border-slate-600 text-sky-500 focus:ring-sky-500"
+        />
+        Report off course to HQ
+      </label>
+    </div>
+  );
+
+  if (!session) {
+    return (
+      <div className="flex w-full flex-col gap-3 rounded-xl border border-slate-800 bg-slate-950 p-3 text-left text-xs text-slate-200">
+        <p className="text-xs font-semibold uppercase tracking-wide text-sky-300">Navigate route</p>
+        <p className="text-[11px] text-slate-400">
+          {route
+            ? `Walk ${route.name} checkpoint by checkpoint. Each arrival is logged${
+                role === 'client' ? ' and reported to HQ' : ''
+              }, and the compass moves on to the next one.`
+            : 'Pick a route to navigate.'}
+        </p>
+        {settings}
+        <button
+          type="button"
+          className="rounded-md bg-sky-600 py-2 text-[12px] font-semibold text-white transition hover:bg-sky-500 disabled:cursor-not-allowed disabled:opacity-50"
+          onClick={handleStart}
+          disabled={checkpointIds.length === 0}
+        >
+          {checkpointIds.length === 0 ? 'Route has no checkpoints' : `Navigate ${checkpointIds.length} checkpoints`}
+        </button>
+      </div>
+    );
+  }
+
+  const total = session.checkpointIds.length;
+  const target = checkpointMap[session.checkpointIds[session.targetIndex]];
+  const targetLabel = target?.name || `Point ${session.targetIndex + 1}`;
+  const awaitingNext = !session.finishedAt && session.arrivals.some((arrival) => arrival.index === session.targetIndex);
+
+  return (
+    <div className="flex w-full flex-col gap-3 rounded-xl border border-slate-800 bg-slate-950 p-3 text-left text-xs text-slate-200">
+      <div className="flex items-center justify-between gap-2">
+        <p className="text-xs font-semibold uppercase tracking-wide text-sky-300">Navigating {session.routeName}</p>
+        <span className="font-mono text-[11px] text-slate-400">
+          {session.arrivals.length}/{total} reached
+        </span>
+      </div>
+
+      {session.finishedAt ? (
+        <p className="text-sm font-semibold text-emerald-300">
+          Route complete in {formatDuration(session.finishedAt - session.startedAt)}.
+        </p>
+      ) : (
+        <div>
+          <p className="text-sm font-semibold text-slate-100">
+            Leg {session.targetIndex + 1} of {total} → {targetLabel}
+          </p>
+          <p className="text-[11px] text-slate-400">
+            {awaitingNext ? 'Arrived. Tap Next when you are ready to move on.' : describeCheck(lastCheck, radiusMeters)}
+          </p>
+          {!locationEnabled && (
+            <p className="text-[11px] text-rose-400">Location is off. Enable it to detect arrivals.</p>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          className={buttonClass}
+          onClick={() => setTargetIndex(session.targetIndex - 1)}
+          disabled={session.targetIndex === 0 || Boolean(session.finishedAt)}
+        >
+          Previous
+        </button>
+        <button
+          type="button"
+          className={buttonClass}
+          onClick={() => setTargetIndex(session.targetIndex + 1)}
+          disabled={session.targetIndex >= total - 1 || Boolean(session.finishedAt)}
+        >
+          {awaitingNext ? 'Next' : 'Skip'}
+        </button>
+        <button
+          type="button"
+          className={`${buttonClass} ${confirmStop ? 'border-red-500 text-red-300' : ''}`}
+          onClick={handleStop}
+        >
+          {confirmStop ? 'Confirm stop' : session.finishedAt ? 'Done' : 'Stop'}
+        </button>
+      </div>
+
+      {settings}
+
+      {session.arrivals.length > 0 && (
+        <ol className="flex flex-col gap-1 border-t border-slate-800 pt-2">
+          {session.arrivals.map((arrival) => (
+            <li key={`${arrival.index}-${arrival.arrivedAt}`} className="flex items-center justify-between gap-2 text-[11px]">
+              <span className="text-slate-200">
+                {arrival.index + 1}. {arrival.checkpointName}
+              </span>
+              <span className="font-mono text-slate-400">
+                {formatClock(arrival.arrivedAt)} · +{formatDuration(arrival.arrivedAt - session.startedAt)}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RouteNavigator;
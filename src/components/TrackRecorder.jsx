@@ -0,0 +1,221 @@
+import { useMemo, useState } from 'react';
+import { usePreferencesStore } from '../hooks/usePreferences.js';
+import { useTracksStore } from '../hooks/useTracks.js';
+import { downloadFile, toFileStem } from '../utils/download.js';
+import { formatNavDistance } from '../utils/navCard.js';
+import { buildTrackGpx } from '../utils/routeUtils.js';
+import { formatDuration, trackStats } from '../utils/track.js';
+
+const ACCURACY_OPTIONS = [10, 20, 30, 50, 100];
+
+const buttonClass =
+  'rounded-md border border-slate-700 px-3 py-1.5 text-[11px] font-semibold text-slate-200 transition hover:border-sky-500 hover:bg-slate-800';
+const smallButtonClass =
+  'rounded border border-slate-700 px-2 py-1 text-[11px] font-medium text-slate-200 transition hover:border-sky-500 hover:bg-slate-800';
+
+const TrackStats = ({ track }) => {
+  const stats = useMemo(() => trackStats(track), [track]);
+  return (
+    <dl className="grid grid-cols-4 gap-2 text-[11px]">
+      {[
+        ['Distance', formatNavDistance(stats.distanceMeters)],
+        ['Time', formatDuration(stats.elapsedMs)],
+        ['Moving', formatDuration(stats.movingMs)],
+        ['Points', String(stats.pointCount)]
+      ].map(([label, value]) => (
+        <div key={label}>
+          <dt className="text-[10px] uppercase tracking-wide text-slate-500">{label}</dt>
+          <dd className="font-mono text-slate-100">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+const describeLastFix = (lastFix, maxAccuracyMeters) => {
+  if (!lastFix) return 'Waiting for the first location fix…';
+  const accuracy = Number.isFinite(lastFix.accuracy) ? `±${Math.round(lastFix.accuracy)} m` : 'unknown accuracy';
+  if (lastFix.outcome === 'inaccurate') {
+    return `Skipping fixes worse than ±${maxAccuracyMeters} m (last was ${accuracy}).`;
+  }
+  if (lastFix.outcome === 'close') return `Holding position (${accuracy}).`;
+  return `Recording (${accuracy}).`;
+};
+
+const exportTracks = (tracks, name) =>
+  downloadFile(`${toFileStem(name, 'tracks')}.gpx`, buildTrackGpx({ tracks, name }), 'application/gpx+xml');
+
+/**
+ * Breadcrumb recorder: start, pause and stop a track of this device's movements, plus the list
+ * of saved tracks with their stats and GPX export.
+ */
+const TrackRecorder = ({ locationEnabled }) => {
+  const tracks = useTracksStore((state) => state.tracks);
+  const recording = useTracksStore((state) => state.recording);
+  const lastFix = useTracksStore((state) => state.lastFix);
+  const startRecording = useTracksStore((state) => state.startRecording);
+  const pauseRecording = useTracksStore((state) => state.pauseRecording);
+  const resumeRecording = useTracksStore((state) => state.resumeRecording);
+  const stopRecording = useTracksStore((state) => state.stopRecording);
+  const discardRecording = useTracksStore((state) => state.discardRecording);
+  const renameTrack = useTracksStore((state) => state.renameTrack);
+  const setTrackVisible = useTracksStore((state) => state.setTrackVisible);
+  const removeTrack = useTracksStore((state) => state.removeTrack);
+  const maxAccuracyMeters = usePreferencesStore((state) => state.trackMaxAccuracyMeters);
+  const setMaxAccuracyMeters = usePreferencesStore((state) => state.setTrackMaxAccuracyMeters);
+
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+
+  // Destructive buttons need a second tap, like workspace deletion.
+  const confirmThen = (id, action) => {
+    if (pendingDeleteId === id) {
+      action();
+      setPendingDeleteId(null);
+    } else {
+      setPendingDeleteId(id);
+    }
+  };
+  const confirmClass = (id) => (pendingDeleteId === id ? 'border-red-500 text-red-300' : '');
+
+  return (
+    <div className="flex flex-col gap-3 rounded-2xl bg-slate-900 p-4 text-xs text-slate-200 shadow-lg shadow-slate-950">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-base font-semibold text-sky-200">Tracks</h2>
+        <label className="flex items-center gap-2">
+          <span className="text-[10px] uppercase tracking-wide text-slate-400">Accuracy</span>
+          <select
+            value={maxAccuracyMeters}
+            onChange={(event) => setMaxAccuracyMeters(Number(event.target.value))}
+            className="rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+            aria-label="Ignore fixes less accurate than"
+          >
+            {[...new Set([...ACCURACY_OPTIONS, maxAccuracyMeters])]
+              .sort((a, b) => a - b)
+              .map((value) => (
+                <option key={value} value={value}>
+                  ±{value} m
+                </option>
+              ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="rounded-xl border border-slate-800 bg-slate-950 p-3">
+        {recording ? (
+          <div className="flex flex-col gap-3">
+            <div className="flex items-center gap-2">
+              <span
+                className={`h-2.5 w-2.5 rounded-full ${recording.status === 'recording' ? 'animate-pulse bg-rose-500' : 'bg-amber-400'}`}
+                aria-hidden="true"
+              />
+              <input
+                type="text"
+                value={recording.name}
+                onChange={(event) => renameTrack(recording.id, event.target.value)}
+                className="min-w-0 flex-1 rounded-md border border-slate-700 bg-slate-950 px-2 py-1 text-xs text-slate-100 focus:border-sky-500 focus:outline-none"
+                aria-label="Track name"
+                maxLength={60}
+              />
+            </div>
+            <TrackStats track={recording} />
+            <p className="text-[11px] text-slate-400">
+              {recording.status === 'paused'
+                ? 'Paused. Resume to continue the track from where you are.'
+                : describeLastFix(lastFix, maxAccuracyMeters)}
+            </p>
+            {!locationEnabled && (
+              <p className="text-[11px] text-rose-400">Location is off. Enable it to record points.</p>
+            )}
+            <div className="flex flex-wrap gap-2">
+              {recording.status === 'recording' ? (
+                <button type="button" className={buttonClass} onClick={pauseRecording}>
+                  Pause
+                </button>
+              ) : (
+                <button type="button" className={buttonClass} onClick={resumeRecording}>
+                  Resume
+                </button>
+              )}
+              <button type="button" className={buttonClass} onClick={stopRecording}>
+                Stop &amp; save
+              </button>
+              <button
+                type="button"
+                className={`${buttonClass} ${confirmClass(recording.id)}`}
+                onClick={() => confirmThen(recording.id, discardRecording)}
+              >
+                {pendingDeleteId === recording.id ? 'Confirm discard' : 'Discard'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex flex-col gap-2">
+            <p className="text-[11px] text-slate-400">
+              Record where this device goes as a breadcrumb trail on the map. Fixes worse than ±{maxAccuracyMeters} m
+              are skipped.
+            </p>
+            <button
+              type="button"
+              className="rounded-md bg-rose-600 py-2 text-[12px] font-semibold text-white transition hover:bg-rose-500"
+              onClick={() => startRecording()}
+            >
+              Start recording
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <h3 className="text-xs font-semibold uppercase tracking-wide text-sky-300">Saved tracks</h3>
+        {tracks.length > 1 && (
+          <button type="button" className={smallButtonClass} onClick={() => exportTracks(tracks, 'CadNav tracks')}>
+            Export all GPX
+          </button>
+        )}
+      </div>
+      {tracks.length === 0 ? (
+        <p className="text-[11px] text-slate-500">No saved tracks yet.</p>
+      ) : (
+        <ul className="flex flex-col gap-2">
+          {[...tracks].reverse().map((track) => (
+            <li key={track.id} className="flex flex-col gap-2 rounded-xl border border-slate-800 bg-slate-950 p-3">
+              <div className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={track.isVisible}
+                  onChange={(event) => setTrackVisible(track.id, event.target.checked)}
+                  className="h-3.5 w-3.5 rounded border-slate-600 text-sky-500 focus:ring-sky-500"
+                  aria-label={`Show ${track.name} on the map`}
+                />
+                <span className="h-2.5 w-2.5 shrink-0 rounded-full" style={{ backgroundColor: track.color }} aria-hidden="true" />
+                <input
+                  type="text"
+                  value={track.name}
+                  onChange={(event) => renameTrack(track.id, event.target.value)}
+                  className="min-w-0 flex-1 rounded-md border border-transparent bg-transparent px-1 py-0.5 text-xs text-slate-100 hover:border-slate-700 focus:border-sky-500 focus:outline-none"
+                  aria-label="Track name"
+                  maxLength={60}
+                />
+              </div>
+              <TrackStats track={track} />
+              <div className="flex flex-wrap gap-2">
+                <button type="button" className={smallButtonClass} onClick={() => exportTracks([track], track.name)}>
+                  Export GPX
+                </button>
+                <button
+                  type="button"
+                  className={`${smallButtonClass} ${confirmClass(track.id)}`}
+                  onClick={() => confirmThen(track.id, () => removeTrack(track.id))}
+                >
+                  {pendingDeleteId === track.id ? 'Confirm delete' : 'Delete'}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TrackRecorder;
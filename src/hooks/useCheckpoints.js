@@ -34,12 +34,155 @@ const normalizePlacementMode = (mode) => {
   return null;
 };
 
+// Fields that describe the plan itself; selection and placement mode are session-only.
+export const PERSISTED_CHECKPOINT_KEYS = ['checkpointMap', 'routes', 'activeRouteId', 'connectVia'];
+
+const isValidPosition = (position) =>
+  Number.isFinite(position?.lat) && Number.isFinite(position?.lng);
+
+/**
+ * Rebuilds the persisted part of the store from stored data, dropping checkpoints without a
+ * usable position and route items that point at missing checkpoints. Returns null when nothing
+ * usable is left.
+ */
+export const sanitiseCheckpointState = (value) => {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.routes)) return null;
+  const checkpointMap = {};
+  Object.values(value.checkpointMap ?? {}).forEach((checkpoint) => {
+    if (typeof checkpoint?.id === 'string' && isValidPosition(checkpoint.position)) {
+      checkpointMap[checkpoint.id] = {
+        ...checkpoint,
+        position: { lat: checkpoint.position.lat, lng: checkpoint.position.lng }
+      };
+    }
+  });
+  const routes = value.routes
+    .filter((route) => typeof route?.id === 'string')
+    .map((route) => {
+      const items = Array.isArray(route.items) ? route.items.filter((id) => checkpointMap[id]) : [];
+      return {
+        id: route.id,
+        name: typeof route.name === 'string' ? route.name : 'Route',
+        color: typeof route.color === 'string' ? route.color : DEFAULT_ROUTE_COLOR,
+        items,
+        isVisible: route.isVisible !== false,
+        nextLabelIndex: Number.isFinite(route.nextLabelIndex) ? route.nextLabelIndex : items.length + 1
+      };
+    });
+  if (routes.length === 0) return null;
+  return {
+    checkpointMap,
+    routes,
+    activeRouteId: routes.some((route) => route.id === value.activeRouteId) ? value.activeRouteId : routes[0].id,
+    connectVia: value.connectVia === 'route' ? 'route' : 'direct'
+  };
+};
+
+const HISTORY_LIMIT = 50;
+// Edits to the same thing in quick succession (typing a route name, nudging a marker) undo as one step.
+const HISTORY_COALESCE_MS = 1000;
+
+const emptyHistory = { past: [], future: [] };
+
+const planOf = (state) => Object.fromEntries(PERSISTED_CHECKPOINT_KEYS.map((key) => [key, state[key]]));
+
+const planChanged = (before, after) => PERSISTED_CHECKPOINT_KEYS.some((key) => before[key] !== after[key]);
+
+/** Keeps well-formed `{ label, at, plan }` entries from stored history. */
+export const sanitiseHistory = (value) => {
+  const entries = (list) =>
+    (Array.isArray(list) ? list : [])
+      .filter((entry) => entry && typeof entry.label === 'string' && entry.plan && typeof entry.plan === 'object')
+      .slice(-HISTORY_LIMIT);
+  return { past: entries(value?.past), future: entries(value?.future) };
+};
+
+let transactionDepth = 0;
+
+const pushHistory = (label, plan, coalesceKey) => {
+  const { past } = useCheckpointsStore.getState().history;
+  const last = past[past.length - 1];
+  const now = Date.now();
+  if (coalesceKey && last?.coalesceKey === coalesceKey && now - last.at < HISTORY_COALESCE_MS) {
+    useCheckpointsStore.setState({ history: { past: [...past.slice(0, -1), { ...last, at: now }], future: [] } });
+    return;
+  }
+  const entry = { label, at: now, plan, ...(coalesceKey ? { coalesceKey } : {}) };
+  useCheckpointsStore.setState({ history: { past: [...past, entry].slice(-HISTORY_LIMIT), future: [] } });
+};
+
+// Wraps an action so any change it makes to the plan can be undone. Calls made inside
+// `transact` are folded into the transaction's single entry.
+const tracked = (label, action, coalesce) => (...args) => {
+  const before = useCheckpointsStore.getState();
+  const result = action(...args);
+  if (transactionDepth === 0 && planChanged(before, useCheckpointsStore.getState())) {
+    pushHistory(label, planOf(before), coalesce?.(...args));
+  }
+  return result;
+};
+
+const restoreFrom = (state, entry) => {
+  const plan = sanitiseCheckpointState(entry.plan) ?? planOf(initialState);
+  return {
+    ...plan,
+    selectedId: plan.checkpointMap[state.selectedId] ? state.selectedId : null,
+    placementMode: null
+  };
+};
+
 export const useCheckpointsStore = create((set, get) => ({
   ...initialState,
+  history: emptyHistory,
+
+  // --- History ---
+
+  /** Runs several actions as one undo step. */
+  transact: (label, work) => {
+    const before = get();
+    transactionDepth += 1;
+    try {
+      work();
+    } finally {
+      transactionDepth -= 1;
+    }
+    if (transactionDepth === 0 && planChanged(before, get())) {
+      pushHistory(label, planOf(before));
+    }
+  },
+
+  // Both return the label of the step they reverted/reapplied, or null when there was none.
+  undo: () => {
+    const state = get();
+    const entry = state.history.past[state.history.past.length - 1];
+    if (!entry) return null;
+    set({
+      ...restoreFrom(state, entry),
+      history: {
+        past: state.history.past.slice(0, -1),
+        future: [...state.history.future, { label: entry.label, at: Date.now(), plan: planOf(state) }]
+      }
+    });
+    return entry.label;
+  },
+
+  redo: () => {
+    const state = get();
+    const entry = state.history.future[state.history.future.length - 1];
+    if (!entry) return null;
+    set({
+      ...restoreFrom(state, entry),
+      history: {
+        past: [...state.history.past, { label: entry.label, at: Date.now(), plan: planOf(state) }],
+        future: state.history.future.slice(0, -1)
+      }
+    });
+    return entry.label;
+  },
 
   // --- Route Management ---
 
-  addRoute: (name = 'New Route', color = DEFAULT_ROUTE_COLOR) =>
+  addRoute: tracked('Add route', (name = 'New Route', color = DEFAULT_ROUTE_COLOR) =>
     set((state) => {
       const newRoute = {
         id: createId('route'),
@@ -53,9 +196,9 @@ export const useCheckpointsStore = create((set, get) => ({
         routes: [...state.routes, newRoute],
         activeRouteId: newRoute.id
       };
-    }),
+    })),
 
-  removeRoute: (routeId) =>
+  removeRoute: tracked('Delete route', (routeId) =>
     set((state) => {
       if (state.routes.length <= 1) return state; // Prevent removing last route
       const newRoutes = state.routes.filter((r) => r.id !== routeId);
@@ -77,17 +220,21 @@ export const useCheckpointsStore = create((set, get) => ({
         checkpointMap: newCheckpointMap,
         selectedId: state.selectedId // Keep selected if it still exists, else it might be invalid but that's handled by UI
       };
-    }),
+    })),
 
   setActiveRoute: (routeId) =>
     set((state) => ({
       activeRouteId: state.routes.find((r) => r.id === routeId) ? routeId : state.activeRouteId
     })),
 
-  updateRoute: (routeId, updates) =>
-    set((state) => ({
-      routes: state.routes.map((r) => (r.id === routeId ? { ...r, ...updates } : r))
-    })),
+  updateRoute: tracked(
+    'Edit route',
+    (routeId, updates) =>
+      set((state) => ({
+        routes: state.routes.map((r) => (r.id === routeId ? { ...r, ...updates } : r))
+      })),
+    (routeId) => `route:${routeId}`
+  ),
 
   // --- Checkpoint Management ---
 
@@ -112,7 +259,7 @@ export const useCheckpointsStore = create((set, get) => ({
       connectVia: state.connectVia === 'direct' ? 'route' : 'direct'
     })),
 
-  addCheckpoint: (position, insertIndex) =>
+  addCheckpoint: tracked('Add checkpoint', (position, insertIndex) =>
     set((state) => {
       const activeRoute = state.routes.find((r) => r.id === state.activeRouteId);
       if (!activeRoute) return state;
@@ -153,19 +300,40 @@ export const useCheckpointsStore = create((set, get) => ({
         placementMode: null,
         selectedId: newCheckpoint.id
       };
-    }),
+    })),
 
   selectCheckpoint: (id) => set({ selectedId: id }),
 
-  updateCheckpoint: (id, position) =>
-    set((state) => ({
-      checkpointMap: {
-        ...state.checkpointMap,
-        [id]: { ...state.checkpointMap[id], position }
-      }
-    })),
+  updateCheckpoint: tracked(
+    'Move checkpoint',
+    (id, position) =>
+      set((state) => ({
+        checkpointMap: {
+          ...state.checkpointMap,
+          [id]: { ...state.checkpointMap[id], position }
+        }
+      })),
+    (id) => `checkpoint:${id}`
+  ),
+
+  // Metres climbed on the leg into this checkpoint, for nav card timings. Null clears it.
+  setCheckpointClimb: tracked(
+    'Set leg climb',
+    (id, climbMeters) =>
+      set((state) => {
+        if (!state.checkpointMap[id]) return state;
+        const checkpoint = { ...state.checkpointMap[id] };
+        if (Number.isFinite(climbMeters)) {
+          checkpoint.climbMeters = climbMeters;
+        } else {
+          delete checkpoint.climbMeters;
+        }
+        return { checkpointMap: { ...state.checkpointMap, [id]: checkpoint } };
+      }),
+    (id) => `climb:${id}`
+  ),
 
-  moveCheckpoint: (id, targetIndex) =>
+  moveCheckpoint: tracked('Reorder checkpoints', (id, targetIndex) =>
     set((state) => {
       const activeRoute = state.routes.find((r) => r.id === state.activeRouteId);
       if (!activeRoute) return state;
@@ -188,9 +356,9 @@ export const useCheckpointsStore = create((set, get) => ({
           r.id === state.activeRouteId ? { ...r, items: newItems } : r
         )
       };
-    }),
+    })),
 
-  removeCheckpoint: (id) =>
+  removeCheckpoint: tracked('Delete checkpoint', (id) =>
     set((state) => {
       // Remove from active route only? Or all routes?
       // User said "Some checkpoints should be able to be used for multiple routes".
@@ -243,9 +411,10 @@ export const useCheckpointsStore = create((set, get) => ({
         selectedId: state.selectedId === id ? null : state.selectedId,
         placementMode: null
       };
-    }),
+    })),
 
-  loadRouteSnapshot: (snapshot) =>
+  // With `merge`, the snapshot's routes are added alongside the current plan instead of replacing it.
+  loadRouteSnapshot: tracked('Load routes', (snapshot, { merge = false } = {}) =>
     set((state) => {
       const normalised = normaliseRouteShareSnapshot(snapshot);
       if (!normalised) return state;
@@ -256,9 +425,9 @@ export const useCheckpointsStore = create((set, get) => ({
       
       // Create IDs for all snapshot checkpoints
       // We need to map indices to IDs
-      const indexToId = snapshotCheckpoints.map((pos, index) => {
+      const indexToId = snapshotCheckpoints.map(({ name, ...pos }, index) => {
         const id = createId('checkpoint');
-        newCheckpointMap[id] = { id, position: pos, name: `Point ${index + 1}` };
+        newCheckpointMap[id] = { id, position: pos, name: name || `Point ${index + 1}` };
         return id;
       });
 
@@ -287,6 +456,16 @@ export const useCheckpointsStore = create((set, get) => ({
         });
       }
 
+      if (merge) {
+        return {
+          checkpointMap: { ...state.checkpointMap, ...newCheckpointMap },
+          routes: [...state.routes, ...newRoutes],
+          activeRouteId: newRoutes[0].id,
+          selectedId: null,
+          placementMode: null
+        };
+      }
+
       return {
         ...initialState,
         connectVia: normalised.connectVia,
@@ -296,11 +475,15 @@ export const useCheckpointsStore = create((set, get) => ({
         selectedId: null,
         placementMode: null
       };
-    }),
+    })),
+
+  clearAll: tracked('Clear all', () => set(initialState)),
 
-  clearAll: () => set(initialState),
+  // Replaces the whole plan, e.g. when switching workspaces. Falls back to an empty plan.
+  loadPlan: (plan, history) =>
+    set({ ...initialState, ...(sanitiseCheckpointState(plan) ?? {}), history: sanitiseHistory(history) }),
 
-  swapCheckpoints: (id1, id2) =>
+  swapCheckpoints: tracked('Swap checkpoints', (id1, id2) =>
     set((state) => {
       // Swap in active route
       const activeRoute = state.routes.find((r) => r.id === state.activeRouteId);
@@ -320,7 +503,7 @@ export const useCheckpointsStore = create((set, get) => ({
           r.id === state.activeRouteId ? { ...r, items: newItems } : r
         )
       };
-    })
+    }))
 }));
 
 // Selector to maintain backward compatibility where possible
@@ -1,4 +1,8 @@
-import { useCallback, useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { gridConvergence } from '../utils/grid.js';
+import { fromTrueBearing, magneticDeclination, toTrueBearing } from '../utils/magnetic.js';
+import { useGridStore } from './useGrid.js';
+import { usePreferencesStore } from './usePreferences.js';
 
 const toRadians = (degrees) => (degrees * Math.PI) / 180;
 const toDegrees = (radians) => (radians * 180) / Math.PI;
@@ -41,6 +45,41 @@ export const calculateRelativeBearing = (heading, bearing) => {
   return diff;
 };
 
+// Declination barely changes over a kilometre, so positions are rounded before the model runs
+// to avoid recomputing on every GPS update.
+const roundCoordinate = (value) => (Number.isFinite(value) ? Math.round(value * 100) / 100 : null);
+
+const useRoundedPosition = (position) => {
+  const lat = roundCoordinate(position?.lat);
+  const lng = roundCoordinate(position?.lng);
+  return useMemo(() => (lat != null && lng != null ? { lat, lng } : null), [lat, lng]);
+};
+
+/**
+ * Declination and grid convergence at `position`, plus converters between true bearings and
+ * the north reference chosen in preferences (`true`, `magnetic` or `grid`). `fromTrue` turns
+ * a true bearing into one to display; `toTrue` reads a typed bearing back.
+ */
+export const useNorthReference = (position) => {
+  const reference = usePreferencesStore((state) => state.northReference);
+  const setReference = usePreferencesStore((state) => state.setNorthReference);
+  const system = useGridStore((state) => state.system);
+  const point = useRoundedPosition(position);
+  const corrections = useMemo(
+    () => ({
+      declination: point ? magneticDeclination(point) : null,
+      convergence: point ? gridConvergence(point, { system }) : null
+    }),
+    [point, system]
+  );
+  const fromTrue = useCallback((bearing) => fromTrueBearing(bearing, reference, corrections), [reference, corrections]);
+  const toTrue = useCallback((bearing) => toTrueBearing(bearing, reference, corrections), [reference, corrections]);
+  const isCorrected =
+    reference === 'true' ||
+    (reference === 'magnetic' ? corrections.declination != null : corrections.convergence != null);
+  return { reference, setReference, ...corrections, isCorrected, fromTrue, toTrue };
+};
+
 export const useCompass = (targetPosition) => {
   const [heading, setHeading] = useState(null);
   const [geolocation, setGeolocation] = useState(null);
@@ -88,8 +127,14 @@ export const useCompass = (targetPosition) => {
     }
 
     const handleSuccess = (position) => {
-      const { latitude, longitude } = position.coords;
-      setGeolocation({ lat: latitude, lng: longitude });
+      const { latitude, longitude, accuracy, altitude } = position.coords;
+      setGeolocation({
+        lat: latitude,
+        lng: longitude,
+        accuracy,
+        ...(Number.isFinite(altitude) ? { altitude } : {}),
+        timestamp: position.timestamp
+      });
       setLocationEnabled(true);
       setHasLocationFix(true);
       setIsRequestingLocation(false);
@@ -234,8 +279,19 @@ export const useCompass = (targetPosition) => {
   const bearing = calculateBearing(geolocation, targetPosition);
   const distance = calculateDistance(geolocation, targetPosition);
 
+  // Device compasses point at magnetic north. Adding the local declination makes `heading` a
+  // true heading, comparable with calculateBearing; until there's a fix it stays magnetic.
+  const declinationPoint = useRoundedPosition(geolocation);
+  const declination = useMemo(
+    () => (declinationPoint ? magneticDeclination(declinationPoint) : null),
+    [declinationPoint]
+  );
+  const trueHeading = heading != null && declination != null ? (heading + declination + 360) % 360 : heading;
+
   return {
-    heading,
+    heading: trueHeading,
+    magneticHeading: heading,
+    declination,
     bearing,
     distance,
     geolocation,
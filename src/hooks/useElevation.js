@@ -0,0 +1,71 @@
+import { useEffect, useMemo, useState } from 'react';
+import { create } from 'zustand';
+import { buildElevationProfile } from '../utils/elevation.js';
+import { useCheckpointsStore } from './useCheckpoints.js';
+import { useRoutedPaths } from './useRouting.js';
+
+/** The spot under the pointer on an elevation profile, so the map can mark it. */
+export const useElevationStore = create((set) => ({
+  highlight: null,
+  setHighlight: (highlight) => set({ highlight: highlight ?? null })
+}));
+
+/**
+ * Loads an elevation profile for a route's checkpoints and returns `{ status, profile, error }`
+ * with `status` one of `idle`, `loading`, `ready` or `error`. When routes are drawn along roads
+ * the profile waits for the legs to resolve and follows their routed geometry (straight where a
+ * leg fell back). It is only rebuilt when the checkpoint positions or names or the leg geometry
+ * change, not on other edits.
+ */
+export const useElevationProfile = (route, checkpointMap, enabled = true) => {
+  const pointsKey = JSON.stringify(
+    route.items.map((id, index) => {
+      const checkpoint = checkpointMap[id];
+      return checkpoint?.position
+        ? [id, checkpoint.name || `Point ${index + 1}`, checkpoint.position.lat, checkpoint.position.lng]
+        : null;
+    })
+  );
+  const points = useMemo(
+    () =>
+      JSON.parse(pointsKey)
+        .filter(Boolean)
+        .map(([id, name, lat, lng]) => ({ id, name, position: { lat, lng } })),
+    [pointsKey]
+  );
+  const connectVia = useCheckpointsStore((state) => state.connectVia);
+  const routePaths = useMemo(
+    () => [{ id: route.id, positions: points.map(({ position }) => [position.lat, position.lng]) }],
+    [route.id, points]
+  );
+  const routed = useRoutedPaths(routePaths, enabled && connectVia === 'route');
+  const routing = routed.pendingCount > 0;
+  const pathsKey = JSON.stringify(routed.routes[0]?.legs.map((leg) => leg.positions) ?? []);
+  const paths = useMemo(
+    () => JSON.parse(pathsKey).map((positions) => positions.map(([lat, lng]) => ({ lat, lng }))),
+    [pathsKey]
+  );
+  const [state, setState] = useState({ status: 'idle', profile: null, error: null });
+
+  useEffect(() => {
+    if (!enabled || points.length < 2) {
+      setState({ status: 'idle', profile: null, error: null });
+      return undefined;
+    }
+    let cancelled = false;
+    setState((current) => ({ ...current, status: 'loading', error: null }));
+    if (routing) return undefined;
+    buildElevationProfile(points, { paths })
+      .then((profile) => {
+        if (!cancelled) setState({ status: 'ready', profile, error: null });
+      })
+      .catch((err) => {
+        if (!cancelled) setState({ status: 'error', profile: null, error: err?.message ?? 'Unable to load elevation.' });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [points, paths, routing, enabled]);
+
+  return state;
+};
@@ -1,5 +1,12 @@
+import { useCallback } from 'react';
 import { create } from 'zustand';
-import { MIN_GRID_PRECISION, MAX_GRID_PRECISION } from '../utils/grid.js';
+import {
+  DEFAULT_GRID_SYSTEM,
+  formatGridReference,
+  getGridSystem,
+  MIN_GRID_PRECISION,
+  MAX_GRID_PRECISION
+} from '../utils/grid.js';
 
 const clampPrecision = (precision) => {
   const numeric = Number(precision);
@@ -13,11 +20,18 @@ const clampPrecision = (precision) => {
 };
 
 const initialState = {
+  system: DEFAULT_GRID_SYSTEM,
   origin: null,
   originReference: null,
   precision: 3
 };
 
+// Grids saved before systems existed only had the origin-based local grid.
+const resolveSystem = (grid) => {
+  if (getGridSystem(grid?.system)) return grid.system;
+  return grid?.originReference ? 'local' : DEFAULT_GRID_SYSTEM;
+};
+
 export const useGridStore = create((set) => ({
   ...initialState,
   setPrecision: (precision) =>
@@ -30,6 +44,9 @@ export const useGridStore = create((set) => ({
           : null
       };
     }),
+  setSystem: (system) => {
+    if (getGridSystem(system)) set({ system });
+  },
   setOrigin: (origin) => set({ origin }),
   setOriginReference: (originReference) =>
     set((state) => ({
@@ -40,16 +57,46 @@ export const useGridStore = create((set) => ({
           }
         : null
     })),
-  resetGrid: () => set(initialState)
+  // Clears the local grid calibration but keeps the chosen system.
+  resetGrid: () => set((state) => ({ ...initialState, system: state.system })),
+  loadGrid: (grid) =>
+    set({
+      system: resolveSystem(grid),
+      origin: Number.isFinite(grid?.origin?.lat) && Number.isFinite(grid?.origin?.lng) ? grid.origin : null,
+      originReference: grid?.originReference
+        ? { ...grid.originReference, precision: clampPrecision(grid.originReference.precision ?? grid.precision) }
+        : null,
+      precision: grid?.precision != null ? clampPrecision(grid.precision) : initialState.precision
+    })
 }));
 
+export const PERSISTED_GRID_KEYS = Object.keys(initialState);
+
 export const useGrid = () =>
   useGridStore((state) => ({
+    system: state.system,
     origin: state.origin,
     originReference: state.originReference,
     precision: state.precision,
+    setSystem: state.setSystem,
     setOrigin: state.setOrigin,
     setOriginReference: state.setOriginReference,
     setPrecision: state.setPrecision,
     resetGrid: state.resetGrid
   }));
+
+/**
+ * Returns `(position) => reference` in the selected grid system, or null where the position
+ * can't be expressed (see `formatGridReference`). Components showing positions use this so
+ * they all follow the system chosen in Grid tools.
+ */
+export const useGridReferenceFormatter = () => {
+  const system = useGridStore((state) => state.system);
+  const origin = useGridStore((state) => state.origin);
+  const originReference = useGridStore((state) => state.originReference);
+  const precision = useGridStore((state) => state.precision);
+  return useCallback(
+    (position) => formatGridReference(position, { system, origin, originReference, precision }),
+    [system, origin, originReference, precision]
+  );
+};
@@ -0,0 +1,226 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { create } from 'zustand';
+import { checkArrival, legDeviation, playArrivalAlert, playOffCourseAlert } from '../utils/navigation.js';
+import { useCheckpointsStore } from './useCheckpoints.js';
+import { usePreferencesStore } from './usePreferences.js';
+import { useServerLinkStore } from './useServerLinkStore.js';
+
+// Back on course once within this share of the threshold, so hovering at the edge doesn't flap.
+const BACK_ON_COURSE_RATIO = 0.8;
+
+// Fields saved on the device; the latest distance check is session-only.
+export const PERSISTED_NAVIGATION_KEYS = ['session'];
+
+const isValidArrival = (arrival) =>
+  typeof arrival?.checkpointId === 'string' && Number.isInteger(arrival.index) && Number.isFinite(arrival.arrivedAt);
+
+/** Rebuilds a stored navigation session, dropping it if the route it follows is unreadable. */
+export const sanitiseNavigationState = (value) => {
+  const session = value?.session;
+  if (!session || typeof session.routeId !== 'string' || !Array.isArray(session.checkpointIds)) {
+    return { session: null };
+  }
+  const checkpointIds = session.checkpointIds.filter((id) => typeof id === 'string');
+  if (checkpointIds.length === 0) return { session: null };
+  return {
+    session: {
+      routeId: session.routeId,
+      routeName: typeof session.routeName === 'string' ? session.routeName : 'Route',
+      checkpointIds,
+      startedAt: Number.isFinite(session.startedAt) ? session.startedAt : Date.now(),
+      targetIndex: Number.isInteger(session.targetIndex)
+        ? Math.min(Math.max(session.targetIndex, 0), checkpointIds.length - 1)
+        : 0,
+      arrivals: Array.isArray(session.arrivals) ? session.arrivals.filter(isValidArrival) : [],
+      finishedAt: Number.isFinite(session.finishedAt) ? session.finishedAt : null
+    }
+  };
+};
+
+const hasArrivedAt = (session, index) => session.arrivals.some((arrival) => arrival.index === index);
+
+/**
+ * Route navigation. `session` follows one route's checkpoints in order (`checkpointIds` is
+ * taken when navigation starts, so later edits to the route don't move the target under you):
+ * `targetIndex` is the checkpoint being walked to and `arrivals` logs each one reached, with
+ * 0-based `index`. `finishedAt` is set once the last checkpoint is reached. `lastCheck` holds
+ * the latest `checkArrival` result for the UI.
+ */
+export const useNavigationStore = create((set, get) => ({
+  session: null,
+  lastCheck: null,
+
+  startNavigation: ({ routeId, routeName, checkpointIds, startIndex = 0 }) => {
+    if (!routeId || !Array.isArray(checkpointIds) || checkpointIds.length === 0) return;
+    set({
+      session: {
+        routeId,
+        routeName: routeName || 'Route',
+        checkpointIds,
+        startedAt: Date.now(),
+        targetIndex: Math.min(Math.max(startIndex, 0), checkpointIds.length - 1),
+        arrivals: [],
+        finishedAt: null
+      },
+      lastCheck: null
+    });
+  },
+
+  stopNavigation: () => set({ session: null, lastCheck: null }),
+
+  // Retargets without logging an arrival, e.g. to skip a checkpoint or go back to one.
+  setTargetIndex: (index) =>
+    set((state) => {
+      if (!state.session || !Number.isInteger(index)) return state;
+      if (index < 0 || index >= state.session.checkpointIds.length || index === state.session.targetIndex) {
+        return state;
+      }
+      return { session: { ...state.session, targetIndex: index }, lastCheck: null };
+    }),
+
+  /**
+   * Checks a `{ lat, lng, accuracy, timestamp }` fix against the current target. Returns the
+   * logged arrival when this fix reaches it for the first time, otherwise null. With
+   * `autoAdvance` the target moves on to the next checkpoint straight away.
+   */
+  checkFix: (fix, checkpointMap, { radiusMeters, autoAdvance }) => {
+    const { session } = get();
+    if (!session || session.finishedAt || !fix) return null;
+    const index = session.targetIndex;
+    const checkpointId = session.checkpointIds[index];
+    const checkpoint = checkpointMap[checkpointId];
+    if (!checkpoint?.position) return null;
+
+    const result = checkArrival(fix, checkpoint.position, { radiusMeters });
+    const lastCheck = { ...result, accuracy: fix.accuracy ?? null, checkpointId, at: Date.now() };
+    if (!result.arrived || hasArrivedAt(session, index)) {
+      set({ lastCheck });
+      return null;
+    }
+
+    const arrival = {
+      checkpointId,
+      checkpointName: checkpoint.name || `Point ${index + 1}`,
+      index,
+      arrivedAt: Number.isFinite(fix.timestamp) ? fix.timestamp : Date.now(),
+      position: { lat: fix.lat, lng: fix.lng },
+      accuracy: Number.isFinite(fix.accuracy) ? Math.round(fix.accuracy) : null,
+      distanceMeters: Math.round(result.distanceMeters)
+    };
+    const isLast = index === session.checkpointIds.length - 1;
+    set({
+      session: {
+        ...session,
+        arrivals: [...session.arrivals, arrival],
+        targetIndex: autoAdvance && !isLast ? index + 1 : index,
+        finishedAt: isLast ? arrival.arrivedAt : null
+      },
+      lastCheck
+    });
+    return arrival;
+  }
+}));
+
+/**
+ * Runs arrival detection for the navigation session on each new fix: alerts, reports the
+ * arrival to HQ over the relay (queued while the link is down) and points the compass at
+ * the new target. Also keeps the session's target in step when another checkpoint on the
+ * route is picked by hand.
+ */
+export const useArrivalDetection = (geolocation) => {
+  const session = useNavigationStore((state) => state.session);
+  const checkFix = useNavigationStore((state) => state.checkFix);
+  const setTargetIndex = useNavigationStore((state) => state.setTargetIndex);
+  const checkpointMap = useCheckpointsStore((state) => state.checkpointMap);
+  const selectedId = useCheckpointsStore((state) => state.selectedId);
+  const selectCheckpoint = useCheckpointsStore((state) => state.selectCheckpoint);
+  const radiusMeters = usePreferencesStore((state) => state.arrivalRadiusMeters);
+  const arrivalAlert = usePreferencesStore((state) => state.arrivalAlert);
+  const autoAdvance = usePreferencesStore((state) => state.autoAdvance);
+  const reportArrival = useServerLinkStore((state) => state.reportArrival);
+
+  const targetId = session ? session.checkpointIds[session.targetIndex] : null;
+
+  useEffect(() => {
+    if (targetId) {
+      selectCheckpoint(targetId);
+    }
+  }, [targetId, selectCheckpoint]);
+
+  useEffect(() => {
+    // Read the live selection: the effect above may already have moved it this render.
+    const current = useNavigationStore.getState().session;
+    const selected = useCheckpointsStore.getState().selectedId;
+    if (!current || !selected) return;
+    const index = current.checkpointIds.indexOf(selected);
+    if (index >= 0) {
+      setTargetIndex(index);
+    }
+  }, [selectedId, setTargetIndex]);
+
+  useEffect(() => {
+    if (!geolocation) return;
+    const arrival = checkFix(geolocation, checkpointMap, { radiusMeters, autoAdvance });
+    if (!arrival) return;
+    playArrivalAlert(arrivalAlert);
+    const { routeName, checkpointIds } = useNavigationStore.getState().session;
+    reportArrival({ ...arrival, index: arrival.index + 1, total: checkpointIds.length, routeName });
+  }, [geolocation, checkFix, checkpointMap, radiusMeters, autoAdvance, arrivalAlert, reportArrival]);
+};
+
+/**
+ * Cross-track deviation from the leg `{ from, to }` (checkpoints with `position` and `label`)
+ * for the latest fix, or null without a leg or a fix. `offCourse` is set once the fix is more
+ * than `offCourseThresholdMeters` off the line, and only cleared again inside
+ * `BACK_ON_COURSE_RATIO` of it; fixes less accurate than the threshold can't change it. While
+ * a route is being navigated, going off course alerts and each change is reported to HQ when
+ * `reportOffCourse` is on.
+ */
+export const useCourseDeviation = (geolocation, leg) => {
+  const navigating = useNavigationStore((state) => Boolean(state.session && !state.session.finishedAt));
+  const thresholdMeters = usePreferencesStore((state) => state.offCourseThresholdMeters);
+  const reportOffCourse = usePreferencesStore((state) => state.reportOffCourse);
+  const arrivalAlert = usePreferencesStore((state) => state.arrivalAlert);
+  const reportDeviation = useServerLinkStore((state) => state.reportDeviation);
+  // Carries over to the next leg, so HQ hears "back on course" once the new leg is being followed.
+  const offCourseRef = useRef(false);
+
+  const deviation = useMemo(() => {
+    if (!leg || !geolocation) return null;
+    const result = legDeviation(leg.from.position, leg.to.position, geolocation);
+    if (!result) return null;
+    const offLine = Math.abs(result.crossTrackMeters);
+    const usable = !Number.isFinite(geolocation.accuracy) || geolocation.accuracy <= thresholdMeters;
+    let offCourse = offCourseRef.current;
+    if (usable) {
+      offCourse = offCourse ? offLine > thresholdMeters * BACK_ON_COURSE_RATIO : offLine > thresholdMeters;
+    }
+    return { ...result, offCourse, thresholdMeters, fromLabel: leg.from.label, toLabel: leg.to.label };
+  }, [leg, geolocation, thresholdMeters]);
+
+  useEffect(() => {
+    if (!deviation) return;
+    const { offCourse } = deviation;
+    if (offCourse === offCourseRef.current) return;
+    offCourseRef.current = offCourse;
+    if (!navigating) return;
+    if (offCourse) {
+      playOffCourseAlert(arrivalAlert);
+    }
+    if (reportOffCourse) {
+      reportDeviation({
+        offCourse,
+        crossTrackMeters: deviation.crossTrackMeters,
+        alongTrackMeters: deviation.alongTrackMeters,
+        legMeters: deviation.legMeters,
+        thresholdMeters,
+        fromName: deviation.fromLabel,
+        toName: deviation.toLabel,
+        routeName: useNavigationStore.getState().session?.routeName,
+        at: Date.now()
+      });
+    }
+  }, [deviation, navigating, arrivalAlert, reportOffCourse, reportDeviation, thresholdMeters]);
+
+  return deviation;
+};
@@ -0,0 +1,202 @@
+import { create } from 'zustand';
+import { deleteRecord, getPersistenceBackend, loadRecord, saveRecord } from '../utils/persistence.js';
+import { PERSISTED_CHECKPOINT_KEYS, useCheckpointsStore } from './useCheckpoints.js';
+import { PERSISTED_GRID_KEYS, useGridStore } from './useGrid.js';
+import { PERSISTED_NAVIGATION_KEYS, sanitiseNavigationState, useNavigationStore } from './useNavigation.js';
+import { PREFERENCE_KEYS, sanitisePreferences, usePreferencesStore } from './usePreferences.js';
+import { PERSISTED_TRACK_KEYS, sanitiseTrackState, useTracksStore } from './useTracks.js';
+import { useWorkspacesStore, workspacesFromPlan } from './useWorkspaces.js';
+
+const SAVE_DELAY_MS = 400;
+
+const pick = (state, keys) => Object.fromEntries(keys.map((key) => [key, state[key]]));
+
+const changed = (next, prev, keys) => keys.some((key) => next[key] !== prev[key]);
+
+// Each record is saved under its own key with its own schema version. Bump `version` and add
+// `migrations[oldVersion]` (old data → next version's data) whenever the stored shape changes.
+// `sources` lists the stores and fields whose changes trigger a save; `capture` builds the
+// data to store and `restore` applies loaded data. `legacy` names an older record to convert
+// when this one doesn't exist yet. `automaticKeys` are source fields the app changes on its own
+// (map moves, layout clamps), which don't count as edits if they change before hydration.
+const records = [
+  {
+    key: 'workspaces',
+    version: 1,
+    migrations: {},
+    sources: [
+      [useWorkspacesStore, ['workspaces', 'activeWorkspaceId', 'mapView']],
+      [useCheckpointsStore, [...PERSISTED_CHECKPOINT_KEYS, 'history']],
+      [useGridStore, PERSISTED_GRID_KEYS]
+    ],
+    automaticKeys: ['mapView'],
+    capture: () => useWorkspacesStore.getState().exportWorkspaces(),
+    restore: (data) => useWorkspacesStore.getState().importWorkspaces(data),
+    // Plans saved before workspaces existed become the first workspace.
+    legacy: { key: 'checkpoints', version: 1, convert: workspacesFromPlan }
+  },
+  {
+    key: 'preferences',
+    version: 1,
+    migrations: {},
+    sources: [[usePreferencesStore, PREFERENCE_KEYS]],
+    automaticKeys: ['overlayHeight', 'baseLayer'],
+    capture: () => pick(usePreferencesStore.getState(), PREFERENCE_KEYS),
+    restore: (data) => usePreferencesStore.setState(sanitisePreferences(data))
+  },
+  {
+    key: 'tracks',
+    version: 1,
+    migrations: {},
+    sources: [[useTracksStore, PERSISTED_TRACK_KEYS]],
+    capture: () => pick(useTracksStore.getState(), PERSISTED_TRACK_KEYS),
+    restore: (data) => useTracksStore.setState(sanitiseTrackState(data))
+  },
+  {
+    key: 'navigation',
+    version: 1,
+    migrations: {},
+    sources: [[useNavigationStore, PERSISTED_NAVIGATION_KEYS]],
+    capture: () => pick(useNavigationStore.getState(), PERSISTED_NAVIGATION_KEYS),
+    restore: (data) => useNavigationStore.setState(sanitiseNavigationState(data))
+  }
+];
+
+/**
+ * `status` is `loading` until hydration finishes, then `ready`, or `error` while saves are
+ * failing (`message` explains why). The app keeps working from memory either way.
+ */
+export const usePersistenceStore = create(() => ({
+  status: 'loading',
+  backend: null,
+  message: null
+}));
+
+const reportError = (message) => usePersistenceStore.setState({ status: 'error', message });
+
+const describeSaveError = (err) => {
+  if (err?.reason === 'quota') {
+    return 'Device storage is full. Recent changes will be lost when this tab closes.';
+  }
+  if (err?.reason === 'unavailable') {
+    return 'This browser blocks local storage. Changes will be lost when this tab closes.';
+  }
+  return 'Unable to save changes on this device.';
+};
+
+const createSaver = (record) => {
+  let timer = null;
+  let pending = false;
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending || record.readOnly) return;
+    pending = false;
+    try {
+      await saveRecord(record.key, record.version, record.capture());
+      if (usePersistenceStore.getState().status === 'error') {
+        usePersistenceStore.setState({ status: 'ready', message: null });
+      }
+    } catch (err) {
+      reportError(describeSaveError(err));
+    }
+  };
+  const schedule = () => {
+    pending = true;
+    clearTimeout(timer);
+    timer = setTimeout(flush, SAVE_DELAY_MS);
+  };
+  return { flush, schedule };
+};
+
+const loadWithLegacy = async (record) => {
+  const result = await loadRecord(record.key, record);
+  if (result.status !== 'empty' || !record.legacy) return result;
+  const legacy = await loadRecord(record.legacy.key, { version: record.legacy.version });
+  if (!legacy.data) return result;
+  return { data: record.legacy.convert(legacy.data), status: 'migrated', replaces: record.legacy.key };
+};
+
+const hydrateRecord = async (record, saver) => {
+  try {
+    const { data, status, replaces } = await loadWithLegacy(record);
+    if (status === 'newer') {
+      // Don't overwrite data written by a newer build (e.g. after rolling back a deploy).
+      record.readOnly = true;
+      reportError('Saved data comes from a newer CadNav version and was not loaded. Changes here will not be saved.');
+      return;
+    }
+    // Edits made while storage was still opening are laid back over the stored copy, field by
+    // field, so they survive without wiping everything else that was saved.
+    const earlyEdits = Array.from(record.earlyEdits, ([store, keys]) => [store, pick(store.getState(), [...keys])]);
+    if (data) {
+      record.applying = true;
+      try {
+        record.restore(data);
+        earlyEdits.forEach(([store, values]) => store.setState(values));
+      } finally {
+        record.applying = false;
+      }
+    }
+    if (status === 'migrated' || earlyEdits.length > 0) {
+      saver.schedule();
+      await saver.flush();
+    }
+    if (replaces) {
+      await deleteRecord(replaces);
+    }
+  } catch (err) {
+    reportError('Saved data could not be read and was reset.');
+  }
+};
+
+let hydration = null;
+
+/**
+ * Loads every persisted record into its stores, then saves each record shortly after any of
+ * its sources change. Safe to call more than once; later calls return the first hydration promise.
+ */
+export const hydratePersistedState = () => {
+  if (hydration) return hydration;
+  hydration = (async () => {
+    const savers = records.map((record) => {
+      const saver = createSaver(record);
+      record.hydrated = false;
+      record.earlyEdits = new Map();
+      record.sources.forEach(([store, keys]) => {
+        store.subscribe((state, prev) => {
+          if (record.applying || !changed(state, prev, keys)) return;
+          if (record.hydrated) {
+            saver.schedule();
+            return;
+          }
+          const edited = keys.filter((key) => state[key] !== prev[key] && !record.automaticKeys?.includes(key));
+          if (edited.length === 0) return;
+          record.earlyEdits.set(store, new Set([...(record.earlyEdits.get(store) ?? []), ...edited]));
+        });
+      });
+      return saver;
+    });
+    await Promise.all(
+      records.map(async (record, index) => {
+        await hydrateRecord(record, savers[index]);
+        record.hydrated = true;
+      })
+    );
+    if (typeof window !== 'undefined') {
+      const flushAll = () => savers.forEach((saver) => saver.flush());
+      window.addEventListener('pagehide', flushAll);
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAll();
+      });
+    }
+    if (getPersistenceBackend() === 'memory') {
+      reportError(describeSaveError({ reason: 'unavailable' }));
+    }
+    usePersistenceStore.setState((state) => ({
+      status: state.status === 'error' ? 'error' : 'ready',
+      backend: getPersistenceBackend()
+    }));
+  })();
+  return hydration;
+};
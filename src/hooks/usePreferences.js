@@ -0,0 +1,131 @@
+import { create } from 'zustand';
+
+export const OVERLAY_MIN_HEIGHT = 0.32;
+export const OVERLAY_MAX_HEIGHT = 0.85;
+
+const BEARING_UNITS = ['degrees', 'mils'];
+const TOOLBAR_THEMES = ['light', 'dark'];
+const NORTH_REFERENCE_IDS = ['true', 'magnetic', 'grid'];
+export const ARRIVAL_ALERTS = ['both', 'vibrate', 'beep', 'off'];
+
+const prefersDark = () =>
+  typeof window !== 'undefined' && !!window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+
+const clampOverlayHeight = (value) => Math.min(Math.max(value, OVERLAY_MIN_HEIGHT), OVERLAY_MAX_HEIGHT);
+const clampPace = (value) => Math.min(Math.max(value, 0.5), 15);
+const clampClimbAllowance = (value) => Math.min(Math.max(value, 0), 60);
+const clampTrackAccuracy = (value) => Math.min(Math.max(value, 5), 200);
+const clampArrivalRadius = (value) => Math.min(Math.max(value, 5), 200);
+const clampOffCourseThreshold = (value) => Math.min(Math.max(value, 10), 500);
+
+const defaultPreferences = () => ({
+  bearingUnit: 'degrees',
+  northReference: 'true',
+  baseLayer: 'topo',
+  toolbarTheme: prefersDark() ? 'dark' : 'light',
+  overlayHeight: 0.58,
+  showGridLines: false,
+  // Naismith's rule: 5 km/h on the flat, plus an hour for every 600 m climbed.
+  walkingPaceKmh: 5,
+  climbMinutesPer100m: 10,
+  // Track recording ignores fixes less accurate than this.
+  trackMaxAccuracyMeters: 30,
+  // Route navigation: how close counts as reaching a checkpoint, and what happens then.
+  arrivalRadiusMeters: 20,
+  arrivalAlert: 'both',
+  autoAdvance: true,
+  // Warn when further than this off the line of the current leg; optionally tell HQ.
+  offCourseThresholdMeters: 50,
+  reportOffCourse: false
+});
+
+export const PREFERENCE_KEYS = Object.keys(defaultPreferences());
+
+/** Drops unknown or malformed values so a damaged record can't break the UI. */
+export const sanitisePreferences = (value) => {
+  const defaults = defaultPreferences();
+  if (!value || typeof value !== 'object') return defaults;
+  return {
+    bearingUnit: BEARING_UNITS.includes(value.bearingUnit) ? value.bearingUnit : defaults.bearingUnit,
+    northReference: NORTH_REFERENCE_IDS.includes(value.northReference) ? value.northReference : defaults.northReference,
+    baseLayer: typeof value.baseLayer === 'string' && value.baseLayer ? value.baseLayer : defaults.baseLayer,
+    toolbarTheme: TOOLBAR_THEMES.includes(value.toolbarTheme) ? value.toolbarTheme : defaults.toolbarTheme,
+    overlayHeight: Number.isFinite(value.overlayHeight) ? clampOverlayHeight(value.overlayHeight) : defaults.overlayHeight,
+    showGridLines: typeof value.showGridLines === 'boolean' ? value.showGridLines : defaults.showGridLines,
+    walkingPaceKmh: Number.isFinite(value.walkingPaceKmh) ? clampPace(value.walkingPaceKmh) : defaults.walkingPaceKmh,
+    climbMinutesPer100m: Number.isFinite(value.climbMinutesPer100m)
+      ? clampClimbAllowance(value.climbMinutesPer100m)
+      : defaults.climbMinutesPer100m,
+    trackMaxAccuracyMeters: Number.isFinite(value.trackMaxAccuracyMeters)
+      ? clampTrackAccuracy(value.trackMaxAccuracyMeters)
+      : defaults.trackMaxAccuracyMeters,
+    arrivalRadiusMeters: Number.isFinite(value.arrivalRadiusMeters)
+      ? clampArrivalRadius(value.arrivalRadiusMeters)
+      : defaults.arrivalRadiusMeters,
+    arrivalAlert: ARRIVAL_ALERTS.includes(value.arrivalAlert) ? value.arrivalAlert : defaults.arrivalAlert,
+    autoAdvance: typeof value.autoAdvance === 'boolean' ? value.autoAdvance : defaults.autoAdvance,
+    offCourseThresholdMeters: Number.isFinite(value.offCourseThresholdMeters)
+      ? clampOffCourseThreshold(value.offCourseThresholdMeters)
+      : defaults.offCourseThresholdMeters,
+    reportOffCourse: typeof value.reportOffCourse === 'boolean' ? value.reportOffCourse : defaults.reportOffCourse
+  };
+};
+
+// Setters take a value or an updater, like the useState setters MapPage used before.
+const resolveUpdate = (update, current) => (typeof update === 'function' ? update(current) : update);
+
+export const usePreferencesStore = create((set) => ({
+  ...defaultPreferences(),
+  setBearingUnit: (update) =>
+    set((state) => {
+      const next = resolveUpdate(update, state.bearingUnit);
+      return BEARING_UNITS.includes(next) ? { bearingUnit: next } : state;
+    }),
+  setNorthReference: (update) =>
+    set((state) => {
+      const next = resolveUpdate(update, state.northReference);
+      return NORTH_REFERENCE_IDS.includes(next) ? { northReference: next } : state;
+    }),
+  setBaseLayer: (update) => set((state) => ({ baseLayer: resolveUpdate(update, state.baseLayer) })),
+  setToolbarTheme: (update) =>
+    set((state) => {
+      const next = resolveUpdate(update, state.toolbarTheme);
+      return TOOLBAR_THEMES.includes(next) ? { toolbarTheme: next } : state;
+    }),
+  setOverlayHeight: (update) =>
+    set((state) => ({ overlayHeight: clampOverlayHeight(resolveUpdate(update, state.overlayHeight)) })),
+  setShowGridLines: (update) => set((state) => ({ showGridLines: Boolean(resolveUpdate(update, state.showGridLines)) })),
+  setWalkingPaceKmh: (update) =>
+    set((state) => {
+      const next = resolveUpdate(update, state.walkingPaceKmh);
+      return Number.isFinite(next) ? { walkingPaceKmh: clampPace(next) } : state;
+    }),
+  setClimbMinutesPer100m: (update) =>
+    set((state) => {
+      const next = resolveUpdate(update, state.climbMinutesPer100m);
+      return Number.isFinite(next) ? { climbMinutesPer100m: clampClimbAllowance(next) } : state;
+    }),
+  setTrackMaxAccuracyMeters: (update) =>
+    set((state) => {
+      const next = resolveUpdate(update, state.trackMaxAccuracyMeters);
+      return Number.isFinite(next) ? { trackMaxAccuracyMeters: clampTrackAccuracy(next) } : state;
+    }),
+  setArrivalRadiusMeters: (update) =>
+    set((state) => {
+      const next = resolveUpdate(update, state.arrivalRadiusMeters);
+      return Number.isFinite(next) ? { arrivalRadiusMeters: clampArrivalRadius(next) } : state;
+    }),
+  setArrivalAlert: (update) =>
+    set((state) => {
+      const next = resolveUpdate(update, state.arrivalAlert);
+      return ARRIVAL_ALERTS.includes(next) ? { arrivalAlert: next } : state;
+    }),
+  setAutoAdvance: (update) => set((state) => ({ autoAdvance: Boolean(resolveUpdate(update, state.autoAdvance)) })),
+  setOffCourseThresholdMeters: (update) =>
+    set((state) => {
+      const next = resolveUpdate(update, state.offCourseThresholdMeters);
+      return Number.isFinite(next) ? { offCourseThresholdMeters: clampOffCourseThreshold(next) } : state;
+    }),
+  setReportOffCourse: (update) =>
+    set((state) => ({ reportOffCourse: Boolean(resolveUpdate(update, state.reportOffCourse)) }))
+}));
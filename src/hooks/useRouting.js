@@ -0,0 +1,183 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { create } from 'zustand';
+import { deleteOfflineGraph, listOfflineGraphs, parseGraphFile, saveOfflineGraph } from '../utils/offlineRouting.js';
+import {
+  DEFAULT_ROUTER_ENGINE,
+  DEFAULT_ROUTER_URL,
+  ROUTING_ENGINES,
+  ROUTING_PROFILES,
+  fetchRoutedLeg
+} from '../utils/routing.js';
+
+const ROUTING_SETTINGS_KEY = 'cadnav-routing-settings';
+
+const canUseStorage = () => typeof window !== 'undefined' && !!window.localStorage;
+
+const defaultSettings = {
+  profile: 'foot',
+  serverUrl: DEFAULT_ROUTER_URL,
+  engine: DEFAULT_ROUTER_ENGINE
+};
+
+const loadSettings = () => {
+  if (!canUseStorage()) return defaultSettings;
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(ROUTING_SETTINGS_KEY) ?? 'null');
+    return {
+      profile: ROUTING_PROFILES.some((entry) => entry.id === parsed?.profile) ? parsed.profile : defaultSettings.profile,
+      serverUrl: typeof parsed?.serverUrl === 'string' && parsed.serverUrl.trim() ? parsed.serverUrl : defaultSettings.serverUrl,
+      engine: ROUTING_ENGINES.includes(parsed?.engine) ? parsed.engine : defaultSettings.engine
+    };
+  } catch (err) {
+    return defaultSettings;
+  }
+};
+
+const persistSettings = ({ profile, serverUrl, engine }) => {
+  if (!canUseStorage()) return;
+  try {
+    window.localStorage.setItem(ROUTING_SETTINGS_KEY, JSON.stringify({ profile, serverUrl, engine }));
+  } catch (err) {
+    // ignore storage errors
+  }
+};
+
+export const useRoutingStore = create((set, get) => ({
+  ...loadSettings(),
+  offlineGraphs: [],
+  // Bumped whenever stored graphs change so legs that fell back to straight lines get retried.
+  graphRevision: 0,
+  setProfile: (profile) => {
+    if (!ROUTING_PROFILES.some((entry) => entry.id === profile)) return;
+    set({ profile });
+    persistSettings(get());
+  },
+  setServerUrl: (serverUrl) => {
+    set({ serverUrl: typeof serverUrl === 'string' && serverUrl.trim() ? serverUrl.trim() : DEFAULT_ROUTER_URL });
+    persistSettings(get());
+  },
+  setEngine: (engine) => {
+    if (!ROUTING_ENGINES.includes(engine)) return;
+    set({ engine });
+    persistSettings(get());
+  },
+  refreshOfflineGraphs: async () => {
+    try {
+      set({ offlineGraphs: await listOfflineGraphs() });
+    } catch (err) {
+      set({ offlineGraphs: [] });
+    }
+  },
+  importOfflineGraph: async (file) => {
+    const graph = parseGraphFile(await file.text(), file.name.replace(/\.[^.]+$/, ''));
+    const summary = await saveOfflineGraph(graph);
+    set((state) => ({ graphRevision: state.graphRevision + 1 }));
+    await get().refreshOfflineGraphs();
+    return summary;
+  },
+  removeOfflineGraph: async (graphId) => {
+    await deleteOfflineGraph(graphId);
+    set((state) => ({ graphRevision: state.graphRevision + 1 }));
+    await get().refreshOfflineGraphs();
+  }
+}));
+
+const legKeyFor = (settings, from, to) =>
+  `${settings.engine}|${settings.serverUrl}|${settings.profile}|${settings.graphRevision}|${from.join(',')}|${to.join(',')}`;
+
+/**
+ * Resolves `[{ id, color, positions }]` route paths into `{ routes, pendingCount, fallbackCount }`,
+ * where each route gains per-leg routed geometry.
+ * Legs are requested one at a time (public routers rate-limit hard) and straight
+ * segments stand in until a leg resolves or when the router can't be reached. Those
+ * fallbacks are requested again when the device comes back online.
+ */
+export const useRoutedPaths = (routePaths, enabled) => {
+  const profile = useRoutingStore((state) => state.profile);
+  const serverUrl = useRoutingStore((state) => state.serverUrl);
+  const engine = useRoutingStore((state) => state.engine);
+  const graphRevision = useRoutingStore((state) => state.graphRevision);
+  const [resolvedLegs, setResolvedLegs] = useState({});
+  const [retryRevision, setRetryRevision] = useState(0);
+  const resolvedRef = useRef(resolvedLegs);
+
+  const settings = useMemo(
+    () => ({ profile, serverUrl, engine, graphRevision }),
+    [profile, serverUrl, engine, graphRevision]
+  );
+
+  const legRequests = useMemo(() => {
+    if (!enabled) return [];
+    const requests = [];
+    routePaths.forEach((route) => {
+      for (let index = 1; index < route.positions.length; index += 1) {
+        const from = route.positions[index - 1];
+        const to = route.positions[index];
+        requests.push({ key: legKeyFor(settings, from, to), from, to });
+      }
+    });
+    return requests;
+  }, [routePaths, enabled, settings]);
+
+  useEffect(() => {
+    const pending = legRequests.filter((request) => !resolvedRef.current[request.key]);
+    if (pending.length === 0) return undefined;
+    const controller = new AbortController();
+    const run = async () => {
+      for (const request of pending) {
+        if (controller.signal.aborted) return;
+        try {
+          const leg = await fetchRoutedLeg(request.from, request.to, {
+            url: settings.serverUrl,
+            engine: settings.engine,
+            profile: settings.profile,
+            signal: controller.signal
+          });
+          resolvedRef.current = { ...resolvedRef.current, [request.key]: leg };
+          setResolvedLegs(resolvedRef.current);
+        } catch (err) {
+          return; // aborted
+        }
+      }
+    };
+    run();
+    return () => controller.abort();
+  }, [legRequests, settings, retryRevision]);
+
+  // The on-device engine has nothing to gain from the network; its legs retry on `graphRevision`.
+  useEffect(() => {
+    if (typeof window === 'undefined' || engine === 'offline') return undefined;
+    const handleOnline = () => {
+      const kept = Object.fromEntries(Object.entries(resolvedRef.current).filter(([, leg]) => !leg.fallback));
+      if (Object.keys(kept).length === Object.keys(resolvedRef.current).length) return;
+      resolvedRef.current = kept;
+      setResolvedLegs(kept);
+      setRetryRevision((value) => value + 1);
+    };
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [engine]);
+
+  return useMemo(() => {
+    if (!enabled) return { routes: [], pendingCount: 0, fallbackCount: 0 };
+    let pendingCount = 0;
+    let fallbackCount = 0;
+    const routes = routePaths.map((route) => {
+      const legs = [];
+      for (let index = 1; index < route.positions.length; index += 1) {
+        const from = route.positions[index - 1];
+        const to = route.positions[index];
+        const leg = resolvedLegs[legKeyFor(settings, from, to)];
+        if (!leg) pendingCount += 1;
+        if (leg?.fallback) fallbackCount += 1;
+        legs.push({
+          positions: leg?.positions ?? [from, to],
+          pending: !leg,
+          fallback: Boolean(leg?.fallback)
+        });
+      }
+      return { ...route, legs };
+    });
+    return { routes, pendingCount, fallbackCount };
+  }, [routePaths, enabled, resolvedLegs, settings]);
+};
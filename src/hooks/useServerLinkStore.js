@@ -53,6 +53,8 @@ const HOST_SESSION_CACHE_KEY = 'p2p-host-session';
 const CLIENT_ROUTE_PUSH_INTERVAL_MS = Number(import.meta.env.VITE_ROUTE_UPDATE_INTERVAL_MS ?? 8000);
 const LOCATION_RESEND_GRACE_MS = Number(import.meta.env.VITE_LOCATION_RESEND_MS ?? 20000);
 const LOCATION_EPSILON = 1e-5;
+const MAX_PENDING_ARRIVALS = 50;
+const AUTH_ERROR_CODES = new Set(['secret-invalid', 'pin-required', 'pin-invalid', 'pin-format', 'rate-limited']);
 
 const colorPalette = [
   '#ef4444',
@@ -79,6 +81,8 @@ const initialState = {
   shouldReconnect: false,
   reconnectAttempts: 0,
   pendingCode: '',
+  pendingPin: '',
+  joinPinEnabled: false,
   lastStateVersion: 0,
   locationIntervalMs: DEFAULT_INTERVAL_MS,
   selfLabel: '',
@@ -95,6 +99,8 @@ const initialState = {
   lastClientRoutePushAt: 0,
   pendingRouteSnapshot: null,
   pendingRouteHash: '',
+  pendingArrivals: [],
+  pendingDeviation: null,
   routeOffers: []
 };
 
@@ -219,6 +225,7 @@ export const useServerLinkStore = create((set, get) => {
   let reconnectTimer = null;
   let pendingRouteTimer = null;
   let pendingHostResume = false;
+  let hostCredentials = { secret: '', joinPin: '' };
   let flushPendingTransmissions = () => {};
 
   const markServerContact = () => {
@@ -368,9 +375,19 @@ export const useServerLinkStore = create((set, get) => {
           payload: { sessionId: options.resumeSessionId, resumeToken: options.resumeToken }
         };
       }
-      return { type: 'host:init' };
+      const payload = {};
+      if (hostCredentials.secret) {
+        payload.secret = hostCredentials.secret;
+      }
+      if (hostCredentials.joinPin) {
+        payload.joinPin = hostCredentials.joinPin;
+      }
+      return { type: 'host:init', payload };
     }
     const payload = { sessionId: sessionCode };
+    if (typeof options.pin === 'string' && options.pin.trim().length > 0) {
+      payload.pin = options.pin.trim();
+    }
     if (typeof options.participantId === 'string' && options.participantId.trim().length > 0) {
       payload.participantId = options.participantId.trim();
     }
@@ -427,7 +444,8 @@ export const useServerLinkStore = create((set, get) => {
           sessionCode: latest.pendingCode,
           isReconnect: true,
           participantId: latest.participantId,
-          participantResumeToken: latest.resumeToken
+          participantResumeToken: latest.resumeToken,
+          pin: latest.pendingPin
         });
       } else {
         resetState();
@@ -490,7 +508,8 @@ export const useServerLinkStore = create((set, get) => {
           hostOnline: true,
           socketHealthy: true,
           linkDownSince: null,
-          lastServerContactAt: Date.now()
+          lastServerContactAt: Date.now(),
+          joinPinEnabled: Boolean(payload.joinPin)
         });
         addLog(
           payload.role === 'host'
@@ -574,6 +593,54 @@ export const useServerLinkStore = create((set, get) => {
         }));
         break;
       }
+      case 'session:arrival': {
+        const { participantId, arrival } = payload ?? {};
+        if (!participantId || !arrival) break;
+        set((state) => ({
+          peers: {
+            ...state.peers,
+            [participantId]: {
+              ...(state.peers[participantId] ?? {
+                id: participantId,
+                color: colorPalette[Math.floor(Math.random() * colorPalette.length)],
+                label: participantId
+              }),
+              lastArrival: arrival
+            }
+          }
+        }));
+        const checkpoint = arrival.checkpointName ?? arrival.checkpointId ?? 'a checkpoint';
+        const progress = arrival.index && arrival.total ? ` (${arrival.index}/${arrival.total})` : '';
+        const arrivedAt = new Date(arrival.arrivedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        addLog(`${formatParticipantName(participantId)} reached ${checkpoint}${progress} at ${arrivedAt}`, 'success');
+        break;
+      }
+      case 'session:deviation': {
+        const { participantId, deviation } = payload ?? {};
+        if (!participantId || !deviation) break;
+        set((state) => ({
+          peers: {
+            ...state.peers,
+            [participantId]: {
+              ...(state.peers[participantId] ?? {
+                id: participantId,
+                color: colorPalette[Math.floor(Math.random() * colorPalette.length)],
+                label: participantId
+              }),
+              deviation
+            }
+          }
+        }));
+        const name = formatParticipantName(participantId);
+        if (deviation.offCourse) {
+          const side = deviation.crossTrackMeters >= 0 ? 'right' : 'left';
+          const leg = deviation.fromName && deviation.toName ? ` of ${deviation.fromName} → ${deviation.toName}` : '';
+          addLog(`${name} is off course: ${Math.abs(deviation.crossTrackMeters)} m ${side}${leg}`, 'warn');
+        } else {
+          addLog(`${name} is back on course`, 'success');
+        }
+        break;
+      }
       case 'session:peer-routes': {
         const { participantId, routes } = payload ?? {};
         if (!participantId) break;
@@ -695,6 +762,12 @@ export const useServerLinkStore = create((set, get) => {
         );
         break;
       }
+      case 'session:join-pin': {
+        const enabled = Boolean(payload?.enabled);
+        set({ joinPinEnabled: enabled });
+        addLog(enabled ? 'Join PIN updated.' : 'Join PIN removed. Anyone with the code can join.', 'info');
+        break;
+      }
       case 'session:state':
         ingestStatePacket(payload);
         break;
@@ -704,6 +777,14 @@ export const useServerLinkStore = create((set, get) => {
         addLog('Host ended the session.', 'error');
         break;
       case 'session:error':
+        if (AUTH_ERROR_CODES.has(payload?.code) && get().connectionStatus !== 'connected') {
+          // Retrying with the same credentials would only burn through the relay's attempt budget.
+          set({ shouldReconnect: false });
+          cleanupSocket();
+          resetState();
+          addLog(payload?.message ?? 'Relay refused the credentials.', 'error');
+          break;
+        }
         addLog(payload?.message ?? 'Unknown server error', 'error');
         if (pendingHostResume) {
           pendingHostResume = false;
@@ -724,7 +805,8 @@ export const useServerLinkStore = create((set, get) => {
     resumeSessionId,
     resumeToken,
     participantId,
-    participantResumeToken
+    participantResumeToken,
+    pin
   }) => {
     cleanupSocket();
     clearReconnectTimer();
@@ -761,6 +843,7 @@ export const useServerLinkStore = create((set, get) => {
         connectionStatus: preserveConnected ? 'connected' : 'connecting',
         role,
         pendingCode: role === 'client' ? sessionCode : prev.pendingCode,
+        pendingPin: role === 'client' ? pin ?? prev.pendingPin : prev.pendingPin,
         shouldReconnect: role === 'client' || role === 'host'
       };
     });
@@ -770,7 +853,8 @@ export const useServerLinkStore = create((set, get) => {
         resumeSessionId,
         resumeToken,
         participantId: resolvedParticipantId,
-        participantResumeToken: resolvedParticipantToken
+        participantResumeToken: resolvedParticipantToken,
+        pin: role === 'client' ? get().pendingPin : undefined
       });
       socket.send(JSON.stringify(handshake));
     };
@@ -893,6 +977,24 @@ export const useServerLinkStore = create((set, get) => {
     }
   };
 
+  // Arrivals are events rather than latest-wins state, so every one is queued until it is sent.
+  const transmitArrival = (arrival) => {
+    if (!arrival || get().role !== 'client') return false;
+    const sent = sendPacket({ type: 'participant:arrival', payload: { arrival } });
+    if (!sent) {
+      set((state) => ({ pendingArrivals: [...state.pendingArrivals, arrival].slice(-MAX_PENDING_ARRIVALS) }));
+    }
+    return sent;
+  };
+
+  // Only the latest deviation matters, so an unsent one is replaced rather than queued.
+  const transmitDeviation = (deviation) => {
+    if (!deviation || get().role !== 'client') return false;
+    const sent = sendPacket({ type: 'participant:deviation', payload: { deviation } });
+    set({ pendingDeviation: sent ? null : deviation });
+    return sent;
+  };
+
   flushPendingTransmissions = () => {
     const state = get();
     if (state.role !== 'client') return;
@@ -907,16 +1009,32 @@ export const useServerLinkStore = create((set, get) => {
     if (state.pendingRouteSnapshot && state.pendingRouteHash) {
       pushRouteSnapshot(state.pendingRouteSnapshot, state.pendingRouteHash);
     }
+    if (state.pendingDeviation) {
+      transmitDeviation(state.pendingDeviation);
+    }
+    if (state.pendingArrivals.length > 0) {
+      const pending = state.pendingArrivals;
+      set({ pendingArrivals: [] });
+      pending.forEach(transmitArrival);
+      const delivered = pending.length - get().pendingArrivals.length;
+      if (delivered > 0) {
+        addLog(`Sent ${delivered} queued arrival${delivered === 1 ? '' : 's'} to HQ`, 'info');
+      }
+    }
   };
 
   return {
     ...initialState,
     logs: [],
-    startHostSession: () => {
+    startHostSession: ({ secret, joinPin } = {}) => {
       const state = get();
       if (state.connectionStatus === 'connecting') {
         return;
       }
+      hostCredentials = {
+        secret: typeof secret === 'string' ? secret.trim() : '',
+        joinPin: typeof joinPin === 'string' ? joinPin.trim() : ''
+      };
       const cached = getCachedHostSession();
       if (cached?.sessionId && cached?.resumeToken) {
         pendingHostResume = true;
@@ -929,13 +1047,13 @@ export const useServerLinkStore = create((set, get) => {
         openSocket({ role: 'host' });
       }
     },
-    joinSession: (code) => {
+    joinSession: (code, { pin } = {}) => {
       const trimmed = (code || '').trim().toUpperCase();
       if (!trimmed) {
         addLog('Enter a code to connect.', 'warn');
         return;
       }
-      openSocket({ role: 'client', sessionCode: trimmed });
+      openSocket({ role: 'client', sessionCode: trimmed, pin: typeof pin === 'string' ? pin.trim() : '' });
     },
     disconnect: () => {
       if (get().role === 'host') {
@@ -952,7 +1070,7 @@ export const useServerLinkStore = create((set, get) => {
     sendMessage: (text) => {
       const payload = (text || '').trim();
       if (!payload) return;
-      const sent = sendPacket({ type: 'participant:message', payload: { text: payload } });
+      sendPacket({ type: 'participant:message', payload: { text: payload } });
     },
     sendLocation: (location, options) => {
       transmitLocation(location, options);
@@ -974,6 +1092,10 @@ export const useServerLinkStore = create((set, get) => {
     sendClientRoutes: (routes, options) => {
       transmitClientRoutes(routes, options);
     },
+    /** Reports reaching a route checkpoint to HQ, queueing it while the link is down. */
+    reportArrival: (arrival) => transmitArrival(arrival),
+    /** Tells HQ this device went off course or back on; only the latest report is kept while offline. */
+    reportDeviation: (deviation) => transmitDeviation(deviation),
     clearLogs: () => set({ logs: [] }),
     updateLocationInterval: (seconds) => {
       if (get().role !== 'host') return;
@@ -984,6 +1106,18 @@ export const useServerLinkStore = create((set, get) => {
       set({ locationIntervalMs: intervalMs });
       sendPacket({ type: 'host:interval', payload: { intervalMs } });
     },
+    updateJoinPin: (pin) => {
+      if (get().role !== 'host') return;
+      const normalized = typeof pin === 'string' ? pin.trim() : '';
+      if (normalized && !/^\d{4,8}$/.test(normalized)) {
+        addLog('Join PIN must be 4–8 digits.', 'warn');
+        return;
+      }
+      const sent = sendPacket({ type: 'host:pin', payload: { pin: normalized } });
+      if (!sent) {
+        addLog('Unable to reach relay. Join PIN unchanged.', 'error');
+      }
+    },
     offerRoutesToClient: (participantId, routes, { connectVia } = {}) => {
       if (get().role !== 'host') {
         addLog('Only hosts can push routes to teammates.', 'warn');
@@ -0,0 +1,137 @@
+import { create } from 'zustand';
+import {
+  createRegion,
+  deleteRegion,
+  downloadRegion,
+  listRegions,
+  rectangleToPolygon,
+  resetRegionProgress,
+  saveRegion
+} from '../utils/tileRegions.js';
+
+let activeController = null;
+let activeDownload = null;
+
+const replaceRegion = (regions, region) => regions.map((entry) => (entry.id === region.id ? region : entry));
+
+/**
+ * Offline map regions plus the in-progress selection (`draft`). A draft is either a rectangle,
+ * built from two corners, or a polygon built point by point and closed with `finishDraft`.
+ * Only one region downloads at a time; starting another pauses the current one.
+ */
+export const useTileRegionsStore = create((set, get) => ({
+  regions: [],
+  activeRegionId: null,
+  draft: null,
+  error: null,
+
+  refreshRegions: async () => {
+    try {
+      const regions = await listRegions();
+      // A download interrupted by a reload is left marked as running; it resumes on request.
+      set({
+        regions: regions.map((region) =>
+          region.status === 'downloading' && region.id !== get().activeRegionId ? { ...region, status: 'paused' } : region
+        ),
+        error: null
+      });
+    } catch (err) {
+      set({ regions: [], error: err?.message ?? 'Unable to read offline regions.' });
+    }
+  },
+
+  startDraft: (mode, zoom) => {
+    set({ draft: { mode, points: [], closed: false, zoom: Math.round(zoom ?? 13) } });
+  },
+  addDraftPoint: (point) => {
+    const { draft } = get();
+    if (!draft || draft.closed) return;
+    if (draft.mode === 'rectangle') {
+      if (draft.points.length === 0) {
+        set({ draft: { ...draft, points: [point] } });
+      } else {
+        set({ draft: { ...draft, points: rectangleToPolygon(draft.points[0], point), closed: true } });
+      }
+      return;
+    }
+    set({ draft: { ...draft, points: [...draft.points, point] } });
+  },
+  setDraftRectangle: (from, to) => {
+    const { draft } = get();
+    if (!draft || draft.mode !== 'rectangle') return;
+    set({ draft: { ...draft, points: rectangleToPolygon(from, to), closed: true } });
+  },
+  undoDraftPoint: () => {
+    const { draft } = get();
+    if (!draft) return;
+    if (draft.mode === 'rectangle') {
+      set({ draft: { ...draft, points: [], closed: false } });
+      return;
+    }
+    set({ draft: { ...draft, points: draft.points.slice(0, -1), closed: false } });
+  },
+  finishDraft: () => {
+    const { draft } = get();
+    if (!draft || draft.points.length < 3) return;
+    set({ draft: { ...draft, closed: true } });
+  },
+  cancelDraft: () => set({ draft: null }),
+
+  saveDraft: async ({ name, provider, minZoom, maxZoom }) => {
+    const { draft } = get();
+    if (!draft?.closed) return null;
+    const region = createRegion({ name, polygon: draft.points, minZoom, maxZoom, provider });
+    await saveRegion(region);
+    set((state) => ({ regions: [...state.regions, region], draft: null }));
+    get().resumeDownload(region.id);
+    return region;
+  },
+
+  resumeDownload: async (regionId) => {
+    const existing = get().regions.find((region) => region.id === regionId);
+    if (!existing) return;
+    activeController?.abort();
+    const controller = new AbortController();
+    activeController = controller;
+    const region = ['complete', 'incomplete'].includes(existing.status) ? resetRegionProgress(existing) : existing;
+    set((state) => ({ activeRegionId: regionId, regions: replaceRegion(state.regions, region), error: null }));
+    try {
+      activeDownload = downloadRegion(region, {
+        signal: controller.signal,
+        onProgress: (next) => set((state) => ({ regions: replaceRegion(state.regions, next) }))
+      });
+      await activeDownload;
+    } catch (err) {
+      set((state) => ({
+        error: err?.message ?? 'Download failed.',
+        regions: state.regions.map((entry) => (entry.id === regionId ? { ...entry, status: 'paused' } : entry))
+      }));
+    } finally {
+      if (activeController === controller) {
+        activeController = null;
+        activeDownload = null;
+        set({ activeRegionId: null });
+      }
+    }
+  },
+  pauseDownload: () => {
+    activeController?.abort();
+  },
+
+  removeRegion: async (regionId) => {
+    const { regions, activeRegionId } = get();
+    const region = regions.find((entry) => entry.id === regionId);
+    if (!region) return;
+    if (activeRegionId === regionId) {
+      // Let the download write its final progress before the record goes away.
+      activeController?.abort();
+      await activeDownload?.catch(() => {});
+    }
+    try {
+      await deleteRegion(region, get().regions);
+      set((state) => ({ regions: state.regions.filter((entry) => entry.id !== regionId), error: null }));
+    } catch (err) {
+      set({ error: err?.message ?? 'Unable to delete region.' });
+    }
+  }
+}));
@@ -0,0 +1,127 @@
+import { create } from 'zustand';
+import { classifyFix, toTrackPoint } from '../utils/track.js';
+
+const TRACK_COLORS = ['#f97316', '#a855f7', '#22c55e', '#ec4899', '#eab308', '#06b6d4'];
+
+const createId = () => `track-${Math.random().toString(36).slice(2, 9)}`;
+
+// Fields saved on the device; the last fix status is session-only.
+export const PERSISTED_TRACK_KEYS = ['tracks', 'recording'];
+
+const isValidPoint = (point) =>
+  Number.isFinite(point?.lat) && Number.isFinite(point?.lng) && Number.isFinite(point?.time);
+
+const sanitiseTrack = (track) => {
+  if (typeof track?.id !== 'string' || !Array.isArray(track.segments)) return null;
+  return {
+    id: track.id,
+    name: typeof track.name === 'string' ? track.name : 'Track',
+    color: typeof track.color === 'string' ? track.color : TRACK_COLORS[0],
+    startedAt: Number.isFinite(track.startedAt) ? track.startedAt : Date.now(),
+    isVisible: track.isVisible !== false,
+    segments: track.segments.filter(Array.isArray).map((segment) => segment.filter(isValidPoint))
+  };
+};
+
+/**
+ * Rebuilds stored tracks, dropping malformed points. A recording that was running when the tab
+ * closed carries on in a fresh segment, so the gap isn't drawn as a straight line.
+ */
+export const sanitiseTrackState = (value) => {
+  const tracks = Array.isArray(value?.tracks) ? value.tracks.map(sanitiseTrack).filter(Boolean) : [];
+  const track = value?.recording ? sanitiseTrack(value.recording) : null;
+  if (!track) return { tracks, recording: null };
+  const status = value.recording.status === 'paused' ? 'paused' : 'recording';
+  const lastSegment = track.segments[track.segments.length - 1];
+  const segments = status === 'recording' && lastSegment?.length ? [...track.segments, []] : track.segments;
+  return { tracks, recording: { ...track, segments: segments.length ? segments : [[]], status } };
+};
+
+const withLastSegment = (recording, update) => ({
+  ...recording,
+  segments: [...recording.segments.slice(0, -1), update(recording.segments[recording.segments.length - 1] ?? [])]
+});
+
+/**
+ * Breadcrumb tracks. `recording` is the track being recorded (`status` `recording` or
+ * `paused`, points grouped into `segments` split at each pause); `stopRecording` moves it into
+ * `tracks`. `lastFix` reports what happened to the latest fix (`keep`, `close` or
+ * `inaccurate`, with its accuracy) so the recorder can explain a silent track.
+ */
+export const useTracksStore = create((set, get) => ({
+  tracks: [],
+  recording: null,
+  lastFix: null,
+
+  startRecording: (name) =>
+    set((state) => {
+      if (state.recording) return state;
+      const startedAt = Date.now();
+      return {
+        recording: {
+          id: createId(),
+          name: name || `Track ${new Date(startedAt).toLocaleString()}`,
+          color: TRACK_COLORS[state.tracks.length % TRACK_COLORS.length],
+          startedAt,
+          isVisible: true,
+          segments: [[]],
+          status: 'recording'
+        },
+        lastFix: null
+      };
+    }),
+
+  pauseRecording: () =>
+    set((state) =>
+      state.recording?.status === 'recording' ? { recording: { ...state.recording, status: 'paused' } } : state
+    ),
+
+  resumeRecording: () =>
+    set((state) => {
+      if (state.recording?.status !== 'paused') return state;
+      const lastSegment = state.recording.segments[state.recording.segments.length - 1];
+      const segments = lastSegment?.length ? [...state.recording.segments, []] : state.recording.segments;
+      return { recording: { ...state.recording, segments, status: 'recording' } };
+    }),
+
+  // Finishes the recording and keeps it, unless no points were recorded. Returns the saved track.
+  stopRecording: () => {
+    const { recording } = get();
+    if (!recording) return null;
+    const segments = recording.segments.filter((segment) => segment.length > 0);
+    if (segments.length === 0) {
+      set({ recording: null, lastFix: null });
+      return null;
+    }
+    const { id, name, color, startedAt, isVisible } = recording;
+    const saved = { id, name, color, startedAt, isVisible, segments };
+    set((state) => ({ tracks: [...state.tracks, saved], recording: null, lastFix: null }));
+    return saved;
+  },
+
+  discardRecording: () => set({ recording: null, lastFix: null }),
+
+  /** Offers a `{ lat, lng, accuracy, altitude, timestamp }` fix to the recording, if one is running. */
+  addFix: (fix, { maxAccuracyMeters }) =>
+    set((state) => {
+      if (state.recording?.status !== 'recording' || !fix) return state;
+      const lastSegment = state.recording.segments[state.recording.segments.length - 1] ?? [];
+      const outcome = classifyFix(lastSegment[lastSegment.length - 1], fix, { maxAccuracyMeters });
+      const lastFix = { outcome, accuracy: fix.accuracy ?? null, at: Date.now() };
+      if (outcome !== 'keep') return { lastFix };
+      return { recording: withLastSegment(state.recording, (segment) => [...segment, toTrackPoint(fix)]), lastFix };
+    }),
+
+  renameTrack: (id, name) =>
+    set((state) => ({
+      tracks: state.tracks.map((track) => (track.id === id ? { ...track, name } : track)),
+      recording: state.recording?.id === id ? { ...state.recording, name } : state.recording
+    })),
+
+  setTrackVisible: (id, isVisible) =>
+    set((state) => ({
+      tracks: state.tracks.map((track) => (track.id === id ? { ...track, isVisible } : track))
+    })),
+
+  removeTrack: (id) => set((state) => ({ tracks: state.tracks.filter((track) => track.id !== id) }))
+}));
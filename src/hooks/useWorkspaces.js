@@ -0,0 +1,192 @@
+import { create } from 'zustand';
+import { PERSISTED_CHECKPOINT_KEYS, useCheckpointsStore } from './useCheckpoints.js';
+import { PERSISTED_GRID_KEYS, useGridStore } from './useGrid.js';
+
+const createId = () => `workspace-${Math.random().toString(36).slice(2, 9)}`;
+
+const pick = (state, keys) => Object.fromEntries(keys.map((key) => [key, state[key]]));
+
+const isValidView = (view) =>
+  Array.isArray(view?.center) &&
+  Number.isFinite(view.center[0]) &&
+  Number.isFinite(view.center[1]) &&
+  Number.isFinite(view.zoom);
+
+const createWorkspaceEntry = (name, snapshot = {}) => {
+  const now = Date.now();
+  return {
+    id: createId(),
+    name,
+    archived: false,
+    createdAt: now,
+    updatedAt: now,
+    plan: snapshot.plan ?? null,
+    grid: snapshot.grid ?? null,
+    view: snapshot.view ?? null,
+    history: snapshot.history ?? null
+  };
+};
+
+const firstWorkspace = createWorkspaceEntry('Plan 1');
+
+const nextWorkspaceName = (workspaces, base = 'Plan') => {
+  const names = new Set(workspaces.map((workspace) => workspace.name));
+  let index = workspaces.length + 1;
+  while (names.has(`${base} ${index}`)) index += 1;
+  return `${base} ${index}`;
+};
+
+// The active workspace's plan and grid live in their own stores while it is open; this reads them back.
+const captureLive = (mapView) => ({
+  plan: pick(useCheckpointsStore.getState(), PERSISTED_CHECKPOINT_KEYS),
+  grid: pick(useGridStore.getState(), PERSISTED_GRID_KEYS),
+  view: isValidView(mapView) ? mapView : null,
+  history: useCheckpointsStore.getState().history
+});
+
+const applySnapshot = ({ plan, grid, history }) => {
+  useCheckpointsStore.getState().loadPlan(plan, history);
+  useGridStore.getState().loadGrid(grid);
+};
+
+/**
+ * Named workspaces, each holding its own routes, grid origin, map view and undo history. Only the active
+ * workspace is "live" in useCheckpointsStore/useGridStore; the rest keep a snapshot that is
+ * loaded back on switch. `viewRevision` changes whenever the map should jump to `mapView`.
+ */
+export const useWorkspacesStore = create((set, get) => {
+  // Saves the live state into the active entry, returning the updated list.
+  const stashActive = () => {
+    const { workspaces, activeWorkspaceId, mapView } = get();
+    const live = captureLive(mapView);
+    return workspaces.map((workspace) =>
+      workspace.id === activeWorkspaceId ? { ...workspace, ...live, updatedAt: Date.now() } : workspace
+    );
+  };
+
+  const activate = (workspaces, target) => {
+    applySnapshot(target);
+    set((state) => ({
+      workspaces,
+      activeWorkspaceId: target.id,
+      mapView: isValidView(target.view) ? target.view : state.mapView,
+      viewRevision: isValidView(target.view) ? state.viewRevision + 1 : state.viewRevision
+    }));
+  };
+
+  return {
+    workspaces: [firstWorkspace],
+    activeWorkspaceId: firstWorkspace.id,
+    mapView: null,
+    viewRevision: 0,
+
+    setMapView: (view) => {
+      if (isValidView(view)) set({ mapView: view });
+    },
+
+    switchWorkspace: (workspaceId) => {
+      const { activeWorkspaceId } = get();
+      if (workspaceId === activeWorkspaceId) return;
+      const workspaces = stashActive();
+      const target = workspaces.find((workspace) => workspace.id === workspaceId && !workspace.archived);
+      if (!target) return;
+      activate(workspaces, target);
+    },
+
+    // New workspaces start empty but keep the current map view, which is usually the area being planned.
+    createWorkspace: (name) => {
+      const workspaces = stashActive();
+      const entry = createWorkspaceEntry(name?.trim() || nextWorkspaceName(workspaces), { view: get().mapView });
+      activate([...workspaces, entry], entry);
+      return entry.id;
+    },
+
+    duplicateWorkspace: (workspaceId) => {
+      const workspaces = stashActive();
+      const source = workspaces.find((workspace) => workspace.id === workspaceId);
+      if (!source) return null;
+      const entry = createWorkspaceEntry(`${source.name} copy`, {
+        plan: source.plan ? structuredClone(source.plan) : null,
+        grid: source.grid ? structuredClone(source.grid) : null,
+        view: source.view
+      });
+      activate([...workspaces, entry], entry);
+      return entry.id;
+    },
+
+    renameWorkspace: (workspaceId, name) => {
+      const trimmed = typeof name === 'string' ? name.trim() : '';
+      if (!trimmed) return;
+      set((state) => ({
+        workspaces: state.workspaces.map((workspace) =>
+          workspace.id === workspaceId ? { ...workspace, name: trimmed, updatedAt: Date.now() } : workspace
+        )
+      }));
+    },
+
+    // Archiving the open workspace moves to the next open one, creating a blank one if none is left.
+    archiveWorkspace: (workspaceId) => {
+      const { activeWorkspaceId } = get();
+      let workspaces = (workspaceId === activeWorkspaceId ? stashActive() : get().workspaces).map((workspace) =>
+        workspace.id === workspaceId ? { ...workspace, archived: true, updatedAt: Date.now() } : workspace
+      );
+      if (workspaceId !== activeWorkspaceId) {
+        set({ workspaces });
+        return;
+      }
+      let target = workspaces.find((workspace) => !workspace.archived);
+      if (!target) {
+        target = createWorkspaceEntry(nextWorkspaceName(workspaces), { view: get().mapView });
+        workspaces = [...workspaces, target];
+      }
+      activate(workspaces, target);
+    },
+
+    restoreWorkspace: (workspaceId) => {
+      set((state) => ({
+        workspaces: state.workspaces.map((workspace) =>
+          workspace.id === workspaceId ? { ...workspace, archived: false, updatedAt: Date.now() } : workspace
+        )
+      }));
+    },
+
+    deleteWorkspace: (workspaceId) => {
+      const target = get().workspaces.find((workspace) => workspace.id === workspaceId);
+      if (!target?.archived) return;
+      set((state) => ({ workspaces: state.workspaces.filter((workspace) => workspace.id !== workspaceId) }));
+    },
+
+    exportWorkspaces: () => ({
+      activeWorkspaceId: get().activeWorkspaceId,
+      workspaces: stashActive()
+    }),
+
+    importWorkspaces: (data) => {
+      const workspaces = Array.isArray(data?.workspaces)
+        ? data.workspaces
+            .filter((workspace) => typeof workspace?.id === 'string')
+            .map((workspace) => ({
+              ...createWorkspaceEntry(workspace.name),
+              ...workspace,
+              name: typeof workspace.name === 'string' && workspace.name ? workspace.name : 'Plan',
+              archived: Boolean(workspace.archived),
+              view: isValidView(workspace.view) ? workspace.view : null
+            }))
+        : [];
+      if (workspaces.length === 0) return;
+      let target = workspaces.find((workspace) => workspace.id === data.activeWorkspaceId && !workspace.archived);
+      target = target ?? workspaces.find((workspace) => !workspace.archived);
+      if (!target) {
+        target = createWorkspaceEntry(nextWorkspaceName(workspaces));
+        workspaces.push(target);
+      }
+      activate(workspaces, target);
+    }
+  };
+});
+
+/** Wraps a plan saved before workspaces existed into a single-workspace export. */
+export const workspacesFromPlan = (plan) => {
+  const entry = { ...createWorkspaceEntry('Plan 1'), plan };
+  return { activeWorkspaceId: entry.id, workspaces: [entry] };
+};
@@ -4,6 +4,7 @@ import { polyfill } from 'mobile-drag-drop';
 import { scrollBehaviourDragImageTranslateOverride } from 'mobile-drag-drop/scroll-behaviour';
 import 'mobile-drag-drop/default.css';
 import App from './App.jsx';
+import { hydratePersistedState } from './hooks/usePersistence.js';
 import './index.css';
 
 // Initialize drag-and-drop polyfill for mobile
@@ -14,8 +15,17 @@ polyfill({
 // Fix for iOS to prevent scrolling while dragging
 window.addEventListener('touchmove', () => {}, { passive: false });
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// Restore the saved plan before the first render so the map doesn't flash the defaults. A slow
+// or stuck IndexedDB open shouldn't keep the app from starting, so give up waiting after a while.
+const HYDRATION_TIMEOUT_MS = 1500;
+
+Promise.race([
+  hydratePersistedState(),
+  new Promise((resolve) => setTimeout(resolve, HYDRATION_TIMEOUT_MS))
+]).finally(() => {
+  ReactDOM.createRoot(document.getElementById('root')).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
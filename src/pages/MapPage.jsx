@@ -4,9 +4,14 @@ import Compass from '../components/Compass.jsx';
 import CheckpointList from '../components/CheckpointList.jsx';
 import GridTools from '../components/GridTools.jsx';
 import PlacementToolbar from '../components/PlacementToolbar.jsx';
+import RouteNavigator from '../components/RouteNavigator.jsx';
+import TrackRecorder from '../components/TrackRecorder.jsx';
 import { ConnectionManager } from '../components/ConnectionManager.jsx';
 import { useP2PStore } from '../hooks/useP2PStore';
 import { useCheckpoints } from '../hooks/useCheckpoints.js';
+import { useArrivalDetection, useCourseDeviation, useNavigationStore } from '../hooks/useNavigation.js';
+import { OVERLAY_MAX_HEIGHT, OVERLAY_MIN_HEIGHT, usePreferencesStore } from '../hooks/usePreferences.js';
+import { useTracksStore } from '../hooks/useTracks.js';
 import {
   useCompass,
   calculateBearing,
@@ -127,6 +132,32 @@ const MapPage = () => {
     lastLocationSendRef.current = now;
   }, [geolocation, connectionStatus, sendLocation, role, locationIntervalMs]);
 
+  const addTrackFix = useTracksStore((state) => state.addFix);
+
+  // Only new fixes are recorded; changing the accuracy limit must not re-add the last one.
+  useEffect(() => {
+    if (geolocation) {
+      addTrackFix(geolocation, { maxAccuracyMeters: usePreferencesStore.getState().trackMaxAccuracyMeters });
+    }
+  }, [geolocation, addTrackFix]);
+
+  useArrivalDetection(geolocation);
+
+  // The current leg runs from the checkpoint before the target, in the compass route's order.
+  const currentLeg = useMemo(() => {
+    const index = targetEntries.findIndex((entry) => entry.id === selectedId);
+    return index > 0 ? { from: targetEntries[index - 1], to: targetEntries[index] } : null;
+  }, [targetEntries, selectedId]);
+  const deviation = useCourseDeviation(geolocation, currentLeg);
+
+  // The compass follows the route being navigated.
+  const navigationRouteId = useNavigationStore((state) => state.session?.routeId ?? null);
+  useEffect(() => {
+    if (navigationRouteId && routes.some((route) => route.id === navigationRouteId)) {
+      setCompassRouteId(navigationRouteId);
+    }
+  }, [navigationRouteId, routes]);
+
   useEffect(() => {
     if (connectionStatus !== 'connected') {
       lastRoutesDigestRef.current = '';
@@ -173,10 +204,14 @@ const MapPage = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [locationRequestToken, setLocationRequestToken] = useState(0);
-  const [bearingUnit, setBearingUnit] = useState('degrees');
-  const [baseLayer, setBaseLayer] = useState('topo');
-  const [toolbarTheme, setToolbarTheme] = useState('light');
-  const [overlayHeight, setOverlayHeight] = useState(0.58);
+  const bearingUnit = usePreferencesStore((state) => state.bearingUnit);
+  const setBearingUnit = usePreferencesStore((state) => state.setBearingUnit);
+  const baseLayer = usePreferencesStore((state) => state.baseLayer);
+  const setBaseLayer = usePreferencesStore((state) => state.setBaseLayer);
+  const toolbarTheme = usePreferencesStore((state) => state.toolbarTheme);
+  const setToolbarTheme = usePreferencesStore((state) => state.setToolbarTheme);
+  const overlayHeight = usePreferencesStore((state) => state.overlayHeight);
+  const setOverlayHeight = usePreferencesStore((state) => state.setOverlayHeight);
   const [previewLocation, setPreviewLocation] = useState(null);
   const [showPlacingHelp, setShowPlacingHelp] = useState(false);
   const dragStateRef = useRef(null);
@@ -184,12 +219,9 @@ const MapPage = () => {
   const latestGeolocationRef = useRef(null);
   const [isPlacingMode, setIsPlacingMode] = useState(false);
 
-  const OVERLAY_MIN_HEIGHT = 0.32;
-  const OVERLAY_MAX_HEIGHT = 0.85;
-
   const clampOverlay = useCallback(
     (value) => Math.min(Math.max(value, OVERLAY_MIN_HEIGHT), OVERLAY_MAX_HEIGHT),
-    [OVERLAY_MAX_HEIGHT, OVERLAY_MIN_HEIGHT]
+    []
   );
 
   const handleEnableLocation = useCallback(() => {
@@ -304,18 +336,9 @@ const MapPage = () => {
       '--overlay-height': `${(clampOverlay(overlayHeight) * 100).toFixed(2)}vh`,
       '--overlay-max-height': `${(OVERLAY_MAX_HEIGHT * 100).toFixed(2)}vh`
     }),
-    [OVERLAY_MAX_HEIGHT, clampOverlay, overlayHeight]
+    [clampOverlay, overlayHeight]
   );
 
-  useEffect(() => {
-    if (typeof window === 'undefined' || !window.matchMedia) return;
-    const media = window.matchMedia('(prefers-color-scheme: dark)');
-    if (media.matches) {
-      setBaseLayer((current) => (current === 'street' ? 'dark' : current));
-      setToolbarTheme('dark');
-    }
-  }, []);
-
   useEffect(() => {
     if (hasRequestedLocationRef.current) return;
     hasRequestedLocationRef.current = true;
@@ -392,6 +415,7 @@ const MapPage = () => {
             heading={heading}
             bearing={bearing}
             distance={distance}
+            position={geolocation}
             error={error}
             enableCompass={requestPermission}
             onEnableLocation={handleEnableLocation}
@@ -402,6 +426,7 @@ const MapPage = () => {
             isRequestingLocation={isRequestingLocation}
             targets={supplementaryTargets}
             selectedTarget={selectedTarget}
+            deviation={deviation}
             onSelectTarget={selectCheckpoint}
             bearingUnit={bearingUnit}
             onToggleBearingUnit={toggleBearingUnit}
@@ -409,6 +434,14 @@ const MapPage = () => {
             activeRouteId={compassRouteId}
             onSelectRoute={setCompassRouteId}
           />
+          <div className="mt-3">
+            <RouteNavigator
+              routes={routes}
+              checkpointMap={checkpointMap}
+              routeId={compassRouteId}
+              locationEnabled={locationEnabled}
+            />
+          </div>
         </div>
       )}
 
@@ -464,6 +497,30 @@ const MapPage = () => {
         </div>
       )}
 
+      {!isPlacingMode && activeOverlay === 'tracks' && (
+        <div
+          className="pointer-events-auto overlay-sheet fixed inset-x-0 bottom-0 z-[1300] mx-auto w-full max-w-md overflow-y-auto overscroll-contain rounded-t-3xl border border-slate-800 bg-slate-900 p-3 shadow-2xl shadow-slate-950/80 md:left-auto md:right-6 md:top-6 md:max-w-md md:rounded-2xl"
+          style={overlaySheetStyle}
+        >
+          <div className="mb-3 flex justify-center">
+            <button
+              type="button"
+              data-overlay-id="tracks"
+              className="group flex h-12 w-full max-w-[220px] cursor-row-resize items-center justify-center rounded-full bg-slate-900 shadow-inner shadow-slate-950/40 ring-1 ring-slate-700/60 transition hover:ring-slate-500/80 active:bg-slate-800 touch-none"
+              aria-label="Drag to resize or tap to close panel"
+              onPointerDown={handleOverlayResizeStart}
+            >
+              <span className="block h-2 w-16 rounded-full bg-slate-500 transition group-active:bg-slate-300" />
+            </button>
+          </div>
+          <div className="mb-2 text-left text-[11px]">
+            <p className="font-semibold uppercase tracking-wide text-slate-500">Tracks</p>
+            <p className="text-xs text-slate-400">Record where you&apos;ve been</p>
+          </div>
+          <TrackRecorder locationEnabled={locationEnabled} />
+        </div>
+      )}
+
       {!isPlacingMode && activeOverlay === 'p2p' && (
         <div
           className="pointer-events-auto overlay-sheet fixed inset-x-0 bottom-0 z-[1300] mx-auto w-full max-w-md overflow-y-auto overscroll-contain rounded-t-3xl border border-slate-800 bg-slate-900 p-3 shadow-2xl shadow-slate-950/80 md:left-auto md:right-6 md:top-6 md:max-w-md md:rounded-2xl"
@@ -547,6 +604,24 @@ const MapPage = () => {
                   Conversions
                 </span>
               </button>
+              <button
+                type="button"
+                className={`flex items-center justify-between rounded-lg border px-3 py-2 font-semibold transition ${
+                  activeOverlay === 'tracks'
+                    ? 'border-sky-500 bg-sky-500 text-slate-950'
+                    : 'border-slate-700 bg-slate-900 hover:border-sky-500 hover:text-sky-100'
+                }`}
+                onClick={() => openOverlay('tracks')}
+              >
+                Tracks
+                <span
+                  className={`text-[10px] ${
+                    activeOverlay === 'tracks' ? 'text-slate-800' : 'text-slate-400'
+                  }`}
+                >
+                  Breadcrumbs
+                </span>
+              </button>
               <button
                 type="button"
                 className={`flex items-center justify-between rounded-lg border px-3 py-2 font-semibold transition ${
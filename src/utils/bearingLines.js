@@ -0,0 +1,171 @@
+// Crossing bearing lines, for resection (back bearings from known features) and intersection
+// (bearings from observers to an unknown point). Work happens on a flat east/north plane
+// around the lines' starting points, which is accurate to well under a metre over the few
+// kilometres a compass fix spans.
+
+const EARTH_RADIUS_METERS = 6371000;
+// Lines crossing at less than this are too close to parallel to give a useful fix.
+const MIN_CROSSING_DEGREES = 5;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const createPlane = (points) => {
+  const center = {
+    lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+    lng: points.reduce((sum, point) => sum + point.lng, 0) / points.length
+  };
+  const metresPerDegreeLat = toRadians(1) * EARTH_RADIUS_METERS;
+  const metresPerDegreeLng = metresPerDegreeLat * Math.cos(toRadians(center.lat));
+  return {
+    toPlane: ({ lat, lng }) => ({
+      x: (lng - center.lng) * metresPerDegreeLng,
+      y: (lat - center.lat) * metresPerDegreeLat
+    }),
+    fromPlane: ({ x, y }) => ({
+      lat: center.lat + y / metresPerDegreeLat,
+      lng: center.lng + x / metresPerDegreeLng
+    })
+  };
+};
+
+const cross = (a, b) => a.x * b.y - a.y * b.x;
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const prepareLine = (plane, origin, bearing) => {
+  const angle = toRadians(bearing);
+  return { point: plane.toPlane(origin), direction: { x: Math.sin(angle), y: Math.cos(angle) } };
+};
+
+// Where two prepared lines cross, with how far along each it is; null when near parallel.
+const crossLines = (first, second) => {
+  const denominator = cross(first.direction, second.direction);
+  if (Math.abs(denominator) < Math.sin(toRadians(MIN_CROSSING_DEGREES))) return null;
+  const offset = { x: second.point.x - first.point.x, y: second.point.y - first.point.y };
+  const t = cross(offset, second.direction) / denominator;
+  const u = cross(offset, first.direction) / denominator;
+  return { x: first.point.x + first.direction.x * t, y: first.point.y + first.direction.y * t, t, u };
+};
+
+// Monotone chain convex hull, anticlockwise.
+const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const turn = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const build = (list) => {
+    const hull = [];
+    list.forEach((point) => {
+      while (hull.length >= 2 && turn(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+      hull.push(point);
+    });
+    hull.pop();
+    return hull;
+  };
+  return [...build(sorted), ...build([...sorted].reverse())];
+};
+
+const polygonArea = (points) =>
+  Math.abs(points.reduce((sum, point, index) => sum + cross(point, points[(index + 1) % points.length]), 0)) / 2;
+
+const bearingError = (message, reason) => Object.assign(new Error(message), { reason });
+
+/**
+ * Finds where lines drawn from `lines[i].origin` along `lines[i].bearing` (true degrees) meet.
+ * Needs two or more lines. Returns `{ position, crossings, spreadMeters }`: the least-squares
+ * fix, each pair's crossing point ordered around the fix (three lines give the corners of the
+ * error triangle), and the largest distance between crossings. Throws with `reason` `parallel`
+ * when the lines are too close to parallel, or `behind` when the fix lies behind one of the
+ * origins (usually a bearing entered the wrong way round).
+ */
+export const intersectBearingLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    throw bearingError('At least two bearings are needed.', 'count');
+  }
+  const plane = createPlane(lines.map((line) => line.origin));
+  const prepared = lines.map(({ origin, bearing }) => prepareLine(plane, origin, bearing));
+
+  const crossings = [];
+  prepared.forEach((first, i) => {
+    prepared.slice(i + 1).forEach((second) => {
+      const crossing = crossLines(first, second);
+      if (crossing) crossings.push({ x: crossing.x, y: crossing.y });
+    });
+  });
+  if (crossings.length === 0) {
+    throw bearingError('These bearings are too close to parallel to cross. Use features further apart in direction.', 'parallel');
+  }
+
+  // Least squares: the point with the smallest total squared distance to every line.
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  let bx = 0;
+  let by = 0;
+  prepared.forEach(({ point, direction }) => {
+    const normal = { x: direction.y, y: -direction.x };
+    const along = normal.x * point.x + normal.y * point.y;
+    sxx += normal.x * normal.x;
+    sxy += normal.x * normal.y;
+    syy += normal.y * normal.y;
+    bx += normal.x * along;
+    by += normal.y * along;
+  });
+  const determinant = sxx * syy - sxy * sxy;
+  const fix = { x: (bx * syy - by * sxy) / determinant, y: (by * sxx - bx * sxy) / determinant };
+
+  const behind = prepared.some(({ point, direction }) => {
+    const ahead = direction.x * (fix.x - point.x) + direction.y * (fix.y - point.y);
+    return ahead < 0;
+  });
+  if (behind) {
+    throw bearingError('The bearings meet behind one of the points. Check each bearing is entered the right way round.', 'behind');
+  }
+
+  let spreadMeters = 0;
+  crossings.forEach((a, i) => {
+    crossings.slice(i + 1).forEach((b) => {
+      spreadMeters = Math.max(spreadMeters, distance(a, b));
+    });
+  });
+
+  // Ordered around the fix so they can be drawn directly as the error polygon.
+  const ordered = [...crossings].sort(
+    (a, b) => Math.atan2(a.y - fix.y, a.x - fix.x) - Math.atan2(b.y - fix.y, b.x - fix.x)
+  );
+
+  return {
+    position: plane.fromPlane(fix),
+    crossings: ordered.map(plane.fromPlane),
+    spreadMeters
+  };
+};
+
+/** The bearing from the other end of a line: 180° (3200 mils) round from `bearing`. */
+export const backBearing = (bearing) => (bearing == null ? null : (bearing + 180) % 360);
+
+/**
+ * The area the crossing could lie in if each bearing is only good to ±`toleranceDegrees`:
+ * the outline around every crossing of the pairs' outer bearing lines. With two lines this is
+ * the four-sided overlap of their wedges. Returns `{ polygon, areaSquareMeters }`, or null
+ * when the wedges don't close in front of the origins.
+ */
+export const bearingUncertaintyArea = (lines, toleranceDegrees) => {
+  if (!Array.isArray(lines) || lines.length < 2 || !(toleranceDegrees > 0)) return null;
+  const plane = createPlane(lines.map((line) => line.origin));
+  const wedges = lines.map(({ origin, bearing }) => [
+    prepareLine(plane, origin, bearing - toleranceDegrees),
+    prepareLine(plane, origin, bearing + toleranceDegrees)
+  ]);
+  const corners = [];
+  wedges.forEach((first, i) => {
+    wedges.slice(i + 1).forEach((second) => {
+      first.forEach((edge) => {
+        second.forEach((otherEdge) => {
+          const crossing = crossLines(edge, otherEdge);
+          if (crossing && crossing.t > 0 && crossing.u > 0) corners.push({ x: crossing.x, y: crossing.y });
+        });
+      });
+    });
+  });
+  if (corners.length < 3) return null;
+  const hull = convexHull(corners);
+  return { polygon: hull.map(plane.fromPlane), areaSquareMeters: polygonArea(hull) };
+};
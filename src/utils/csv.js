@@ -0,0 +1,339 @@
+import {
+  formatGridReference,
+  getGridSystem,
+  gridReferenceToLatLng,
+  latLngToGridReference,
+  MAX_GRID_PRECISION,
+  MIN_GRID_PRECISION,
+  parseGridReference
+} from './grid.js';
+import { ROUTE_SHARE_VERSION } from './routeUtils.js';
+
+const DELIMITERS = ['\t', ';', ','];
+
+// Header names are compared lower-case with spaces and punctuation removed.
+const COLUMN_ALIASES = {
+  route: ['route', 'leg', 'group'],
+  name: ['name', 'label', 'checkpoint', 'cp', 'title', 'description', 'point'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  easting: ['easting', 'eastings', 'east', 'e'],
+  northing: ['northing', 'northings', 'north', 'n'],
+  gridReference: ['grid', 'gridref', 'gridreference', 'ref', 'reference']
+};
+
+const normaliseHeader = (value) => value.toLowerCase().replace(/[^a-z]/g, '');
+
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] ?? '';
+  const counts = DELIMITERS.map((delimiter) => firstLine.split(delimiter).length - 1);
+  const best = Math.max(...counts);
+  return best > 0 ? DELIMITERS[counts.indexOf(best)] : ',';
+};
+
+/** Splits CSV/TSV text into rows of cells, honouring quoted fields. Blank lines are dropped. */
+export const parseDelimited = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const character = text[index];
+    if (quoted) {
+      if (character === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        cell += character;
+      }
+    } else if (character === '"' && cell === '') {
+      quoted = true;
+    } else if (character === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += character;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.map((cells) => cells.map((value) => value.trim())).filter((cells) => cells.some(Boolean));
+};
+
+const isDecimal = (value) => /^-?\d+(\.\d+)?$/.test(value);
+const isGridDigits = (value) => /^\d{1,5}$/.test(value);
+const isCombinedGridReference = (value) => /^\d{1,5}\s*\d{1,5}$/.test(value) && value.replace(/\s/g, '').length % 2 === 0;
+
+const findHeaderColumns = (headers) => {
+  const normalised = headers.map(normaliseHeader);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    const index = normalised.findIndex((header) => aliases.includes(header));
+    if (index !== -1) columns[key] = index;
+  });
+  return columns;
+};
+
+// Without a header, guess from the first row: text then two numbers is "name, x, y", and
+// whole numbers read as grid digits while decimals read as latitude/longitude.
+const guessColumns = (row) => {
+  const numeric = row.map((value, index) => ({ value, index })).filter(({ value }) => isDecimal(value));
+  const nameIndex = row.findIndex((value) => value && !isDecimal(value) && !isCombinedGridReference(value));
+  const columns = nameIndex !== -1 ? { name: nameIndex } : {};
+  if (numeric.length >= 2) {
+    const [first, second] = numeric;
+    if (isGridDigits(first.value) && isGridDigits(second.value)) {
+      return { ...columns, easting: first.index, northing: second.index };
+    }
+    return { ...columns, lat: first.index, lng: second.index };
+  }
+  const gridIndex = row.findIndex(isCombinedGridReference);
+  return gridIndex !== -1 ? { ...columns, gridReference: gridIndex } : columns;
+};
+
+/**
+ * Works out which columns hold what. Returns `{ columns, hasHeader }`, where `columns` maps
+ * `name`, `route`, `lat`/`lng`, `easting`/`northing` or `gridReference` to cell indices.
+ */
+export const detectCheckpointColumns = (rows) => {
+  const headerColumns = findHeaderColumns(rows[0] ?? []);
+  const hasPosition =
+    (headerColumns.lat != null && headerColumns.lng != null) ||
+    (headerColumns.easting != null && headerColumns.northing != null) ||
+    headerColumns.gridReference != null;
+  if (hasPosition) {
+    return { columns: headerColumns, hasHeader: true };
+  }
+  return { columns: guessColumns(rows[0] ?? []), hasHeader: false };
+};
+
+const readLatLng = (latText, lngText) => {
+  const lat = Number(latText);
+  const lng = Number(lngText);
+  if (!latText || !lngText || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+    throw new Error('Latitude and longitude must be numbers.');
+  }
+  if (lat < -90 || lat > 90) throw new Error('Latitude must be between -90 and 90.');
+  if (lng < -180 || lng > 180) throw new Error('Longitude must be between -180 and 180.');
+  return { lat, lng };
+};
+
+const splitGridReference = (value) => {
+  const compact = value.replace(/\s/g, '');
+  if (!/^\d+$/.test(compact) || compact.length % 2 !== 0) {
+    throw new Error('Grid reference must be an even number of digits.');
+  }
+  return [compact.slice(0, compact.length / 2), compact.slice(compact.length / 2)];
+};
+
+// Grids saved before grid systems existed have no `system` and use the origin-based local grid.
+const usesLocalGrid = (grid) => getGridSystem(grid?.system)?.needsOrigin ?? true;
+
+/**
+ * Reads a CSV/TSV checkpoint list (`grid` is the useGridStore state). A grid reference column
+ * is read in the selected grid system, e.g. "SU 123 456" for British National Grid. On the
+ * local grid, easting/northing digits are converted through the grid origin; spreadsheets
+ * drop leading zeros, so they are padded to the longest value in the file. Returns
+ * `{ columns, rows }`, where each row is `{ line, route, name, position, reference, error }`
+ * and invalid rows carry an `error`.
+ */
+export const readCheckpointCsv = (text, grid) => {
+  const cells = parseDelimited(text);
+  if (cells.length === 0) {
+    throw new Error('This file is empty.');
+  }
+  const { columns, hasHeader } = detectCheckpointColumns(cells);
+  const usesLatLng = columns.lat != null && columns.lng != null;
+  const usesGrid = !usesLatLng && ((columns.easting != null && columns.northing != null) || columns.gridReference != null);
+  if (!usesLatLng && !usesGrid) {
+    throw new Error('Could not find latitude/longitude or easting/northing columns.');
+  }
+  const dataRows = hasHeader ? cells.slice(1) : cells;
+  const firstLine = hasHeader ? 2 : 1;
+  const cell = (row, key) => (columns[key] != null ? row[columns[key]] ?? '' : '');
+  const readsSystemReferences = usesGrid && columns.gridReference != null && !usesLocalGrid(grid);
+
+  const references = dataRows.map((row) => {
+    if (!usesGrid || readsSystemReferences) return null;
+    if (columns.gridReference != null) {
+      try {
+        return splitGridReference(cell(row, 'gridReference'));
+      } catch (err) {
+        return err;
+      }
+    }
+    return [cell(row, 'easting'), cell(row, 'northing')];
+  });
+  const gridDigits = references
+    .filter(Array.isArray)
+    .flat()
+    .filter((value) => /^\d+$/.test(value))
+    .map((value) => value.length);
+  const precision = gridDigits.length > 0 ? Math.max(...gridDigits) : null;
+
+  const rows = dataRows.map((row, index) => {
+    const entry = {
+      line: firstLine + index,
+      route: cell(row, 'route'),
+      name: cell(row, 'name'),
+      position: null,
+      reference: null,
+      error: null
+    };
+    try {
+      if (usesLatLng) {
+        entry.position = readLatLng(cell(row, 'lat'), cell(row, 'lng'));
+        return entry;
+      }
+      if (readsSystemReferences) {
+        const text = cell(row, 'gridReference');
+        const { lat, lng } = parseGridReference(text, grid);
+        entry.reference = text.toUpperCase();
+        entry.position = { lat, lng };
+        return entry;
+      }
+      const reference = references[index];
+      if (reference instanceof Error) throw reference;
+      const [easting, northing] = reference;
+      if (!/^\d+$/.test(easting) || !/^\d+$/.test(northing)) {
+        throw new Error('Easting and northing must contain digits only.');
+      }
+      if (precision < MIN_GRID_PRECISION || precision > MAX_GRID_PRECISION) {
+        throw new Error(`Grid references must be ${MIN_GRID_PRECISION}–${MAX_GRID_PRECISION} digits each.`);
+      }
+      const targetReference = {
+        easting: easting.padStart(precision, '0'),
+        northing: northing.padStart(precision, '0'),
+        precision
+      };
+      entry.reference = `${targetReference.easting} ${targetReference.northing}`;
+      entry.position = gridReferenceToLatLng({
+        origin: grid?.origin,
+        originReference: grid?.originReference,
+        targetReference,
+        precision
+      });
+    } catch (err) {
+      entry.error = err?.message ?? 'Invalid row.';
+    }
+    return entry;
+  });
+
+  return { columns: { ...columns, mode: usesLatLng ? 'latlng' : 'grid' }, rows };
+};
+
+/**
+ * Turns the valid rows into a route share snapshot: one route per `route` value, or a single
+ * route named `fallbackName`. Returns null when no row is usable.
+ */
+export const checkpointRowsToSnapshot = (rows, fallbackName = 'Imported') => {
+  const checkpoints = [];
+  const routes = new Map();
+  rows
+    .filter((row) => row.position && !row.error)
+    .forEach((row) => {
+      const routeName = row.route || fallbackName;
+      if (!routes.has(routeName)) {
+        routes.set(routeName, { name: routeName, isVisible: true, indices: [] });
+      }
+      routes.get(routeName).indices.push(checkpoints.length);
+      checkpoints.push(row.name ? { ...row.position, name: row.name } : row.position);
+    });
+  if (checkpoints.length === 0) return null;
+  return {
+    version: ROUTE_SHARE_VERSION,
+    connectVia: 'direct',
+    checkpoints,
+    routes: Array.from(routes.values())
+  };
+};
+
+const escapeCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes every checkpoint as `route,name,lat,lng`, plus a `grid` column in the selected grid
+ * system, or `easting,northing` on a local grid with its origin set.
+ */
+export const buildCheckpointCsv = ({ checkpointMap, routes, grid }) => {
+  const localGrid = usesLocalGrid(grid);
+  const hasGrid = localGrid && Boolean(grid?.origin && grid?.originReference);
+  const gridColumns = localGrid ? (hasGrid ? ['easting', 'northing'] : []) : ['grid'];
+  const header = ['route', 'name', 'lat', 'lng', ...gridColumns];
+  const lines = routes.flatMap((route) =>
+    (route.items ?? [])
+      .map((id, index) => {
+        const checkpoint = checkpointMap[id];
+        if (!checkpoint?.position) return null;
+        const { lat, lng } = checkpoint.position;
+        const reference = hasGrid
+          ? latLngToGridReference({
+              origin: grid.origin,
+              originReference: grid.originReference,
+              point: checkpoint.position,
+              precision: grid.precision
+            })
+          : null;
+        return [
+          route.name,
+          checkpoint.name || `Point ${index + 1}`,
+          lat.toFixed(6),
+          lng.toFixed(6),
+          ...(reference ? [reference.easting, reference.northing] : []),
+          ...(localGrid ? [] : [formatGridReference(checkpoint.position, grid) ?? ''])
+        ]
+          .map(escapeCell)
+          .join(',');
+      })
+      .filter(Boolean)
+  );
+  return `${[header.join(','), ...lines].join('\n')}\n`;
+};
+
+/**
+ * Writes a nav card (from `buildNavCard`) with one row per leg. Numbers are left unformatted
+ * so the sheet can be re-sorted or summed; bearings are from the card's north reference.
+ */
+export const buildNavCardCsv = (card) => {
+  const header = [
+    'leg',
+    'from',
+    'to',
+    'grid',
+    `bearing_${card.northReference}_deg`,
+    `bearing_${card.northReference}_mils`,
+    'distance_m',
+    'climb_m',
+    'minutes',
+    'total_distance_m',
+    'total_minutes'
+  ];
+  const lines = card.legs.map((leg) =>
+    [
+      leg.leg,
+      leg.from,
+      leg.to,
+      leg.gridReference,
+      leg.bearingDegrees.toFixed(1),
+      leg.bearingMils.toFixed(0),
+      leg.distanceMeters.toFixed(0),
+      leg.climbMeters != null ? leg.climbMeters.toFixed(0) : '',
+      leg.minutes.toFixed(0),
+      leg.cumulativeMeters.toFixed(0),
+      leg.cumulativeMinutes.toFixed(0)
+    ]
+      .map(escapeCell)
+      .join(',')
+  );
+  return `${[header.join(','), ...lines].join('\n')}\n`;
+};
@@ -0,0 +1,46 @@
+/** Saves `content` (a string, Blob or bytes) as a file through a temporary object URL. */
+export const downloadFile = (filename, content, type = 'application/octet-stream') => {
+  if (typeof document === 'undefined') return;
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.rel = 'noopener';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download asynchronously; give them a moment before revoking.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/** Turns a display name into a safe file name stem. */
+export const toFileStem = (name, fallback = 'cadnav') => {
+  const stem = String(name ?? '')
+    .trim()
+    .replace(/[^a-z0-9-_ ]+/gi, '')
+    .replace(/\s+/g, '-')
+    .toLowerCase();
+  return stem || fallback;
+};
+
+/**
+ * Opens the print dialog for a standalone HTML document, using a hidden frame so popup
+ * blockers don't get in the way.
+ */
+export const printHtml = (html) => {
+  if (typeof document === 'undefined') return;
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.onload = () => {
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
@@ -0,0 +1,300 @@
+import { calculateDistance } from '../hooks/useCompass.js';
+import { TILE_CACHE_NAME, buildTileUrl } from './tileCache.js';
+
+const TILE_SIZE = 256;
+// z12 pixels are ~38 m at the equator, close to the SRTM data behind the public DEM tiles.
+const DEM_ZOOM = 12;
+const MAX_CACHED_TILES = 32;
+// DEM noise of a metre or two would otherwise add up to phantom climb on long flat legs.
+const CLIMB_THRESHOLD_METERS = 3;
+// Gradients are measured over at least this run so single noisy pixels don't read as cliffs.
+const GRADIENT_RUN_METERS = 50;
+const MIN_SPACING_METERS = 20;
+const MAX_SAMPLES = 600;
+
+/**
+ * Elevation tiles in the Terrarium encoding (AWS Open Data terrain tiles). Shaped like a map
+ * tile provider so regions can be downloaded for offline use the same way as base layers.
+ */
+export const DEM_PROVIDER = {
+  id: 'terrain',
+  label: 'Terrain heights (elevation profiles)',
+  url: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png',
+  subdomains: [],
+  minZoom: DEM_ZOOM,
+  maxZoom: DEM_ZOOM,
+  encoding: 'terrarium',
+  averageTileBytes: 110000
+};
+
+/** Metres above sea level for one pixel of a `terrarium` or Mapbox `terrain-rgb` tile. */
+export const decodeElevation = (red, green, blue, encoding = 'terrarium') =>
+  encoding === 'terrain-rgb'
+    ? -10000 + (red * 65536 + green * 256 + blue) * 0.1
+    : red * 256 + green + blue / 256 - 32768;
+
+const toWorldPixel = ({ lat, lng }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const latRad = (Math.max(Math.min(lat, 85.0511), -85.0511) * Math.PI) / 180;
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale
+  };
+};
+
+const decodedTiles = new Map();
+
+const readTileResponse = async (url) => {
+  const cache = typeof caches !== 'undefined' ? await caches.open(TILE_CACHE_NAME).catch(() => null) : null;
+  const cached = await cache?.match(url);
+  if (cached) return cached;
+  const response = await fetch(url, { mode: 'cors' });
+  // The tile worker answers missing tiles with an SVG placeholder when offline.
+  if (!response.ok || !(response.headers.get('Content-Type') ?? '').startsWith('image/png')) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  // Keep what was fetched so the same profile still works once signal is lost.
+  await cache?.put(url, response.clone()).catch(() => {});
+  return response;
+};
+
+const decodeTileImage = async (blob, encoding) => {
+  const bitmap = await createImageBitmap(blob);
+  const canvas =
+    typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(bitmap.width, bitmap.height)
+      : Object.assign(document.createElement('canvas'), { width: bitmap.width, height: bitmap.height });
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+  const { data } = context.getImageData(0, 0, TILE_SIZE, TILE_SIZE);
+  const heights = new Float32Array(TILE_SIZE * TILE_SIZE);
+  for (let index = 0; index < heights.length; index += 1) {
+    heights[index] = decodeElevation(data[index * 4], data[index * 4 + 1], data[index * 4 + 2], encoding);
+  }
+  return heights;
+};
+
+// Resolves to the tile's heights, or null when it can't be fetched (offline and not cached).
+const loadTile = (tile, provider) => {
+  const url = buildTileUrl(provider.url, provider.subdomains, tile);
+  if (!decodedTiles.has(url)) {
+    const pending = readTileResponse(url)
+      .then(async (response) => decodeTileImage(await response.blob(), provider.encoding))
+      .catch(() => {
+        // Forget failures so the tile is retried next time.
+        decodedTiles.delete(url);
+        return null;
+      });
+    decodedTiles.set(url, pending);
+    if (decodedTiles.size > MAX_CACHED_TILES) {
+      decodedTiles.delete(decodedTiles.keys().next().value);
+    }
+  }
+  return decodedTiles.get(url);
+};
+
+/**
+ * Looks up the ground height at each position, interpolating between the four nearest DEM
+ * pixels. Resolves to an array of metres in the same order, with null where no tile was
+ * available.
+ */
+export const sampleElevations = async (positions, provider = DEM_PROVIDER) => {
+  const zoom = provider.maxZoom;
+  const tileCount = 2 ** zoom;
+  const tileKey = (x, y) => `${x}/${y}`;
+  const corners = positions.map((position) => {
+    const pixel = toWorldPixel(position, zoom);
+    // Pixel values describe their centres.
+    const x = pixel.x - 0.5;
+    const y = pixel.y - 0.5;
+    return { x0: Math.floor(x), y0: Math.floor(y), fx: x - Math.floor(x), fy: y - Math.floor(y) };
+  });
+
+  const needed = new Map();
+  corners.forEach(({ x0, y0 }) => {
+    [x0, x0 + 1].forEach((px) =>
+      [y0, y0 + 1].forEach((py) => {
+        const x = ((Math.floor(px / TILE_SIZE) % tileCount) + tileCount) % tileCount;
+        const y = Math.min(Math.max(Math.floor(py / TILE_SIZE), 0), tileCount - 1);
+        needed.set(tileKey(x, y), { x, y, z: zoom });
+      })
+    );
+  });
+  const loaded = new Map();
+  await Promise.all(
+    [...needed.entries()].map(async ([key, tile]) => loaded.set(key, await loadTile(tile, provider)))
+  );
+
+  const heightAt = (px, py) => {
+    const x = ((Math.floor(px / TILE_SIZE) % tileCount) + tileCount) % tileCount;
+    const y = Math.min(Math.max(Math.floor(py / TILE_SIZE), 0), tileCount - 1);
+    const heights = loaded.get(tileKey(x, y));
+    if (!heights) return null;
+    const column = ((px % TILE_SIZE) + TILE_SIZE) % TILE_SIZE;
+    const row = Math.min(Math.max(py - y * TILE_SIZE, 0), TILE_SIZE - 1);
+    return heights[row * TILE_SIZE + column];
+  };
+
+  return corners.map(({ x0, y0, fx, fy }) => {
+    const values = [heightAt(x0, y0), heightAt(x0 + 1, y0), heightAt(x0, y0 + 1), heightAt(x0 + 1, y0 + 1)];
+    if (values.some((value) => value === null)) return null;
+    const top = values[0] * (1 - fx) + values[1] * fx;
+    const bottom = values[2] * (1 - fx) + values[3] * fx;
+    return top * (1 - fy) + bottom * fy;
+  });
+};
+
+const interpolate = (from, to, fraction) => ({
+  lat: from.lat + (to.lat - from.lat) * fraction,
+  lng: from.lng + (to.lng - from.lng) * fraction
+});
+
+// Leg `index` follows `paths[index]` when it has two or more positions, else a straight line.
+const legPath = (points, paths, index) =>
+  paths[index]?.length >= 2 ? paths[index] : [points[index].position, points[index + 1].position];
+
+const pathLength = (path) =>
+  path.slice(1).reduce((total, position, index) => total + calculateDistance(path[index], position), 0);
+
+// The position `target` metres along `path`.
+const positionAlong = (path, target) => {
+  let start = 0;
+  for (let index = 1; index < path.length; index += 1) {
+    const length = calculateDistance(path[index - 1], path[index]);
+    if (start + length >= target || index === path.length - 1) {
+      return interpolate(path[index - 1], path[index], length > 0 ? Math.min((target - start) / length, 1) : 0);
+    }
+    start += length;
+  }
+  return path[0];
+};
+
+/**
+ * Positions every `spacingMeters` or so along the legs between `points` (`[{ position }]`), as
+ * `{ leg, position, distanceMeters }` with distance measured from the first point. A leg
+ * follows `paths[leg]` (`{ lat, lng }` positions, e.g. its routed geometry) when given, and a
+ * straight line otherwise. Each leg includes both of its ends, so the point between two legs
+ * appears twice.
+ */
+export const sampleLegs = (points, spacingMeters, paths = []) =>
+  points.slice(1).reduce(
+    ({ samples, travelled }, _, index) => {
+      const path = legPath(points, paths, index);
+      const length = pathLength(path);
+      const steps = Math.max(1, Math.ceil(length / spacingMeters));
+      for (let step = 0; step <= steps; step += 1) {
+        samples.push({
+          leg: index,
+          position: positionAlong(path, (length * step) / steps),
+          distanceMeters: travelled + (length * step) / steps
+        });
+      }
+      return { samples, travelled: travelled + length };
+    },
+    { samples: [], travelled: 0 }
+  ).samples;
+
+// Ascent and descent with small wobbles ignored: height only counts once it has moved
+// `CLIMB_THRESHOLD_METERS` from the last level that counted.
+const climbTotals = (elevations) => {
+  let ascent = 0;
+  let descent = 0;
+  let anchor = null;
+  elevations.forEach((elevation) => {
+    if (elevation === null) return;
+    if (anchor === null) {
+      anchor = elevation;
+    } else if (elevation - anchor >= CLIMB_THRESHOLD_METERS) {
+      ascent += elevation - anchor;
+      anchor = elevation;
+    } else if (anchor - elevation >= CLIMB_THRESHOLD_METERS) {
+      descent += anchor - elevation;
+      anchor = elevation;
+    }
+  });
+  return { ascentMeters: ascent, descentMeters: descent };
+};
+
+// Steepest rise or fall over `GRADIENT_RUN_METERS`, as a signed fraction (0.12 = 12 % uphill).
+const steepestGradient = (samples) => {
+  let steepest = 0;
+  let end = 0;
+  samples.forEach((start, index) => {
+    if (start.elevation === null) return;
+    end = Math.max(end, index + 1);
+    while (end < samples.length && samples[end].distanceMeters - start.distanceMeters < GRADIENT_RUN_METERS) {
+      end += 1;
+    }
+    // Legs shorter than the run are measured end to end.
+    const finish = samples[Math.min(end, samples.length - 1)];
+    const run = finish.distanceMeters - start.distanceMeters;
+    if (finish === start || finish.elevation === null || run <= 0) return;
+    const gradient = (finish.elevation - start.elevation) / run;
+    if (Math.abs(gradient) > Math.abs(steepest)) steepest = gradient;
+  });
+  return steepest;
+};
+
+/**
+ * Builds a height profile along the legs between `points` (`[{ id, name, position }]`),
+ * following `paths` per leg as in `sampleLegs` (straight lines where none is given). Resolves to `{ samples, legs, totals }`: `samples` are `{ leg, position, distanceMeters,
+ * elevation }` for the chart and map, `legs` carry `{ fromId, toId, from, to, distanceMeters,
+ * ascentMeters, descentMeters, maxGradient, complete }`, and `totals` add up ascent and descent
+ * with the lowest and highest points. Rejects when no elevation data could be loaded at all.
+ */
+export const buildElevationProfile = async (points, { provider = DEM_PROVIDER, paths = [] } = {}) => {
+  if (points.length < 2) {
+    throw new Error('Add at least two checkpoints to see an elevation profile.');
+  }
+  const legLengths = points.slice(1).map((_, index) => pathLength(legPath(points, paths, index)));
+  const length = legLengths.reduce((total, legLength) => total + legLength, 0);
+  const spacing = Math.max(MIN_SPACING_METERS, length / MAX_SAMPLES);
+  const positions = sampleLegs(points, spacing, paths);
+  const elevations = await sampleElevations(
+    positions.map((sample) => sample.position),
+    provider
+  );
+  const samples = positions.map((sample, index) => ({
+    ...sample,
+    elevation: elevations[index] === null ? null : Math.round(elevations[index] * 10) / 10
+  }));
+  const known = samples.filter((sample) => sample.elevation !== null);
+  if (known.length === 0) {
+    throw new Error('No elevation data for this area. Connect once, or download a terrain region for offline use.');
+  }
+
+  const legs = points.slice(1).map((to, index) => {
+    const from = points[index];
+    const legSamples = samples.filter((sample) => sample.leg === index);
+    return {
+      leg: index + 1,
+      fromId: from.id,
+      toId: to.id,
+      from: from.name,
+      to: to.name,
+      distanceMeters: legLengths[index],
+      ...climbTotals(legSamples.map((sample) => sample.elevation)),
+      maxGradient: steepestGradient(legSamples),
+      complete: legSamples.every((sample) => sample.elevation !== null)
+    };
+  });
+
+  const heights = known.map((sample) => sample.elevation);
+  return {
+    samples,
+    legs,
+    totals: {
+      distanceMeters: length,
+      ascentMeters: legs.reduce((total, leg) => total + leg.ascentMeters, 0),
+      descentMeters: legs.reduce((total, leg) => total + leg.descentMeters, 0),
+      minElevation: Math.min(...heights),
+      maxElevation: Math.max(...heights)
+    },
+    complete: known.length === samples.length
+  };
+};
+
+/** Formats a signed gradient fraction as "12 %" / "−8 %". */
+export const formatGradient = (gradient) =>
+  `${gradient < 0 ? '−' : ''}${Math.round(Math.abs(gradient) * 100)} %`;
@@ -179,3 +179,613 @@ export const latLngToGridReference = ({
     precision: resolvedPrecision
   };
 };
+
+// --- Transverse Mercator ---
+// Krüger series to fourth order in n (sub-millimetre inside a UTM zone), shared by every
+// projected grid. Angles in radians inside, degrees at the edges.
+
+export const WGS84 = { a: 6378137, f: 1 / 298.257223563 };
+
+const createTransverseMercator = ({ ellipsoid, scale, falseEasting, falseNorthing, originLat = 0 }) => {
+  const { a, f } = ellipsoid;
+  const e = Math.sqrt(f * (2 - f));
+  const n = f / (2 - f);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const n4 = n3 * n;
+  const A = (a / (1 + n)) * (1 + n2 / 4 + n4 / 64);
+  const alpha = [
+    n / 2 - (2 * n2) / 3 + (5 * n3) / 16 + (41 * n4) / 180,
+    (13 * n2) / 48 - (3 * n3) / 5 + (557 * n4) / 1440,
+    (61 * n3) / 240 - (103 * n4) / 140,
+    (49561 * n4) / 161280
+  ];
+  const beta = [
+    n / 2 - (2 * n2) / 3 + (37 * n3) / 96 - n4 / 360,
+    n2 / 48 + n3 / 15 - (437 * n4) / 1440,
+    (17 * n3) / 480 - (37 * n4) / 840,
+    (4397 * n4) / 161280
+  ];
+
+  const conformalTangent = (phi) => {
+    const sinPhi = Math.sin(phi);
+    return Math.sinh(Math.atanh(sinPhi) - e * Math.atanh(e * sinPhi));
+  };
+
+  const project = (phi, lambda) => {
+    const t = conformalTangent(phi);
+    const xiPrime = Math.atan2(t, Math.cos(lambda));
+    const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+    let xi = xiPrime;
+    let eta = etaPrime;
+    alpha.forEach((coefficient, index) => {
+      const j2 = 2 * (index + 1);
+      xi += coefficient * Math.sin(j2 * xiPrime) * Math.cosh(j2 * etaPrime);
+      eta += coefficient * Math.cos(j2 * xiPrime) * Math.sinh(j2 * etaPrime);
+    });
+    return { x: scale * A * eta, y: scale * A * xi };
+  };
+
+  const originNorthing = project(toRadians(originLat), 0).y;
+
+  return {
+    forward: ({ lat, lng }, centralMeridian) => {
+      const { x, y } = project(toRadians(lat), toRadians(lng - centralMeridian));
+      return { easting: falseEasting + x, northing: falseNorthing + y - originNorthing };
+    },
+    inverse: ({ easting, northing }, centralMeridian) => {
+      const xi = (northing - falseNorthing + originNorthing) / (scale * A);
+      const eta = (easting - falseEasting) / (scale * A);
+      let xiPrime = xi;
+      let etaPrime = eta;
+      beta.forEach((coefficient, index) => {
+        const j2 = 2 * (index + 1);
+        xiPrime -= coefficient * Math.sin(j2 * xi) * Math.cosh(j2 * eta);
+        etaPrime -= coefficient * Math.cos(j2 * xi) * Math.sinh(j2 * eta);
+      });
+      const tauPrime = Math.sin(xiPrime) / Math.sqrt(Math.sinh(etaPrime) ** 2 + Math.cos(xiPrime) ** 2);
+      // Newton's method from conformal back to geodetic latitude; converges in 2–3 steps.
+      let tau = tauPrime;
+      for (let step = 0; step < 6; step += 1) {
+        const sigma = Math.sinh(e * Math.atanh((e * tau) / Math.sqrt(1 + tau * tau)));
+        const tauPrimeGuess = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+        const delta =
+          ((tauPrime - tauPrimeGuess) / Math.sqrt(1 + tauPrimeGuess * tauPrimeGuess)) *
+          ((1 + (1 - e * e) * tau * tau) / ((1 - e * e) * Math.sqrt(1 + tau * tau)));
+        tau += delta;
+        if (Math.abs(delta) < 1e-12) break;
+      }
+      return {
+        lat: toDegrees(Math.atan(tau)),
+        lng: normalizeLongitude(centralMeridian + toDegrees(Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime))))
+      };
+    }
+  };
+};
+
+// --- UTM / MGRS ---
+
+const UTM_PROJECTIONS = {
+  N: createTransverseMercator({ ellipsoid: WGS84, scale: 0.9996, falseEasting: 500000, falseNorthing: 0 }),
+  S: createTransverseMercator({ ellipsoid: WGS84, scale: 0.9996, falseEasting: 500000, falseNorthing: 10000000 })
+};
+
+const LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWXX';
+const MGRS_COLUMN_SETS = ['STUVWXYZ', 'ABCDEFGH', 'JKLMNPQR'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+const MIN_UTM_LAT = -80;
+const MAX_UTM_LAT = 84;
+
+const centralMeridianOf = (zone) => (zone - 1) * 6 - 180 + 3;
+
+const assertUtmLatitude = (lat) => {
+  if (!Number.isFinite(lat) || lat < MIN_UTM_LAT || lat > MAX_UTM_LAT) {
+    throw new Error('UTM and MGRS cover latitudes from 80°S to 84°N only.');
+  }
+};
+
+const latitudeBandOf = (lat) => LATITUDE_BANDS[Math.floor((lat - MIN_UTM_LAT) / 8)];
+
+// Zones are 6° wide apart from the widened 32V over south-west Norway and the Svalbard zones.
+const utmZoneOf = (lat, lng) => {
+  let zone = Math.floor((normalizeLongitude(lng) + 180) / 6) + 1;
+  if (zone > 60) zone = 60;
+  if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) return 32;
+  if (lat >= 72) {
+    if (lng >= 0 && lng < 9) return 31;
+    if (lng >= 9 && lng < 21) return 33;
+    if (lng >= 21 && lng < 33) return 35;
+    if (lng >= 33 && lng < 42) return 37;
+  }
+  return zone;
+};
+
+/** Projects a WGS84 position to `{ zone, band, hemisphere, easting, northing }` in metres. */
+export const latLngToUtm = ({ lat, lng }) => {
+  assertUtmLatitude(lat);
+  const zone = utmZoneOf(lat, lng);
+  const hemisphere = lat >= 0 ? 'N' : 'S';
+  const { easting, northing } = UTM_PROJECTIONS[hemisphere].forward({ lat, lng }, centralMeridianOf(zone));
+  return { zone, band: latitudeBandOf(lat), hemisphere, easting, northing };
+};
+
+/** Converts UTM metres back to WGS84. `hemisphere` is 'N' or 'S'. */
+export const utmToLatLng = ({ zone, hemisphere, easting, northing }) => {
+  if (!Number.isInteger(zone) || zone < 1 || zone > 60) {
+    throw new Error('UTM zone must be between 1 and 60.');
+  }
+  if (!Number.isFinite(easting) || !Number.isFinite(northing)) {
+    throw new Error('UTM easting and northing must be numbers.');
+  }
+  return UTM_PROJECTIONS[hemisphere === 'S' ? 'S' : 'N'].inverse({ easting, northing }, centralMeridianOf(zone));
+};
+
+const truncateTo = (value, precision) => Math.floor(value / precisionToUnitMeters(precision));
+
+/**
+ * Returns the MGRS reference for a position as `{ zone, band, square, easting, northing,
+ * precision, text }`, with `precision` digits (1–5) per axis, e.g. "33UXP 123 678".
+ * Digits are truncated, as on a map sheet, so the reference names the square the point is in.
+ */
+export const latLngToMgrs = (point, precision = 5) => {
+  const digits = clampPrecision(precision);
+  const { zone, band, easting, northing } = latLngToUtm(point);
+  const column = MGRS_COLUMN_SETS[zone % 3][Math.floor(easting / 100000) - 1];
+  const rowOffset = zone % 2 === 0 ? 5 : 0;
+  const row = MGRS_ROW_LETTERS[(Math.floor(northing / 100000) + rowOffset) % MGRS_ROW_LETTERS.length];
+  const pad = (value) => truncateTo(value % 100000, digits).toString().padStart(digits, '0');
+  const result = {
+    zone,
+    band,
+    square: `${column}${row}`,
+    easting: pad(easting),
+    northing: pad(northing),
+    precision: digits
+  };
+  return { ...result, text: `${zone}${band}${result.square} ${result.easting} ${result.northing}` };
+};
+
+const MGRS_PATTERN = /^(?:(\d{1,2})\s*([C-HJ-NP-X])\s*)?([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/;
+
+/**
+ * Reads an MGRS reference such as "33UXP 12345 67890", "33UXP1234567890" or, given a nearby
+ * position in `near` to supply the zone, just "XP 123 678". Resolves to the south-west corner
+ * of the referenced square as `{ lat, lng, precision }`.
+ */
+export const mgrsToLatLng = (text, { near } = {}) => {
+  const match = MGRS_PATTERN.exec(String(text ?? '').trim().toUpperCase());
+  if (!match) {
+    throw new Error('Enter an MGRS reference like 33UXP 12345 67890.');
+  }
+  let [, zoneText, band, column, row, eastText, northText] = match;
+  if (!zoneText) {
+    if (!near) throw new Error('Add the grid zone (e.g. 33U) to this reference.');
+    const nearby = latLngToUtm(near);
+    zoneText = String(nearby.zone);
+    band = nearby.band;
+  }
+  // Digits may be written as one run ("1234567890") or as two groups.
+  if (!northText && eastText) {
+    if (eastText.length % 2 !== 0) throw new Error('MGRS easting and northing need the same number of digits.');
+    northText = eastText.slice(eastText.length / 2);
+    eastText = eastText.slice(0, eastText.length / 2);
+  }
+  if (eastText.length !== northText.length) {
+    throw new Error('MGRS easting and northing need the same number of digits.');
+  }
+  const precision = eastText.length;
+  if (precision < MIN_GRID_PRECISION || precision > MAX_GRID_PRECISION) {
+    throw new Error(`MGRS references need ${MIN_GRID_PRECISION}–${MAX_GRID_PRECISION} digits each for easting and northing.`);
+  }
+  const zone = Number(zoneText);
+  if (zone < 1 || zone > 60) {
+    throw new Error('MGRS zone must be between 1 and 60.');
+  }
+  const columnIndex = MGRS_COLUMN_SETS[zone % 3].indexOf(column);
+  if (columnIndex === -1) {
+    throw new Error(`${column}${row} is not a valid 100 km square in zone ${zone}.`);
+  }
+  const unit = precisionToUnitMeters(precision);
+  const easting = (columnIndex + 1) * 100000 + Number(eastText) * unit;
+  const rowOffset = zone % 2 === 0 ? 5 : 0;
+  const rowNorthing =
+    ((MGRS_ROW_LETTERS.indexOf(row) - rowOffset + MGRS_ROW_LETTERS.length) % MGRS_ROW_LETTERS.length) * 100000;
+
+  // Row letters repeat every 2,000 km; the latitude band says which repeat is meant.
+  const bandIndex = LATITUDE_BANDS.indexOf(band);
+  const bandSouth = MIN_UTM_LAT + bandIndex * 8;
+  const hemisphere = bandSouth >= 0 ? 'N' : 'S';
+  const bandNorthing = UTM_PROJECTIONS[hemisphere].forward({ lat: bandSouth, lng: 0 }, 0).northing;
+  let northing = rowNorthing + Number(northText) * unit;
+  // Allow a little slack: at the zone edges a band's lowest northing sits below the meridian's.
+  while (northing < bandNorthing - 100000) northing += 2000000;
+
+  const position = utmToLatLng({ zone, hemisphere, easting, northing });
+  return { ...position, precision };
+};
+
+const UTM_PATTERN = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*(?:M?E)?\s+(\d+(?:\.\d+)?)\s*(?:M?N)?$/;
+
+/** Formats a position as UTM, e.g. "33U 512345 5467890" (zone, latitude band, metres). */
+export const formatUtm = (point) => {
+  const { zone, band, easting, northing } = latLngToUtm(point);
+  return `${zone}${band} ${Math.floor(easting)} ${Math.floor(northing)}`;
+};
+
+/**
+ * Reads UTM written as zone + latitude band and metres, e.g. "33U 512345 5467890". The letter
+ * is read as a latitude band (as GPS units show it), so "33S" means band S, north of the equator.
+ */
+export const utmTextToLatLng = (text) => {
+  const match = UTM_PATTERN.exec(String(text ?? '').trim().toUpperCase());
+  if (!match) {
+    throw new Error('Enter UTM like 33U 512345 5467890.');
+  }
+  const [, zoneText, band, eastText, northText] = match;
+  return utmToLatLng({
+    zone: Number(zoneText),
+    hemisphere: LATITUDE_BANDS.indexOf(band) >= 10 ? 'N' : 'S',
+    easting: Number(eastText),
+    northing: Number(northText)
+  });
+};
+
+// --- National grids (British and Irish) ---
+// Both sit on older local datums, so WGS84 positions are moved across with a seven-parameter
+// Helmert transformation (good to about 5 m) before being projected.
+
+const ARCSECONDS_TO_RADIANS = Math.PI / (180 * 3600);
+
+const AIRY_1830 = { a: 6377563.396, f: (6377563.396 - 6356256.909) / 6377563.396 };
+const AIRY_MODIFIED = { a: 6377340.189, f: (6377340.189 - 6356034.448) / 6377340.189 };
+
+// WGS84 → local datum: translations in metres, scale in ppm, rotations in arcseconds.
+const OSGB36_HELMERT = { tx: -446.448, ty: 125.157, tz: -542.06, s: 20.4894, rx: -0.1502, ry: -0.247, rz: -0.8421 };
+const IRELAND_1965_HELMERT = { tx: -482.53, ty: 130.596, tz: -564.557, s: -8.15, rx: 1.042, ry: 0.214, rz: 0.631 };
+
+const toCartesian = ({ lat, lng }, { a, f }) => {
+  const phi = toRadians(lat);
+  const lambda = toRadians(lng);
+  const eSquared = f * (2 - f);
+  const nu = a / Math.sqrt(1 - eSquared * Math.sin(phi) ** 2);
+  return {
+    x: nu * Math.cos(phi) * Math.cos(lambda),
+    y: nu * Math.cos(phi) * Math.sin(lambda),
+    z: nu * (1 - eSquared) * Math.sin(phi)
+  };
+};
+
+const fromCartesian = ({ x, y, z }, { a, f }) => {
+  const eSquared = f * (2 - f);
+  const p = Math.sqrt(x * x + y * y);
+  let phi = Math.atan2(z, p * (1 - eSquared));
+  for (let step = 0; step < 10; step += 1) {
+    const nu = a / Math.sqrt(1 - eSquared * Math.sin(phi) ** 2);
+    const next = Math.atan2(z + eSquared * nu * Math.sin(phi), p);
+    if (Math.abs(next - phi) < 1e-12) {
+      phi = next;
+      break;
+    }
+    phi = next;
+  }
+  return { lat: toDegrees(phi), lng: toDegrees(Math.atan2(y, x)) };
+};
+
+// Position-vector Helmert; `direction` -1 applies the reverse transformation.
+const applyHelmert = ({ x, y, z }, { tx, ty, tz, s, rx, ry, rz }, direction = 1) => {
+  const scale = 1 + direction * s * 1e-6;
+  const [rX, rY, rZ] = [rx, ry, rz].map((value) => direction * value * ARCSECONDS_TO_RADIANS);
+  return {
+    x: direction * tx + scale * x - rZ * y + rY * z,
+    y: direction * ty + rZ * x + scale * y - rX * z,
+    z: direction * tz - rY * x + rX * y + scale * z
+  };
+};
+
+const NATIONAL_GRID_LETTERS = 'ABCDEFGHJKLMNOPQRSTUVWXYZ';
+
+// 100 km squares are lettered on a 5×5 grid without I. Britain adds a leading 500 km letter.
+const NATIONAL_GRIDS = {
+  bng: {
+    name: 'British National Grid',
+    example: 'SU 12345 67890',
+    ellipsoid: AIRY_1830,
+    helmert: OSGB36_HELMERT,
+    projection: createTransverseMercator({
+      ellipsoid: AIRY_1830,
+      scale: 0.9996012717,
+      falseEasting: 400000,
+      falseNorthing: -100000,
+      originLat: 49
+    }),
+    centralMeridian: -2,
+    extent: { easting: 700000, northing: 1300000 },
+    squareOf: (e100k, n100k) => {
+      const major = NATIONAL_GRID_LETTERS[(3 - Math.floor(n100k / 5)) * 5 + Math.floor(e100k / 5) + 2];
+      const minor = NATIONAL_GRID_LETTERS[(4 - (n100k % 5)) * 5 + (e100k % 5)];
+      return `${major}${minor}`;
+    },
+    offsetOf: (square) => {
+      const [major, minor] = [...square].map((letter) => NATIONAL_GRID_LETTERS.indexOf(letter));
+      if (square.length !== 2 || major === -1 || minor === -1) return null;
+      return {
+        e100k: ((major % 5) - 2) * 5 + (minor % 5),
+        n100k: (3 - Math.floor(major / 5)) * 5 + 4 - Math.floor(minor / 5)
+      };
+    }
+  },
+  irish: {
+    name: 'Irish Grid',
+    example: 'O 12345 67890',
+    ellipsoid: AIRY_MODIFIED,
+    helmert: IRELAND_1965_HELMERT,
+    projection: createTransverseMercator({
+      ellipsoid: AIRY_MODIFIED,
+      scale: 1.000035,
+      falseEasting: 200000,
+      falseNorthing: 250000,
+      originLat: 53.5
+    }),
+    centralMeridian: -8,
+    extent: { easting: 500000, northing: 500000 },
+    squareOf: (e100k, n100k) => NATIONAL_GRID_LETTERS[(4 - n100k) * 5 + e100k],
+    offsetOf: (square) => {
+      const index = NATIONAL_GRID_LETTERS.indexOf(square);
+      if (square.length !== 1 || index === -1) return null;
+      return { e100k: index % 5, n100k: 4 - Math.floor(index / 5) };
+    }
+  }
+};
+
+const nationalGridMetres = (point, grid) =>
+  grid.projection.forward(
+    fromCartesian(applyHelmert(toCartesian(point, WGS84), grid.helmert), grid.ellipsoid),
+    grid.centralMeridian
+  );
+
+const nationalGridLatLng = (metres, grid) =>
+  fromCartesian(
+    applyHelmert(toCartesian(grid.projection.inverse(metres, grid.centralMeridian), grid.ellipsoid), grid.helmert, -1),
+    WGS84
+  );
+
+const toNationalGrid = (point, grid, precision) => {
+  const digits = clampPrecision(precision);
+  const { easting, northing } = nationalGridMetres(point, grid);
+  if (easting < 0 || northing < 0 || easting >= grid.extent.easting || northing >= grid.extent.northing) {
+    throw new Error(`This position is outside the ${grid.name}.`);
+  }
+  const pad = (value) => truncateTo(value % 100000, digits).toString().padStart(digits, '0');
+  const square = grid.squareOf(Math.floor(easting / 100000), Math.floor(northing / 100000));
+  const result = { square, easting: pad(easting), northing: pad(northing), precision: digits };
+  return { ...result, text: `${square} ${result.easting} ${result.northing}` };
+};
+
+const fromNationalGrid = (text, grid) => {
+  const match = /^([A-Z]{1,2})\s*(\d*)\s*(\d*)$/.exec(String(text ?? '').trim().toUpperCase());
+  const offset = match ? grid.offsetOf(match[1]) : null;
+  const inExtent =
+    offset &&
+    offset.e100k >= 0 &&
+    offset.n100k >= 0 &&
+    offset.e100k * 100000 < grid.extent.easting &&
+    offset.n100k * 100000 < grid.extent.northing;
+  if (!inExtent) {
+    throw new Error(`Enter a ${grid.name} reference like ${grid.example}.`);
+  }
+  let [, , eastText, northText] = match;
+  if (!northText) {
+    if (eastText.length % 2 !== 0) throw new Error('Easting and northing need the same number of digits.');
+    northText = eastText.slice(eastText.length / 2);
+    eastText = eastText.slice(0, eastText.length / 2);
+  }
+  if (eastText.length !== northText.length) {
+    throw new Error('Easting and northing need the same number of digits.');
+  }
+  const precision = eastText.length;
+  if (precision < MIN_GRID_PRECISION || precision > MAX_GRID_PRECISION) {
+    throw new Error(`${grid.name} references need ${MIN_GRID_PRECISION}–${MAX_GRID_PRECISION} digits each for easting and northing.`);
+  }
+  const unit = precisionToUnitMeters(precision);
+  const position = nationalGridLatLng(
+    {
+      easting: offset.e100k * 100000 + Number(eastText) * unit,
+      northing: offset.n100k * 100000 + Number(northText) * unit
+    },
+    grid
+  );
+  return { ...position, precision };
+};
+
+/** Ordnance Survey grid reference for a WGS84 position, e.g. "SU 123 456" at precision 3. */
+export const latLngToBritishGrid = (point, precision = 5) => toNationalGrid(point, NATIONAL_GRIDS.bng, precision);
+
+/** Reads "SU 12345 67890" (or "SU1234567890") to the square's south-west corner in WGS84. */
+export const britishGridToLatLng = (text) => fromNationalGrid(text, NATIONAL_GRIDS.bng);
+
+/** Irish Grid reference for a WGS84 position, e.g. "O 123 456" at precision 3. */
+export const latLngToIrishGrid = (point, precision = 5) => toNationalGrid(point, NATIONAL_GRIDS.irish, precision);
+
+/** Reads "O 12345 67890" to the square's south-west corner in WGS84. */
+export const irishGridToLatLng = (text) => fromNationalGrid(text, NATIONAL_GRIDS.irish);
+
+// --- Grid systems ---
+
+export const GRID_SYSTEMS = [
+  { id: 'mgrs', label: 'MGRS', needsOrigin: false },
+  { id: 'utm', label: 'UTM', needsOrigin: false },
+  { id: 'bng', label: 'British (OSGB)', needsOrigin: false },
+  { id: 'irish', label: 'Irish Grid', needsOrigin: false },
+  { id: 'local', label: 'Local grid', needsOrigin: true }
+];
+
+export const DEFAULT_GRID_SYSTEM = 'mgrs';
+
+export const getGridSystem = (id) => GRID_SYSTEMS.find((system) => system.id === id) ?? null;
+
+/**
+ * Formats a position in the grid's selected system (`grid` is the useGridStore state).
+ * Returns null when it can't be expressed, e.g. a local grid without an origin or a position
+ * outside UTM coverage.
+ */
+export const formatGridReference = (point, grid) => {
+  if (!point) return null;
+  try {
+    switch (grid?.system ?? DEFAULT_GRID_SYSTEM) {
+      case 'utm':
+        return formatUtm(point);
+      case 'bng':
+        return latLngToBritishGrid(point, grid.precision ?? 5).text;
+      case 'irish':
+        return latLngToIrishGrid(point, grid.precision ?? 5).text;
+      case 'local': {
+        if (!grid.origin || !grid.originReference) return null;
+        const reference = latLngToGridReference({
+          origin: grid.origin,
+          originReference: grid.originReference,
+          point,
+          precision: grid.precision
+        });
+        return `${reference.easting} ${reference.northing}`;
+      }
+      default:
+        return latLngToMgrs(point, grid?.precision ?? 5).text;
+    }
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Reads a reference typed in the grid's selected system and resolves it to `{ lat, lng }`.
+ * Local grid references are "easting northing" digit pairs; `near` lets MGRS references
+ * leave out the zone. Throws with a message suitable for the user.
+ */
+export const parseGridReference = (text, grid, { near } = {}) => {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) {
+    throw new Error('Enter a grid reference.');
+  }
+  switch (grid?.system ?? DEFAULT_GRID_SYSTEM) {
+    case 'utm':
+      return utmTextToLatLng(trimmed);
+    case 'bng':
+      return britishGridToLatLng(trimmed);
+    case 'irish':
+      return irishGridToLatLng(trimmed);
+    case 'local': {
+      const parts = trimmed.split(/[\s,/]+/);
+      const [easting, northing] =
+        parts.length === 2 ? parts : [trimmed.slice(0, trimmed.length / 2), trimmed.slice(trimmed.length / 2)];
+      if (!/^\d+$/.test(easting) || !/^\d+$/.test(northing) || easting.length !== northing.length) {
+        throw new Error('Enter the easting and northing with the same number of digits.');
+      }
+      return gridReferenceToLatLng({
+        origin: grid.origin,
+        originReference: grid.originReference,
+        targetReference: { easting, northing, precision: easting.length },
+        precision: easting.length
+      });
+    }
+    default:
+      return mgrsToLatLng(trimmed, { near });
+  }
+};
+
+// --- Grid lines ---
+
+const MAX_LINE_ZONES = 6;
+
+const utmLineZone = (zone, hemisphere) => ({
+  west: -180 + (zone - 1) * 6,
+  east: -180 + zone * 6,
+  extent: null,
+  forward: (point) => UTM_PROJECTIONS[hemisphere].forward(point, centralMeridianOf(zone)),
+  inverse: (metres) => UTM_PROJECTIONS[hemisphere].inverse(metres, centralMeridianOf(zone))
+});
+
+const nationalLineZone = (grid) => ({
+  west: -180,
+  east: 180,
+  extent: grid.extent,
+  forward: (point) => nationalGridMetres(point, grid),
+  inverse: (metres) => nationalGridLatLng(metres, grid)
+});
+
+// The local grid is the same flat offset as latLngToGridReference, with the origin's digits
+// scaled up to metres so lines can be drawn like any other grid.
+const localLineZone = ({ origin, originReference }) => {
+  const unit = precisionToUnitMeters(originReference.precision ?? 3);
+  const metresPerDegreeLat = (Math.PI * EARTH_RADIUS_METERS) / 180;
+  const metresPerDegreeLng = metresPerDegreeLat * Math.cos(toRadians(origin.lat));
+  const baseEasting = Number(originReference.easting) * unit;
+  const baseNorthing = Number(originReference.northing) * unit;
+  return {
+    west: -180,
+    east: 180,
+    extent: null,
+    unit,
+    forward: ({ lat, lng }) => ({
+      easting: baseEasting + (lng - origin.lng) * metresPerDegreeLng,
+      northing: baseNorthing + (lat - origin.lat) * metresPerDegreeLat
+    }),
+    inverse: ({ easting, northing }) => ({
+      lat: origin.lat + (northing - baseNorthing) / metresPerDegreeLat,
+      lng: origin.lng + (easting - baseEasting) / metresPerDegreeLng
+    })
+  };
+};
+
+/**
+ * The projected zones the grid's selected system uses across a map view (`{ west, east, lat }`,
+ * `lat` picking the UTM hemisphere), for drawing grid lines. Each zone is `{ west, east,
+ * extent, forward, inverse }`: `forward(point)` gives `{ easting, northing }` in metres,
+ * `inverse` goes back, and `extent` bounds the grid where it has edges. Empty for a local
+ * grid without an origin, or a view too wide to draw.
+ */
+export const getGridZones = (grid, { west, east, lat }) => {
+  switch (grid?.system ?? DEFAULT_GRID_SYSTEM) {
+    case 'bng':
+      return [nationalLineZone(NATIONAL_GRIDS.bng)];
+    case 'irish':
+      return [nationalLineZone(NATIONAL_GRIDS.irish)];
+    case 'local':
+      return grid.origin && grid.originReference ? [localLineZone(grid)] : [];
+    default: {
+      if (lat < MIN_UTM_LAT || lat > MAX_UTM_LAT) return [];
+      const first = Math.max(1, Math.floor((west + 180) / 6) + 1);
+      const last = Math.min(60, Math.floor((east + 180) / 6) + 1);
+      if (last - first + 1 > MAX_LINE_ZONES) return [];
+      const hemisphere = lat >= 0 ? 'N' : 'S';
+      return Array.from({ length: last - first + 1 }, (_, index) => utmLineZone(first + index, hemisphere));
+    }
+  }
+};
+
+/**
+ * Grid convergence in degrees: the clockwise angle from true north to grid north at `point`
+ * in the grid's selected system. Subtract it from a true bearing to get a grid bearing. The
+ * local grid is laid out along true north, so it has none. Null where the grid doesn't reach.
+ */
+export const gridConvergence = (point, grid) => {
+  if (!Number.isFinite(point?.lat) || !Number.isFinite(point?.lng)) return null;
+  if ((grid?.system ?? DEFAULT_GRID_SYSTEM) === 'local') return 0;
+  try {
+    const zone = getGridZones(grid, { west: point.lng, east: point.lng, lat: point.lat }).find(
+      (candidate) => point.lng >= candidate.west && point.lng <= candidate.east
+    );
+    if (!zone) return null;
+    const here = zone.forward(point);
+    // The projection runs on past a national grid's edges, but the angle means nothing there.
+    if (
+      zone.extent &&
+      (here.easting < 0 || here.northing < 0 || here.easting >= zone.extent.easting || here.northing >= zone.extent.northing)
+    ) {
+      return null;
+    }
+    const north = zone.forward({ lat: point.lat + 1e-4, lng: point.lng });
+    return -toDegrees(Math.atan2(north.easting - here.easting, north.northing - here.northing));
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,174 @@
+import { getGridZones } from './grid.js';
+
+// Lines fall on round kilometres like a printed map, stepping up tenfold as the map zooms out.
+const GRID_SPACINGS = [100, 1000, 10000, 100000];
+const MIN_LINE_GAP_PX = 70;
+const MAX_LINES_PER_AXIS = 40;
+const LINE_SAMPLES = 16;
+const BOX_SAMPLES = 4;
+
+/** Smallest spacing (metres) that keeps lines at least MIN_LINE_GAP_PX apart, or null. */
+export const pickGridSpacing = (metresPerPixel, minimum = 0) =>
+  GRID_SPACINGS.find((spacing) => spacing >= minimum && spacing / metresPerPixel >= MIN_LINE_GAP_PX) ?? null;
+
+const modulo = (value, divisor) => ((value % divisor) + divisor) % divisor;
+
+// Lettered grids label lines with their digits inside the 100 km square ("23" for 1 km
+// lines), UTM with whole kilometres and the local grid with its own reference digits.
+const formatLineLabel = (value, spacing, grid, zone) => {
+  const metres = Math.round(value);
+  switch (grid.system) {
+    case 'utm':
+      return spacing < 1000 ? (metres / 1000).toFixed(1) : String(Math.round(metres / 1000));
+    case 'local': {
+      const digits = grid.originReference?.precision ?? 3;
+      return String(Math.round(metres / zone.unit)).padStart(digits, '0');
+    }
+    default: {
+      const digits = Math.round(Math.log10(100000 / spacing));
+      if (digits === 0) return `${Math.round(metres / 1000)} km`;
+      return String(Math.floor(modulo(metres, 100000) / spacing)).padStart(digits, '0');
+    }
+  }
+};
+
+// Projects a grid of points over the visible part of the zone to find the metre range it covers.
+const projectedRange = (zone, { south, north, west, east }) => {
+  const range = { minE: Infinity, maxE: -Infinity, minN: Infinity, maxN: -Infinity };
+  for (let row = 0; row <= BOX_SAMPLES; row += 1) {
+    for (let column = 0; column <= BOX_SAMPLES; column += 1) {
+      const { easting, northing } = zone.forward({
+        lat: south + ((north - south) * row) / BOX_SAMPLES,
+        lng: west + ((east - west) * column) / BOX_SAMPLES
+      });
+      range.minE = Math.min(range.minE, easting);
+      range.maxE = Math.max(range.maxE, easting);
+      range.minN = Math.min(range.minN, northing);
+      range.maxN = Math.max(range.maxN, northing);
+    }
+  }
+  if (zone.extent) {
+    range.minE = Math.max(range.minE, 0);
+    range.minN = Math.max(range.minN, 0);
+    range.maxE = Math.min(range.maxE, zone.extent.easting);
+    range.maxN = Math.min(range.maxN, zone.extent.northing);
+  }
+  return range;
+};
+
+const lineValues = (min, max, spacing) => {
+  const first = Math.ceil(min / spacing) * spacing;
+  const count = Math.floor((max - first) / spacing) + 1;
+  if (count <= 0 || count > MAX_LINES_PER_AXIS) return [];
+  return Array.from({ length: count }, (_, index) => first + index * spacing);
+};
+
+const sampleLine = (zone, from, to) => {
+  const points = [];
+  for (let step = 0; step <= LINE_SAMPLES; step += 1) {
+    const t = step / LINE_SAMPLES;
+    const point = zone.inverse({
+      easting: from.easting + (to.easting - from.easting) * t,
+      northing: from.northing + (to.northing - from.northing) * t
+    });
+    // Zone edges clip the line, so neighbouring UTM zones don't draw over each other.
+    if (point.lng >= zone.west && point.lng <= zone.east) points.push(point);
+  }
+  return points.length >= 2 ? points : null;
+};
+
+/**
+ * Grid lines covering `bounds` (`{ south, west, north, east }`) in the grid's selected system
+ * (`grid` is the useGridStore state). Returns `{ spacing, lines }`, each line being
+ * `{ key, axis, value, label, points }` where `axis` is `easting` (a north–south line) or
+ * `northing`. `lines` is empty when nothing sensible can be drawn at this scale.
+ */
+export const buildGridLines = ({ bounds, metresPerPixel, grid }) => {
+  const zones = getGridZones(grid, {
+    west: bounds.west,
+    east: bounds.east,
+    lat: (bounds.south + bounds.north) / 2
+  });
+  const spacing = pickGridSpacing(metresPerPixel, zones[0]?.unit ?? 0);
+  if (!spacing || zones.length === 0) return { spacing, lines: [] };
+
+  const lines = [];
+  zones.forEach((zone, zoneIndex) => {
+    const west = Math.max(bounds.west, zone.west);
+    const east = Math.min(bounds.east, zone.east);
+    if (west >= east) return;
+    const range = projectedRange(zone, { south: bounds.south, north: bounds.north, west, east });
+    if (range.minE >= range.maxE || range.minN >= range.maxN) return;
+    lineValues(range.minE, range.maxE, spacing).forEach((easting) => {
+      const points = sampleLine(zone, { easting, northing: range.minN }, { easting, northing: range.maxN });
+      if (!points) return;
+      lines.push({
+        key: `${zoneIndex}-e-${easting}`,
+        axis: 'easting',
+        value: easting,
+        label: formatLineLabel(easting, spacing, grid, zone),
+        points
+      });
+    });
+    lineValues(range.minN, range.maxN, spacing).forEach((northing) => {
+      const points = sampleLine(zone, { easting: range.minE, northing }, { easting: range.maxE, northing });
+      if (!points) return;
+      lines.push({
+        key: `${zoneIndex}-n-${northing}`,
+        axis: 'northing',
+        value: northing,
+        label: formatLineLabel(northing, spacing, grid, zone),
+        points
+      });
+    });
+  });
+  return { spacing, lines };
+};
+
+// Where a polyline of screen points crosses `coordinate = target`, as the other coordinate.
+const crossingAt = (points, coordinate, target) => {
+  const other = coordinate === 'x' ? 'y' : 'x';
+  for (let index = 0; index < points.length - 1; index += 1) {
+    const a = points[index];
+    const b = points[index + 1];
+    if (a[coordinate] !== b[coordinate] && (a[coordinate] - target) * (b[coordinate] - target) <= 0) {
+      const t = (target - a[coordinate]) / (b[coordinate] - a[coordinate]);
+      return a[other] + (b[other] - a[other]) * t;
+    }
+  }
+  return null;
+};
+
+/**
+ * Places margin labels where each line meets the edge of a `width`×`height` view, given the
+ * lines' points already converted to screen `{ x, y }`. Easting lines are labelled on the top
+ * and bottom edges, northing lines on the left and right. Returns `[{ key, edge, x, y, label }]`.
+ */
+export const placeEdgeLabels = (screenLines, { width, height, inset = 14 }) => {
+  const labels = [];
+  screenLines.forEach(({ key, axis, label, points }) => {
+    const edges =
+      axis === 'easting'
+        ? [
+            ['top', 'y', 0],
+            ['bottom', 'y', height]
+          ]
+        : [
+            ['left', 'x', 0],
+            ['right', 'x', width]
+          ];
+    edges.forEach(([edge, coordinate, target]) => {
+      const along = crossingAt(points, coordinate, target);
+      const limit = coordinate === 'y' ? width : height;
+      if (along == null || along < inset || along > limit - inset) return;
+      labels.push({
+        key: `${key}-${edge}`,
+        edge,
+        x: coordinate === 'y' ? along : target,
+        y: coordinate === 'y' ? target : along,
+        label
+      });
+    });
+  });
+  return labels;
+};
@@ -0,0 +1,70 @@
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined';
+
+export const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const connections = new Map();
+
+/**
+ * Opens (and caches) a database. `upgrade(db, oldVersion, transaction)` runs inside
+ * `onupgradeneeded`, so schema changes are made by comparing `oldVersion` step by step.
+ */
+export const openDatabase = (name, version, upgrade) => {
+  if (!isIndexedDbAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+  }
+  const cacheKey = `${name}@${version}`;
+  if (!connections.has(cacheKey)) {
+    const pending = new Promise((resolve, reject) => {
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = (event) => {
+        upgrade?.(request.result, event.oldVersion, request.transaction);
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          connections.delete(cacheKey);
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error(`Database ${name} is open in another tab with an older version.`));
+    });
+    pending.catch(() => connections.delete(cacheKey));
+    connections.set(cacheKey, pending);
+  }
+  return connections.get(cacheKey);
+};
+
+/**
+ * Runs `work(stores)` in a single transaction and resolves with its return value once the
+ * transaction commits. `stores` maps each requested store name to its IDBObjectStore.
+ */
+export const runTransaction = async (dbPromise, storeNames, mode, work) => {
+  const db = await dbPromise;
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(names, mode);
+    const stores = Object.fromEntries(names.map((storeName) => [storeName, transaction.objectStore(storeName)]));
+    let result;
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('Transaction aborted'));
+    Promise.resolve(work(stores))
+      .then((value) => {
+        result = value;
+      })
+      .catch((err) => {
+        try {
+          transaction.abort();
+        } catch (abortErr) {
+          // already finished
+        }
+        reject(err);
+      });
+  });
+};
@@ -0,0 +1,240 @@
+// World Magnetic Model 2025 (NOAA/NGA, public domain), embedded so declination works offline.
+// Each row is [n, m, g, h, gDot, hDot]: Schmidt semi-normalised coefficients in nT at the
+// 2025.0 epoch and their yearly change in nT/yr.
+const WMM_2025 = {
+  epoch: 2025,
+  validUntil: 2030,
+  coefficients: [
+  [1, 0, -29351.8, 0, 12, 0],
+  [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+  [2, 0, -2556.6, 0, -11.6, 0],
+  [2, 1, 2951.1, -3133.6, -5.2, -27.7],
+  [2, 2, 1649.3, -815.1, -8, -12.1],
+  [3, 0, 1361, 0, -1.3, 0],
+  [3, 1, -2404.1, -56.6, -4.2, 4],
+  [3, 2, 1243.8, 237.5, 0.4, -0.3],
+  [3, 3, 453.6, -549.5, -15.6, -4.1],
+  [4, 0, 895, 0, -1.6, 0],
+  [4, 1, 799.5, 278.6, -2.4, -1.1],
+  [4, 2, 55.7, -133.9, -6, 4.1],
+  [4, 3, -281.1, 212, 5.6, 1.6],
+  [4, 4, 12.1, -375.6, -7, -4.4],
+  [5, 0, -233.2, 0, 0.6, 0],
+  [5, 1, 368.9, 45.4, 1.4, -0.5],
+  [5, 2, 187.2, 220.2, 0, 2.2],
+  [5, 3, -138.7, -122.9, 0.6, 0.4],
+  [5, 4, -142, 43, 2.2, 1.7],
+  [5, 5, 20.9, 106.1, 0.9, 1.9],
+  [6, 0, 64.4, 0, -0.2, 0],
+  [6, 1, 63.8, -18.4, -0.4, 0.3],
+  [6, 2, 76.9, 16.8, 0.9, -1.6],
+  [6, 3, -115.7, 48.8, 1.2, -0.4],
+  [6, 4, -40.9, -59.8, -0.9, 0.9],
+  [6, 5, 14.9, 10.9, 0.3, 0.7],
+  [6, 6, -60.7, 72.7, 0.9, 0.9],
+  [7, 0, 79.5, 0, 0, 0],
+  [7, 1, -77, -48.9, -0.1, 0.6],
+  [7, 2, -8.8, -14.4, -0.1, 0.5],
+  [7, 3, 59.3, -1, 0.5, -0.8],
+  [7, 4, 15.8, 23.4, -0.1, 0],
+  [7, 5, 2.5, -7.4, -0.8, -1],
+  [7, 6, -11.1, -25.1, -0.8, 0.6],
+  [7, 7, 14.2, -2.3, 0.8, -0.2],
+  [8, 0, 23.2, 0, -0.1, 0],
+  [8, 1, 10.8, 7.1, 0.2, -0.2],
+  [8, 2, -17.5, -12.6, 0, 0.5],
+  [8, 3, 2, 11.4, 0.5, -0.4],
+  [8, 4, -21.7, -9.7, -0.1, 0.4],
+  [8, 5, 16.9, 12.7, 0.3, -0.5],
+  [8, 6, 15, 0.7, 0.2, -0.6],
+  [8, 7, -16.8, -5.2, 0, 0.3],
+  [8, 8, 0.9, 3.9, 0.2, 0.2],
+  [9, 0, 4.6, 0, 0, 0],
+  [9, 1, 7.8, -24.8, -0.1, -0.3],
+  [9, 2, 3, 12.2, 0.1, 0.3],
+  [9, 3, -0.2, 8.3, 0.3, -0.3],
+  [9, 4, -2.5, -3.3, -0.3, 0.3],
+  [9, 5, -13.1, -5.2, 0, 0.2],
+  [9, 6, 2.4, 7.2, 0.3, -0.1],
+  [9, 7, 8.6, -0.6, -0.1, -0.2],
+  [9, 8, -8.7, 0.8, 0.1, 0.4],
+  [9, 9, -12.9, 10, -0.1, 0.1],
+  [10, 0, -1.3, 0, 0.1, 0],
+  [10, 1, -6.4, 3.3, 0, 0],
+  [10, 2, 0.2, 0, 0.1, 0],
+  [10, 3, 2, 2.4, 0.1, -0.2],
+  [10, 4, -1, 5.3, 0, 0.1],
+  [10, 5, -0.6, -9.1, -0.3, -0.1],
+  [10, 6, -0.9, 0.4, 0, 0.1],
+  [10, 7, 1.5, -4.2, -0.1, 0],
+  [10, 8, 0.9, -3.8, -0.1, -0.1],
+  [10, 9, -2.7, 0.9, 0, 0.2],
+  [10, 10, -3.9, -9.1, 0, 0],
+  [11, 0, 2.9, 0, 0, 0],
+  [11, 1, -1.5, 0, 0, 0],
+  [11, 2, -2.5, 2.9, 0, 0.1],
+  [11, 3, 2.4, -0.6, 0, 0],
+  [11, 4, -0.6, 0.2, 0, 0.1],
+  [11, 5, -0.1, 0.5, -0.1, 0],
+  [11, 6, -0.6, -0.3, 0, 0],
+  [11, 7, -0.1, -1.2, 0, 0.1],
+  [11, 8, 1.1, -1.7, -0.1, 0],
+  [11, 9, -1, -2.9, -0.1, 0],
+  [11, 10, -0.2, -1.8, -0.1, 0],
+  [11, 11, 2.6, -2.3, -0.1, 0],
+  [12, 0, -2, 0, 0, 0],
+  [12, 1, -0.2, -1.3, 0, 0],
+  [12, 2, 0.3, 0.7, 0, 0],
+  [12, 3, 1.2, 1, 0, -0.1],
+  [12, 4, -1.3, -1.4, 0, 0.1],
+  [12, 5, 0.6, 0, 0, 0],
+  [12, 6, 0.6, 0.6, 0.1, 0],
+  [12, 7, 0.5, -0.1, 0, 0],
+  [12, 8, -0.1, 0.8, 0, 0],
+  [12, 9, -0.4, 0.1, 0, 0],
+  [12, 10, -0.2, -1, -0.1, 0],
+  [12, 11, -1.3, 0.1, 0, 0],
+  [12, 12, -0.7, 0.2, -0.1, -0.1]
+  ]
+};
+
+const MAX_DEGREE = 12;
+const WGS84_A_KM = 6378.137;
+const WGS84_F = 1 / 298.257223563;
+const GEOMAGNETIC_RADIUS_KM = 6371.2;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+const normalizeBearing = (bearing) => ((bearing % 360) + 360) % 360;
+
+/** Fractional year for a date, e.g. 2026.5 in early July 2026. */
+export const decimalYear = (date = new Date()) => {
+  const year = date.getUTCFullYear();
+  const start = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  return year + (date.getTime() - start) / (end - start);
+};
+
+// Schmidt factors turn the Gauss-normalised Legendre functions below into the semi-normalised
+// ones the coefficients are published for.
+const SCHMIDT = (() => {
+  const factors = [[1]];
+  for (let n = 1; n <= MAX_DEGREE; n += 1) {
+    factors[n] = [];
+    factors[n][0] = (factors[n - 1][0] * (2 * n - 1)) / n;
+    for (let m = 1; m <= n; m += 1) {
+      factors[n][m] = factors[n][m - 1] * Math.sqrt(((n - m + 1) * (m === 1 ? 2 : 1)) / (n + m));
+    }
+  }
+  return factors;
+})();
+
+/**
+ * Magnetic field components at a WGS84 position as `{ x, y, z }` in nT (north, east, down).
+ * `altitude` is metres above the ellipsoid.
+ */
+export const magneticField = ({ lat, lng }, date = new Date(), altitude = 0) => {
+  const model = WMM_2025;
+  const years = decimalYear(date) - model.epoch;
+  const phi = toRadians(lat);
+  const lambda = toRadians(lng);
+  const heightKm = altitude / 1000;
+
+  // Geodetic to geocentric spherical coordinates.
+  const eSquared = WGS84_F * (2 - WGS84_F);
+  const primeVertical = WGS84_A_KM / Math.sqrt(1 - eSquared * Math.sin(phi) ** 2);
+  const p = (primeVertical + heightKm) * Math.cos(phi);
+  const z = (primeVertical * (1 - eSquared) + heightKm) * Math.sin(phi);
+  const radius = Math.sqrt(p * p + z * z);
+  const geocentricLat = Math.asin(z / radius);
+  const cosTheta = Math.sin(geocentricLat);
+  const sinTheta = Math.max(Math.cos(geocentricLat), 1e-10);
+
+  // Associated Legendre functions P[n][m](cos θ) and their θ derivatives.
+  const P = [[1]];
+  const dP = [[0]];
+  for (let n = 1; n <= MAX_DEGREE; n += 1) {
+    P[n] = [];
+    dP[n] = [];
+    for (let m = 0; m <= n; m += 1) {
+      if (n === m) {
+        P[n][m] = sinTheta * P[n - 1][m - 1];
+        dP[n][m] = sinTheta * dP[n - 1][m - 1] + cosTheta * P[n - 1][m - 1];
+      } else {
+        const k = n > 1 ? ((n - 1) ** 2 - m * m) / ((2 * n - 1) * (2 * n - 3)) : 0;
+        const previous = n > 1 && m <= n - 2 ? P[n - 2][m] : 0;
+        const previousDerivative = n > 1 && m <= n - 2 ? dP[n - 2][m] : 0;
+        P[n][m] = cosTheta * P[n - 1][m] - k * previous;
+        dP[n][m] = cosTheta * dP[n - 1][m] - sinTheta * P[n - 1][m] - k * previousDerivative;
+      }
+    }
+  }
+
+  let north = 0;
+  let east = 0;
+  let down = 0;
+  model.coefficients.forEach(([n, m, g, h, gDot, hDot]) => {
+    const scale = SCHMIDT[n][m];
+    const gt = (g + gDot * years) * scale;
+    const ht = (h + hDot * years) * scale;
+    const ratio = (GEOMAGNETIC_RADIUS_KM / radius) ** (n + 2);
+    const cosM = Math.cos(m * lambda);
+    const sinM = Math.sin(m * lambda);
+    north += ratio * (gt * cosM + ht * sinM) * dP[n][m];
+    east += (ratio * m * (gt * sinM - ht * cosM) * P[n][m]) / sinTheta;
+    down -= ratio * (n + 1) * (gt * cosM + ht * sinM) * P[n][m];
+  });
+
+  // The sums are along the geocentric sphere; rotate back to the ellipsoid's local frame.
+  const tilt = geocentricLat - phi;
+  return {
+    x: north * Math.cos(tilt) - down * Math.sin(tilt),
+    y: east,
+    z: north * Math.sin(tilt) + down * Math.cos(tilt)
+  };
+};
+
+/**
+ * Magnetic declination in degrees, positive when magnetic north lies east of true north.
+ * Returns null without a position or outside the model's five-year life, when the
+ * coefficients are too stale to trust.
+ */
+export const magneticDeclination = (point, date = new Date()) => {
+  if (!Number.isFinite(point?.lat) || !Number.isFinite(point?.lng)) return null;
+  const year = decimalYear(date);
+  if (year < WMM_2025.epoch - 1 || year >= WMM_2025.validUntil) return null;
+  const { x, y } = magneticField(point, date);
+  return toDegrees(Math.atan2(y, x));
+};
+
+// --- North references ---
+
+export const NORTH_REFERENCES = [
+  { id: 'true', label: 'True', short: 'T' },
+  { id: 'magnetic', label: 'Magnetic', short: 'M' },
+  { id: 'grid', label: 'Grid', short: 'G' }
+];
+
+// Clockwise angle from true north to the reference's north. Unknown corrections count as zero
+// so bearings still show, just uncorrected.
+const northOffset = (reference, { declination, convergence } = {}) => {
+  if (reference === 'magnetic') return declination ?? 0;
+  if (reference === 'grid') return convergence ?? 0;
+  return 0;
+};
+
+/** Converts a true bearing to one measured from `reference` north. */
+export const fromTrueBearing = (bearing, reference, corrections) =>
+  bearing == null ? null : normalizeBearing(bearing - northOffset(reference, corrections));
+
+/** Converts a bearing measured from `reference` north back to a true bearing. */
+export const toTrueBearing = (bearing, reference, corrections) =>
+  bearing == null ? null : normalizeBearing(bearing + northOffset(reference, corrections));
+
+/** Formats an angle as "2.1° E" / "0.4° W", for declination and convergence readouts. */
+export const formatAngleOffset = (degrees) => {
+  if (degrees == null) return '—';
+  const rounded = Math.abs(degrees).toFixed(1);
+  if (rounded === '0.0') return '0.0°';
+  return `${rounded}° ${degrees > 0 ? 'E' : 'W'}`;
+};
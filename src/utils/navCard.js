@@ -0,0 +1,205 @@
+import { calculateBearing, calculateDistance } from '../hooks/useCompass.js';
+import { formatGridReference, gridConvergence } from './grid.js';
+import { fromTrueBearing, magneticDeclination, NORTH_REFERENCES } from './magnetic.js';
+import { createTablePdf } from './pdf.js';
+
+const toMils = (degrees) => (degrees * 6400) / 360;
+
+/** Minutes to cover `distanceMeters` at `paceKmh`, plus `climbMinutesPer100m` for each 100 m of ascent. */
+export const estimateLegMinutes = ({ distanceMeters, climbMeters = 0 }, { paceKmh, climbMinutesPer100m }) =>
+  (distanceMeters / 1000 / paceKmh) * 60 + (Math.max(0, climbMeters) / 100) * climbMinutesPer100m;
+
+const describePosition = (position, grid) =>
+  formatGridReference(position, grid) ?? `${position.lat.toFixed(5)}, ${position.lng.toFixed(5)}`;
+
+/**
+ * Works out a route's legs for a nav card. Bearings are measured from `northReference` north
+ * with the declination and convergence at each leg's start. Climb comes from each leg's
+ * destination checkpoint (`climbMeters`), when one has been entered; times follow
+ * `estimateLegMinutes` with the pace and climb allowance from preferences. If any leg starts
+ * where the chosen north can't be corrected for (e.g. outside a national grid), the whole card
+ * falls back to true north and `requestedNorthReference` keeps the original choice. Returns
+ * `{ start, legs, totals, northReference, requestedNorthReference, paceKmh, climbMinutesPer100m }`.
+ */
+export const buildNavCard = ({
+  route,
+  checkpointMap,
+  grid,
+  northReference = 'true',
+  paceKmh,
+  climbMinutesPer100m,
+  date = new Date()
+}) => {
+  const points = route.items
+    .map((id, index) => {
+      const checkpoint = checkpointMap[id];
+      if (!checkpoint?.position) return null;
+      return {
+        id,
+        name: checkpoint.name || `Point ${index + 1}`,
+        position: checkpoint.position,
+        climbMeters: Number.isFinite(checkpoint.climbMeters) ? checkpoint.climbMeters : null
+      };
+    })
+    .filter(Boolean);
+
+  const legCorrections = points.slice(0, -1).map((from) => ({
+    declination: magneticDeclination(from.position, date),
+    convergence: gridConvergence(from.position, grid)
+  }));
+  const correctionKey = { magnetic: 'declination', grid: 'convergence' }[northReference];
+  const effectiveReference =
+    correctionKey && legCorrections.some((corrections) => corrections[correctionKey] == null) ? 'true' : northReference;
+
+  let cumulativeMeters = 0;
+  let cumulativeMinutes = 0;
+  let totalClimb = 0;
+  const legs = points.slice(1).map((to, index) => {
+    const from = points[index];
+    const bearingDegrees = fromTrueBearing(
+      calculateBearing(from.position, to.position),
+      effectiveReference,
+      legCorrections[index]
+    );
+    const distanceMeters = calculateDistance(from.position, to.position);
+    const climbMeters = to.climbMeters ?? 0;
+    const minutes = estimateLegMinutes({ distanceMeters, climbMeters }, { paceKmh, climbMinutesPer100m });
+    cumulativeMeters += distanceMeters;
+    cumulativeMinutes += minutes;
+    totalClimb += climbMeters;
+    return {
+      leg: index + 1,
+      fromId: from.id,
+      toId: to.id,
+      from: from.name,
+      to: to.name,
+      gridReference: describePosition(to.position, grid),
+      bearingDegrees,
+      bearingMils: toMils(bearingDegrees),
+      distanceMeters,
+      climbMeters: to.climbMeters,
+      minutes,
+      cumulativeMeters,
+      cumulativeMinutes
+    };
+  });
+
+  return {
+    start: points[0] ? { name: points[0].name, gridReference: describePosition(points[0].position, grid) } : null,
+    legs,
+    totals: { distanceMeters: cumulativeMeters, climbMeters: totalClimb, minutes: cumulativeMinutes },
+    northReference: effectiveReference,
+    requestedNorthReference: northReference,
+    paceKmh,
+    climbMinutesPer100m
+  };
+};
+
+/** Formats minutes as "0:45" / "2:05". */
+export const formatNavTime = (minutes) => {
+  const rounded = Math.round(minutes);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+};
+
+export const formatNavDistance = (meters) =>
+  meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${Math.round(meters)} m`;
+
+const findNorth = (reference) => NORTH_REFERENCES.find((entry) => entry.id === reference) ?? NORTH_REFERENCES[0];
+
+// Whole degrees and mils, zero-padded the way they're read out: 005°, 0089.
+export const formatNavBearing = (degrees) => `${String(Math.round(degrees) % 360).padStart(3, '0')}°`;
+export const formatNavMils = (mils) => String(Math.round(mils) % 6400).padStart(4, '0');
+
+/** One line describing the card's assumptions, for printed headers. */
+export const describeNavCard = (card) => {
+  const north = findNorth(card.northReference).label.toLowerCase();
+  const fallback =
+    card.requestedNorthReference && card.requestedNorthReference !== card.northReference
+      ? ` (no ${findNorth(card.requestedNorthReference).label.toLowerCase()} north correction on this route)`
+      : '';
+  return (
+    `Bearings from ${north} north${fallback} · ${card.paceKmh} km/h · ` +
+    `${card.climbMinutesPer100m} min per 100 m climb`
+  );
+};
+
+/**
+ * The card as display text: `{ columns, rows, footer }` with `columns` as
+ * `{ label, weight, align }`, shared by the print view and the PDF.
+ */
+export const navCardTable = (card) => {
+  const north = findNorth(card.northReference).short;
+  const columns = [
+    { label: 'Leg', weight: 0.5 },
+    { label: 'From > To', weight: 2.6 },
+    { label: 'Grid ref', weight: 2.2 },
+    { label: `Bearing (${north})`, weight: 1.1, align: 'right' },
+    { label: 'Mils', weight: 0.8, align: 'right' },
+    { label: 'Distance', weight: 1.1, align: 'right' },
+    { label: 'Climb', weight: 0.8, align: 'right' },
+    { label: 'Time', weight: 0.7, align: 'right' },
+    { label: 'Total', weight: 0.7, align: 'right' }
+  ];
+  const rows = [
+    ...(card.start ? [['', `Start: ${card.start.name}`, card.start.gridReference, '', '', '', '', '', '']] : []),
+    ...card.legs.map((leg) => [
+      String(leg.leg),
+      `${leg.from} > ${leg.to}`,
+      leg.gridReference,
+      formatNavBearing(leg.bearingDegrees),
+      formatNavMils(leg.bearingMils),
+      formatNavDistance(leg.distanceMeters),
+      leg.climbMeters != null ? `${Math.round(leg.climbMeters)} m` : '',
+      formatNavTime(leg.minutes),
+      formatNavTime(leg.cumulativeMinutes)
+    ])
+  ];
+  const footer = [
+    '',
+    `${card.legs.length} ${card.legs.length === 1 ? 'leg' : 'legs'}`,
+    '',
+    '',
+    '',
+    formatNavDistance(card.totals.distanceMeters),
+    card.totals.climbMeters ? `${Math.round(card.totals.climbMeters)} m` : '',
+    '',
+    formatNavTime(card.totals.minutes)
+  ];
+  return { columns, rows, footer };
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"]/g, (character) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+
+/** A standalone printable HTML page for the card. */
+export const buildNavCardHtml = (card, { title }) => {
+  const { columns, rows, footer } = navCardTable(card);
+  const cell = (tag, value, column) =>
+    `<${tag}${column.align === 'right' ? ' class="r"' : ''}>${escapeHtml(value)}</${tag}>`;
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+body { font: 11pt system-ui, sans-serif; margin: 12mm; color: #000; }
+h1 { font-size: 15pt; margin: 0 0 2mm; }
+p { margin: 0 0 4mm; font-size: 9pt; }
+table { width: 100%; border-collapse: collapse; }
+th, td { border: 1px solid #555; padding: 1.5mm 2mm; text-align: left; font-variant-numeric: tabular-nums; }
+th { background: #eee; }
+.r { text-align: right; }
+tfoot td { font-weight: bold; }
+</style></head><body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(describeNavCard(card))}</p>
+<table>
+<thead><tr>${columns.map((column) => cell('th', column.label, column)).join('')}</tr></thead>
+<tbody>
+${rows.map((row) => `<tr>${row.map((value, index) => cell('td', value, columns[index])).join('')}</tr>`).join('\n')}
+</tbody>
+<tfoot><tr>${footer.map((value, index) => cell('td', value, columns[index])).join('')}</tr></tfoot>
+</table>
+</body></html>`;
+};
+
+/** The card as A4 PDF bytes. */
+export const buildNavCardPdf = (card, { title }) =>
+  createTablePdf({ title, subtitle: describeNavCard(card), ...navCardTable(card) });
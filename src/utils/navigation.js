@@ -0,0 +1,96 @@
+import { calculateBearing, calculateDistance } from '../hooks/useCompass.js';
+
+const EARTH_RADIUS_METERS = 6371000;
+// Fixes this coarse can't tell whether you are at a checkpoint, whatever the radius.
+const MIN_USABLE_ACCURACY_METERS = 50;
+
+/**
+ * Checks a geolocation fix against the checkpoint being navigated to. The fix counts as an
+ * arrival when it is within `radiusMeters` plus its own accuracy (capped at the radius, so a
+ * poor fix can at most double the circle). Fixes less accurate than twice the radius, or
+ * `MIN_USABLE_ACCURACY_METERS` if larger, are reported as `tooCoarse` and never arrive.
+ */
+export const checkArrival = (fix, target, { radiusMeters }) => {
+  const distanceMeters = calculateDistance(fix, target);
+  if (distanceMeters == null) return { distanceMeters: null, arrived: false, tooCoarse: false };
+  const accuracy = Number.isFinite(fix.accuracy) ? fix.accuracy : 0;
+  const tooCoarse = accuracy > Math.max(radiusMeters * 2, MIN_USABLE_ACCURACY_METERS);
+  const arrived = !tooCoarse && distanceMeters <= radiusMeters + Math.min(accuracy, radiusMeters);
+  return { distanceMeters, arrived, tooCoarse };
+};
+
+/**
+ * Where `position` sits relative to the leg from `from` to `to`, on the great circle between
+ * them. `crossTrackMeters` is the distance off the line, positive to the right of the
+ * direction of travel and negative to the left; `alongTrackMeters` is the progress along it
+ * (negative before `from`, beyond `legMeters` past `to`), and `progress` is that as a 0–1
+ * fraction of the leg. Returns null for a leg too short to have a direction.
+ */
+export const legDeviation = (from, to, position) => {
+  const legMeters = calculateDistance(from, to);
+  const fromMeters = calculateDistance(from, position);
+  if (legMeters == null || fromMeters == null || legMeters < 1) return null;
+  const angularFrom = fromMeters / EARTH_RADIUS_METERS;
+  const offset = ((calculateBearing(from, position) - calculateBearing(from, to)) * Math.PI) / 180;
+  const angularCross = Math.asin(Math.sin(angularFrom) * Math.sin(offset));
+  const angularAlong = Math.acos(Math.min(1, Math.cos(angularFrom) / Math.cos(angularCross)));
+  const alongTrackMeters = Math.sign(Math.cos(offset)) * angularAlong * EARTH_RADIUS_METERS;
+  return {
+    crossTrackMeters: angularCross * EARTH_RADIUS_METERS,
+    alongTrackMeters,
+    legMeters,
+    progress: Math.min(Math.max(alongTrackMeters / legMeters, 0), 1)
+  };
+};
+
+let audioContext = null;
+
+const getAudioContext = () => {
+  if (typeof window === 'undefined') return null;
+  const AudioContextClass = window.AudioContext ?? window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  audioContext = audioContext ?? new AudioContextClass();
+  return audioContext;
+};
+
+/**
+ * Browsers only let audio start from a user gesture, so call this from the tap that starts
+ * navigation; later arrival beeps can then play without one.
+ */
+export const primeArrivalAlert = () => {
+  const context = getAudioContext();
+  if (context?.state === 'suspended') {
+    context.resume().catch(() => {});
+  }
+};
+
+const beep = (frequency, offsets) => {
+  const context = getAudioContext();
+  if (!context) return;
+  offsets.forEach((offset) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const start = context.currentTime + offset;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.25, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.18);
+    oscillator.connect(gain).connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.2);
+  });
+};
+
+const playAlert = (mode, vibration, frequency, offsets) => {
+  if ((mode === 'both' || mode === 'vibrate') && typeof navigator !== 'undefined') {
+    navigator.vibrate?.(vibration);
+  }
+  if (mode === 'both' || mode === 'beep') {
+    beep(frequency, offsets);
+  }
+};
+
+/** Vibrates and/or beeps for an arrival; `mode` is one of the `arrivalAlert` preferences. */
+export const playArrivalAlert = (mode) => playAlert(mode, [200, 100, 200], 880, [0, 0.25]);
+
+/** A longer, lower alert than an arrival's, for drifting off the leg. */
+export const playOffCourseAlert = (mode) => playAlert(mode, [600], 440, [0, 0.25, 0.5]);
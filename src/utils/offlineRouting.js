@@ -0,0 +1,412 @@
+import { openDatabase, requestToPromise, runTransaction } from './indexedDb.js';
+
+const DB_NAME = 'cadnav-routing';
+const DB_VERSION = 1;
+const GRAPH_STORE = 'graphs';
+
+export const GRAPH_FILE_TYPE = 'cadnav-graph';
+export const GRAPH_FILE_VERSION = 1;
+
+// Per-edge access bits. ONEWAY only restricts cars (a → b); walkers and cyclists ignore it.
+const ACCESS_FOOT = 1;
+const ACCESS_BIKE = 2;
+const ACCESS_CAR = 4;
+const ONEWAY = 8;
+
+const PROFILE_ACCESS = { foot: ACCESS_FOOT, bike: ACCESS_BIKE, car: ACCESS_CAR };
+const ALL_ACCESS_BITS = ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR | ONEWAY;
+
+const MAX_SNAP_DISTANCE_M = 400;
+const SNAP_CELL_DEGREES = 0.005;
+const EARTH_RADIUS_M = 6371000;
+const METERS_PER_DEGREE = (Math.PI * EARTH_RADIUS_M) / 180;
+// Cells narrow towards the poles; past this the scan would cover the whole index anyway.
+const MAX_SNAP_LATITUDE = 89;
+
+const HIGHWAY_ACCESS = {
+  motorway: ACCESS_CAR,
+  motorway_link: ACCESS_CAR,
+  trunk: ACCESS_CAR | ACCESS_BIKE,
+  trunk_link: ACCESS_CAR | ACCESS_BIKE,
+  primary: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  primary_link: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  secondary: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  secondary_link: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  tertiary: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  tertiary_link: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  unclassified: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  residential: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  living_street: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  service: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  road: ACCESS_FOOT | ACCESS_BIKE | ACCESS_CAR,
+  track: ACCESS_FOOT | ACCESS_BIKE,
+  path: ACCESS_FOOT | ACCESS_BIKE,
+  bridleway: ACCESS_FOOT | ACCESS_BIKE,
+  cycleway: ACCESS_FOOT | ACCESS_BIKE,
+  footway: ACCESS_FOOT,
+  pedestrian: ACCESS_FOOT,
+  steps: ACCESS_FOOT
+};
+
+const toRadians = (value) => (value * Math.PI) / 180;
+
+const haversine = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+const wayAccess = (tags = {}) => {
+  let access = HIGHWAY_ACCESS[tags.highway] ?? 0;
+  if (!access) return 0;
+  if (tags.access === 'no' || tags.access === 'private') return 0;
+  if (tags.foot === 'no') access &= ~ACCESS_FOOT;
+  if (tags.foot === 'yes' || tags.foot === 'designated') access |= ACCESS_FOOT;
+  if (tags.bicycle === 'no') access &= ~ACCESS_BIKE;
+  if (tags.bicycle === 'yes' || tags.bicycle === 'designated') access |= ACCESS_BIKE;
+  if (tags.motor_vehicle === 'no') access &= ~ACCESS_CAR;
+  if (tags.oneway === 'yes' || tags.oneway === '1' || tags.junction === 'roundabout') access |= ONEWAY;
+  return access;
+};
+
+// Overpass JSON (`[out:json]; way[highway](bbox); out body; >; out skel qt;`) → compact graph.
+const graphFromOverpass = (data) => {
+  const nodeIndex = new Map();
+  const coords = [];
+  const nodeCoords = new Map();
+  data.elements.forEach((element) => {
+    if (element.type === 'node' && typeof element.lat === 'number' && typeof element.lon === 'number') {
+      nodeCoords.set(element.id, [element.lat, element.lon]);
+    }
+  });
+  const indexFor = (osmId) => {
+    if (nodeIndex.has(osmId)) return nodeIndex.get(osmId);
+    const position = nodeCoords.get(osmId);
+    if (!position) return -1;
+    const index = coords.length / 2;
+    coords.push(position[0], position[1]);
+    nodeIndex.set(osmId, index);
+    return index;
+  };
+  const edges = [];
+  data.elements.forEach((element) => {
+    if (element.type !== 'way' || !Array.isArray(element.nodes)) return;
+    const access = wayAccess(element.tags);
+    if (!access) return;
+    const reversed = element.tags?.oneway === '-1';
+    for (let idx = 1; idx < element.nodes.length; idx += 1) {
+      const a = indexFor(element.nodes[idx - 1]);
+      const b = indexFor(element.nodes[idx]);
+      if (a < 0 || b < 0 || a === b) continue;
+      edges.push(reversed ? b : a, reversed ? a : b, reversed ? access | ONEWAY : access);
+    }
+  });
+  return { nodes: coords, edges };
+};
+
+/**
+ * Accepts either a pre-processed CadNav graph file
+ * (`{ type: 'cadnav-graph', version: 1, name?, nodes: [lat, lng, …], edges: [a, b, access, …] }`)
+ * or raw Overpass JSON, and returns a graph record ready for `saveOfflineGraph`.
+ */
+export const parseGraphFile = (text, fallbackName = 'Imported graph') => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('Graph file is not valid JSON.');
+  }
+
+  let graph;
+  let name = fallbackName;
+  if (data?.type === GRAPH_FILE_TYPE) {
+    if (data.version !== GRAPH_FILE_VERSION) {
+      throw new Error(`Unsupported graph version ${data.version}.`);
+    }
+    graph = { nodes: data.nodes, edges: data.edges };
+    name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : name;
+  } else if (Array.isArray(data?.elements)) {
+    graph = graphFromOverpass(data);
+  } else {
+    throw new Error('Expected a CadNav graph file or Overpass JSON export.');
+  }
+
+  if (!Array.isArray(graph.nodes) || !Array.isArray(graph.edges) || graph.nodes.length % 2 || graph.edges.length % 3) {
+    throw new Error('Graph file is malformed.');
+  }
+  const nodeCount = graph.nodes.length / 2;
+  if (nodeCount === 0 || graph.edges.length === 0) {
+    throw new Error('Graph file contains no routable paths.');
+  }
+  // Checked up front: the typed arrays below would silently wrap bad indices and keep NaN coordinates.
+  for (let idx = 0; idx < graph.nodes.length; idx += 2) {
+    const lat = graph.nodes[idx];
+    const lng = graph.nodes[idx + 1];
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error('Graph file has invalid node coordinates.');
+    }
+  }
+  const isNodeIndex = (value) => Number.isInteger(value) && value >= 0 && value < nodeCount;
+  for (let idx = 0; idx < graph.edges.length; idx += 3) {
+    if (!isNodeIndex(graph.edges[idx]) || !isNodeIndex(graph.edges[idx + 1])) {
+      throw new Error('Graph file references missing nodes.');
+    }
+    const access = graph.edges[idx + 2];
+    if (!Number.isInteger(access) || (access & ~ALL_ACCESS_BITS) !== 0) {
+      throw new Error('Graph file has invalid edge access flags.');
+    }
+  }
+
+  const nodes = Float64Array.from(graph.nodes);
+  let south = Infinity;
+  let west = Infinity;
+  let north = -Infinity;
+  let east = -Infinity;
+  for (let idx = 0; idx < nodes.length; idx += 2) {
+    south = Math.min(south, nodes[idx]);
+    north = Math.max(north, nodes[idx]);
+    west = Math.min(west, nodes[idx + 1]);
+    east = Math.max(east, nodes[idx + 1]);
+  }
+
+  return {
+    id: `graph-${Date.now().toString(36)}`,
+    name,
+    bbox: [south, west, north, east],
+    nodeCount,
+    edgeCount: graph.edges.length / 3,
+    importedAt: Date.now(),
+    nodes,
+    edges: Uint32Array.from(graph.edges)
+  };
+};
+
+const graphDb = () =>
+  openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+    if (oldVersion < 1) {
+      db.createObjectStore(GRAPH_STORE, { keyPath: 'id' });
+    }
+  });
+
+const preparedGraphs = new Map();
+let graphSummaries = null;
+
+const summarise = ({ id, name, bbox, nodeCount, edgeCount, importedAt }) => ({
+  id,
+  name,
+  bbox,
+  nodeCount,
+  edgeCount,
+  importedAt
+});
+
+export const listOfflineGraphs = async () => {
+  if (!graphSummaries) {
+    const records = await runTransaction(graphDb(), GRAPH_STORE, 'readonly', ({ graphs }) =>
+      requestToPromise(graphs.getAll())
+    );
+    graphSummaries = records.map(summarise);
+  }
+  return graphSummaries;
+};
+
+export const saveOfflineGraph = async (graph) => {
+  await runTransaction(graphDb(), GRAPH_STORE, 'readwrite', ({ graphs }) => requestToPromise(graphs.put(graph)));
+  graphSummaries = null;
+  return summarise(graph);
+};
+
+export const deleteOfflineGraph = async (graphId) => {
+  await runTransaction(graphDb(), GRAPH_STORE, 'readwrite', ({ graphs }) => requestToPromise(graphs.delete(graphId)));
+  preparedGraphs.delete(graphId);
+  graphSummaries = null;
+};
+
+// Builds a CSR adjacency list plus a coarse lat/lng bucket index for snapping checkpoints.
+const prepareGraph = (record) => {
+  const { nodes, edges, nodeCount } = record;
+  const degree = new Uint32Array(nodeCount + 1);
+  for (let idx = 0; idx < edges.length; idx += 3) {
+    degree[edges[idx]] += 1;
+    degree[edges[idx + 1]] += 1;
+  }
+  const offsets = new Uint32Array(nodeCount + 1);
+  for (let node = 0; node < nodeCount; node += 1) {
+    offsets[node + 1] = offsets[node] + degree[node];
+  }
+  const fill = offsets.slice(0, nodeCount);
+  const targets = new Uint32Array(offsets[nodeCount]);
+  const weights = new Float64Array(offsets[nodeCount]);
+  const access = new Uint8Array(offsets[nodeCount]);
+  for (let idx = 0; idx < edges.length; idx += 3) {
+    const a = edges[idx];
+    const b = edges[idx + 1];
+    const mask = edges[idx + 2];
+    const length = haversine(nodes[a * 2], nodes[a * 2 + 1], nodes[b * 2], nodes[b * 2 + 1]);
+    targets[fill[a]] = b;
+    weights[fill[a]] = length;
+    access[fill[a]] = mask & ~ONEWAY;
+    fill[a] += 1;
+    targets[fill[b]] = a;
+    weights[fill[b]] = length;
+    access[fill[b]] = mask & ONEWAY ? mask & ~(ONEWAY | ACCESS_CAR) : mask;
+    fill[b] += 1;
+  }
+
+  const buckets = new Map();
+  for (let node = 0; node < nodeCount; node += 1) {
+    if (degree[node] === 0) continue;
+    const key = `${Math.floor(nodes[node * 2] / SNAP_CELL_DEGREES)}:${Math.floor(nodes[node * 2 + 1] / SNAP_CELL_DEGREES)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(node);
+  }
+
+  return { ...record, offsets, targets, weights, access, buckets };
+};
+
+const loadPreparedGraph = async (graphId) => {
+  if (!preparedGraphs.has(graphId)) {
+    const record = await runTransaction(graphDb(), GRAPH_STORE, 'readonly', ({ graphs }) =>
+      requestToPromise(graphs.get(graphId))
+    );
+    if (!record) return null;
+    preparedGraphs.set(graphId, prepareGraph(record));
+  }
+  return preparedGraphs.get(graphId);
+};
+
+// Scans enough cells around the point to cover `MAX_SNAP_DISTANCE_M` in every direction: cells
+// are square in degrees, so a cell's width in metres shrinks with cos(lat) and more columns are needed.
+const snapToGraph = (graph, lat, lng, accessMask) => {
+  const row = Math.floor(lat / SNAP_CELL_DEGREES);
+  const col = Math.floor(lng / SNAP_CELL_DEGREES);
+  const cellHeight = SNAP_CELL_DEGREES * METERS_PER_DEGREE;
+  const cellWidth = cellHeight * Math.cos((Math.min(Math.abs(lat), MAX_SNAP_LATITUDE) * Math.PI) / 180);
+  const rowSpan = Math.ceil(MAX_SNAP_DISTANCE_M / cellHeight);
+  const colSpan = Math.ceil(MAX_SNAP_DISTANCE_M / cellWidth);
+  let best = -1;
+  let bestDistance = MAX_SNAP_DISTANCE_M;
+  for (let dRow = -rowSpan; dRow <= rowSpan; dRow += 1) {
+    for (let dCol = -colSpan; dCol <= colSpan; dCol += 1) {
+      const bucket = graph.buckets.get(`${row + dRow}:${col + dCol}`);
+      if (!bucket) continue;
+      bucket.forEach((node) => {
+        let usable = false;
+        for (let edge = graph.offsets[node]; edge < graph.offsets[node + 1]; edge += 1) {
+          if (graph.access[edge] & accessMask) {
+            usable = true;
+            break;
+          }
+        }
+        if (!usable) return;
+        const distance = haversine(lat, lng, graph.nodes[node * 2], graph.nodes[node * 2 + 1]);
+        if (distance < bestDistance) {
+          best = node;
+          bestDistance = distance;
+        }
+      });
+    }
+  }
+  return best;
+};
+
+const heapPush = (heap, node, priority) => {
+  heap.push([priority, node]);
+  let idx = heap.length - 1;
+  while (idx > 0) {
+    const parent = (idx - 1) >> 1;
+    if (heap[parent][0] <= heap[idx][0]) break;
+    [heap[parent], heap[idx]] = [heap[idx], heap[parent]];
+    idx = parent;
+  }
+};
+
+const heapPop = (heap) => {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let idx = 0;
+    for (;;) {
+      const left = idx * 2 + 1;
+      const right = left + 1;
+      let smallest = idx;
+      if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+      if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+      if (smallest === idx) break;
+      [heap[smallest], heap[idx]] = [heap[idx], heap[smallest]];
+      idx = smallest;
+    }
+  }
+  return top;
+};
+
+const shortestPath = (graph, start, goal, accessMask) => {
+  const { nodes } = graph;
+  const goalLat = nodes[goal * 2];
+  const goalLng = nodes[goal * 2 + 1];
+  const cost = new Float64Array(graph.nodeCount).fill(Infinity);
+  const previous = new Int32Array(graph.nodeCount).fill(-1);
+  const heap = [];
+  cost[start] = 0;
+  heapPush(heap, start, haversine(nodes[start * 2], nodes[start * 2 + 1], goalLat, goalLng));
+
+  while (heap.length > 0) {
+    const [priority, node] = heapPop(heap);
+    if (node === goal) break;
+    if (priority - haversine(nodes[node * 2], nodes[node * 2 + 1], goalLat, goalLng) > cost[node] + 1e-6) {
+      continue; // stale heap entry
+    }
+    for (let edge = graph.offsets[node]; edge < graph.offsets[node + 1]; edge += 1) {
+      if (!(graph.access[edge] & accessMask)) continue;
+      const next = graph.targets[edge];
+      const nextCost = cost[node] + graph.weights[edge];
+      if (nextCost < cost[next]) {
+        cost[next] = nextCost;
+        previous[next] = node;
+        heapPush(heap, next, nextCost + haversine(nodes[next * 2], nodes[next * 2 + 1], goalLat, goalLng));
+      }
+    }
+  }
+
+  if (!Number.isFinite(cost[goal])) return null;
+  const path = [];
+  for (let node = goal; node !== -1; node = previous[node]) {
+    path.push([nodes[node * 2], nodes[node * 2 + 1]]);
+  }
+  return { positions: path.reverse(), distance: cost[goal] };
+};
+
+const bboxContains = ([south, west, north, east], [lat, lng]) =>
+  lat >= south && lat <= north && lng >= west && lng <= east;
+
+/**
+ * Routes `[lat, lng]` → `[lat, lng]` on whichever stored graph covers both ends.
+ * Resolves to `null` when no graph covers the leg or the ends aren't connected.
+ */
+export const routeOffline = async (from, to, { profile = 'foot' } = {}) => {
+  const accessMask = PROFILE_ACCESS[profile] ?? ACCESS_FOOT;
+  const candidates = (await listOfflineGraphs()).filter(
+    (graph) => bboxContains(graph.bbox, from) && bboxContains(graph.bbox, to)
+  );
+  for (const summary of candidates) {
+    const graph = await loadPreparedGraph(summary.id);
+    if (!graph) continue;
+    const start = snapToGraph(graph, from[0], from[1], accessMask);
+    const goal = snapToGraph(graph, to[0], to[1], accessMask);
+    if (start < 0 || goal < 0) continue;
+    const result = start === goal
+      ? { positions: [[graph.nodes[start * 2], graph.nodes[start * 2 + 1]]], distance: 0 }
+      : shortestPath(graph, start, goal, accessMask);
+    if (!result) continue;
+    const positions = [from, ...result.positions, to];
+    const distance =
+      result.distance +
+      haversine(from[0], from[1], positions[1][0], positions[1][1]) +
+      haversine(to[0], to[1], positions[positions.length - 2][0], positions[positions.length - 2][1]);
+    return { positions, distance, duration: null, graphId: summary.id };
+  }
+  return null;
+};
@@ -0,0 +1,142 @@
+// Just enough PDF for printable tables: A4 pages of text and rules in the standard Helvetica
+// fonts, which every PDF reader has built in, so nothing needs embedding.
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 40;
+const LINE_HEIGHT = 14;
+const FONT_SIZE = 9;
+const TITLE_SIZE = 14;
+
+// The standard fonts use WinAnsi encoding; a few common characters sit outside Latin-1.
+const WIN_ANSI_EXTRAS = { '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '…': 0x85 };
+const REPLACEMENTS = { '→': '>', '←': '<', '±': '+/-' };
+
+const encodeText = (text) =>
+  Array.from(String(text ?? ''))
+    .flatMap((character) => Array.from(REPLACEMENTS[character] ?? character))
+    .map((character) => {
+      const code = WIN_ANSI_EXTRAS[character] ?? character.charCodeAt(0);
+      if (code > 0xff) return '?';
+      if (character === '(' || character === ')' || character === '\\') return `\\${character}`;
+      return code < 0x20 || code > 0x7e ? `\\${code.toString(8).padStart(3, '0')}` : character;
+    })
+    .join('');
+
+// Rough Helvetica width, enough to keep cells from running into the next column.
+const fitText = (text, width, size) => {
+  const value = String(text ?? '');
+  const maxCharacters = Math.floor(width / (size * 0.52));
+  return value.length > maxCharacters ? `${value.slice(0, Math.max(1, maxCharacters - 1))}…` : value;
+};
+
+const textOp = (x, y, text, { size = FONT_SIZE, bold = false } = {}) =>
+  `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${encodeText(text)}) Tj ET`;
+
+const ruleOp = (y) => `${MARGIN} ${y.toFixed(2)} m ${(PAGE_WIDTH - MARGIN).toFixed(2)} ${y.toFixed(2)} l S`;
+
+const layoutPages = ({ title, subtitle, columns, rows, footer }) => {
+  const totalWeight = columns.reduce((sum, column) => sum + (column.weight ?? 1), 0);
+  const usable = PAGE_WIDTH - MARGIN * 2;
+  let x = MARGIN;
+  const placed = columns.map((column) => {
+    const width = (usable * (column.weight ?? 1)) / totalWeight;
+    const entry = { ...column, x, width };
+    x += width;
+    return entry;
+  });
+  const cellOp = (column, y, value, options) => {
+    const text = fitText(value, column.width - 4, options?.size ?? FONT_SIZE);
+    if (column.align !== 'right') return textOp(column.x, y, text, options);
+    const estimate = text.length * (options?.size ?? FONT_SIZE) * 0.52;
+    return textOp(column.x + column.width - 4 - estimate, y, text, options);
+  };
+
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+  const startPage = (isFirst) => {
+    ops = ['0.5 w'];
+    y = PAGE_HEIGHT - MARGIN;
+    if (isFirst) {
+      ops.push(textOp(MARGIN, y - TITLE_SIZE, title, { size: TITLE_SIZE, bold: true }));
+      y -= TITLE_SIZE + 8;
+      if (subtitle) {
+        ops.push(textOp(MARGIN, y - FONT_SIZE, subtitle));
+        y -= LINE_HEIGHT;
+      }
+      y -= 6;
+    }
+    placed.forEach((column) => ops.push(cellOp(column, y - FONT_SIZE, column.label, { bold: true })));
+    y -= LINE_HEIGHT;
+    ops.push(ruleOp(y + 3));
+  };
+
+  const ensureRoom = () => {
+    if (y - LINE_HEIGHT < MARGIN) {
+      pages.push(ops);
+      startPage(false);
+    }
+  };
+
+  startPage(true);
+  rows.forEach((row) => {
+    ensureRoom();
+    placed.forEach((column, index) => ops.push(cellOp(column, y - FONT_SIZE, row[index])));
+    y -= LINE_HEIGHT;
+  });
+  if (footer) {
+    ensureRoom();
+    ops.push(ruleOp(y + 3));
+    placed.forEach((column, index) => ops.push(cellOp(column, y - FONT_SIZE, footer[index], { bold: true })));
+  }
+  pages.push(ops);
+  return pages;
+};
+
+/**
+ * Lays out a table as an A4 PDF and returns its bytes. `columns` are `{ label, weight?, align? }`
+ * with `weight` setting relative width; `rows` and the optional `footer` are arrays of cell
+ * text in column order. Long tables continue on further pages with the header repeated.
+ */
+export const createTablePdf = ({ title, subtitle, columns, rows, footer }) => {
+  const pages = layoutPages({ title, subtitle, columns, rows, footer });
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const pageIds = pages.map((ops) => {
+    const content = ops.join('\n');
+    const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Every character is a single byte, so string lengths are byte offsets.
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(output.length);
+  for (let index = 0; index < output.length; index += 1) {
+    bytes[index] = output.charCodeAt(index);
+  }
+  return bytes;
+};
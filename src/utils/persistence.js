@@ -0,0 +1,112 @@
+import { isIndexedDbAvailable, openDatabase, requestToPromise, runTransaction } from './indexedDb.js';
+
+const DB_NAME = 'cadnav';
+const DB_VERSION = 1;
+const RECORD_STORE = 'records';
+const FALLBACK_PREFIX = 'cadnav-record:';
+
+const canUseStorage = () => typeof window !== 'undefined' && !!window.localStorage;
+
+const recordDb = () =>
+  openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+    if (oldVersion < 1) {
+      db.createObjectStore(RECORD_STORE);
+    }
+  });
+
+// Write failures carry a `reason`: `quota` when the device is out of space, `unavailable` when
+// neither IndexedDB nor localStorage can be used, `failed` otherwise.
+const persistenceError = (message, reason, cause) => Object.assign(new Error(message), { reason, cause });
+
+const isQuotaError = (err) =>
+  err?.name === 'QuotaExceededError' || err?.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err?.code === 22;
+
+// IndexedDB is the primary store. Browsers that block it (some private modes, locked-down
+// webviews) fall back to localStorage so small records still survive a reload.
+let backend = null;
+const resolveBackend = async () => {
+  if (backend) return backend;
+  if (isIndexedDbAvailable()) {
+    try {
+      await recordDb();
+      backend = 'indexeddb';
+      return backend;
+    } catch (err) {
+      // fall through to localStorage
+    }
+  }
+  backend = canUseStorage() ? 'localstorage' : 'memory';
+  return backend;
+};
+
+export const getPersistenceBackend = () => backend;
+
+const readRaw = async (key) => {
+  const target = await resolveBackend();
+  if (target === 'indexeddb') {
+    return runTransaction(recordDb(), RECORD_STORE, 'readonly', ({ records }) => requestToPromise(records.get(key)));
+  }
+  if (target === 'localstorage') {
+    const raw = window.localStorage.getItem(`${FALLBACK_PREFIX}${key}`);
+    return raw ? JSON.parse(raw) : undefined;
+  }
+  return undefined;
+};
+
+const writeRaw = async (key, record) => {
+  const target = await resolveBackend();
+  try {
+    if (target === 'indexeddb') {
+      await runTransaction(recordDb(), RECORD_STORE, 'readwrite', ({ records }) => requestToPromise(records.put(record, key)));
+      return;
+    }
+    if (target === 'localstorage') {
+      window.localStorage.setItem(`${FALLBACK_PREFIX}${key}`, JSON.stringify(record));
+      return;
+    }
+  } catch (err) {
+    if (isQuotaError(err) || isQuotaError(err?.cause)) {
+      throw persistenceError('Device storage is full.', 'quota', err);
+    }
+    throw persistenceError(err?.message ?? 'Unable to save data.', 'failed', err);
+  }
+  throw persistenceError('Storage is unavailable in this browser.', 'unavailable');
+};
+
+/**
+ * Reads a versioned record and runs it through `migrations` up to `version`.
+ * `migrations[n]` turns schema n data into schema n + 1. Resolves to
+ * `{ data, status }`, where status is `empty`, `loaded`, `migrated` or `newer` (the record was
+ * written by a newer build and is left untouched; `data` is null).
+ */
+export const loadRecord = async (key, { version, migrations = {} }) => {
+  const record = await readRaw(key);
+  if (!record || typeof record !== 'object') {
+    return { data: null, status: 'empty' };
+  }
+  const recordVersion = Number(record.schemaVersion) || 1;
+  if (recordVersion > version) {
+    return { data: null, status: 'newer' };
+  }
+  let data = record.data;
+  for (let step = recordVersion; step < version; step += 1) {
+    const migrate = migrations[step];
+    if (typeof migrate !== 'function') {
+      throw new Error(`No migration for ${key} from schema ${step}.`);
+    }
+    data = migrate(data);
+  }
+  return { data, status: recordVersion === version ? 'loaded' : 'migrated' };
+};
+
+export const saveRecord = (key, version, data) =>
+  writeRaw(key, { schemaVersion: version, savedAt: Date.now(), data });
+
+export const deleteRecord = async (key) => {
+  const target = await resolveBackend();
+  if (target === 'indexeddb') {
+    await runTransaction(recordDb(), RECORD_STORE, 'readwrite', ({ records }) => requestToPromise(records.delete(key)));
+  } else if (target === 'localstorage') {
+    window.localStorage.removeItem(`${FALLBACK_PREFIX}${key}`);
+  }
+};
@@ -1,3 +1,5 @@
+import { createZip, readZipEntries } from './zip.js';
+
 export const parseLineString = (geoJson) => {
   if (!geoJson) return [];
   if (geoJson.type === 'FeatureCollection') {
@@ -83,6 +85,14 @@ const normalisePosition = (candidate) => {
   };
 };
 
+// Imported files carry checkpoint names; share codes don't, so `name` is optional.
+const normaliseSnapshotCheckpoint = (candidate) => {
+  const position = normalisePosition(candidate);
+  if (!position) return null;
+  const name = typeof candidate.name === 'string' ? candidate.name.trim().slice(0, 60) : '';
+  return name ? { ...position, name } : position;
+};
+
 export const ROUTE_SHARE_VERSION = 4;
 const ROUTE_SHARE_SCALE = 1e5;
 const FALLBACK_ROUTE_COLOR = '#38bdf8';
@@ -152,7 +162,7 @@ export const normaliseRouteShareSnapshot = (snapshot) => {
 
   const connectVia = snapshot.connectVia === 'route' ? 'route' : 'direct';
   const checkpoints = Array.isArray(snapshot.checkpoints)
-    ? snapshot.checkpoints.map(normalisePosition).filter(Boolean)
+    ? snapshot.checkpoints.map(normaliseSnapshotCheckpoint).filter(Boolean)
     : [];
   
   const routes = Array.isArray(snapshot.routes)
@@ -683,3 +693,659 @@ export const decodeLocationCode = (hash) => {
     lng: (minLng + maxLng) / 2
   };
 };
+
+// --- File formats ---
+// Importers return a route share snapshot (checkpoints may carry a `name`), so imported files
+// load through the same `loadRouteSnapshot` path as share codes.
+
+const DEFAULT_TRACK_TOLERANCE_METERS = 10;
+const MAX_TRACK_CHECKPOINTS = 250;
+
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' };
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, (character) => XML_ENTITIES[character]);
+
+const parseXml = (text, label) => {
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('XML parsing is not supported in this environment.');
+  }
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (!doc?.documentElement || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`This doesn't look like a valid ${label} file.`);
+  }
+  return doc;
+};
+
+// Child lookups go by local name so files with or without namespace prefixes read the same.
+const childElements = (node, localName) =>
+  Array.from(node?.childNodes ?? []).filter(
+    (child) => child.nodeType === 1 && (!localName || child.localName === localName)
+  );
+
+const childText = (node, localName) => {
+  const child = childElements(node, localName)[0];
+  return child?.textContent?.trim() ?? '';
+};
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}){1,2}$/i;
+
+const hexToRgb = (color) => {
+  const hex = color.slice(1);
+  const full = hex.length === 3 ? hex.split('').map((digit) => digit + digit).join('') : hex;
+  return [0, 2, 4].map((offset) => parseInt(full.slice(offset, offset + 2), 16));
+};
+
+// Garmin units only show these named colours, so exports also carry the nearest one.
+const GARMIN_DISPLAY_COLORS = {
+  Black: '#000000', DarkRed: '#8b0000', DarkGreen: '#006400', DarkYellow: '#b5b820',
+  DarkBlue: '#00008b', DarkMagenta: '#8b008b', DarkCyan: '#008b8b', LightGray: '#d3d3d3',
+  DarkGray: '#a9a9a9', Red: '#ff0000', Green: '#00ff00', Yellow: '#ffff00',
+  Blue: '#0000ff', Magenta: '#ff00ff', Cyan: '#00ffff', White: '#ffffff'
+};
+
+const nearestGarminColor = (color) => {
+  const [r, g, b] = hexToRgb(color);
+  let best = 'Blue';
+  let bestDistance = Infinity;
+  Object.entries(GARMIN_DISPLAY_COLORS).forEach(([name, value]) => {
+    const [r2, g2, b2] = hexToRgb(value);
+    const distance = (r - r2) ** 2 + (g - g2) ** 2 + (b - b2) ** 2;
+    if (distance < bestDistance) {
+      best = name;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+const metersPerDegree = 111320;
+
+// Ramer–Douglas–Peucker on a local flat projection; good enough at track scale.
+const simplifyPath = (points, tolerance) => {
+  if (points.length <= 2) return points;
+  const cosLat = Math.cos((points[0].lat * Math.PI) / 180);
+  const project = ({ lat, lng }) => [lng * metersPerDegree * cosLat, lat * metersPerDegree];
+  const projected = points.map(project);
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    const [ax, ay] = projected[start];
+    const [bx, by] = projected[end];
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    let farthest = -1;
+    let farthestDistance = tolerance;
+    for (let index = start + 1; index < end; index += 1) {
+      const [px, py] = projected[index];
+      const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared)) : 0;
+      const distance = Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+      if (distance > farthestDistance) {
+        farthest = index;
+        farthestDistance = distance;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([start, farthest], [farthest, end]);
+    }
+  }
+  return points.filter((_, index) => keep[index]);
+};
+
+/**
+ * Thins a recorded track down to checkpoints that keep its shape: points within `tolerance`
+ * metres of the simplified line are dropped, loosening the tolerance until at most
+ * `maxPoints` remain.
+ */
+export const simplifyTrack = (points, { tolerance = DEFAULT_TRACK_TOLERANCE_METERS, maxPoints = MAX_TRACK_CHECKPOINTS } = {}) => {
+  let result = simplifyPath(points, tolerance);
+  let current = tolerance;
+  while (result.length > maxPoints) {
+    current *= 2;
+    result = simplifyPath(result, current);
+  }
+  return result;
+};
+
+const samePosition = (a, b) => Math.abs(a.lat - b.lat) < 1e-6 && Math.abs(a.lng - b.lng) < 1e-6;
+
+// Collects checkpoints and routes for an importer; `finish` drops empty routes and wraps the result.
+const createSnapshotBuilder = () => {
+  const checkpoints = [];
+  const routes = [];
+  const waypointGroups = new Map();
+
+  const addCheckpoint = (position, name) => {
+    const normalised = normalisePosition(position);
+    if (!normalised) return null;
+    checkpoints.push(name ? { ...normalised, name } : normalised);
+    return checkpoints.length - 1;
+  };
+
+  const addRoute = ({ name, color, isVisible = true, indices }) => {
+    const valid = indices.filter((index) => index != null);
+    if (valid.length === 0) return;
+    routes.push({
+      name: name || `Route ${routes.length + 1}`,
+      color: color ?? FALLBACK_ROUTE_COLOR,
+      isVisible,
+      indices: valid
+    });
+  };
+
+  return {
+    addCheckpoint,
+    addRoute,
+    // Our exports write every route point as a standalone point too, so a point sitting on an
+    // imported vertex only names it. Other points are gathered into one route per `group`.
+    // `isRoute` marks a point our exports wrote as a one-checkpoint route: it always joins its
+    // group, sharing the vertex's checkpoint when it sits on another route.
+    addWaypoint: (position, name, { group = 'Waypoints', color, isVisible = true, isRoute = false } = {}) => {
+      const normalised = normalisePosition(position);
+      if (!normalised) return;
+      const vertexIndex = checkpoints.findIndex((checkpoint) => samePosition(checkpoint, normalised));
+      if (vertexIndex >= 0) {
+        const vertex = checkpoints[vertexIndex];
+        if (name && !vertex.name) vertex.name = name;
+        if (!isRoute) return;
+      }
+      if (!waypointGroups.has(group)) {
+        waypointGroups.set(group, { name: group, color, isVisible, indices: [] });
+      }
+      waypointGroups.get(group).indices.push(vertexIndex >= 0 ? vertexIndex : addCheckpoint(normalised, name));
+    },
+    finish: (emptyMessage) => {
+      waypointGroups.forEach(addRoute);
+      if (routes.length === 0) throw new Error(emptyMessage);
+      return { version: ROUTE_SHARE_VERSION, connectVia: 'direct', checkpoints, routes };
+    }
+  };
+};
+
+// Lists each non-empty route with its resolved colour and named checkpoint positions, for writers.
+const collectExportRoutes = (checkpointMap, routes) =>
+  routes
+    .map((route) => ({
+      name: route.name || 'Route',
+      color: HEX_COLOR_PATTERN.test(route.color ?? '') ? route.color.toLowerCase() : FALLBACK_ROUTE_COLOR,
+      isVisible: route.isVisible !== false,
+      points: (route.items ?? [])
+        .map((id, index) => {
+          const checkpoint = checkpointMap[id];
+          if (!checkpoint?.position) return null;
+          return { id, lat: checkpoint.position.lat, lng: checkpoint.position.lng, name: checkpoint.name || `Point ${index + 1}` };
+        })
+        .filter(Boolean)
+    }))
+    .filter((route) => route.points.length > 0);
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+const GARMIN_GPX_NAMESPACE = 'http://www.garmin.com/xmlschemas/GpxExtensions/v3';
+const CADNAV_GPX_NAMESPACE = 'https://cadnav.app/xmlschemas/GpxExtensions/v1';
+
+const readGpxPoint = (element) => ({
+  lat: parseFloat(element.getAttribute('lat')),
+  lng: parseFloat(element.getAttribute('lon'))
+});
+
+// Our own extension wins; otherwise take the Garmin display colour if it's one we know.
+const readGpxExtensions = (element) => {
+  const extensions = childElements(element, 'extensions')[0];
+  const nested = childElements(extensions).flatMap((child) => [child, ...childElements(child)]);
+  const find = (localName) => nested.find((child) => child.localName === localName)?.textContent?.trim() ?? '';
+  const color = find('color');
+  const garminColor = GARMIN_DISPLAY_COLORS[find('DisplayColor')];
+  return {
+    color: HEX_COLOR_PATTERN.test(color) ? color.toLowerCase() : garminColor ?? null,
+    isVisible: find('visible') !== 'false'
+  };
+};
+
+/**
+ * Reads GPX 1.0/1.1 into a route share snapshot. Each `<rte>` and `<trk>` becomes a route
+ * (tracks thinned with `simplifyTrack`); waypoints not already on a route are gathered into
+ * a "Waypoints" route. Throws with a readable message if nothing usable is found.
+ */
+export const parseGpx = (text) => {
+  const doc = parseXml(text, 'GPX');
+  const root = doc.documentElement;
+  if (root.localName !== 'gpx') {
+    throw new Error("This doesn't look like a GPX file.");
+  }
+  const builder = createSnapshotBuilder();
+
+  childElements(root, 'rte').forEach((route) => {
+    const { color, isVisible } = readGpxExtensions(route);
+    builder.addRoute({
+      name: childText(route, 'name'),
+      color,
+      isVisible,
+      indices: childElements(route, 'rtept').map((point) =>
+        builder.addCheckpoint(readGpxPoint(point), childText(point, 'name'))
+      )
+    });
+  });
+
+  childElements(root, 'trk').forEach((track) => {
+    const { color, isVisible } = readGpxExtensions(track);
+    const points = childElements(track, 'trkseg')
+      .flatMap((segment) => childElements(segment, 'trkpt').map(readGpxPoint))
+      .map(normalisePosition)
+      .filter(Boolean);
+    builder.addRoute({
+      name: childText(track, 'name'),
+      color,
+      isVisible,
+      indices: simplifyTrack(points).map((point) => builder.addCheckpoint(point))
+    });
+  });
+
+  childElements(root, 'wpt').forEach((point) => {
+    builder.addWaypoint(readGpxPoint(point), childText(point, 'name'));
+  });
+
+  return builder.finish('No routes, tracks or waypoints found in this GPX file.');
+};
+
+/**
+ * Writes routes as GPX 1.1: every checkpoint as a `<wpt>`, each route as an `<rte>` with its
+ * colour in both our extension and Garmin's `DisplayColor`. Empty routes are left out.
+ */
+export const buildGpx = ({ checkpointMap, routes, name = 'CadNav routes' }) => {
+  const exportRoutes = collectExportRoutes(checkpointMap, routes);
+  const seen = new Set();
+  const waypoints = exportRoutes
+    .flatMap((route) => route.points)
+    .filter((point) => !seen.has(point.id) && seen.add(point.id))
+    .map((point) => `  <wpt lat="${point.lat}" lon="${point.lng}"><name>${escapeXml(point.name)}</name></wpt>`);
+  const routeXml = exportRoutes.map((route) =>
+    [
+      '  <rte>',
+      `    <name>${escapeXml(route.name)}</name>`,
+      '    <extensions>',
+      `      <gpxx:RouteExtension><gpxx:DisplayColor>${nearestGarminColor(route.color)}</gpxx:DisplayColor></gpxx:RouteExtension>`,
+      `      <cadnav:color>${route.color}</cadnav:color>`,
+      ...(route.isVisible ? [] : ['      <cadnav:visible>false</cadnav:visible>']),
+      '    </extensions>',
+      ...route.points.map(
+        (point) => `    <rtept lat="${point.lat}" lon="${point.lng}"><name>${escapeXml(point.name)}</name></rtept>`
+      ),
+      '  </rte>'
+    ].join('\n')
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="CadNav" xmlns="${GPX_NAMESPACE}" xmlns:gpxx="${GARMIN_GPX_NAMESPACE}" xmlns:cadnav="${CADNAV_GPX_NAMESPACE}">`,
+    `  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...waypoints,
+    ...routeXml,
+    '</gpx>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Writes recorded tracks as GPX 1.1 `<trk>`s, one `<trkseg>` per recording stretch between
+ * pauses. Points carry their time and, when the device reported them, elevation and
+ * accuracy in metres (`<cadnav:accuracy>`).
+ */
+export const buildTrackGpx = ({ tracks, name = 'CadNav tracks' }) => {
+  const trackXml = tracks.map((track) =>
+    [
+      '  <trk>',
+      `    <name>${escapeXml(track.name)}</name>`,
+      '    <extensions>',
+      `      <gpxx:TrackExtension><gpxx:DisplayColor>${nearestGarminColor(track.color)}</gpxx:DisplayColor></gpxx:TrackExtension>`,
+      `      <cadnav:color>${track.color}</cadnav:color>`,
+      '    </extensions>',
+      ...track.segments
+        .filter((segment) => segment.length > 0)
+        .flatMap((segment) => [
+          '    <trkseg>',
+          ...segment.map((point) =>
+            [
+              `      <trkpt lat="${point.lat}" lon="${point.lng}">`,
+              Number.isFinite(point.ele) ? `<ele>${point.ele}</ele>` : '',
+              `<time>${new Date(point.time).toISOString()}</time>`,
+              Number.isFinite(point.accuracy)
+                ? `<extensions><cadnav:accuracy>${point.accuracy}</cadnav:accuracy></extensions>`
+                : '',
+              '</trkpt>'
+            ].join('')
+          ),
+          '    </trkseg>'
+        ]),
+      '  </trk>'
+    ].join('\n')
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="CadNav" xmlns="${GPX_NAMESPACE}" xmlns:gpxx="${GARMIN_GPX_NAMESPACE}" xmlns:cadnav="${CADNAV_GPX_NAMESPACE}">`,
+    `  <metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>`,
+    ...trackXml,
+    '</gpx>',
+    ''
+  ].join('\n');
+};
+
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+
+// KML colours are aabbggrr.
+const parseKmlColor = (value) => {
+  const match = /^[0-9a-f]{2}([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(value ?? '');
+  return match ? `#${match[3]}${match[2]}${match[1]}`.toLowerCase() : null;
+};
+
+const toKmlColor = (color) => {
+  const [r, g, b] = hexToRgb(color).map((channel) => channel.toString(16).padStart(2, '0'));
+  return `ff${b}${g}${r}`;
+};
+
+const readStyleColor = (style) =>
+  parseKmlColor(childText(childElements(style, 'LineStyle')[0], 'color')) ??
+  parseKmlColor(childText(childElements(style, 'IconStyle')[0], 'color'));
+
+// Resolves a `styleUrl` to a colour through shared `<Style>`s and the "normal" side of `<StyleMap>`s.
+const createKmlStyleResolver = (doc) => {
+  const styles = new Map();
+  const styleMaps = new Map();
+  Array.from(doc.getElementsByTagNameNS('*', 'Style')).forEach((style) => {
+    const id = style.getAttribute('id');
+    if (id) styles.set(id, readStyleColor(style));
+  });
+  Array.from(doc.getElementsByTagNameNS('*', 'StyleMap')).forEach((styleMap) => {
+    const normal = childElements(styleMap, 'Pair').find((pair) => childText(pair, 'key') === 'normal');
+    if (styleMap.getAttribute('id') && normal) styleMaps.set(styleMap.getAttribute('id'), childText(normal, 'styleUrl'));
+  });
+  const resolve = (styleUrl, depth = 0) => {
+    const id = styleUrl?.replace(/^.*#/, '');
+    if (!id || depth > 3) return null;
+    if (styleMaps.has(id)) return resolve(styleMaps.get(id), depth + 1);
+    return styles.get(id) ?? null;
+  };
+  return resolve;
+};
+
+const parseKmlCoordinates = (text) =>
+  (text ?? '')
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => {
+      const [lng, lat] = tuple.split(',').map(Number);
+      return { lat, lng };
+    });
+
+// Flattens MultiGeometry into its LineStrings, gx:Tracks and Points.
+const collectKmlGeometries = (element) =>
+  childElements(element).flatMap((child) => {
+    if (child.localName === 'MultiGeometry') return collectKmlGeometries(child);
+    if (['LineString', 'Point', 'Track'].includes(child.localName)) return [child];
+    return [];
+  });
+
+// Marks the Point of a route with only one checkpoint, which has no line for it to sit on.
+const SINGLE_POINT_ROUTE_KEY = 'singlePointRoute';
+
+// Reads a `<Data name="…"><value>` entry from a Placemark's ExtendedData.
+const readKmlData = (placemark, key) => {
+  const data = childElements(childElements(placemark, 'ExtendedData')[0], 'Data').find(
+    (entry) => entry.getAttribute('name') === key
+  );
+  return data ? childText(data, 'value') : null;
+};
+
+// Drawn lines keep every vertex as a checkpoint unless there are too many to be useful.
+const lineCheckpoints = (points) =>
+  points.length > MAX_TRACK_CHECKPOINTS ? simplifyTrack(points) : points;
+
+/**
+ * Reads KML into a route share snapshot. Placemarks are found through any depth of Folders and
+ * MultiGeometry: each LineString or gx:Track becomes a route, and Points either name the
+ * vertex they sit on or are gathered into a route named after their folder.
+ */
+export const parseKml = (text) => {
+  const doc = parseXml(text, 'KML');
+  if (doc.documentElement.localName !== 'kml') {
+    throw new Error("This doesn't look like a KML file.");
+  }
+  const resolveStyle = createKmlStyleResolver(doc);
+  const builder = createSnapshotBuilder();
+  const points = [];
+
+  const readPlacemark = (placemark, folder) => {
+    const name = childText(placemark, 'name');
+    const inlineStyle = childElements(placemark, 'Style')[0];
+    const color = (inlineStyle && readStyleColor(inlineStyle)) ?? resolveStyle(childText(placemark, 'styleUrl'));
+    const isVisible = folder.isVisible && childText(placemark, 'visibility') !== '0';
+    const isRoute = readKmlData(placemark, SINGLE_POINT_ROUTE_KEY) === 'true';
+    const geometries = collectKmlGeometries(placemark);
+    const lines = geometries.filter((geometry) => geometry.localName !== 'Point');
+    lines.forEach((line, index) => {
+      const path =
+        line.localName === 'Track'
+          ? simplifyTrack(
+              childElements(line, 'coord').map((coord) => {
+                const [lng, lat] = coord.textContent.trim().split(/\s+/).map(Number);
+                return { lat, lng };
+              })
+            )
+          : lineCheckpoints(parseKmlCoordinates(childText(line, 'coordinates')).map(normalisePosition).filter(Boolean));
+      builder.addRoute({
+        name: lines.length > 1 ? `${name || folder.name || 'Route'} ${index + 1}` : name || folder.name,
+        color,
+        isVisible,
+        indices: path.map((point) => builder.addCheckpoint(point))
+      });
+    });
+    geometries
+      .filter((geometry) => geometry.localName === 'Point')
+      .forEach((point) => {
+        const [position] = parseKmlCoordinates(childText(point, 'coordinates'));
+        points.push({ position, name, options: { group: folder.name || 'Waypoints', color, isVisible, isRoute } });
+      });
+  };
+
+  const walk = (container, folder) => {
+    childElements(container).forEach((child) => {
+      if (child.localName === 'Placemark') {
+        readPlacemark(child, folder);
+      } else if (child.localName === 'Folder' || child.localName === 'Document') {
+        walk(child, {
+          // The top-level Document is usually just the file name, so only Folders name a group.
+          name: child.localName === 'Folder' ? childText(child, 'name') || folder.name : folder.name,
+          isVisible: folder.isVisible && childText(child, 'visibility') !== '0'
+        });
+      }
+    });
+  };
+  walk(doc.documentElement, { name: '', isVisible: true });
+
+  // Points go last so they can name the vertices of lines anywhere in the file.
+  points.forEach(({ position, name, options }) => builder.addWaypoint(position, name, options));
+  return builder.finish('No lines or points found in this KML file.');
+};
+
+/** Opens a KMZ archive and reads its main KML document (doc.kml, or the first .kml inside). */
+export const parseKmz = async (buffer) => {
+  const entries = readZipEntries(buffer).filter((entry) => /\.kml$/i.test(entry.name));
+  const main = entries.find((entry) => entry.name.toLowerCase() === 'doc.kml') ?? entries[0];
+  if (!main) {
+    throw new Error('No KML document found inside this KMZ file.');
+  }
+  return parseKml(new TextDecoder().decode(await main.read()));
+};
+
+const kmlCoordinate = (point) => `${point.lng},${point.lat}`;
+
+/**
+ * Writes routes as KML with one Folder per route: a LineString for the route (when it has two
+ * or more checkpoints) and a Point for each checkpoint, all sharing the route's colour. A
+ * one-checkpoint route's Point is flagged in ExtendedData so it survives sharing its position
+ * with another route.
+ */
+export const buildKml = ({ checkpointMap, routes, name = 'CadNav routes' }) => {
+  const exportRoutes = collectExportRoutes(checkpointMap, routes);
+  const styles = exportRoutes.map((route, index) =>
+    [
+      `    <Style id="route-${index + 1}">`,
+      `      <LineStyle><color>${toKmlColor(route.color)}</color><width>4</width></LineStyle>`,
+      `      <IconStyle><color>${toKmlColor(route.color)}</color></IconStyle>`,
+      '    </Style>'
+    ].join('\n')
+  );
+  const folders = exportRoutes.map((route, index) => {
+    const styleUrl = `<styleUrl>#route-${index + 1}</styleUrl>`;
+    return [
+      '    <Folder>',
+      `      <name>${escapeXml(route.name)}</name>`,
+      ...(route.isVisible ? [] : ['      <visibility>0</visibility>']),
+      ...(route.points.length > 1
+        ? [
+            `      <Placemark><name>${escapeXml(route.name)}</name>${styleUrl}<LineString><tessellate>1</tessellate>` +
+              `<coordinates>${route.points.map(kmlCoordinate).join(' ')}</coordinates></LineString></Placemark>`
+          ]
+        : []),
+      ...route.points.map(
+        (point) =>
+          `      <Placemark><name>${escapeXml(point.name)}</name>${styleUrl}` +
+          (route.points.length === 1
+            ? `<ExtendedData><Data name="${SINGLE_POINT_ROUTE_KEY}"><value>true</value></Data></ExtendedData>`
+            : '') +
+          `<Point><coordinates>${kmlCoordinate(point)}</coordinates></Point></Placemark>`
+      ),
+      '    </Folder>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<kml xmlns="${KML_NAMESPACE}">`,
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...styles,
+    ...folders,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+};
+
+/** Same as `buildKml`, packed as a KMZ archive (bytes). */
+export const buildKmz = (options) => createZip([{ name: 'doc.kml', data: buildKml(options) }]);
+
+// GeoJSON positions are [lng, lat(, elevation)].
+const fromGeoJsonPosition = (coordinates) =>
+  Array.isArray(coordinates) ? { lat: coordinates[1], lng: coordinates[0] } : null;
+
+/**
+ * Reads a GeoJSON FeatureCollection, Feature or bare geometry into a route share snapshot.
+ * LineStrings (and each part of a MultiLineString) become routes; Points either name the
+ * vertex they sit on or are grouped by their `route` property (always, when flagged
+ * `singlePointRoute`). Colours come from the
+ * simplestyle `stroke`/`marker-color` properties.
+ */
+export const parseGeoJson = (text) => {
+  let data;
+  try {
+    data = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (err) {
+    throw new Error("This doesn't look like a valid GeoJSON file.");
+  }
+  const features =
+    data?.type === 'FeatureCollection'
+      ? data.features ?? []
+      : data?.type === 'Feature'
+        ? [data]
+        : [{ type: 'Feature', properties: {}, geometry: data }];
+  const builder = createSnapshotBuilder();
+  const points = [];
+
+  const readGeometry = (geometry, properties) => {
+    if (!geometry) return;
+    const name = typeof properties.name === 'string' ? properties.name : '';
+    const lineColor = [properties.stroke, properties.color].find((value) => HEX_COLOR_PATTERN.test(value ?? ''));
+    const pointColor = [properties['marker-color'], lineColor].find((value) => HEX_COLOR_PATTERN.test(value ?? ''));
+    const isVisible = properties.visible !== false;
+    const addLine = (coordinates, index = 0, partCount = 1) => {
+      const path = lineCheckpoints((coordinates ?? []).map(fromGeoJsonPosition).map(normalisePosition).filter(Boolean));
+      builder.addRoute({
+        name: partCount > 1 ? `${name || 'Route'} ${index + 1}` : name,
+        color: lineColor?.toLowerCase(),
+        isVisible,
+        indices: path.map((point) => builder.addCheckpoint(point))
+      });
+    };
+    const addPoint = (coordinates) => {
+      points.push({
+        position: fromGeoJsonPosition(coordinates),
+        name,
+        options: {
+          group: typeof properties.route === 'string' && properties.route ? properties.route : 'Waypoints',
+          color: pointColor?.toLowerCase(),
+          isVisible,
+          isRoute: properties[SINGLE_POINT_ROUTE_KEY] === true
+        }
+      });
+    };
+    switch (geometry.type) {
+      case 'LineString':
+        addLine(geometry.coordinates);
+        break;
+      case 'MultiLineString':
+        (geometry.coordinates ?? []).forEach((line, index, lines) => addLine(line, index, lines.length));
+        break;
+      case 'Point':
+        addPoint(geometry.coordinates);
+        break;
+      case 'MultiPoint':
+        (geometry.coordinates ?? []).forEach(addPoint);
+        break;
+      case 'GeometryCollection':
+        (geometry.geometries ?? []).forEach((part) => readGeometry(part, properties));
+        break;
+      default:
+        break;
+    }
+  };
+
+  features.forEach((feature) => readGeometry(feature?.geometry, feature?.properties ?? {}));
+  points.forEach(({ position, name, options }) => builder.addWaypoint(position, name, options));
+  return builder.finish('No lines or points found in this GeoJSON file.');
+};
+
+/**
+ * Writes routes as a GeoJSON FeatureCollection: a LineString per route (two or more
+ * checkpoints) with simplestyle `stroke`, and a Point per checkpoint tagged with its `route`
+ * (plus `singlePointRoute` when that Point is the whole route).
+ */
+export const buildGeoJson = ({ checkpointMap, routes, name = 'CadNav routes' }) => {
+  const features = collectExportRoutes(checkpointMap, routes).flatMap((route) => [
+    ...(route.points.length > 1
+      ? [
+          {
+            type: 'Feature',
+            properties: { name: route.name, stroke: route.color, ...(route.isVisible ? {} : { visible: false }) },
+            geometry: { type: 'LineString', coordinates: route.points.map((point) => [point.lng, point.lat]) }
+          }
+        ]
+      : []),
+    ...route.points.map((point) => ({
+      type: 'Feature',
+      properties: {
+        name: point.name,
+        route: route.name,
+        'marker-color': route.color,
+        ...(route.isVisible ? {} : { visible: false }),
+        ...(route.points.length === 1 ? { [SINGLE_POINT_ROUTE_KEY]: true } : {})
+      },
+      geometry: { type: 'Point', coordinates: [point.lng, point.lat] }
+    }))
+  ]);
+  return `${JSON.stringify({ type: 'FeatureCollection', name, features }, null, 2)}\n`;
+};
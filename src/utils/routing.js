@@ -0,0 +1,262 @@
+import { buildRoutingPayload, parseLineString } from './routeUtils.js';
+import { routeOffline } from './offlineRouting.js';
+
+export const ROUTING_ENGINES = ['osrm', 'valhalla', 'offline'];
+
+export const ROUTING_PROFILES = [
+  { id: 'foot', label: 'Foot' },
+  { id: 'bike', label: 'Bike' },
+  { id: 'car', label: 'Car' }
+];
+
+// `{profile}` in the URL is replaced with the profile id, which suits hosts that run one OSRM
+// instance per profile (routing.openstreetmap.de/routed-foot, …). Single-profile OSRM servers
+// ignore the profile segment in the path, so a plain base URL works too.
+export const DEFAULT_ROUTER_URL =
+  import.meta.env.VITE_ROUTER_URL ?? 'https://routing.openstreetmap.de/routed-{profile}';
+export const DEFAULT_ROUTER_ENGINE = ROUTING_ENGINES.includes(import.meta.env.VITE_ROUTER_ENGINE)
+  ? import.meta.env.VITE_ROUTER_ENGINE
+  : 'osrm';
+
+const OSRM_PROFILES = { foot: 'foot', bike: 'bike', car: 'driving' };
+const VALHALLA_COSTING = { foot: 'pedestrian', bike: 'bicycle', car: 'auto' };
+const ROUTER_TIMEOUT_MS = 12000;
+const LEG_CACHE_KEY = 'cadnav-route-legs';
+const LEG_CACHE_LIMIT = 400;
+
+const canUseStorage = () => typeof window !== 'undefined' && !!window.localStorage;
+
+const legCache = (() => {
+  if (!canUseStorage()) return new Map();
+  try {
+    const raw = window.localStorage.getItem(LEG_CACHE_KEY);
+    const entries = raw ? JSON.parse(raw) : [];
+    return new Map(Array.isArray(entries) ? entries : []);
+  } catch (err) {
+    return new Map();
+  }
+})();
+
+let persistTimer = null;
+const persistLegCache = () => {
+  if (!canUseStorage() || persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    try {
+      window.localStorage.setItem(LEG_CACHE_KEY, JSON.stringify(Array.from(legCache.entries())));
+    } catch (err) {
+      // ignore quota errors – the in-memory cache still works for this session
+    }
+  }, 500);
+};
+
+const rememberLeg = (key, leg) => {
+  legCache.delete(key);
+  legCache.set(key, leg);
+  while (legCache.size > LEG_CACHE_LIMIT) {
+    legCache.delete(legCache.keys().next().value);
+  }
+  persistLegCache();
+};
+
+// Router requests in flight, keyed like `legCache`, so the map and the elevation profile asking
+// for the same leg share one request. It is only aborted once every caller has given up on it.
+const inFlightLegs = new Map();
+
+const requestSharedLeg = (key, start, signal) => {
+  let entry = inFlightLegs.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    const promise = start(controller.signal).finally(() => {
+      if (inFlightLegs.get(key) === entry) inFlightLegs.delete(key);
+    });
+    entry = { controller, promise, waiting: 0 };
+    inFlightLegs.set(key, entry);
+  }
+  const shared = entry;
+  shared.waiting += 1;
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      shared.waiting -= 1;
+      if (shared.waiting === 0) {
+        if (inFlightLegs.get(key) === shared) inFlightLegs.delete(key);
+        shared.controller.abort();
+      }
+      reject(new DOMException('Routing request aborted', 'AbortError'));
+    };
+    if (signal?.aborted) {
+      leave();
+      return;
+    }
+    signal?.addEventListener('abort', leave, { once: true });
+    shared.promise
+      .then(resolve, reject)
+      .finally(() => signal?.removeEventListener('abort', leave));
+  });
+};
+
+const roundCoord = (value) => Math.round(value * 1e5) / 1e5;
+
+const buildLegKey = ({ url, engine, profile }, from, to) =>
+  [engine, url, profile, roundCoord(from[0]), roundCoord(from[1]), roundCoord(to[0]), roundCoord(to[1])].join('|');
+
+export const resolveRouterUrl = (url, profile) =>
+  (url || DEFAULT_ROUTER_URL).trim().replace(/\{profile\}/g, profile).replace(/\/+$/, '');
+
+// Valhalla shapes are encoded polylines with 6 decimal places of precision.
+export const decodePolyline = (encoded, precision = 6) => {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  while (index < encoded.length) {
+    for (const axis of ['lat', 'lng']) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index) - 63;
+        index += 1;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      const delta = result & 1 ? ~(result >> 1) : result >> 1;
+      if (axis === 'lat') {
+        lat += delta;
+      } else {
+        lng += delta;
+      }
+    }
+    points.push([lat / factor, lng / factor]);
+  }
+  return points;
+};
+
+const fetchJson = async (url, init, signal) => {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort);
+  const timer = setTimeout(abort, ROUTER_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Router responded with ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+};
+
+const requestOsrmLeg = async (baseUrl, profile, from, to, signal) => {
+  const payload = buildRoutingPayload([from, to]);
+  const coordinates = payload.coordinates.map(([lng, lat]) => `${lng},${lat}`).join(';');
+  const data = await fetchJson(
+    `${baseUrl}/route/v1/${OSRM_PROFILES[profile] ?? profile}/${coordinates}?overview=full&geometries=geojson&steps=false`,
+    undefined,
+    signal
+  );
+  const route = data?.routes?.[0];
+  if (data?.code !== 'Ok' || !route) {
+    throw new Error(data?.message ?? 'No route found');
+  }
+  return { positions: parseLineString(route.geometry), distance: route.distance, duration: route.duration };
+};
+
+const requestValhallaLeg = async (baseUrl, profile, from, to, signal) => {
+  const data = await fetchJson(
+    `${baseUrl}/route`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        locations: [from, to].map(([lat, lon]) => ({ lat, lon })),
+        costing: VALHALLA_COSTING[profile] ?? 'pedestrian'
+      })
+    },
+    signal
+  );
+  const leg = data?.trip?.legs?.[0];
+  if (!leg?.shape) {
+    throw new Error(data?.error ?? 'No route found');
+  }
+  return {
+    positions: decodePolyline(leg.shape),
+    distance: (leg.summary?.length ?? 0) * 1000,
+    duration: leg.summary?.time ?? null
+  };
+};
+
+const routeOnDevice = async (from, to, profile) => {
+  try {
+    const leg = await routeOffline(from, to, { profile });
+    return leg ? { ...leg, fallback: false, source: 'offline' } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Routes a single leg between two `[lat, lng]` points. Router results are cached per
+ * router/profile and served from the cache even while the device is offline; concurrent calls
+ * for the same leg share one request. When the router can't help, an imported offline graph
+ * is tried next, and after that the leg resolves to a straight segment flagged
+ * `fallback: true` instead of throwing, so the map always has something to draw.
+ */
+export const fetchRoutedLeg = async (from, to, { url, engine = DEFAULT_ROUTER_ENGINE, profile = 'foot', signal } = {}) => {
+  const straight = (error) => ({
+    positions: [from, to],
+    distance: null,
+    duration: null,
+    fallback: true,
+    source: 'straight',
+    error
+  });
+  if (engine === 'offline') {
+    return (await routeOnDevice(from, to, profile)) ?? straight('No offline graph covers this leg');
+  }
+
+  const baseUrl = resolveRouterUrl(url, profile);
+  const key = buildLegKey({ url: baseUrl, engine, profile }, from, to);
+  const cached = legCache.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return (await routeOnDevice(from, to, profile)) ?? straight('Device is offline');
+  }
+  try {
+    return await requestSharedLeg(
+      key,
+      async (sharedSignal) => {
+        const request = engine === 'valhalla' ? requestValhallaLeg : requestOsrmLeg;
+        const leg = await request(baseUrl, profile, from, to, sharedSignal);
+        if (leg.positions.length < 2) {
+          throw new Error('Router returned an empty geometry');
+        }
+        const result = { ...leg, fallback: false, source: 'router' };
+        rememberLeg(key, result);
+        return result;
+      },
+      signal
+    );
+  } catch (err) {
+    if (signal?.aborted) {
+      throw err;
+    }
+    return (await routeOnDevice(from, to, profile)) ?? straight(err.message);
+  }
+};
+
+export const clearRoutedLegCache = () => {
+  legCache.clear();
+  if (!canUseStorage()) return;
+  try {
+    window.localStorage.removeItem(LEG_CACHE_KEY);
+  } catch (err) {
+    // ignore cache errors
+  }
+};
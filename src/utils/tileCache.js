@@ -0,0 +1,62 @@
+export const TILE_CACHE_NAME = 'cadet-map-tile-cache';
+
+const TILE_WORKER_PATH = 'tile-sw.js';
+
+export const latLngToTile = (lat, lng, zoom) => {
+  const latRad = (lat * Math.PI) / 180;
+  const scale = 2 ** zoom;
+  const x = Math.floor(((lng + 180) / 360) * scale);
+  const y = Math.floor(
+    ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale
+  );
+  const maxIndex = scale - 1;
+  return {
+    x: Math.min(Math.max(x, 0), maxIndex),
+    y: Math.min(Math.max(y, 0), maxIndex),
+    z: zoom
+  };
+};
+
+// Returns the `{ north, south, west, east }` edges of a slippy-map tile in degrees.
+export const tileToBounds = ({ x, y, z }) => {
+  const scale = 2 ** z;
+  const latAt = (row) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * row) / scale))) * 180) / Math.PI;
+  return {
+    north: latAt(y),
+    south: latAt(y + 1),
+    west: (x / scale) * 360 - 180,
+    east: ((x + 1) / scale) * 360 - 180
+  };
+};
+
+// Picks the subdomain the same way Leaflet does, so prefetched URLs match what the map requests.
+export const buildTileUrl = (template, subdomains, { x, y, z }) => {
+  const domainPool = Array.isArray(subdomains) && subdomains.length > 0 ? subdomains : [''];
+  const index = Math.abs((x + y) % domainPool.length);
+  const subdomain = domainPool[index];
+  return template
+    .replace('{s}', subdomain)
+    .replace('{x}', x)
+    .replace('{y}', y)
+    .replace('{z}', z);
+};
+
+export const isTileWorkerSupported = () =>
+  typeof navigator !== 'undefined' && 'serviceWorker' in navigator && typeof window !== 'undefined' && window.isSecureContext;
+
+/**
+ * Registers the tile service worker for the given `{ url, subdomains }` providers. The templates
+ * travel in the script URL, so changing the provider list makes the browser install a fresh
+ * worker. Resolves to `null` when service workers are unavailable (plain http on a LAN IP, etc.).
+ */
+export const registerTileWorker = async (providers) => {
+  if (!isTileWorkerSupported()) return null;
+  const templates = providers.map(({ url, subdomains }) => ({ url, subdomains: subdomains ?? [] }));
+  const params = new URLSearchParams({ providers: JSON.stringify(templates) });
+  try {
+    return await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}${TILE_WORKER_PATH}?${params}`);
+  } catch (err) {
+    console.warn('Tile service worker registration failed', err);
+    return null;
+  }
+};
@@ -0,0 +1,278 @@
+import { openDatabase, requestToPromise, runTransaction } from './indexedDb.js';
+import { TILE_CACHE_NAME, buildTileUrl, latLngToTile, tileToBounds } from './tileCache.js';
+
+const DB_NAME = 'cadnav-tiles';
+const DB_VERSION = 1;
+const REGION_STORE = 'regions';
+
+// Public tile servers ask for bulk downloads to stay small; this also keeps a region within what
+// mobile browsers will let the Cache API hold.
+export const MAX_REGION_TILES = 30000;
+export const DEFAULT_TILE_BYTES = 20000;
+
+const DOWNLOAD_CONCURRENCY = 6;
+const PROGRESS_PERSIST_MS = 2000;
+
+const regionDb = () =>
+  openDatabase(DB_NAME, DB_VERSION, (db, oldVersion) => {
+    if (oldVersion < 1) {
+      db.createObjectStore(REGION_STORE, { keyPath: 'id' });
+    }
+  });
+
+export const listRegions = async () => {
+  const records = await runTransaction(regionDb(), REGION_STORE, 'readonly', ({ regions }) =>
+    requestToPromise(regions.getAll())
+  );
+  return records.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+export const saveRegion = (region) =>
+  runTransaction(regionDb(), REGION_STORE, 'readwrite', ({ regions }) => requestToPromise(regions.put(region)));
+
+const deleteRegionRecord = (regionId) =>
+  runTransaction(regionDb(), REGION_STORE, 'readwrite', ({ regions }) => requestToPromise(regions.delete(regionId)));
+
+// Polygons are `[[lat, lng], …]` rings; rectangles are stored as four-corner polygons.
+export const rectangleToPolygon = ([lat1, lng1], [lat2, lng2]) => {
+  const north = Math.max(lat1, lat2);
+  const south = Math.min(lat1, lat2);
+  const west = Math.min(lng1, lng2);
+  const east = Math.max(lng1, lng2);
+  return [
+    [north, west],
+    [north, east],
+    [south, east],
+    [south, west]
+  ];
+};
+
+const polygonBounds = (polygon) =>
+  polygon.reduce(
+    (bounds, [lat, lng]) => ({
+      north: Math.max(bounds.north, lat),
+      south: Math.min(bounds.south, lat),
+      west: Math.min(bounds.west, lng),
+      east: Math.max(bounds.east, lng)
+    }),
+    { north: -90, south: 90, west: 180, east: -180 }
+  );
+
+const pointInPolygon = (lat, lng, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    if (latI > lat !== latJ > lat && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const segmentsCross = ([ay, ax], [by, bx], [cy, cx], [dy, dx]) => {
+  const orient = (py, px, qy, qx, ry, rx) => Math.sign((qx - px) * (ry - py) - (qy - py) * (rx - px));
+  return (
+    orient(ay, ax, by, bx, cy, cx) !== orient(ay, ax, by, bx, dy, dx) &&
+    orient(cy, cx, dy, dx, ay, ax) !== orient(cy, cx, dy, dx, by, bx)
+  );
+};
+
+const tileIntersectsPolygon = (tile, polygon) => {
+  const { north, south, west, east } = tileToBounds(tile);
+  const corners = [
+    [north, west],
+    [north, east],
+    [south, east],
+    [south, west]
+  ];
+  if (corners.some(([lat, lng]) => pointInPolygon(lat, lng, polygon))) return true;
+  if (polygon.some(([lat, lng]) => lat <= north && lat >= south && lng >= west && lng <= east)) return true;
+  return polygon.some((start, index) => {
+    const end = polygon[(index + 1) % polygon.length];
+    return corners.some((corner, cornerIndex) => segmentsCross(start, end, corner, corners[(cornerIndex + 1) % 4]));
+  });
+};
+
+const tileRangeForZoom = (bounds, zoom) => {
+  const topLeft = latLngToTile(bounds.north, bounds.west, zoom);
+  const bottomRight = latLngToTile(bounds.south, bounds.east, zoom);
+  return { minX: topLeft.x, maxX: bottomRight.x, minY: topLeft.y, maxY: bottomRight.y };
+};
+
+/**
+ * Yields every `{ x, y, z }` tile touching the polygon, zoom level by zoom level. The order is
+ * stable, so a download can resume from a plain index.
+ */
+export function* iterateRegionTiles({ polygon, minZoom, maxZoom }) {
+  const bounds = polygonBounds(polygon);
+  for (let z = minZoom; z <= maxZoom; z += 1) {
+    const { minX, maxX, minY, maxY } = tileRangeForZoom(bounds, z);
+    for (let y = minY; y <= maxY; y += 1) {
+      for (let x = minX; x <= maxX; x += 1) {
+        const tile = { x, y, z };
+        if (tileIntersectsPolygon(tile, polygon)) {
+          yield tile;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Counts the tiles a region needs. Stops once `limit` is passed and reports `capped: true`, so
+ * an accidental continent-sized selection at zoom 18 doesn't lock up the page.
+ */
+export const estimateRegionTiles = ({ polygon, minZoom, maxZoom }, limit = MAX_REGION_TILES) => {
+  if (!Array.isArray(polygon) || polygon.length < 3 || minZoom > maxZoom) {
+    return { count: 0, capped: false };
+  }
+  const bounds = polygonBounds(polygon);
+  let boxCount = 0;
+  for (let z = minZoom; z <= maxZoom; z += 1) {
+    const { minX, maxX, minY, maxY } = tileRangeForZoom(bounds, z);
+    boxCount += (maxX - minX + 1) * (maxY - minY + 1);
+  }
+  // Polygons rarely fill less than a tenth of their bounding box; skip the exact count if even that is too much.
+  if (boxCount > limit * 10) {
+    return { count: boxCount, capped: true };
+  }
+  let count = 0;
+  for (const tile of iterateRegionTiles({ polygon, minZoom, maxZoom })) {
+    count += 1;
+    if (count > limit) return { count, capped: true };
+  }
+  return { count, capped: false };
+};
+
+export const createRegion = ({ name, polygon, minZoom, maxZoom, provider }) => {
+  const { count } = estimateRegionTiles({ polygon, minZoom, maxZoom });
+  const now = Date.now();
+  return {
+    id: `region-${now.toString(36)}`,
+    name,
+    polygon,
+    minZoom,
+    maxZoom,
+    providerId: provider.id,
+    providerLabel: provider.label,
+    url: provider.url,
+    subdomains: provider.subdomains ?? [],
+    tileCount: count,
+    estimatedBytes: count * (provider.averageTileBytes ?? DEFAULT_TILE_BYTES),
+    cursor: 0,
+    downloadedCount: 0,
+    failedCount: 0,
+    bytes: 0,
+    status: 'paused',
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+const fetchTileIntoCache = async (cache, url, signal) => {
+  const cached = await cache.match(url);
+  if (cached) {
+    return (await cached.blob()).size;
+  }
+  const response = await fetch(url, { mode: 'cors', signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  await cache.put(url, response.clone());
+  return (await response.blob()).size;
+};
+
+/**
+ * Downloads a region's tiles into the tile cache, starting at `region.cursor`. Progress is
+ * reported through `onProgress(region)` after every batch and written to IndexedDB every couple
+ * of seconds. Aborting `signal` pauses the download; the returned region can be resumed later.
+ */
+export const downloadRegion = async (region, { signal, onProgress } = {}) => {
+  if (typeof caches === 'undefined') {
+    throw new Error('Tile caching not supported in this browser.');
+  }
+  const cache = await caches.open(TILE_CACHE_NAME);
+  let current = { ...region, status: 'downloading', updatedAt: Date.now() };
+  let lastPersist = 0;
+  const commit = async (changes, force = false) => {
+    current = { ...current, ...changes, updatedAt: Date.now() };
+    onProgress?.(current);
+    if (force || current.updatedAt - lastPersist >= PROGRESS_PERSIST_MS) {
+      lastPersist = current.updatedAt;
+      await saveRegion(current);
+    }
+  };
+  await commit({}, true);
+
+  const iterator = iterateRegionTiles(current);
+  for (let skipped = 0; skipped < current.cursor; skipped += 1) {
+    if (iterator.next().done) break;
+  }
+
+  let exhausted = false;
+  while (!exhausted) {
+    if (signal?.aborted) {
+      await commit({ status: 'paused' }, true);
+      return current;
+    }
+    const batch = [];
+    while (batch.length < DOWNLOAD_CONCURRENCY) {
+      const next = iterator.next();
+      if (next.done) {
+        exhausted = true;
+        break;
+      }
+      batch.push(next.value);
+    }
+    if (batch.length === 0) break;
+
+    const results = await Promise.allSettled(
+      batch.map((tile) => fetchTileIntoCache(cache, buildTileUrl(current.url, current.subdomains, tile), signal))
+    );
+    if (signal?.aborted) {
+      // Tiles that finished are already cached and get picked up cheaply on resume.
+      await commit({ status: 'paused' }, true);
+      return current;
+    }
+    const fulfilled = results.filter((result) => result.status === 'fulfilled');
+    await commit({
+      cursor: current.cursor + batch.length,
+      downloadedCount: current.downloadedCount + fulfilled.length,
+      failedCount: current.failedCount + (batch.length - fulfilled.length),
+      bytes: current.bytes + fulfilled.reduce((total, result) => total + result.value, 0)
+    });
+  }
+
+  await commit({ status: current.failedCount > 0 ? 'incomplete' : 'complete' }, true);
+  return current;
+};
+
+// Restarts a finished region from the top so failed tiles are retried; cached tiles are skipped.
+export const resetRegionProgress = (region) => ({
+  ...region,
+  cursor: 0,
+  downloadedCount: 0,
+  failedCount: 0,
+  bytes: 0,
+  status: 'paused'
+});
+
+const regionCoversTile = (region, tile) =>
+  tile.z >= region.minZoom && tile.z <= region.maxZoom && tileIntersectsPolygon(tile, region.polygon);
+
+/**
+ * Removes a region and the tiles only it uses. Tiles shared with another region of the same
+ * base layer stay cached.
+ */
+export const deleteRegion = async (region, otherRegions = []) => {
+  const neighbours = otherRegions.filter((entry) => entry.id !== region.id && entry.url === region.url);
+  if (typeof caches !== 'undefined') {
+    const cache = await caches.open(TILE_CACHE_NAME);
+    for (const tile of iterateRegionTiles(region)) {
+      if (neighbours.some((entry) => regionCoversTile(entry, tile))) continue;
+      await cache.delete(buildTileUrl(region.url, region.subdomains, tile));
+    }
+  }
+  await deleteRegionRecord(region.id);
+};
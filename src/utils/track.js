@@ -0,0 +1,69 @@
+import { calculateDistance } from '../hooks/useCompass.js';
+
+// Fixes closer than this to the last kept point add nothing but noise.
+const MIN_POINT_SPACING_METERS = 5;
+// Slower than this between two points counts as standing still (about 1 km/h).
+const MOVING_SPEED_MPS = 0.3;
+
+/**
+ * Decides what to do with a geolocation fix while recording: `inaccurate` when its accuracy is
+ * worse than `maxAccuracyMeters`, `close` when it is within its own accuracy (and at least
+ * `MIN_POINT_SPACING_METERS`) of `lastPoint`, otherwise `keep`. Thinning against the fix's
+ * accuracy keeps GPS wander while standing still from drawing a scribble.
+ */
+export const classifyFix = (lastPoint, fix, { maxAccuracyMeters }) => {
+  if (Number.isFinite(fix.accuracy) && fix.accuracy > maxAccuracyMeters) return 'inaccurate';
+  if (!lastPoint) return 'keep';
+  const spacing = Math.max(MIN_POINT_SPACING_METERS, Number.isFinite(fix.accuracy) ? fix.accuracy : 0);
+  return calculateDistance(lastPoint, fix) < spacing ? 'close' : 'keep';
+};
+
+/** The stored form of a fix: `{ lat, lng, time, accuracy?, ele? }` with `time` in epoch ms. */
+export const toTrackPoint = (fix) => ({
+  lat: fix.lat,
+  lng: fix.lng,
+  time: Number.isFinite(fix.timestamp) ? fix.timestamp : Date.now(),
+  ...(Number.isFinite(fix.accuracy) ? { accuracy: Math.round(fix.accuracy) } : {}),
+  ...(Number.isFinite(fix.altitude) ? { ele: Math.round(fix.altitude * 10) / 10 } : {})
+});
+
+/**
+ * Totals for a track: distance along each segment, elapsed time from the first point to the
+ * last (pauses included) and moving time, which only counts stretches covered faster than
+ * `MOVING_SPEED_MPS`. Gaps between segments (pauses) add neither distance nor moving time.
+ */
+export const trackStats = (track) => {
+  let distanceMeters = 0;
+  let movingMs = 0;
+  let pointCount = 0;
+  let firstTime = null;
+  let lastTime = null;
+  track.segments.forEach((segment) => {
+    segment.forEach((point, index) => {
+      pointCount += 1;
+      firstTime = firstTime ?? point.time;
+      lastTime = point.time;
+      if (index === 0) return;
+      const previous = segment[index - 1];
+      const meters = calculateDistance(previous, point);
+      const elapsed = point.time - previous.time;
+      distanceMeters += meters;
+      if (elapsed > 0 && meters / (elapsed / 1000) >= MOVING_SPEED_MPS) movingMs += elapsed;
+    });
+  });
+  return {
+    distanceMeters,
+    elapsedMs: firstTime !== null ? lastTime - firstTime : 0,
+    movingMs,
+    pointCount
+  };
+};
+
+/** Formats milliseconds as "0:45:10" style hours, minutes and seconds. */
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
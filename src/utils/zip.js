@@ -0,0 +1,134 @@
+// Just enough ZIP for KMZ files: reading stored or deflated entries, and writing stored ones.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let index = 0; index < 256; index += 1) {
+    let value = index;
+    for (let bit = 0; bit < 8; bit += 1) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    table[index] = value >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let index = 0; index < bytes.length; index += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot open compressed KMZ files.');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const findEndOfDirectory = (view) => {
+  // The record is 22 bytes plus a comment of up to 64 KB.
+  const earliest = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= earliest; offset -= 1) {
+    if (view.getUint32(offset, true) === END_OF_DIRECTORY_SIGNATURE) return offset;
+  }
+  return -1;
+};
+
+/**
+ * Lists the files in a ZIP archive as `[{ name, read }]`, where `read()` resolves to the
+ * entry's bytes. Throws if the data isn't a ZIP archive.
+ */
+export const readZipEntries = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const endOffset = bytes.byteLength >= 22 ? findEndOfDirectory(view) : -1;
+  if (endOffset === -1) {
+    throw new Error('This file is not a valid ZIP archive.');
+  }
+  const entryCount = view.getUint16(endOffset + 10, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+  let offset = view.getUint32(endOffset + 16, true);
+  for (let index = 0; index < entryCount; index += 1) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) break;
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.push({
+      name,
+      read: async () => {
+        const dataStart =
+          localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) return data;
+        if (method === 8) return inflateRaw(data);
+        throw new Error(`Unsupported compression in ${name}.`);
+      }
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+/** Packs `[{ name, data }]` (data as a string or bytes) into an uncompressed ZIP archive. */
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const prepared = files.map(({ name, data }) => {
+    const content = typeof data === 'string' ? encoder.encode(data) : data;
+    return { name: encoder.encode(name), content, crc: crc32(content) };
+  });
+  const localSize = prepared.reduce((sum, file) => sum + 30 + file.name.length + file.content.length, 0);
+  const centralSize = prepared.reduce((sum, file) => sum + 46 + file.name.length, 0);
+  const output = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(output.buffer);
+  const offsets = [];
+  let offset = 0;
+
+  prepared.forEach((file) => {
+    offsets.push(offset);
+    view.setUint32(offset, LOCAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, UTF8_FLAG, true);
+    view.setUint32(offset + 14, file.crc, true);
+    view.setUint32(offset + 18, file.content.length, true);
+    view.setUint32(offset + 22, file.content.length, true);
+    view.setUint16(offset + 26, file.name.length, true);
+    output.set(file.name, offset + 30);
+    output.set(file.content, offset + 30 + file.name.length);
+    offset += 30 + file.name.length + file.content.length;
+  });
+
+  const centralOffset = offset;
+  prepared.forEach((file, index) => {
+    view.setUint32(offset, CENTRAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 20, true);
+    view.setUint16(offset + 8, UTF8_FLAG, true);
+    view.setUint32(offset + 16, file.crc, true);
+    view.setUint32(offset + 20, file.content.length, true);
+    view.setUint32(offset + 24, file.content.length, true);
+    view.setUint16(offset + 28, file.name.length, true);
+    view.setUint32(offset + 42, offsets[index], true);
+    output.set(file.name, offset + 46);
+    offset += 46 + file.name.length;
+  });
+
+  view.setUint32(offset, END_OF_DIRECTORY_SIGNATURE, true);
+  view.setUint16(offset + 8, prepared.length, true);
+  view.setUint16(offset + 10, prepared.length, true);
+  view.setUint32(offset + 12, offset - centralOffset, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  return output;
+};